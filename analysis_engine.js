@@ -0,0 +1,3733 @@
+/**
+ * フレーム解析エンジン
+ * 全体剛性マトリックスの組み立て、端部解放の処理、部材断面力の復元を行う。
+ * DOMに依存しないため、画面の calculate() と Node.js 上のスクリプトの双方から利用できる。
+ * ブラウザでは globalThis.FrameAnalysisEngine、Node.js では module.exports から利用する。
+ *
+ * 使用例（Node.js）:
+ *   const { analyzeModel } = require('./analysis_engine.js');
+ *   const { D, R, forces } = analyzeModel({ nodes, members, nodeLoads, memberLoads });
+ */
+const FrameAnalysisEngine = (() => {
+    const sparse = (typeof globalThis !== 'undefined' && globalThis.SparseSolver)
+        || (typeof require === 'function' ? require('./sparse_solver.js') : null);
+    if (!sparse) {
+        throw new Error('FrameAnalysisEngine requires sparse_solver.js.');
+    }
+
+    // --- Matrix Math Library ---
+    const mat = {
+        create: (rows, cols, value = 0) => Array(rows).fill().map(() => Array(cols).fill(value)),
+        clone: (A) => A.map(row => row.slice()),
+        identity: (n) => {
+            const I = Array.from({ length: n }, (_, row) => Array.from({ length: n }, (_, col) => (row === col ? 1 : 0)));
+            return I;
+        },
+        multiply: (A, B) => {
+            const C = mat.create(A.length, B[0].length);
+            for (let i = 0; i < A.length; i++) {
+                for (let j = 0; j < B[0].length; j++) {
+                    for (let k = 0; k < A[0].length; k++) {
+                        C[i][j] += A[i][k] * B[k][j];
+                    }
+                }
+            }
+            return C;
+        },
+        transpose: A => A[0].map((_, colIndex) => A.map(row => row[colIndex])),
+        add: (A, B) => A.map((row, i) => row.map((val, j) => val + B[i][j])),
+        subtract: (A, B) => A.map((row, i) => row.map((val, j) => val - B[i][j])),
+        solve: (A, b) => {
+            const n = A.length;
+            const aug = A.map((row, i) => [...row, b[i][0]]);
+            for (let i = 0; i < n; i++) {
+                let maxRow = i;
+                for (let k = i + 1; k < n; k++) {
+                    if (Math.abs(aug[k][i]) > Math.abs(aug[maxRow][i])) maxRow = k;
+                }
+                [aug[i], aug[maxRow]] = [aug[maxRow], aug[i]];
+                if (aug[i][i] === 0) continue;
+                for (let k = i + 1; k < n; k++) {
+                    const factor = aug[k][i] / aug[i][i];
+                    for (let j = i; j < n + 1; j++) aug[k][j] -= factor * aug[i][j];
+                }
+            }
+            const x = mat.create(n, 1);
+            for (let i = n - 1; i >= 0; i--) {
+                let sum = 0;
+                for (let j = i + 1; j < n; j++) sum += aug[i][j] * x[j][0];
+                if (aug[i][i] === 0 && aug[i][n] - sum !== 0) return null;
+                x[i][0] = aug[i][i] === 0 ? 0 : (aug[i][n] - sum) / aug[i][i];
+            }
+            return x;
+        },
+        inverse: (A) => {
+            if (!Array.isArray(A) || A.length === 0 || A.length !== A[0].length) return null;
+            const n = A.length;
+            const identity = mat.identity(n);
+            const inv = mat.create(n, n);
+            for (let col = 0; col < n; col++) {
+                const e = identity.map(row => [row[col]]);
+                const solution = mat.solve(mat.clone(A), e);
+                if (!solution) return null;
+                for (let row = 0; row < n; row++) {
+                    inv[row][col] = solution[row][0];
+                }
+            }
+            return inv;
+        }
+    };
+
+    // --- 支点条件 ---
+    const SUPPORT_ALIAS_ENTRIES = [
+        { target: 'free', aliases: ['f', 'free', '自由'] },
+        { target: 'pinned', aliases: ['p', 'pin', 'pinned', 'hinge', 'hinged', 'ピン'] },
+        { target: 'fixed', aliases: ['x', 'fix', 'fixed', '固定'] },
+        { target: 'roller-x', aliases: ['roller-x', 'roller_x', 'rollerx', 'r-x', 'rx', 'ローラーx', 'ローラー(x)', 'ローラー(X軸固定)'] },
+        { target: 'roller-y', aliases: ['roller-y', 'roller_y', 'rollery', 'r-y', 'ry', 'ローラー', 'ローラーy', 'ローラー(y)', 'ローラー(Y軸固定)', 'r', 'roller'] },
+        { target: 'roller-z', aliases: ['roller-z', 'roller_z', 'rollerz', 'r-z', 'rz', 'ローラーz', 'ローラー(z)', 'ローラー(Z軸固定)'] },
+        { target: 'spring', aliases: ['s', 'spring', 'springs', 'ばね', 'バネ'] }
+    ];
+
+    const SUPPORT_ALIAS_MAP = SUPPORT_ALIAS_ENTRIES.reduce((map, entry) => {
+        entry.aliases.forEach(alias => {
+            const key = `${alias}`.trim();
+            if (!key) return;
+            map.set(key, entry.target);
+            map.set(key.toLowerCase(), entry.target);
+        });
+        return map;
+    }, new Map());
+
+    const normalizeSupportValue = (value) => {
+        if (value === undefined || value === null) return 'free';
+        const raw = `${value}`.trim();
+        if (!raw) return 'free';
+        return SUPPORT_ALIAS_MAP.get(raw) || SUPPORT_ALIAS_MAP.get(raw.toLowerCase()) || raw;
+    };
+
+    const isRollerSupport = (value) => {
+        const normalized = normalizeSupportValue(value);
+        return normalized === 'roller-x' || normalized === 'roller-y' || normalized === 'roller-z';
+    };
+
+    const getRollerAxis = (value) => {
+        const normalized = normalizeSupportValue(value);
+        if (normalized === 'roller-x') return 'x';
+        if (normalized === 'roller-y') return 'y';
+        if (normalized === 'roller-z') return 'z';
+        return null;
+    };
+
+    // --- 支点座標系（傾斜支点） ---
+    const SUPPORT_AXIS_TOLERANCE = 1e-9;
+
+    /**
+     * 節点の支点座標系 x′・y′・z′ 軸（入力座標系の単位ベクトル）を求める
+     * node.supportAxes = { angle (度), vector: {x, y, z} } で指定する
+     *   vector を指定した場合は x′ 軸をその向きとし、z′ 軸は x′ に直交する方向のうちグローバルZ軸に最も近い向き
+     *   （x′ が鉛直の場合はグローバルX軸に最も近い向き）、y′ = z′ × x′ とする
+     *   angle だけの場合はXZ面内で x′ 軸を +X から +Z 側へ angle 回転した座標系（y′ はグローバルY軸のまま）
+     * 2次元フレームでは vector のY成分を無視する。支点座標系がグローバル軸と一致する場合は null を返す。
+     * @param {object} node - 節点（supportAxes を持つもの）
+     * @param {boolean} [is2DFrame=false]
+     * @returns {{x: {x: number, y: number, z: number}, y: {x: number, y: number, z: number}, z: {x: number, y: number, z: number}}|null}
+     */
+    const getSupportLocalAxes = (node, is2DFrame = false) => {
+        const source = node?.supportAxes;
+        if (!source) return null;
+        const normalize = (v) => {
+            const length = Math.hypot(v.x, v.y, v.z);
+            return length > SUPPORT_AXIS_TOLERANCE ? { x: v.x / length, y: v.y / length, z: v.z / length } : null;
+        };
+        const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+
+        let axes = null;
+        const vector = source.vector ? normalize({
+            x: Number(source.vector.x) || 0,
+            y: is2DFrame ? 0 : Number(source.vector.y) || 0,
+            z: Number(source.vector.z) || 0
+        }) : null;
+        if (vector) {
+            const reference = Math.abs(vector.z) > 1 - 1e-6 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 0, z: 1 };
+            const dot = reference.x * vector.x + reference.y * vector.y + reference.z * vector.z;
+            const localZ = normalize({ x: reference.x - dot * vector.x, y: reference.y - dot * vector.y, z: reference.z - dot * vector.z });
+            axes = { x: vector, y: cross(localZ, vector), z: localZ };
+        } else {
+            const angle = Number(source.angle);
+            if (!Number.isFinite(angle)) return null;
+            const c = Math.cos(angle * Math.PI / 180);
+            const s = Math.sin(angle * Math.PI / 180);
+            axes = { x: { x: c, y: 0, z: s }, y: { x: 0, y: 1, z: 0 }, z: { x: -s, y: 0, z: c } };
+        }
+
+        const isGlobal = Math.abs(axes.x.x - 1) < SUPPORT_AXIS_TOLERANCE
+            && Math.abs(axes.y.y - 1) < SUPPORT_AXIS_TOLERANCE
+            && Math.abs(axes.z.z - 1) < SUPPORT_AXIS_TOLERANCE;
+        return isGlobal ? null : axes;
+    };
+
+    /**
+     * ローラー支点の拘束方向（支点座標系の軸）を求める
+     * 2次元フレームの 'roller-y' は従来どおり鉛直方向（z′ 軸）の拘束とする。
+     * @param {string} supportType - normalizeSupportValue で正規化した支点種別
+     * @param {object} axes - getSupportLocalAxes の戻り値
+     * @param {boolean} [is2DFrame=false]
+     * @returns {{x: number, y: number, z: number}|null}
+     */
+    const getRollerRestraintDirection = (supportType, axes, is2DFrame = false) => {
+        const axis = getRollerAxis(supportType);
+        if (!axis || !axes) return null;
+        return axes[is2DFrame && axis === 'y' ? 'z' : axis];
+    };
+
+    // --- 部材端部の解放（静的縮約） ---
+    // 端部解放の自由度（局所座標系の N, Qy, Qz, Mx, My, Mz の順、j端は +6）
+    const RELEASE_DOF_KEYS = Object.freeze(['N', 'Qy', 'Qz', 'Mx', 'My', 'Mz']);
+    const RELEASE_DOF_INDEX_2D = Object.freeze({ N: 0, Qy: 1, Mz: 2 });
+
+    const isPinnedConnection = (conn) => {
+        if (typeof conn !== 'string') return false;
+        const normalized = conn.trim().toLowerCase();
+        return normalized === 'pinned' || normalized === 'p';
+    };
+
+    // 部材端の解放する自由度名（'pinned' は曲げ2軸、'release' は member.releases[end] の自由度）
+    const getEndReleaseKeys = (member, end) => {
+        const conn = member[`${end}_conn`];
+        if (conn === 'release') {
+            const keys = Array.isArray(member.releases?.[end]) ? member.releases[end] : [];
+            return RELEASE_DOF_KEYS.filter(key => keys.includes(key));
+        }
+        return isPinnedConnection(conn) ? ['My', 'Mz'] : [];
+    };
+
+    const hasDofRelease = (member) => member.i_conn === 'release' || member.j_conn === 'release';
+
+    /**
+     * 端部解放で部材が不安定（剛体変位できる状態）にならないかを調べる
+     * 2次元フレームでは面内の自由度（N, Qy, Mz）だけを調べる。
+     * @param {{i?: string[], j?: string[]}} releases - 端部ごとの解放する自由度名
+     * @param {boolean} [is2DFrame=false]
+     * @returns {string[]} 不安定になる理由（安定なら空配列）
+     */
+    const findUnstableReleases = (releases, is2DFrame = false) => {
+        const has = (end, key) => Array.isArray(releases?.[end]) && releases[end].includes(key);
+        const problems = [];
+        if (has('i', 'N') && has('j', 'N')) problems.push('軸方向力 N が両端で解放されています');
+        if (!is2DFrame && has('i', 'Mx') && has('j', 'Mx')) problems.push('ねじり Mx が両端で解放されています');
+        // 曲げ面ごとに、解放した自由度だけで部材の平行移動・回転が起こるかを判定する
+        const bendingPlanes = is2DFrame ? [['Qy', 'Mz']] : [['Qy', 'Mz'], ['Qz', 'My']];
+        bendingPlanes.forEach(([Q, M]) => {
+            if ((has('i', Q) && has('j', Q))
+                || (has('i', M) && has('j', Q) && has('j', M))
+                || (has('i', Q) && has('i', M) && has('j', M))) {
+                problems.push(`${Q}・${M} の解放で部材が回転または平行移動できます`);
+            }
+        });
+        return problems;
+    };
+
+    // --- 部材の局所座標系 ---
+    // 局所x軸は i端→j端。既定の局所z軸は部材軸を含む鉛直面内の上向き（ほぼ鉛直な部材は x軸 × グローバルY）。
+    // 参照節点を指定した場合は、参照節点へ向かうベクトルの部材軸に直交する成分を局所z軸とする。
+    // 最後に回転角 β [度] だけ局所x軸まわりに y・z 軸を回転させる（右ねじ、y軸 → z軸 の向きが正）。
+    const axisDot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const axisCross = (a, b) => ({
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    });
+    const axisNormalize = (v, tolerance = 1e-9) => {
+        const len = Math.sqrt(axisDot(v, v));
+        return isFinite(len) && len > tolerance ? { x: v.x / len, y: v.y / len, z: v.z / len } : null;
+    };
+    const axisPoint = (node) => ({ x: node?.x ?? 0, y: node?.y ?? 0, z: node?.z ?? 0 });
+
+    const getDefaultLocalZ = (localX) => {
+        if (Math.abs(localX.z) < 0.9) {
+            const temp = Math.sqrt(localX.x * localX.x + localX.y * localX.y);
+            return axisNormalize({ x: -localX.z * localX.x / temp, y: -localX.z * localX.y / temp, z: temp });
+        }
+        return axisNormalize(axisCross(localX, { x: 0, y: 1, z: 0 }));
+    };
+
+    // 参照点から決まる局所z軸（参照点が部材軸の延長上にある場合は null）
+    const getReferenceLocalZ = (localX, nodeI, referencePoint) => {
+        const origin = axisPoint(nodeI);
+        const point = axisPoint(referencePoint);
+        const v = { x: point.x - origin.x, y: point.y - origin.y, z: point.z - origin.z };
+        const along = axisDot(v, localX);
+        const perpendicular = { x: v.x - along * localX.x, y: v.y - along * localX.y, z: v.z - along * localX.z };
+        return axisNormalize(perpendicular, 1e-6 * Math.max(1, Math.sqrt(axisDot(v, v))));
+    };
+
+    /**
+     * 部材の局所座標軸を求める（3次元フレーム用）
+     * @param {{x:number, y:number, z:number}} nodeI
+     * @param {{x:number, y:number, z:number}} nodeJ
+     * @param {{rollAngle?: number, referencePoint?: {x:number, y:number, z:number}|null}} [options]
+     *   rollAngle: 局所x軸まわりの回転角 [度]、referencePoint: 局所z軸の向きを決める参照点
+     * @returns {{localX: object, localY: object, localZ: object, length: number}|null} 部材長が0の場合は null
+     */
+    const computeMemberLocalAxes = (nodeI, nodeJ, { rollAngle = 0, referencePoint = null } = {}) => {
+        const start = axisPoint(nodeI);
+        const end = axisPoint(nodeJ);
+        const axis = { x: end.x - start.x, y: end.y - start.y, z: end.z - start.z };
+        const length = Math.sqrt(axisDot(axis, axis));
+        const localX = axisNormalize(axis);
+        if (!localX) return null;
+
+        const baseZ = (referencePoint && getReferenceLocalZ(localX, start, referencePoint)) || getDefaultLocalZ(localX);
+        const baseY = axisCross(baseZ, localX);
+        const beta = (Number(rollAngle) || 0) * Math.PI / 180;
+        if (beta === 0) {
+            return { localX, localY: baseY, localZ: baseZ, length };
+        }
+        const cos = Math.cos(beta);
+        const sin = Math.sin(beta);
+        return {
+            localX,
+            localY: {
+                x: cos * baseY.x + sin * baseZ.x,
+                y: cos * baseY.y + sin * baseZ.y,
+                z: cos * baseY.z + sin * baseZ.z
+            },
+            localZ: {
+                x: -sin * baseY.x + cos * baseZ.x,
+                y: -sin * baseY.y + cos * baseZ.y,
+                z: -sin * baseY.z + cos * baseZ.z
+            },
+            length
+        };
+    };
+
+    // 全ての節点のY座標が同じ値なら2次元フレーム（XZ平面）として解析する
+    const isPlanarFrame = (nodes) => Array.isArray(nodes) && nodes.length > 0
+        && nodes.every(node => Math.abs(node.y - nodes[0].y) < 1e-6);
+
+    // 部材データ（rollAngle [度]、referenceNode: 0始まりの節点番号）から computeMemberLocalAxes の指定を作る
+    // 2次元フレームでは回転角・参照節点を用いない。
+    const getMemberAxisOptions = (member, nodes, is2DFrame = false) => {
+        if (is2DFrame) return {};
+        const referenceNode = Number.isInteger(member?.referenceNode) ? member.referenceNode : null;
+        return {
+            rollAngle: Number(member?.rollAngle) || 0,
+            referencePoint: referenceNode !== null && Array.isArray(nodes) ? (nodes[referenceNode] || null) : null
+        };
+    };
+
+    /**
+     * 既定の局所座標軸から見た、指定した局所座標軸の回転角 [rad]（局所x軸まわり、右ねじが正）
+     * 解析エンジンを読み込まない3Dビューアで断面の向きを回すために使う。
+     */
+    const getMemberRollFromDefault = (nodeI, nodeJ, options = {}) => {
+        const defaults = computeMemberLocalAxes(nodeI, nodeJ);
+        const axes = computeMemberLocalAxes(nodeI, nodeJ, options);
+        if (!defaults || !axes) return 0;
+        return Math.atan2(axisDot(axes.localY, defaults.localZ), axisDot(axes.localY, defaults.localY));
+    };
+
+    // --- 部材荷重の座標系 ---
+    // 部材荷重はグローバル座標系（実長あたり・投影長あたり）または部材座標系（実長あたり）の成分で与える。
+    // 2次元フレームの部材座標系の y 軸は、XZ 面内で部材軸を X軸 → Z軸 の向きに90°回した向き（z 成分は面外なので用いない）。
+
+    /**
+     * 部材荷重の向きを決める部材座標軸（入力と同じ座標系）
+     * @returns {{localX: object, localY: object, localZ: object|null}|null} 部材長が0の場合は null
+     */
+    const getMemberLoadAxes = (nodeI, nodeJ, axisOptions = {}, is2DFrame = false) => {
+        if (!is2DFrame) return computeMemberLocalAxes(nodeI, nodeJ, axisOptions);
+        const start = axisPoint(nodeI);
+        const end = axisPoint(nodeJ);
+        const localX = axisNormalize({ x: end.x - start.x, y: 0, z: end.z - start.z });
+        if (!localX) return null;
+        return { localX, localY: { x: -localX.z, y: 0, z: localX.x }, localZ: null };
+    };
+
+    /**
+     * 部材荷重 { wx, wy, wz, coordinateSystem: 'global'|'local', projected } を実長あたりのグローバル成分 { x, y, z } に直す
+     * 投影長あたりの荷重は、各方向の荷重を受ける部材の投影長（荷重方向に直交する面への投影）L・√(1 − cos²θ) で実長あたりに換算する。
+     * @param {object} load - 部材荷重
+     * @param {{localX: object, localY: object, localZ: object|null}|null} axes - getMemberLoadAxes の部材座標軸
+     * @returns {{x: number, y: number, z: number}}
+     */
+    const resolveMemberLoadVector = (load, axes) => {
+        const readComponent = (key) => {
+            const value = Number(load?.[key]);
+            return Number.isFinite(value) ? value : NaN;
+        };
+        const wz = readComponent('wz');
+        const legacyW = readComponent('w');
+        const components = {
+            x: readComponent('wx') || 0,
+            y: readComponent('wy') || 0,
+            z: Number.isFinite(wz) ? wz : (Number.isFinite(legacyW) ? legacyW : 0)
+        };
+        if (load?.coordinateSystem === 'local') {
+            if (!axes) return { x: 0, y: 0, z: 0 };
+            return [[components.x, axes.localX], [components.y, axes.localY], [components.z, axes.localZ]]
+                .reduce((sum, [value, axis]) => (axis ? {
+                    x: sum.x + value * axis.x,
+                    y: sum.y + value * axis.y,
+                    z: sum.z + value * axis.z
+                } : sum), { x: 0, y: 0, z: 0 });
+        }
+        if (!load?.projected || !axes) return components;
+        const projectedRatio = (key) => Math.sqrt(Math.max(0, 1 - axes.localX[key] * axes.localX[key]));
+        return {
+            x: components.x * projectedRatio('x'),
+            y: components.y * projectedRatio('y'),
+            z: components.z * projectedRatio('z')
+        };
+    };
+
+    // --- 剛域 ---
+    // 部材端から長さ a（i端）・b（j端）の区間を剛体とし、残りの長さ L - a - b を弾性部材として扱う。
+    // 局所剛性・固定端力は剛域端（弾性部分の端）で求め、剛域の変換マトリックス H で節点へ移す。
+    const getRigidZoneLengths = (member) => ({
+        i: Math.max(Number(member?.rigidZones?.i) || 0, 0),
+        j: Math.max(Number(member?.rigidZones?.j) || 0, 0)
+    });
+
+    /**
+     * 節点の変位（局所座標系）から剛域端の変位への変換マトリックス H
+     * 2D: v' = v ± a・θ、3D: u' = u + θ × r（r は節点から剛域端へのベクトル）
+     */
+    const buildRigidZoneTransform = ({ i: a, j: b }, is2DFrame) => {
+        const size = is2DFrame ? 6 : 12;
+        const H = Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => (r === c ? 1 : 0)));
+        if (is2DFrame) {
+            H[1][2] = a;
+            H[4][5] = -b;
+        } else {
+            H[1][5] = a;
+            H[2][4] = -a;
+            H[7][11] = -b;
+            H[8][10] = b;
+        }
+        return H;
+    };
+
+    // 剛域に作用する等分布荷重を節点で受けるときの端部力（局所座標系、固定端力と同じ符号）
+    const buildRigidZoneFixedEndForces = ({ i: a, j: b }, wy, wz, is2DFrame) => (is2DFrame
+        ? [0, -wy*a, -wy*a**2/2, 0, -wy*b, wy*b**2/2]
+        : [0, -wy*a, -wz*a, 0, wz*a**2/2, -wy*a**2/2, 0, -wy*b, -wz*b, 0, -wz*b**2/2, wy*b**2/2]);
+
+    // --- せん断変形（Timoshenko梁） ---
+    // せん断断面積 Asy, Asz [m²] を持つ部材は、せん断変形の係数 Φ = 12EI / (G・As・L²) で曲げ剛性を低減する。
+    const getShearModulus = (E) => E / (2 * (1 + 0.3)); // ポアソン比0.3を仮定
+
+    const getShearDeformationFactor = (E, I, shearArea, L) => {
+        const As = Number(shearArea);
+        if (!(As > 0) || !(I > 0) || !(L > 0) || !(E > 0)) return 0;
+        return 12 * E * I / (getShearModulus(E) * As * L * L);
+    };
+
+    /**
+     * 部材のせん断変形の係数 Φ（せん断断面積のない方向は 0、L は剛域を除いた長さ）
+     * @param {object} member - E, Iz, Iy（axisProperties があればその局所値）, Asy, Asz, length, rigidZones
+     * @returns {{y: number, z: number}} y: 局所y方向のせん断（z軸まわりの曲げ）、z: 局所z方向のせん断（y軸まわりの曲げ）
+     */
+    const getShearDeformationFactors = (member) => {
+        const zones = getRigidZoneLengths(member);
+        const L = member?.flexibleLength ?? ((Number(member?.length) || 0) - zones.i - zones.j);
+        const inertia = member?.axisProperties?.local?.inertia || {};
+        return {
+            y: getShearDeformationFactor(member?.E, inertia.z ?? member?.Iz, member?.Asy, L),
+            z: getShearDeformationFactor(member?.E, inertia.y ?? member?.Iy, member?.Asz, L)
+        };
+    };
+
+    // 剛域端の部材端力（列ベクトル）から節点位置の部材端力を求める（剛域に作用する荷重を含む）
+    // spanLoadForces は剛域に作用する部材途中の荷重の端部力（buildSpanLoadFixedEndForces の rigidZoneForces）
+    const getNodeEndForces = (member, f_face, wy, wz, is2DFrame, spanLoadForces = null) => {
+        const zone = member.rigidZoneData;
+        if (!zone) return f_face;
+        const f_node = mat.multiply(mat.transpose(buildRigidZoneTransform(zone, is2DFrame)), f_face);
+        buildRigidZoneFixedEndForces(zone, wy, wz, is2DFrame).forEach((value, idx) => {
+            f_node[idx][0] += value;
+        });
+        (spanLoadForces || []).forEach((value, idx) => {
+            f_node[idx][0] += value;
+        });
+        return f_node;
+    };
+
+    const zeroMatrixRowAndColumn = (matrix, index, tiny = 1e-9) => {
+        if (!Array.isArray(matrix) || !Array.isArray(matrix[index])) return;
+        const size = matrix.length;
+        for (let i = 0; i < size; i++) {
+            if (Array.isArray(matrix[index])) matrix[index][i] = 0;
+            if (Array.isArray(matrix[i])) matrix[i][index] = 0;
+        }
+        if (Array.isArray(matrix[index])) matrix[index][index] = tiny;
+    };
+
+    const build3DReleaseData = (kLocal3D, T3D, globalIndexMap, iConn, jConn, matrixLib, releases = null) => {
+        const matrixOps = matrixLib || mat;
+        if (!matrixOps) {
+            throw new Error('3D release handling requires matrix utilities.');
+        }
+        const releaseLocalIndices = ['i', 'j'].flatMap((end, e) =>
+            getEndReleaseKeys({ i_conn: iConn, j_conn: jConn, releases }, end).map(key => RELEASE_DOF_KEYS.indexOf(key) + e * 6)
+        );
+
+        const allIndices = Array.isArray(kLocal3D)
+            ? kLocal3D.map((_, idx) => idx)
+            : Array.from({ length: 12 }, (_, idx) => idx);
+
+        if (!Array.isArray(kLocal3D) || releaseLocalIndices.length === 0) {
+            return {
+                hasRelease: false,
+                usedCondensation: false,
+                activeLocalIndices: allIndices,
+                releaseLocalIndices,
+                k_local_active: kLocal3D,
+                T_active: T3D,
+                K_rr_inv: null,
+                K_ra: null,
+                K_ar: null,
+                fallbackZeroing: false,
+                k_local_modified: kLocal3D,
+                globalIndexMap
+            };
+        }
+
+        const activeLocalIndices = allIndices.filter(idx => !releaseLocalIndices.includes(idx));
+
+        const selectSubmatrix = (matrix, rowIndices, colIndices) => rowIndices.map(r => colIndices.map(c => matrix[r][c]));
+
+        const K_rr = selectSubmatrix(kLocal3D, releaseLocalIndices, releaseLocalIndices);
+        const K_ra = selectSubmatrix(kLocal3D, releaseLocalIndices, activeLocalIndices);
+        const K_ar = selectSubmatrix(kLocal3D, activeLocalIndices, releaseLocalIndices);
+        const K_aa = selectSubmatrix(kLocal3D, activeLocalIndices, activeLocalIndices);
+
+        const K_rr_inv = matrixOps.inverse(K_rr);
+
+        if (!K_rr_inv) {
+            console.warn('3D端部解放の縮約に失敗したため、零行列による近似にフォールバックします。');
+            // Condensation failed (singular). Fallback to zeroing.
+            const kModified = kLocal3D.map(row => [...row]);
+            releaseLocalIndices.forEach(idx => zeroMatrixRowAndColumn(kModified, idx));
+            return {
+                hasRelease: true,
+                usedCondensation: false,
+                activeLocalIndices: allIndices,
+                releaseLocalIndices,
+                k_local_active: kModified,
+                T_active: T3D,
+                K_rr_inv: null,
+                K_ra: null,
+                K_ar: null,
+                fallbackZeroing: true,
+                k_local_modified: kModified,
+                globalIndexMap
+            };
+        }
+
+        const temp = matrixOps.multiply(K_ar, matrixOps.multiply(K_rr_inv, K_ra));
+        const K_condensed = matrixOps.subtract(K_aa, temp);
+        const T_active = activeLocalIndices.map(idx => T3D[idx]);
+
+        return {
+            hasRelease: true,
+            usedCondensation: true,
+            activeLocalIndices,
+            releaseLocalIndices,
+            k_local_active: K_condensed,
+            T_active,
+            K_rr_inv,
+            K_ra,
+            K_ar,
+            fallbackZeroing: false,
+            k_local_modified: kLocal3D,
+            globalIndexMap
+        };
+    };
+
+    // --- 幾何剛性（P-Δ解析） ---
+    /**
+     * 軸力による部材の幾何剛性マトリックス（局所座標系、3次の変位関数による整合型）
+     * @param {number} N - 軸力（引張を正）
+     * @param {number} L - 部材長
+     * @param {boolean} is2DFrame - true なら 6×6、false なら 12×12（ねじりの項は省略）
+     * @returns {number[][]}
+     */
+    const buildGeometricStiffnessLocal = (N, L, is2DFrame) => {
+        const size = is2DFrame ? 6 : 12;
+        const kg = mat.create(size, size);
+        const g = N / L;
+        const block = [
+            [6/5, L/10, -6/5, L/10],
+            [L/10, 2*L*L/15, -L/10, -L*L/30],
+            [-6/5, -L/10, 6/5, -L/10],
+            [L/10, -L*L/30, -L/10, 2*L*L/15]
+        ];
+        const addBlock = (indices, signs) => {
+            indices.forEach((r, a) => indices.forEach((c, b) => {
+                kg[r][c] += g * block[a][b] * signs[a] * signs[b];
+            }));
+        };
+        if (is2DFrame) {
+            addBlock([1, 2, 4, 5], [1, 1, 1, 1]);
+        } else {
+            addBlock([1, 5, 7, 11], [1, 1, 1, 1]);   // xy面の曲げ（v, θz）
+            addBlock([2, 4, 8, 10], [1, -1, 1, -1]); // xz面の曲げ（w, θy は回転の向きが逆）
+        }
+        return kg;
+    };
+
+    // 2D部材の端部接合から解放する局所自由度を求める（k_local の場合分けと同じく、剛・半剛・個別解放以外の材端は回転を解放する）
+    const get2DReleaseIndices = (member) => ['i', 'j'].flatMap((end, e) => {
+        const conn = member[`${end}_conn`];
+        if (conn === 'rigid' || conn === 'semi') return [];
+        const keys = conn === 'release' ? getEndReleaseKeys(member, end) : ['Mz'];
+        return keys.filter(key => key in RELEASE_DOF_INDEX_2D).map(key => RELEASE_DOF_INDEX_2D[key] + e * 3);
+    });
+
+    const selectSubmatrix = (matrix, rowIndices, colIndices) => rowIndices.map(r => colIndices.map(c => matrix[r][c]));
+
+    // 縮約後の自由度の行列を、解放自由度の行・列を 0 とした元の次数の行列に戻す（2Dの k_local と同じ形）
+    const expandCondensedMatrix = (condensed, activeIndices, size) => {
+        const full = mat.create(size, size);
+        activeIndices.forEach((r, a) => activeIndices.forEach((c, b) => { full[r][c] = condensed[a][b]; }));
+        return full;
+    };
+
+    // --- 半剛接合（材端の回転ばね） ---
+    const hasSemiRigidEnd = (member) => member.i_conn === 'semi' || member.j_conn === 'semi';
+
+    /**
+     * 半剛接合の材端の回転ばねを局所自由度ごとに求める
+     * member.semiRigid { type: 'stiffness'|'fixity', iy, iz, jy, jz } の値は回転剛性 (kN·m/rad) または固定度 γ (0〜1)。
+     * 固定度は k = 3EIγ / (L(1−γ)) で回転剛性に換算し、γ ≥ 1 と未入力の値は剛接合として扱う。
+     * 2次元フレームでは面内の曲げ（z軸まわり）の値だけを使う。
+     * @param {object} member - 長さ・断面性能を設定済みの部材
+     * @param {boolean} is2DFrame
+     * @returns {Array<{index: number, key: string, stiffness: number}>}
+     */
+    const getSemiRigidEndSprings = (member, is2DFrame) => {
+        const settings = member.semiRigid || {};
+        const springs = [];
+        const addSpring = (end, axis, index, inertia) => {
+            if (member[`${end}_conn`] !== 'semi') return;
+            const key = `${end}${axis}`;
+            const value = Number(settings[key]);
+            if (settings[key] === null || settings[key] === '' || !Number.isFinite(value)) return;
+            let stiffness;
+            if (settings.type === 'fixity') {
+                if (value >= 1) return;
+                stiffness = value <= 0 ? 0 : 3 * member.E * inertia * value / ((member.flexibleLength ?? member.length) * (1 - value));
+            } else {
+                stiffness = Math.max(value, 0);
+            }
+            springs.push({ index, key, stiffness });
+        };
+        if (is2DFrame) {
+            const I = member.axisProperties?.bendingInertia ?? member.I ?? member.Iz;
+            addSpring('i', 'z', 2, I);
+            addSpring('j', 'z', 5, I);
+        } else {
+            const Iy = member.axisProperties?.local?.inertia?.y ?? member.Iy;
+            const Iz = member.axisProperties?.local?.inertia?.z ?? member.Iz;
+            addSpring('i', 'y', 4, Iy);
+            addSpring('i', 'z', 5, Iz);
+            addSpring('j', 'y', 10, Iy);
+            addSpring('j', 'z', 11, Iz);
+        }
+        return springs;
+    };
+
+    /**
+     * 材端の回転ばねと部材を直列につないだ剛性を、部材側の材端回転を静的縮約して求める
+     * 部材側の回転を節点の回転と別の自由度とし、回転ばね（0 はピン接合と同じ）で節点とつなぐ。
+     * fel を渡すと固定端力を、kg を渡すと縮約後の剛性の幾何剛性に比例する項（線形座屈解析用）も同じ縮約で求める。
+     * @param {number[][]} k - 両端剛接合の局所剛性（P-Δ解析では幾何剛性を加えたもの）
+     * @param {Array<{index: number, stiffness: number}>} springs - getSemiRigidEndSprings の戻り値
+     * @param {{fel?: number[], kg?: number[][]}} [extra] - 両端剛接合の固定端力・幾何剛性
+     * @returns {{ k: number[][], fel: number[]|null, kg: number[][]|null }} 元の次数の剛性・固定端力・幾何剛性
+     */
+    const condenseSemiRigidEnds = (k, springs, { fel = null, kg = null } = {}) => {
+        if (!springs || springs.length === 0) return { k, fel, kg };
+        const springByIndex = new Map(springs.map(spring => [spring.index, spring]));
+        const isSpringDof = (idx) => springByIndex.has(idx);
+        // 節点側の自由度の剛性 K_nn と部材側の回転との連成 K_ni（ばねでつながる節点の回転は部材と直接つながらない）
+        const K_nn = k.map((row, r) => row.map((value, c) => {
+            if (!isSpringDof(r) && !isSpringDof(c)) return value;
+            return r === c ? springByIndex.get(r).stiffness : 0;
+        }));
+        const K_ni = k.map((row, r) => springs.map(({ index, stiffness }) => {
+            if (!isSpringDof(r)) return row[index];
+            return r === index ? -stiffness : 0;
+        }));
+        const K_ii = springs.map(({ index: r, stiffness }, p) => springs.map(({ index: c }, q) => k[r][c] + (p === q ? stiffness : 0)));
+        const K_ii_inv = mat.inverse(K_ii);
+        if (!K_ii_inv) {
+            throw new Error('半剛接合の部材の剛性を計算できませんでした（部材の曲げ剛性と回転ばねがともに0です）。');
+        }
+        // 部材側の回転 = −X・節点側の変位（固定端力の分を除く）
+        const X = mat.multiply(K_ii_inv, mat.transpose(K_ni));
+        const condensedK = mat.subtract(K_nn, mat.multiply(K_ni, X));
+
+        let condensedFel = null;
+        if (fel) {
+            const correction = mat.multiply(K_ni, mat.multiply(K_ii_inv, springs.map(({ index }) => [fel[index]])));
+            condensedFel = fel.map((value, r) => (isSpringDof(r) ? 0 : value) - correction[r][0]);
+        }
+
+        let condensedKg = null;
+        if (kg) {
+            // 幾何剛性は部材側の自由度に作用する: KG_nn − KG_ni X − Xᵀ KG_in + Xᵀ KG_ii X
+            const KG_nn = kg.map((row, r) => row.map((value, c) => (isSpringDof(r) || isSpringDof(c) ? 0 : value)));
+            const KG_ni = kg.map((row, r) => springs.map(({ index }) => (isSpringDof(r) ? 0 : row[index])));
+            const KG_ii = springs.map(({ index: r }) => springs.map(({ index: c }) => kg[r][c]));
+            const KG_ni_X = mat.multiply(KG_ni, X);
+            condensedKg = mat.add(
+                mat.subtract(mat.subtract(KG_nn, KG_ni_X), mat.transpose(KG_ni_X)),
+                mat.multiply(mat.transpose(X), mat.multiply(KG_ii, X))
+            );
+        }
+        return { k: condensedK, fel: condensedFel, kg: condensedKg };
+    };
+
+    // 2D部材の両端剛接合の剛性に半剛接合の回転ばねとピン接合の解放を反映する（解放自由度の行・列は 0 とする）
+    const apply2DEndConditions = (k, member) => {
+        const k_total = condenseSemiRigidEnds(k, member.semiRigidSprings).k;
+        const releaseIndices = get2DReleaseIndices(member);
+        if (releaseIndices.length === 0) return k_total;
+
+        const activeIndices = [0, 1, 2, 3, 4, 5].filter(idx => !releaseIndices.includes(idx));
+        const K_rr_inv = mat.inverse(selectSubmatrix(k_total, releaseIndices, releaseIndices));
+        if (!K_rr_inv) {
+            const zeroed = mat.clone(k_total);
+            releaseIndices.forEach(idx => zeroMatrixRowAndColumn(zeroed, idx, 0));
+            return zeroed;
+        }
+        const K_condensed = mat.subtract(
+            selectSubmatrix(k_total, activeIndices, activeIndices),
+            mat.multiply(selectSubmatrix(k_total, activeIndices, releaseIndices), mat.multiply(K_rr_inv, selectSubmatrix(k_total, releaseIndices, activeIndices)))
+        );
+        return expandCondensedMatrix(K_condensed, activeIndices, 6);
+    };
+
+    /**
+     * 両端剛接合の固定端力を、半剛接合の回転ばねとピン接合の解放を考慮した値に直す
+     * @param {object} member - 剛性・端部条件を設定済みの部材
+     * @param {number[]} felRigid - 両端剛接合の固定端力（局所座標系）
+     * @param {boolean} is2DFrame
+     * @returns {number[]}
+     */
+    const applyEndConditionsToFixedEndForces = (member, felRigid, is2DFrame) => {
+        const k_beam = is2DFrame ? member.k_local_rigid : member.k_local_3d_rigid;
+        const { k, fel } = condenseSemiRigidEnds(k_beam, member.semiRigidSprings, { fel: felRigid });
+        const releaseIndices = is2DFrame ? get2DReleaseIndices(member) : (member.release3D?.releaseLocalIndices || []);
+        if (releaseIndices.length === 0) return fel;
+
+        const activeIndices = fel.map((_, idx) => idx).filter(idx => !releaseIndices.includes(idx));
+        const K_rr_inv = mat.inverse(selectSubmatrix(k, releaseIndices, releaseIndices));
+        const result = fel.map((value, idx) => (releaseIndices.includes(idx) ? 0 : value));
+        if (!K_rr_inv) return result;
+        const correction = mat.multiply(
+            selectSubmatrix(k, activeIndices, releaseIndices),
+            mat.multiply(K_rr_inv, releaseIndices.map(idx => [fel[idx]]))
+        );
+        activeIndices.forEach((idx, pos) => { result[idx] -= correction[pos][0]; });
+        return result;
+    };
+
+    /**
+     * 軸力 N を受ける部材の2次剛性（弾性剛性＋幾何剛性）を端部解放を縮約して作る
+     * 戻り値は部材の k_local などと同じ形で、全体剛性の組立と断面力の復元で部材の値の代わりに使う。
+     * @param {object} member - 解析用に剛性を設定済みの部材
+     * @param {number} N - 軸力（引張を正）
+     * @param {boolean} is2DFrame
+     * @returns {object} 2D: { k_local }、3D: { k_local_3d, k_local_active, T_active, release3D }
+     */
+    const buildSecondOrderMemberStiffness = (member, N, is2DFrame) => {
+        const kg = buildGeometricStiffnessLocal(N, member.flexibleLength ?? member.length, is2DFrame);
+        if (!is2DFrame) {
+            const k_local_3d = condenseSemiRigidEnds(mat.add(member.k_local_3d_rigid, kg), member.semiRigidSprings).k;
+            const release3D = build3DReleaseData(k_local_3d, member.T3D, member.globalIndexMap, member.i_conn, member.j_conn, mat, member.releases);
+            return { k_local_3d, k_local_active: release3D.k_local_active, T_active: release3D.T_active, release3D };
+        }
+        return { k_local: apply2DEndConditions(mat.add(member.k_local_rigid, kg), member) };
+    };
+
+    /**
+     * 軸力 N による部材の幾何剛性を端部解放の縮約後の自由度で求める（線形座屈解析用）
+     * 縮約した剛性の N に比例する項 K_G,aa − K_G,ar X − Xᵀ K_G,ra + Xᵀ K_G,rr X（X = K_rr⁻¹ K_ra）を使う。
+     * @returns {object} 2D: { k_local }、3D: { k_local_active, T_active }（全体剛性の組立で部材の剛性の代わりに使う）
+     */
+    const buildLinearGeometricStiffness = (member, N, is2DFrame) => {
+        const semiRigid = condenseSemiRigidEnds(is2DFrame ? member.k_local_rigid : member.k_local_3d_rigid, member.semiRigidSprings, {
+            kg: buildGeometricStiffnessLocal(N, member.flexibleLength ?? member.length, is2DFrame)
+        });
+        const kg = semiRigid.kg;
+        const size = kg.length;
+        const wrap = (matrix) => (is2DFrame ? { k_local: matrix } : { k_local_active: matrix, T_active: member.T_active || member.T3D });
+        const release3D = member.release3D;
+        if (!is2DFrame && release3D?.fallbackZeroing) {
+            release3D.releaseLocalIndices.forEach(idx => zeroMatrixRowAndColumn(kg, idx, 0));
+            return wrap(kg);
+        }
+        const releaseIndices = is2DFrame ? get2DReleaseIndices(member) : (release3D?.usedCondensation ? release3D.releaseLocalIndices : []);
+        if (releaseIndices.length === 0) return wrap(kg);
+
+        const k = semiRigid.k;
+        const activeIndices = Array.from({ length: size }, (_, idx) => idx).filter(idx => !releaseIndices.includes(idx));
+        const K_rr_inv = mat.inverse(selectSubmatrix(k, releaseIndices, releaseIndices));
+        if (!K_rr_inv) {
+            releaseIndices.forEach(idx => zeroMatrixRowAndColumn(kg, idx, 0));
+            return wrap(kg);
+        }
+        const X = mat.multiply(K_rr_inv, selectSubmatrix(k, releaseIndices, activeIndices));
+        const X_t = mat.transpose(X);
+        const kg_ar_X = mat.multiply(selectSubmatrix(kg, activeIndices, releaseIndices), X);
+        const kg_condensed = mat.add(
+            mat.subtract(mat.subtract(selectSubmatrix(kg, activeIndices, activeIndices), kg_ar_X), mat.transpose(kg_ar_X)),
+            mat.multiply(X_t, mat.multiply(selectSubmatrix(kg, releaseIndices, releaseIndices), X))
+        );
+        return wrap(is2DFrame ? expandCondensedMatrix(kg_condensed, activeIndices, 6) : kg_condensed);
+    };
+
+    // 部材端の断面力から軸力（引張を正、両端の平均）を求める
+    const getMemberTensionForce = (force) => ((force?.N_j || 0) - (force?.N_i || 0)) / 2;
+
+    // --- 引張専用・圧縮専用部材 ---
+    const AXIAL_ONLY_BEHAVIORS = Object.freeze(['tension-only', 'compression-only']);
+    const AXIAL_ONLY_MAX_ITERATIONS = 30;
+    const AXIAL_ONLY_FORCE_TOLERANCE = 1e-9; // kN（これより小さい軸力では有効・無効を切り替えない）
+
+    // 部材の軸力の向きの制限（member.axialBehavior が 'tension-only' | 'compression-only' 以外の部材は null）
+    const getAxialOnlyBehavior = (member) => (AXIAL_ONLY_BEHAVIORS.includes(member?.axialBehavior) ? member.axialBehavior : null);
+
+    /**
+     * 無効にした部材（引張専用で圧縮・圧縮専用で引張となった部材）の剛性
+     * 戻り値は buildSecondOrderMemberStiffness と同じ形で、剛性を持たない部材として全体剛性の組立と断面力の復元に使う。
+     * 部材荷重の固定端力はそのまま節点に伝える。
+     */
+    const buildInactiveMemberStiffness = (member, is2DFrame) => (is2DFrame
+        ? { k_local: mat.create(6, 6) }
+        : { k_local_3d: mat.create(12, 12), k_local_active: mat.create(12, 12), T_active: member.T3D, release3D: null });
+
+    // --- ケーブル部材 ---
+    // member.cable { pretension (kN), unstressedLength (m) } を持つ部材は、両端ピンで引張だけを負担するケーブルとし、
+    // 部材の剛性の代わりに現在の形状での張力と接線剛性を用いて大変形を考慮して解く
+    const CABLE_SLACK_STIFFNESS_RATIO = 1e-6; // たるんだケーブルに残す軸剛性（EA/L0 に対する比、接線剛性の特異を避ける）
+    const CABLE_MIN_TENSION_RATIO = 1e-8; // 接線剛性の幾何剛性に用いる張力の下限（EA に対する比）
+
+    const isCableMember = (member) => !!member?.cable;
+
+    /**
+     * ケーブル部材の無応力長 L0 (m) を求める
+     * 無応力長を指定しない場合は、節点間の長さ L で初期張力 P となる長さ L0 = L / (1 + P / EA) とする。
+     */
+    const getCableUnstressedLength = (member, length, idx) => {
+        const EA = member.E * member.A;
+        if (!(EA > 0)) {
+            throw new Error(`ケーブル部材 ${idx+1} のヤング係数と断面積は正の値としてください。`);
+        }
+        const unstressedLength = Number(member.cable.unstressedLength);
+        if (Number.isFinite(unstressedLength) && unstressedLength > 0) return unstressedLength;
+        const pretension = Number(member.cable.pretension) || 0;
+        if (pretension < 0) {
+            throw new Error(`ケーブル部材 ${idx+1} の初期張力は0以上としてください。`);
+        }
+        return length / (1 + pretension / EA);
+    };
+
+    // --- 塑性ヒンジ（プッシュオーバー解析） ---
+    // 材端の曲げモーメントが全塑性モーメント member.plasticMoments { y, z } (kN·m、局所y・z軸まわり) に達したら、
+    // その軸の回転を解放した部材（ヒンジの全塑性モーメントは一定のまま）として以降の荷重増分を解く
+    const PLASTIC_HINGE_TOLERANCE = 1e-9; // 同じ荷重係数でヒンジが生じたとみなす荷重係数の増分の差（相対値）
+
+    /**
+     * 塑性ヒンジが生じうる材端と軸の一覧
+     * 全塑性モーメントを持たない軸と、もとから回転を解放している材端は除く。2次元フレームでは面内の曲げ（z軸まわり）だけを調べる。
+     * @returns {Array<{end: 'i'|'j', axis: 'My'|'Mz', Mp: number}>}
+     */
+    const getPlasticHingeCandidates = (member, is2DFrame) => {
+        const plasticMoments = member.plasticMoments || {};
+        const axes = is2DFrame ? ['Mz'] : ['My', 'Mz'];
+        return ['i', 'j'].flatMap(end => {
+            const released = getEndReleaseKeys(member, end);
+            return axes
+                .filter(axis => !released.includes(axis))
+                .map(axis => ({ end, axis, Mp: Number(plasticMoments[axis === 'My' ? 'y' : 'z']) }))
+                .filter(({ Mp }) => Mp > 0);
+        });
+    };
+
+    /**
+     * 塑性ヒンジの生じた材端の回転を解放した部材の剛性
+     * ヒンジの軸を端部解放に加え、半剛接合の端ではその軸の回転ばねを除いて buildSecondOrderMemberStiffness と同じ形で返す。
+     * @param {object} member - 解析用に剛性を設定済みの部材
+     * @param {Array<{end: 'i'|'j', axis: 'My'|'Mz'}>} hinges - 部材に生じた塑性ヒンジ
+     * @param {boolean} is2DFrame
+     */
+    const buildHingedMemberStiffness = (member, hinges, is2DFrame) => {
+        const hinged = { ...member, releases: { ...(member.releases || {}) } };
+        ['i', 'j'].forEach(end => {
+            const axes = hinges.filter(hinge => hinge.end === end).map(hinge => hinge.axis);
+            if (axes.length === 0) return;
+            const keys = [...getEndReleaseKeys(member, end), ...axes];
+            hinged[`${end}_conn`] = 'release';
+            hinged.releases[end] = RELEASE_DOF_KEYS.filter(key => keys.includes(key));
+        });
+        const hingedSpringKeys = hinges.map(({ end, axis }) => `${end}${axis === 'My' ? 'y' : 'z'}`);
+        hinged.semiRigidSprings = (member.semiRigidSprings || []).filter(({ key }) => !hingedSpringKeys.includes(key));
+        return buildSecondOrderMemberStiffness(hinged, 0, is2DFrame);
+    };
+
+    // --- 温度荷重 ---
+    // 一様な温度変化 ΔT は軸ひずみ α・ΔT、断面内の温度勾配 ΔT/h は曲率 α・ΔT/h を生じる。
+    // 部材を i 端で固定して自由に変形させたときの j 端の変位を剛性で押し戻す力を固定端力とする。
+    const DEFAULT_THERMAL_EXPANSION = 1.2e-5; // 鋼材の線膨張係数 [1/℃]
+
+    /**
+     * 温度荷重の固定端力（局所座標系、等分布荷重の固定端力と同じ符号）
+     * @param {object} member - 剛性を設定済みの部材（thermalExpansion: 線膨張係数 [1/℃]）
+     * @param {{deltaT?: number, gradientY?: number, gradientZ?: number}} load - 一様な温度変化 [℃] と局所y・z方向の温度勾配 [℃/m]
+     * @param {boolean} is2DFrame - 2次元フレームでは gradientY（面内方向）だけを用いる
+     * @returns {number[]}
+     */
+    const buildThermalFixedEndForces = (member, load, is2DFrame) => {
+        const alpha = Number(member.thermalExpansion) > 0 ? Number(member.thermalExpansion) : DEFAULT_THERMAL_EXPANSION;
+        const L = member.flexibleLength ?? member.length;
+        const strain = alpha * (Number(load.deltaT) || 0);
+        // 温度の高い側が伸びるので、たわみの曲率は温度勾配と逆向きになる
+        const curvatureY = -alpha * (Number(load.gradientY) || 0);
+        const curvatureZ = -alpha * (Number(load.gradientZ) || 0);
+        const d_free = is2DFrame
+            ? [0, 0, 0, strain * L, curvatureY * L**2 / 2, curvatureY * L]
+            : [0, 0, 0, 0, 0, 0, strain * L, curvatureY * L**2 / 2, curvatureZ * L**2 / 2, 0, -curvatureZ * L, curvatureY * L];
+        const k_beam = is2DFrame ? member.k_local_rigid : member.k_local_3d_rigid;
+        const felRigid = mat.multiply(k_beam, d_free.map(v => [v])).map(([value]) => -value);
+        return applyEndConditionsToFixedEndForces(member, felRigid, is2DFrame);
+    };
+
+    // --- 部材途中の荷重（集中荷重・集中モーメント・部分分布荷重） ---
+    // 台形分布荷重は3点のGauss積分で集中荷重に分ける（弾性部分の固定端力は荷重位置の3次式なので厳密）
+    const GAUSS_POINTS_3 = [
+        { xi: -Math.sqrt(0.6), weight: 5 / 9 },
+        { xi: 0, weight: 8 / 9 },
+        { xi: Math.sqrt(0.6), weight: 5 / 9 }
+    ];
+
+    const toVectorArray = (vector) => [Number(vector?.x) || 0, Number(vector?.y) || 0, Number(vector?.z) || 0];
+
+    /**
+     * 部材途中の荷重を、位置 a [m] に作用する集中力・集中モーメントに分ける
+     * @param {{type: 'point'|'moment'|'distributed', a: number, b?: number, value: object, valueEnd?: object}} load - 局所座標系の荷重（value は {x, y, z}、分布荷重は a〜b で value から valueEnd まで直線的に変わる）
+     * @param {number[]} breakpoints - 分布荷重を分割する位置（剛域の境界など、固定端力が滑らかでない位置）
+     * @returns {Array<{a: number, force: number[], moment: number[]}>}
+     */
+    const splitSpanLoadIntoPointActions = (load, breakpoints = []) => {
+        if (load.type === 'moment') return [{ a: load.a, force: [0, 0, 0], moment: toVectorArray(load.value) }];
+        if (load.type !== 'distributed') return [{ a: load.a, force: toVectorArray(load.value), moment: [0, 0, 0] }];
+        const { a, b } = load;
+        if (!(b > a)) return [];
+        const start = toVectorArray(load.value);
+        const end = toVectorArray(load.valueEnd ?? load.value);
+        const intensityAt = (s) => start.map((value, k) => value + (end[k] - value) * (s - a) / (b - a));
+        const edges = [a, ...breakpoints.filter(s => s > a && s < b).sort((p, q) => p - q), b];
+        return edges.slice(1).flatMap((segmentEnd, k) => {
+            const half = (segmentEnd - edges[k]) / 2;
+            const mid = (segmentEnd + edges[k]) / 2;
+            return GAUSS_POINTS_3.map(({ xi, weight }) => ({
+                a: mid + half * xi,
+                force: intensityAt(mid + half * xi).map(value => value * weight * half),
+                moment: [0, 0, 0]
+            }));
+        });
+    };
+
+    /**
+     * 弾性部分の変位関数（材端の単位変位による位置 ξ の横方向変位と回転角、Φ はせん断変形の係数）
+     * 材端の自由度の順は [t_i, θ_i, t_j, θ_j]、回転角はたわみ角 dt/dx と同じ向きとする。
+     */
+    const getBeamShapeFunctions = (xi, L, phi) => {
+        const c = 1 / (1 + phi);
+        return {
+            deflection: [
+                c * (2 * xi**3 - 3 * xi**2 - phi * xi + 1 + phi),
+                c * L * (xi**3 - (2 + phi / 2) * xi**2 + (1 + phi / 2) * xi),
+                c * (-2 * xi**3 + 3 * xi**2 + phi * xi),
+                c * L * (xi**3 - (1 - phi / 2) * xi**2 - (phi / 2) * xi)
+            ],
+            rotation: [
+                c * 6 * (xi**2 - xi) / L,
+                c * (3 * xi**2 - (4 + phi) * xi + 1 + phi),
+                -c * 6 * (xi**2 - xi) / L,
+                c * (3 * xi**2 - (2 - phi) * xi)
+            ]
+        };
+    };
+
+    /**
+     * 部材途中の荷重の固定端力（局所座標系、等分布荷重の固定端力と同じ符号）
+     * 弾性部分の荷重は変位関数との相反定理で両端固定の固定端力を求め、半剛接合・端部解放を縮約する。
+     * 剛域に作用する荷重は剛域を通して節点に伝わるので、節点位置の端部力 rigidZoneForces に分ける。
+     * @param {object} member - 剛性を設定済みの部材
+     * @param {Array<object>} loads - 局所座標系の荷重（位置は節点 i からの距離、splitSpanLoadIntoPointActions を参照）
+     * @param {boolean} is2DFrame
+     * @returns {{ fel: number[], rigidZoneForces: number[]|null }}
+     */
+    const buildSpanLoadFixedEndForces = (member, loads, is2DFrame) => {
+        const size = is2DFrame ? 6 : 12;
+        const zone = member.rigidZoneData || { i: 0, j: 0 };
+        const Lf = member.flexibleLength ?? member.length;
+        const L = zone.i + Lf + zone.j;
+        const phi = is2DFrame ? { y: member.shearDeformationFactor || 0, z: 0 } : getShearDeformationFactors(member);
+        // 曲げの面ごとの自由度 [t_i, θ_i, t_j, θ_j]（xz面は θy = −dw/dx なので回転の向きが逆）
+        const planes = is2DFrame
+            ? [{ indices: [1, 2, 4, 5], force: 1, moment: 2, sign: 1, phi: phi.y }]
+            : [
+                { indices: [1, 5, 7, 11], force: 1, moment: 2, sign: 1, phi: phi.y },
+                { indices: [2, 4, 8, 10], force: 2, moment: 1, sign: -1, phi: phi.z }
+            ];
+        const felRigid = Array(size).fill(0);
+        const rigidZoneForces = Array(size).fill(0);
+
+        loads.flatMap(load => splitSpanLoadIntoPointActions(load, [zone.i, zone.i + Lf])).forEach(({ a, force, moment }) => {
+            const s = Math.min(Math.max(a, 0), L);
+            if (s < zone.i || s > zone.i + Lf) {
+                // 節点まわりの荷重のモーメント M + r × P（r は節点から荷重位置までの局所x座標）
+                const r = s < zone.i ? s : s - L;
+                const offset = s < zone.i ? 0 : size / 2;
+                const nodeMoment = [moment[0], moment[1] - r * force[2], moment[2] + r * force[1]];
+                const endForces = is2DFrame ? [force[0], force[1], nodeMoment[2]] : [...force, ...nodeMoment];
+                endForces.forEach((value, k) => { rigidZoneForces[offset + k] -= value; });
+                return;
+            }
+            const xi = Lf > 0 ? (s - zone.i) / Lf : 0;
+            const half = size / 2;
+            felRigid[0] -= (1 - xi) * force[0];
+            felRigid[half] -= xi * force[0];
+            if (!is2DFrame) {
+                felRigid[3] -= (1 - xi) * moment[0];
+                felRigid[9] -= xi * moment[0];
+            }
+            planes.forEach(plane => {
+                const { deflection, rotation } = getBeamShapeFunctions(xi, Lf, plane.phi);
+                plane.indices.forEach((index, k) => {
+                    const isRotation = k % 2 === 1;
+                    const deflectionFactor = isRotation ? plane.sign : 1;
+                    const rotationFactor = isRotation ? 1 : plane.sign;
+                    felRigid[index] -= deflectionFactor * deflection[k] * force[plane.force]
+                        + rotationFactor * rotation[k] * moment[plane.moment];
+                });
+            });
+        });
+
+        return {
+            fel: applyEndConditionsToFixedEndForces(member, felRigid, is2DFrame),
+            rigidZoneForces: member.rigidZoneData ? rigidZoneForces : null
+        };
+    };
+
+    // --- 質量マトリックス（固有値解析） ---
+    /**
+     * 部材の局所質量マトリックス（単位: t、密度 member.density [kg/m³] と断面積から求める）
+     * 集中質量は部材質量の半分を両端の並進自由度に置き、整合質量は3次の変位関数から求める（回転慣性は省略）。
+     * 整合質量でピン接合の材端の回転自由度には質量を与えない。
+     * @param {object} member - 長さ・断面積・接合条件を設定済みの部材
+     * @param {boolean} is2DFrame - true なら 6×6、false なら 12×12
+     * @param {'lumped'|'consistent'} massType - 集中質量 / 整合質量
+     * @returns {number[][]}
+     */
+    const buildMemberMassLocal = (member, is2DFrame, massType) => {
+        const size = is2DFrame ? 6 : 12;
+        const m = mat.create(size, size);
+        const L = member.length;
+        const totalMass = Math.max(member.density || 0, 0) * member.A * L / 1000;
+        if (!(totalMass > 0)) return m;
+
+        const translational = is2DFrame ? [0, 1, 3, 4] : [0, 1, 2, 6, 7, 8];
+        if (massType !== 'consistent') {
+            translational.forEach(idx => { m[idx][idx] = totalMass / 2; });
+            return m;
+        }
+
+        const c = totalMass / 420;
+        const block = [
+            [156, 22*L, 54, -13*L],
+            [22*L, 4*L*L, 13*L, -3*L*L],
+            [54, 13*L, 156, -22*L],
+            [-13*L, -3*L*L, -22*L, 4*L*L]
+        ];
+        const addBlock = (indices, signs) => {
+            indices.forEach((r, a) => indices.forEach((col, b) => {
+                m[r][col] += c * block[a][b] * signs[a] * signs[b];
+            }));
+        };
+        const addAxial = (i, j, value) => {
+            m[i][i] += 2 * value;
+            m[j][j] += 2 * value;
+            m[i][j] += value;
+            m[j][i] += value;
+        };
+        let releaseIndices;
+        if (is2DFrame) {
+            addAxial(0, 3, totalMass / 6);
+            addBlock([1, 2, 4, 5], [1, 1, 1, 1]);
+            releaseIndices = get2DReleaseIndices(member).filter(idx => idx === 2 || idx === 5);
+        } else {
+            addAxial(0, 6, totalMass / 6);
+            addBlock([1, 5, 7, 11], [1, 1, 1, 1]);
+            addBlock([2, 4, 8, 10], [1, -1, 1, -1]);
+            // ねじりの回転慣性（断面の極二次モーメント ≒ Iy + Iz）
+            const Iy = member.axisProperties?.local?.inertia?.y ?? member.Iy ?? 0;
+            const Iz = member.axisProperties?.local?.inertia?.z ?? member.Iz ?? 0;
+            addAxial(3, 9, totalMass * (Iy + Iz) / member.A / 6);
+            releaseIndices = ['i', 'j'].flatMap((end, e) => getEndReleaseKeys(member, end)
+                .filter(key => key === 'My' || key === 'Mz')
+                .map(key => RELEASE_DOF_KEYS.indexOf(key) + e * 6));
+        }
+        releaseIndices.forEach(idx => {
+            for (let k = 0; k < size; k++) {
+                m[idx][k] = 0;
+                m[k][idx] = 0;
+            }
+        });
+        return m;
+    };
+
+    // --- 応答スペクトル解析 ---
+    const GRAVITY = 9.80665;
+    // 告示の振動特性係数 Rt の地盤種別ごとの Tc (s)（第1種: 硬質、第2種: 普通、第3種: 軟弱）
+    const SOIL_CORNER_PERIODS = { 1: 0.4, 2: 0.6, 3: 0.8 };
+
+    /**
+     * 設計用応答スペクトルの加速度 Sa (m/s²) を求める
+     * 告示スペクトルは Sa = Z・Rt(T)・C0・g、ユーザー定義は周期について直線補間する（範囲外は端の値）。
+     * @param {{type?: 'building-standard'|'custom', soilType?: number, zoneFactor?: number, baseShearCoefficient?: number, points?: Array<{period: number, acceleration: number}>}} spectrum
+     * @param {number} period - 固有周期 (s)
+     * @returns {number}
+     */
+    const getSpectralAcceleration = (spectrum, period) => {
+        if (spectrum.type === 'custom') {
+            const points = (spectrum.points || []).slice().sort((a, b) => a.period - b.period);
+            if (points.length === 0) {
+                throw new Error('応答スペクトルの周期と加速度を入力してください。');
+            }
+            if (period <= points[0].period) return points[0].acceleration;
+            const upperIndex = points.findIndex(point => point.period >= period);
+            if (upperIndex === -1) return points[points.length - 1].acceleration;
+            const lower = points[upperIndex - 1];
+            const upper = points[upperIndex];
+            const ratio = upper.period > lower.period ? (period - lower.period) / (upper.period - lower.period) : 1;
+            return lower.acceleration + ratio * (upper.acceleration - lower.acceleration);
+        }
+        const { soilType = 2, zoneFactor = 1, baseShearCoefficient = 0.2 } = spectrum;
+        const Tc = SOIL_CORNER_PERIODS[soilType] ?? SOIL_CORNER_PERIODS[2];
+        let Rt;
+        if (period < Tc) {
+            Rt = 1;
+        } else if (period < 2 * Tc) {
+            Rt = 1 - 0.2 * (period / Tc - 1) ** 2;
+        } else {
+            Rt = 1.6 * Tc / period;
+        }
+        return zoneFactor * Rt * baseShearCoefficient * GRAVITY;
+    };
+
+    // CQC法のモード間の相関係数（減衰定数 h が全モードで等しい場合）
+    const getModalCorrelation = (omegaI, omegaJ, damping) => {
+        const r = omegaJ / omegaI;
+        const h2 = damping * damping;
+        return 8 * h2 * (1 + r) * r ** 1.5 / ((1 - r * r) ** 2 + 4 * h2 * r * (1 + r) ** 2);
+    };
+
+    // モードごとの応答（数値と入れ子のオブジェクト）を成分ごとに組み合わせる（数値以外は最初の値を残す）
+    const combineModalFields = (sources, combine) => {
+        const combined = {};
+        Object.keys(sources[0]).forEach(key => {
+            const value = sources[0][key];
+            if (typeof value === 'number') {
+                combined[key] = combine(sources.map(source => source[key]));
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                combined[key] = combineModalFields(sources.map(source => source[key]), combine);
+            } else {
+                combined[key] = value;
+            }
+        });
+        return combined;
+    };
+
+    /**
+     * 節点変位から部材端の断面力を復元する
+     * memberStiffness を渡した部材は、その剛性（P-Δ解析の2次剛性など）で断面力を求める。
+     * @returns {object[]} 部材ごとの断面力（2D: N/Q/M、3D: N/Qy/Qz/Mx/My/Mz とその2D互換値）
+     */
+    // 半剛接合の回転ばねの回転角（節点の回転 − 部材端の回転 = 材端モーメント / ばね剛性、rad）
+    // 3Dでは変位図の補間に使うため、全体座標系の回転ベクトル i, j も返す
+    const getSemiRigidRotations = (member, f_local) => {
+        const springs = (member.semiRigidSprings || []).filter(({ stiffness }) => stiffness > 0);
+        if (springs.length === 0) return {};
+        const semiRigidRotations = { iy: 0, iz: 0, jy: 0, jz: 0 };
+        springs.forEach(({ index, key, stiffness }) => { semiRigidRotations[key] = f_local[index][0] / stiffness; });
+        if (member.T3D) {
+            const toGlobal = (ry, rz) => {
+                const [rx, gy, gz] = [0, 1, 2].map(col => member.T3D[1][col] * ry + member.T3D[2][col] * rz);
+                return { rx, ry: gy, rz: gz };
+            };
+            semiRigidRotations.i = toGlobal(semiRigidRotations.iy, semiRigidRotations.iz);
+            semiRigidRotations.j = toGlobal(semiRigidRotations.jy, semiRigidRotations.jz);
+        }
+        return { semiRigidRotations };
+    };
+
+    // 2D断面力（f: [N_i, Q_i, M_i, N_j, Q_j, M_j]）
+    const toMemberEndForces2D = (f) => ({
+        N_i: f[0][0],
+        Q_i: f[1][0],
+        M_i: f[2][0],
+        N_j: f[3][0],
+        Q_j: f[4][0],
+        M_j: f[5][0]
+    });
+
+    // 3D断面力の全成分
+    // f: [Fx_i, Fy_i, Fz_i, Mx_i, My_i, Mz_i, Fx_j, Fy_j, Fz_j, Mx_j, My_j, Mz_j]
+    const toMemberEndForces3D = (f) => ({
+        N_i: f[0][0],    // 軸力（X方向）
+        Qy_i: f[1][0],   // せん断力（Y方向）
+        Qz_i: f[2][0],   // せん断力（Z方向）
+        Mx_i: f[3][0],   // ねじりモーメント（X軸周り）
+        My_i: f[4][0],   // 曲げモーメント（Y軸周り）
+        Mz_i: f[5][0],   // 曲げモーメント（Z軸周り）
+        N_j: f[6][0],    // 軸力（X方向）
+        Qy_j: f[7][0],   // せん断力（Y方向）
+        Qz_j: f[8][0],   // せん断力（Z方向）
+        Mx_j: f[9][0],   // ねじりモーメント（X軸周り）
+        My_j: f[10][0],  // 曲げモーメント（Y軸周り）
+        Mz_j: f[11][0],  // 曲げモーメント（Z軸周り）
+        // 2D互換性のため
+        Q_i: f[2][0],    // デフォルトはZ方向
+        M_i: f[4][0],    // デフォルトはY軸周り
+        Q_j: f[8][0],    // デフォルトはZ方向
+        M_j: f[10][0]    // デフォルトはY軸周り
+    });
+
+    // 剛域のある部材は剛域端（柱・梁の面）の部材端力も返す
+    const getRigidZoneFaceForces = (member, f_face, toMemberEndForces) => (member.rigidZoneData
+        ? { faceForces: toMemberEndForces(f_face) }
+        : {});
+
+    const recoverMemberForces = ({ members, D_global, fixedEndForces, memberLoadMap, spanLoadMap = new Map(), is2DFrame, memberStiffness = [] }) => members.map((member, idx) => {
+        const stiffness = memberStiffness[idx] || member;
+        // 部材に作用する荷重を取得
+        const memberLoad = memberLoadMap.get(idx);
+        const wy = memberLoad ? (memberLoad.wy !== undefined ? memberLoad.wy : (memberLoad.w || 0)) : 0;
+        const wz = memberLoad ? (memberLoad.wz || 0) : 0;
+        // 部材途中の荷重は断面力図で使うので局所座標系の荷重を断面力に付ける
+        const spanLoad = spanLoadMap.get(idx);
+        const spanLoadFields = spanLoad ? { spanLoads: spanLoad.loads } : {};
+
+        if (is2DFrame) {
+            // 2D解析
+            const { T, i, j } = member;
+            const { k_local } = stiffness;
+            const d_global_member = [ ...D_global.slice(i * 3, i * 3 + 3), ...D_global.slice(j * 3, j * 3 + 3) ];
+            const d_local = mat.multiply(T, d_global_member);
+            let f_local = mat.multiply(k_local, d_local);
+            if(fixedEndForces[idx]) {
+                const fel_mat = fixedEndForces[idx].map(v=>[v]);
+                f_local = mat.add(f_local, fel_mat);
+            }
+            return {
+                ...toMemberEndForces2D(getNodeEndForces(member, f_local, wy, wz, true, spanLoad?.rigidZoneForces)),
+                w: wy,  // 等分布荷重を追加
+                ...spanLoadFields,
+                ...getSemiRigidRotations(member, f_local),
+                ...getRigidZoneFaceForces(member, f_local, toMemberEndForces2D)
+            };
+        } else {
+            // 3D解析
+            const { i, j } = member;
+            const d_global_member = [
+                D_global[i*6][0], D_global[i*6+1][0], D_global[i*6+2][0],
+                D_global[i*6+3][0], D_global[i*6+4][0], D_global[i*6+5][0],
+                D_global[j*6][0], D_global[j*6+1][0], D_global[j*6+2][0],
+                D_global[j*6+3][0], D_global[j*6+4][0], D_global[j*6+5][0]
+            ].map(v => [v]);
+
+            const releaseInfo = stiffness.release3D;
+            const T_use = stiffness.T_active || member.T3D;
+            const d_local_active = mat.multiply(T_use, d_global_member);
+
+            let d_local_full;
+            if (releaseInfo?.usedCondensation) {
+                d_local_full = Array.from({ length: 12 }, () => [0]);
+                releaseInfo.activeLocalIndices.forEach((localIdx, pos) => {
+                    d_local_full[localIdx][0] = d_local_active[pos][0];
+                });
+                if (releaseInfo.releaseLocalIndices.length > 0) {
+                    const temp = mat.multiply(releaseInfo.K_ra, d_local_active);
+                    const d_released = mat.multiply(releaseInfo.K_rr_inv, temp);
+                    releaseInfo.releaseLocalIndices.forEach((localIdx, pos) => {
+                        d_local_full[localIdx][0] = -d_released[pos][0];
+                    });
+                }
+            } else {
+                d_local_full = d_local_active;
+            }
+
+            const k_for_force = (releaseInfo && !releaseInfo.usedCondensation)
+                ? (stiffness.k_local_active || stiffness.k_local_3d)
+                : stiffness.k_local_3d;
+
+            let f_local = mat.multiply(k_for_force, d_local_full);
+
+            if (fixedEndForces[idx]) {
+                const fel_mat = fixedEndForces[idx].map(v => [v]);
+                f_local = mat.add(f_local, fel_mat);
+            }
+
+            return {
+                ...toMemberEndForces3D(getNodeEndForces(member, f_local, wy, wz, false, spanLoad?.rigidZoneForces)),
+                w: wy,                 // 等分布荷重Y方向を追加
+                wz: wz,                // 等分布荷重Z方向を追加
+                ...spanLoadFields,
+                ...getSemiRigidRotations(member, f_local),
+                ...getRigidZoneFaceForces(member, f_local, toMemberEndForces3D)
+            };
+        }
+    });
+
+    // 解析では節点・部材に座標変換や剛性を書き込むため、呼び出し側のモデルを変えないよう複製してから用いる
+    const cloneModelItems = (items) => items.map(item => (typeof structuredClone === 'function'
+        ? structuredClone(item)
+        : JSON.parse(JSON.stringify(item))));
+
+    /**
+     * 各解析で共通に用いる解析モデルを組み立てる
+     * 節点・部材を複製して座標変換・部材剛性・荷重ベクトル・拘束条件を求め、全体剛性マトリックスと自由度側の部分行列 K_ff を作る。
+     * @param {object} model - { nodes, members }（analyzeLoadCases() と同じ）
+     * @param {object[]} loadCases - 荷重ケースの配列（analyzeLoadCases() と同じ）
+     * @param {object} [options] - analyzeLoadCases() と同じ（onProgress・diagnoseInstability を使う）
+     * @returns {object} 複製した nodes・members、全体剛性 K_global・K_ff、ケースごとの荷重 caseData・caseVectors、自由度の番号と補助関数
+     */
+    const assembleAnalysisModel = (model, loadCases, options = {}) => {
+        if (!Array.isArray(model?.nodes) || !Array.isArray(model?.members)) {
+            throw new Error('解析モデルには nodes と members の配列が必要です。');
+        }
+        if (!Array.isArray(loadCases) || loadCases.length === 0) {
+            throw new Error('解析する荷重ケースがありません。');
+        }
+        const nodes = cloneModelItems(model.nodes);
+        // ケーブル部材は両端をピン接合とする（曲げ・せん断を負担せず、部材荷重は両端の節点に振り分ける）
+        // 端部の条件は解析用の複製にだけ設定し、呼び出し側の部材の接合条件は変えない
+        const members = cloneModelItems(model.members).map(member => (isCableMember(member)
+            ? { ...member, i_conn: 'pinned', j_conn: 'pinned', releases: null, semiRigid: null }
+            : member));
+
+        const loadCalcMultipliers = {
+            x: options.loadMultipliers?.x ?? 1,
+            y: options.loadMultipliers?.y ?? 1,
+            z: options.loadMultipliers?.z ?? 1
+        };
+        const diagnoseInstability = typeof options.diagnoseInstability === 'function' ? options.diagnoseInstability : null;
+        const reportProgress = (stage, fraction) => {
+            if (typeof options.onProgress === 'function') options.onProgress(stage, fraction);
+        };
+
+        reportProgress('assembly', 0);
+
+        // 2次元フレームの自動検出（全ての節点のY座標が同じ値の場合）
+        const is2DFrame = isPlanarFrame(nodes);
+
+        members.forEach((member, idx) => {
+            if (!hasDofRelease(member)) return;
+            const problems = findUnstableReleases({ i: getEndReleaseKeys(member, 'i'), j: getEndReleaseKeys(member, 'j') }, is2DFrame);
+            if (problems.length > 0) {
+                throw new Error(`部材 ${idx+1} の端部解放では部材が不安定になります（${problems.join('、')}）。`);
+            }
+        });
+
+        // 参照節点は3次元フレームの局所座標軸にだけ用いる
+        if (!is2DFrame) {
+            members.forEach((member, idx) => {
+                if (!Number.isInteger(member.referenceNode)) return;
+                const referencePoint = nodes[member.referenceNode];
+                if (!referencePoint) {
+                    throw new Error(`部材 ${idx+1} の参照節点 ${member.referenceNode + 1} が存在しません。`);
+                }
+                const axes = computeMemberLocalAxes(nodes[member.i], nodes[member.j]);
+                if (axes && !getReferenceLocalZ(axes.localX, nodes[member.i], referencePoint)) {
+                    throw new Error(`部材 ${idx+1} の参照節点 ${member.referenceNode + 1} が部材軸の延長上にあるため、局所座標軸を決められません。`);
+                }
+            });
+        }
+
+        members.forEach((member, idx) => {
+            const { i: a, j: b } = getRigidZoneLengths(member);
+            if (a + b <= 0) return;
+            const ni = nodes[member.i];
+            const nj = nodes[member.j];
+            const L = Math.sqrt((nj.x - ni.x) ** 2 + (nj.y - ni.y) ** 2 + (nj.z - ni.z) ** 2);
+            if (a + b >= L) {
+                throw new Error(`部材 ${idx+1} の剛域の長さの合計（${(a + b).toFixed(3)} m）が部材長（${L.toFixed(3)} m）以上です。`);
+            }
+        });
+        
+        if (is2DFrame) {
+            // 2次元フレームの場合、Z座標をY座標として扱う（2D解析エンジンはXY平面用）
+            nodes.forEach(node => {
+                const tempY = node.y;
+                node.y = node.z; // Z座標（垂直）をY座標として使用
+                node.z = tempY;  // Y座標（面外）をZ座標として退避
+            });
+            
+            // 部材の幾何情報を再計算（座標変換後）
+            members.forEach(member => {
+                const ni = nodes[member.i];
+                const nj = nodes[member.j];
+                const dx = nj.x - ni.x;
+                const dy = nj.y - ni.y;
+                const L = Math.sqrt(dx**2 + dy**2);
+                
+                if (L === 0) {
+                    console.error(`部材 ${member.i+1}-${member.j+1} の長さが0です`);
+                    return;
+                }
+                
+                // 方向余弦を更新
+                const c = dx / L;
+                const s = dy / L;
+                member.length = L;
+                member.c = c;
+                member.s = s;
+                
+                // 変換マトリックスを更新（2D用）
+                member.T = [
+                    [c, s, 0, 0, 0, 0],
+                    [-s, c, 0, 0, 0, 0],
+                    [0, 0, 1, 0, 0, 0],
+                    [0, 0, 0, c, s, 0],
+                    [0, 0, 0, -s, c, 0],
+                    [0, 0, 0, 0, 0, 1]
+                ];
+
+                // 剛域がある場合は剛域端の自由度へ移す変換を含め、弾性部分の長さで剛性を求める
+                const rigidZoneLengths = getRigidZoneLengths(member);
+                const Lf = L - rigidZoneLengths.i - rigidZoneLengths.j;
+                member.flexibleLength = Lf;
+                member.rigidZoneData = Lf < L ? { ...rigidZoneLengths, rotation: member.T } : null;
+                if (member.rigidZoneData) {
+                    member.T = mat.multiply(buildRigidZoneTransform(rigidZoneLengths, true), member.T);
+                }
+                
+                // 局所剛性マトリックスを再計算
+                const E = member.E;
+                const A = member.A;
+                const axisProps2D = member.axisProperties || null;
+                const I = axisProps2D?.bendingInertia ?? member.I ?? member.Iz; // 選択軸に応じた断面二次モーメント
+                const EAL = E * A / Lf;
+                const EIL = E * I / Lf;
+                const EIL2 = E * I / (Lf ** 2);
+                const EIL3 = E * I / (Lf ** 3);
+                // せん断変形を考慮する場合は Timoshenko梁の剛性とし、ピン接合も静的縮約で求める
+                const phi = getShearDeformationFactor(E, I, member.Asy, Lf);
+                member.shearDeformationFactor = phi;
+                const bendingRatio = 1 / (1 + phi);
+                
+                const i_conn = member.i_conn;
+                const j_conn = member.j_conn;
+                
+                const k_local_rigid = [
+                    [EAL, 0, 0, -EAL, 0, 0],
+                    [0, 12*EIL3*bendingRatio, 6*EIL2*bendingRatio, 0, -12*EIL3*bendingRatio, 6*EIL2*bendingRatio],
+                    [0, 6*EIL2*bendingRatio, (4+phi)*EIL*bendingRatio, 0, -6*EIL2*bendingRatio, (2-phi)*EIL*bendingRatio],
+                    [-EAL, 0, 0, EAL, 0, 0],
+                    [0, -12*EIL3*bendingRatio, -6*EIL2*bendingRatio, 0, 12*EIL3*bendingRatio, -6*EIL2*bendingRatio],
+                    [0, 6*EIL2*bendingRatio, (2-phi)*EIL*bendingRatio, 0, -6*EIL2*bendingRatio, (4+phi)*EIL*bendingRatio]
+                ];
+                // P-Δ解析では幾何剛性を加えてから端部解放を縮約するため、両端剛接合の剛性も保持する
+                member.k_local_rigid = k_local_rigid;
+                member.semiRigidSprings = getSemiRigidEndSprings(member, true);
+
+                if (hasSemiRigidEnd(member) || hasDofRelease(member) || phi > 0) {
+                    member.k_local = apply2DEndConditions(k_local_rigid, member);
+                } else if (i_conn === 'rigid' && j_conn === 'rigid') {
+                    member.k_local = k_local_rigid;
+                } else if (i_conn === 'pinned' && j_conn === 'rigid') {
+                    member.k_local = [
+                        [EAL, 0, 0, -EAL, 0, 0],
+                        [0, 3*EIL3, 0, 0, -3*EIL3, 3*EIL2],
+                        [0, 0, 0, 0, 0, 0],
+                        [-EAL, 0, 0, EAL, 0, 0],
+                        [0, -3*EIL3, 0, 0, 3*EIL3, -3*EIL2],
+                        [0, 3*EIL2, 0, 0, -3*EIL2, 3*EIL]
+                    ];
+                } else if (i_conn === 'rigid' && j_conn === 'pinned') {
+                    member.k_local = [
+                        [EAL, 0, 0, -EAL, 0, 0],
+                        [0, 3*EIL3, 3*EIL2, 0, -3*EIL3, 0],
+                        [0, 3*EIL2, 3*EIL, 0, -3*EIL2, 0],
+                        [-EAL, 0, 0, EAL, 0, 0],
+                        [0, -3*EIL3, -3*EIL2, 0, 3*EIL3, 0],
+                        [0, 0, 0, 0, 0, 0]
+                    ];
+                } else {
+                    member.k_local = [
+                        [EAL, 0, 0, -EAL, 0, 0],
+                        [0, 0, 0, 0, 0, 0],
+                        [0, 0, 0, 0, 0, 0],
+                        [-EAL, 0, 0, EAL, 0, 0],
+                        [0, 0, 0, 0, 0, 0],
+                        [0, 0, 0, 0, 0, 0]
+                    ];
+                }
+            });
+            
+            // 面外方向の自由度を拘束（元のdy_forcedをdz_forcedに移動）
+            nodes.forEach(node => {
+                node.dz_forced = 0; // 面外変位（元のY方向）を拘束
+                node.dy_forced = undefined; // Y方向（現在は垂直方向）は自由
+            });
+        }
+        
+        const EPS = 1e-9;
+        const dot3 = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+        const cross3 = (a, b) => ({
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        });
+        const magnitude3 = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+        const normalize3 = (v) => {
+            const len = magnitude3(v);
+            if (!isFinite(len) || len <= EPS) {
+                return { x: 0, y: 0, z: 0 };
+            }
+            return { x: v.x / len, y: v.y / len, z: v.z / len };
+        };
+        const scale3 = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
+        const subtract3 = (a, b) => ({
+            x: (a?.x ?? 0) - (b?.x ?? 0),
+            y: (a?.y ?? 0) - (b?.y ?? 0),
+            z: (a?.z ?? 0) - (b?.z ?? 0)
+        });
+
+        const getMemberBasis = (member) => {
+            const nodeI = nodes[member.i];
+            const nodeJ = nodes[member.j];
+            if (!nodeI || !nodeJ) {
+                return null;
+            }
+
+            const dx = (nodeJ.x ?? 0) - (nodeI.x ?? 0);
+            const dy = (nodeJ.y ?? 0) - (nodeI.y ?? 0);
+            const dz = is2DFrame ? 0 : ((nodeJ.z ?? 0) - (nodeI.z ?? 0));
+            const axisVector = { x: dx, y: dy, z: dz };
+            const length = magnitude3(axisVector);
+            if (!(length > EPS)) {
+                return null;
+            }
+
+            const localX = { x: axisVector.x / length, y: axisVector.y / length, z: axisVector.z / length };
+            let localY;
+            let localZ;
+
+            if (is2DFrame) {
+                localZ = { x: 0, y: 0, z: 1 };
+                localY = { x: -localX.y, y: localX.x, z: 0 };
+                const localYLength = magnitude3(localY);
+                if (!(localYLength > EPS)) {
+                    localY = { x: 0, y: 1, z: 0 };
+                } else {
+                    localY = normalize3(localY);
+                }
+            } else {
+                const axes = computeMemberLocalAxes(nodeI, nodeJ, getMemberAxisOptions(member, nodes));
+                localY = axes.localY;
+                localZ = axes.localZ;
+            }
+
+            return { localX, localY, localZ, length };
+        };
+
+        // 荷重ケースの荷重を解析用の節点荷重・部材荷重に変換（自重は常にグローバル-Z方向）
+        const buildCombinedLoads = ({ nodeLoads = [], memberLoads = [], memberSelfWeights = [], nodeSelfWeights = [] }) => {
+            const combinedNodeLoads = nodeLoads.map(load => ({ ...load }));
+
+            const ensureCombinedNodeLoad = (nodeIndex) => {
+                let target = combinedNodeLoads.find(load => load.nodeIndex === nodeIndex);
+                if (!target) {
+                    target = {
+                        nodeIndex,
+                        px: 0,
+                        py: 0,
+                        pz: 0,
+                        mx: 0,
+                        my: 0,
+                        mz: 0
+                    };
+                    combinedNodeLoads.push(target);
+                }
+                return target;
+            };
+
+            const combinedMemberLoads = [];
+
+            memberLoads.forEach(load => {
+                const memberIndex = load.memberIndex;
+                const member = members[memberIndex];
+                if (!member) {
+                    return;
+                }
+
+                const basis = getMemberBasis(member);
+                if (!basis) {
+                    return;
+                }
+
+                // 部材座標系・投影長の荷重も実長あたりのグローバル成分（入力座標系）に直す
+                const toInputCoordinates = (vector) => ({ x: vector.x, y: vector.z, z: vector.y });
+                const loadAxes = is2DFrame
+                    ? { localX: toInputCoordinates(basis.localX), localY: toInputCoordinates(basis.localY), localZ: null }
+                    : basis;
+                const originalGlobal = resolveMemberLoadVector(load, loadAxes);
+
+                if (Math.abs(originalGlobal.x) < EPS && Math.abs(originalGlobal.y) < EPS && Math.abs(originalGlobal.z) < EPS) {
+                    return;
+                }
+
+                const analysisGlobal = is2DFrame
+                    ? { x: originalGlobal.x, y: originalGlobal.z, z: originalGlobal.y }
+                    : { ...originalGlobal };
+
+                const localComponents = {
+                    wx: dot3(analysisGlobal, basis.localX),
+                    wy: dot3(analysisGlobal, basis.localY),
+                    wz: dot3(analysisGlobal, basis.localZ)
+                };
+
+                if (Math.abs(localComponents.wx) > EPS && basis.length > EPS) {
+                    const halfAxial = (localComponents.wx * basis.length) / 2;
+                    if (Math.abs(halfAxial) > EPS) {
+                        const axialVector = scale3(basis.localX, halfAxial);
+                        const loadI = ensureCombinedNodeLoad(member.i);
+                        const loadJ = ensureCombinedNodeLoad(member.j);
+                        loadI.px = (loadI.px || 0) + axialVector.x;
+                        loadI.py = (loadI.py || 0) + axialVector.y;
+                        loadI.pz = (loadI.pz || 0) + axialVector.z;
+                        loadJ.px = (loadJ.px || 0) + axialVector.x;
+                        loadJ.py = (loadJ.py || 0) + axialVector.y;
+                        loadJ.pz = (loadJ.pz || 0) + axialVector.z;
+                    }
+                }
+
+                const hasTransverse = Math.abs(localComponents.wy) > EPS || (!is2DFrame && Math.abs(localComponents.wz) > EPS);
+                if (!hasTransverse) {
+                    return;
+                }
+
+                combinedMemberLoads.push({
+                    memberIndex,
+                    wy: localComponents.wy,
+                    wz: is2DFrame ? 0 : localComponents.wz,
+                    w: localComponents.wy,
+                    global: {
+                        wx: analysisGlobal.x,
+                        wy: analysisGlobal.y,
+                        wz: analysisGlobal.z
+                    },
+                    isFromUserInput: true
+                });
+            });
+
+            if (memberSelfWeights && memberSelfWeights.length > 0) {
+                const downwardUnit = is2DFrame ? { x: 0, y: -1, z: 0 } : { x: 0, y: 0, z: -1 };
+
+                const selfWeightNodeMap = new Map();
+                const ensureNodeLoad = (nodeIndex) => {
+                    if (!selfWeightNodeMap.has(nodeIndex)) {
+                        selfWeightNodeMap.set(nodeIndex, {
+                            nodeIndex,
+                            px: 0,
+                            py: 0,
+                            pz: 0,
+                            mx: 0,
+                            my: 0,
+                            mz: 0,
+                            isFromSelfWeight: true
+                        });
+                    }
+                    return selfWeightNodeMap.get(nodeIndex);
+                };
+
+                memberSelfWeights.forEach(selfWeightLoad => {
+                    const member = members[selfWeightLoad.memberIndex];
+                    if (!member) return;
+
+                    const nodeI = nodes[member.i];
+                    const nodeJ = nodes[member.j];
+                    if (!nodeI || !nodeJ) return;
+
+                    const dx = (nodeJ.x ?? 0) - (nodeI.x ?? 0);
+                    const dy = (nodeJ.y ?? 0) - (nodeI.y ?? 0);
+                    const dz = is2DFrame ? 0 : ((nodeJ.z ?? 0) - (nodeI.z ?? 0));
+                    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                    if (!(length > EPS)) return;
+
+                    const weightPerMeter = selfWeightLoad.w || 0;
+                    if (Math.abs(weightPerMeter) < EPS) return;
+
+                    // 自重は常にグローバル鉛直方向（下向き）に作用
+                    // weightPerMeterは正の値で格納されているので、符号を反転して下向きにする
+                    // 2Dフレーム: -Y方向, 3Dフレーム: -Z方向
+                    const globalLoadVector = is2DFrame ? {
+                        wx: 0,
+                        wy: -weightPerMeter,  // 2D: 負の値（Y軸下向き）
+                        wz: 0
+                    } : {
+                        wx: 0,
+                        wy: 0,
+                        wz: -weightPerMeter  // 3D: 負の値（Z軸下向き）
+                    };
+
+                    // 部材の局所座標系を計算（解析用）
+                    const localX = normalize3({ x: dx, y: dy, z: dz });
+                    let localY;
+                    let localZ;
+
+                    if (is2DFrame) {
+                        const globalZAxis = { x: 0, y: 0, z: 1 };
+                        localY = normalize3(cross3(globalZAxis, localX));
+                        localZ = globalZAxis;
+                        if (magnitude3(localY) <= EPS) {
+                            localY = { x: 0, y: 1, z: 0 };
+                        }
+                    } else {
+                        const axes = computeMemberLocalAxes(nodeI, nodeJ, getMemberAxisOptions(member, nodes));
+                        localY = axes.localY;
+                        localZ = axes.localZ;
+                    }
+
+                    // グローバル荷重ベクトルを局所座標系に変換（解析用）
+                    const loadVectorGlobal = is2DFrame ? 
+                        { x: 0, y: -weightPerMeter, z: 0 } :
+                        { x: 0, y: 0, z: -weightPerMeter };
+                    const wyComponent = dot3(loadVectorGlobal, localY);
+                    const wzComponent = is2DFrame ? 0 : dot3(loadVectorGlobal, localZ);
+
+                    // 解析用に局所成分の分布荷重を追加
+                    const hasTransverse = Math.abs(wyComponent) > EPS || Math.abs(wzComponent) > EPS;
+                    if (hasTransverse) {
+                        const distributedLoad = {
+                            memberIndex: selfWeightLoad.memberIndex,
+                            wy: Math.abs(wyComponent) > EPS ? wyComponent : 0,
+                            wz: is2DFrame ? 0 : (Math.abs(wzComponent) > EPS ? wzComponent : 0),
+                            w: weightPerMeter,
+                            isFromSelfWeight: true,
+                            global: globalLoadVector  // グローバル成分を保存（描画用）
+                        };
+                        combinedMemberLoads.push(distributedLoad);
+                    }
+                });
+
+                // 軸方向成分を節点荷重に加算
+                if (selfWeightNodeMap.size > 0) {
+                    selfWeightNodeMap.forEach(load => {
+                        const existing = combinedNodeLoads.find(item => item.nodeIndex === load.nodeIndex);
+                        if (existing) {
+                            existing.px = (existing.px || 0) + (load.px || 0);
+                            existing.py = (existing.py || 0) + (load.py || 0);
+                            existing.pz = (existing.pz || 0) + (load.pz || 0);
+                            if (load.isFromSelfWeight) existing.isFromSelfWeight = true;
+                        } else {
+                            combinedNodeLoads.push(load);
+                        }
+                    });
+                }
+            }
+
+            // 解析用に自重節点荷重（事前計算分）があれば統合
+            if (nodeSelfWeights && nodeSelfWeights.length > 0) {
+                nodeSelfWeights.forEach(selfWeightLoad => {
+                    const existingLoad = combinedNodeLoads.find(load => load.nodeIndex === selfWeightLoad.nodeIndex);
+                    const target = existingLoad || {
+                        nodeIndex: selfWeightLoad.nodeIndex,
+                        px: 0,
+                        py: 0,
+                        pz: 0
+                    };
+
+                    ['px', 'py', 'pz'].forEach(key => {
+                        if (typeof selfWeightLoad[key] === 'number') {
+                            target[key] = (target[key] || 0) + selfWeightLoad[key];
+                        }
+                    });
+                    target.isFromSelfWeight = true;
+
+                    if (!existingLoad) {
+                        combinedNodeLoads.push(target);
+                    }
+                });
+            }
+
+            return { combinedNodeLoads, combinedMemberLoads };
+        };
+        
+        // 🔧 自由度の決定：2Dなら3自由度/節点、3Dなら6自由度/節点
+        const dofPerNode = is2DFrame ? 3 : 6;
+        const dof = nodes.length * dofPerNode;
+        
+        // 🔧 3D構造の場合、各部材に3D用の変換マトリックスと剛性マトリックスを設定
+        if (!is2DFrame) {
+            members.forEach((member, idx) => {
+                const ni = nodes[member.i];
+                const nj = nodes[member.j];
+                const dx = nj.x - ni.x;
+                const dy = nj.y - ni.y;
+                const dz = nj.z - ni.z;
+                const L = Math.sqrt(dx*dx + dy*dy + dz*dz);
+                
+                if (L === 0) {
+                    throw new Error(`部材 ${idx+1} の長さが0です`);
+                }
+                
+                // 局所座標系: x'軸を部材軸方向とする
+                const cx = dx / L;
+                const cy = dy / L;
+                const cz = dz / L;
+                
+                // y'軸とz'軸の決定（既定の向き・参照節点・回転角 β から求める）
+                const { localY: v_y, localZ: v_z } = computeMemberLocalAxes(ni, nj, getMemberAxisOptions(member, nodes));
+                
+                // 3D変換マトリックス（12×12）
+                const R = [
+                    [cx, cy, cz, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+                    [v_y.x, v_y.y, v_y.z, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+                    [v_z.x, v_z.y, v_z.z, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+                    [0, 0, 0, cx, cy, cz, 0, 0, 0, 0, 0, 0],
+                    [0, 0, 0, v_y.x, v_y.y, v_y.z, 0, 0, 0, 0, 0, 0],
+                    [0, 0, 0, v_z.x, v_z.y, v_z.z, 0, 0, 0, 0, 0, 0],
+                    [0, 0, 0, 0, 0, 0, cx, cy, cz, 0, 0, 0],
+                    [0, 0, 0, 0, 0, 0, v_y.x, v_y.y, v_y.z, 0, 0, 0],
+                    [0, 0, 0, 0, 0, 0, v_z.x, v_z.y, v_z.z, 0, 0, 0],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 0, cx, cy, cz],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 0, v_y.x, v_y.y, v_y.z],
+                    [0, 0, 0, 0, 0, 0, 0, 0, 0, v_z.x, v_z.y, v_z.z]
+                ];
+                
+                // 剛域がある場合は剛域端の自由度へ移す変換を含め、弾性部分の長さで剛性を求める
+                const rigidZoneLengths = getRigidZoneLengths(member);
+                const Lf = L - rigidZoneLengths.i - rigidZoneLengths.j;
+                member.flexibleLength = Lf;
+                member.rigidZoneData = Lf < L ? { ...rigidZoneLengths, rotation: R } : null;
+                member.T3D = member.rigidZoneData ? mat.multiply(buildRigidZoneTransform(rigidZoneLengths, false), R) : R;
+                member.length = L;
+                
+                // 3D局所剛性マトリックス（12×12）
+                const E = member.E;
+                const G = getShearModulus(E);
+                const A = member.A;
+                const axisProps3D = member.axisProperties || null;
+                const Iy = axisProps3D?.local?.inertia?.y ?? member.Iy;
+                const Iz = axisProps3D?.local?.inertia?.z ?? member.Iz;
+                const J = member.J;
+                
+                // せん断変形を考慮する場合は Timoshenko梁の剛性とする（Φy: z軸まわりの曲げ、Φz: y軸まわりの曲げ）
+                const { y: phiY, z: phiZ } = getShearDeformationFactors(member);
+
+                const EA_L = E * A / Lf;
+                const GJ_L = G * J / Lf;
+                const EIy_L3 = 12 * E * Iy / (Lf*Lf*Lf) / (1 + phiZ);
+                const EIy_L2 = 6 * E * Iy / (Lf*Lf) / (1 + phiZ);
+                const EIy_L = (4 + phiZ) * E * Iy / Lf / (1 + phiZ);
+                const EIy_L_half = (2 - phiZ) * E * Iy / Lf / (1 + phiZ);
+                const EIz_L3 = 12 * E * Iz / (Lf*Lf*Lf) / (1 + phiY);
+                const EIz_L2 = 6 * E * Iz / (Lf*Lf) / (1 + phiY);
+                const EIz_L = (4 + phiY) * E * Iz / Lf / (1 + phiY);
+                const EIz_L_half = (2 - phiY) * E * Iz / Lf / (1 + phiY);
+                
+                // 簡易的な剛接合の剛性マトリックス（ピン・ローラー接合は後で対応）
+                const k_local_3d = [
+                    [EA_L, 0, 0, 0, 0, 0, -EA_L, 0, 0, 0, 0, 0],
+                    [0, EIz_L3, 0, 0, 0, EIz_L2, 0, -EIz_L3, 0, 0, 0, EIz_L2],
+                    [0, 0, EIy_L3, 0, -EIy_L2, 0, 0, 0, -EIy_L3, 0, -EIy_L2, 0],
+                    [0, 0, 0, GJ_L, 0, 0, 0, 0, 0, -GJ_L, 0, 0],
+                    [0, 0, -EIy_L2, 0, EIy_L, 0, 0, 0, EIy_L2, 0, EIy_L_half, 0],
+                    [0, EIz_L2, 0, 0, 0, EIz_L, 0, -EIz_L2, 0, 0, 0, EIz_L_half],
+                    [-EA_L, 0, 0, 0, 0, 0, EA_L, 0, 0, 0, 0, 0],
+                    [0, -EIz_L3, 0, 0, 0, -EIz_L2, 0, EIz_L3, 0, 0, 0, -EIz_L2],
+                    [0, 0, -EIy_L3, 0, EIy_L2, 0, 0, 0, EIy_L3, 0, EIy_L2, 0],
+                    [0, 0, 0, -GJ_L, 0, 0, 0, 0, 0, GJ_L, 0, 0],
+                    [0, 0, -EIy_L2, 0, EIy_L_half, 0, 0, 0, EIy_L2, 0, EIy_L, 0],
+                    [0, EIz_L2, 0, 0, 0, EIz_L_half, 0, -EIz_L2, 0, 0, 0, EIz_L]
+                ];
+
+                const globalIndexMap = [
+                    member.i * 6,
+                    member.i * 6 + 1,
+                    member.i * 6 + 2,
+                    member.i * 6 + 3,
+                    member.i * 6 + 4,
+                    member.i * 6 + 5,
+                    member.j * 6,
+                    member.j * 6 + 1,
+                    member.j * 6 + 2,
+                    member.j * 6 + 3,
+                    member.j * 6 + 4,
+                    member.j * 6 + 5
+                ];
+
+                // 半剛接合の回転ばねは部材の剛性に縮約しておき、ピン接合の解放はその後に行う
+                member.semiRigidSprings = getSemiRigidEndSprings(member, false);
+                const k_local_3d_end = condenseSemiRigidEnds(k_local_3d, member.semiRigidSprings).k;
+                const releaseData = build3DReleaseData(k_local_3d_end, member.T3D, globalIndexMap, member.i_conn, member.j_conn, mat, member.releases);
+
+                member.k_local_3d_rigid = k_local_3d;
+                member.k_local_3d = k_local_3d_end;
+                member.k_local_active = releaseData.k_local_active;
+                member.T_active = releaseData.T_active;
+                member.activeLocalIndices = releaseData.activeLocalIndices;
+                member.releaseLocalIndices = releaseData.releaseLocalIndices;
+                member.release3D = releaseData;
+                member.globalIndexMap = globalIndexMap;
+            });
+        }
+        // 全体剛性マトリックスの組み立て（2D/3Dで処理を分ける）
+        // 全体剛性マトリックスは疎行列で保持する（大規模モデル対策）
+        // memberStiffness を渡した部材は、その剛性（P-Δ解析の2次剛性など）で組み立てる
+        const assembleGlobalStiffness = (memberStiffness = []) => {
+            const K = sparse.createSparseMatrix(dof);
+            if (is2DFrame) {
+                members.forEach((member, idx) => {
+                    const { T, i, j } = member;
+                    const { k_local } = memberStiffness[idx] || member;
+                    const T_t = mat.transpose(T), k_global_member = mat.multiply(mat.multiply(T_t, k_local), T);
+                    const indices = [i*3, i*3+1, i*3+2, j*3, j*3+1, j*3+2];
+                    for (let row = 0; row < 6; row++) {
+                        for (let col = 0; col < 6; col++) {
+                            K.add(indices[row], indices[col], k_global_member[row][col]);
+                        }
+                    }
+                });
+            } else {
+                // 3D解析
+                members.forEach((member, idx) => {
+                    const stiffness = memberStiffness[idx] || member;
+                    const T_use = stiffness.T_active || member.T3D;
+                    const k_local_use = stiffness.k_local_active || stiffness.k_local_3d;
+                    const indices = member.globalIndexMap || [
+                        member.i * 6, member.i * 6 + 1, member.i * 6 + 2,
+                        member.i * 6 + 3, member.i * 6 + 4, member.i * 6 + 5,
+                        member.j * 6, member.j * 6 + 1, member.j * 6 + 2,
+                        member.j * 6 + 3, member.j * 6 + 4, member.j * 6 + 5
+                    ];
+
+                    const T_t = mat.transpose(T_use);
+                    const k_global_member = mat.multiply(mat.multiply(T_t, k_local_use), T_use);
+
+                    for (let row = 0; row < 12; row++) {
+                        const globalRow = indices[row];
+                        if (globalRow === null || globalRow === undefined) continue;
+                        for (let col = 0; col < 12; col++) {
+                            const globalCol = indices[col];
+                            if (globalCol === null || globalCol === undefined) continue;
+                            K.add(globalRow, globalCol, k_global_member[row][col]);
+                        }
+                    }
+                });
+            }
+            return K;
+        };
+
+        // ケーブル部材は部材の剛性を持たせず、張力による節点力と接線剛性を別に加える
+        const cableMembers = members.flatMap((member, idx) => {
+            if (!isCableMember(member)) return [];
+            const ni = nodes[member.i];
+            const nj = nodes[member.j];
+            const length = Math.hypot(nj.x - ni.x, nj.y - ni.y, nj.z - ni.z);
+            return [{ idx, member, EA: member.E * member.A, unstressedLength: getCableUnstressedLength(member, length, idx) }];
+        });
+        const withoutCableStiffness = (memberStiffness = []) => members.map((member, idx) => (
+            memberStiffness[idx] || (isCableMember(member) ? buildInactiveMemberStiffness(member, is2DFrame) : null)
+        ));
+        const cableCoordinateKeys = is2DFrame ? ['x', 'y'] : ['x', 'y', 'z'];
+        // 変位 D（全体自由度の配列、省略時は初期形状）でのケーブルの長さ・向き・張力と、両端の並進自由度
+        const evaluateCables = (D = null) => cableMembers.map(({ idx, member, EA, unstressedLength }) => {
+            const indices = [member.i, member.j].flatMap(nodeIndex => cableCoordinateKeys.map((_, k) => nodeIndex * dofPerNode + k));
+            const span = cableCoordinateKeys.length;
+            const delta = cableCoordinateKeys.map((key, k) => (
+                (nodes[member.j][key] + (D ? D[indices[span + k]] : 0)) - (nodes[member.i][key] + (D ? D[indices[k]] : 0))
+            ));
+            const length = Math.hypot(...delta);
+            const direction = delta.map(value => value / length);
+            const slack = length <= unstressedLength;
+            const tension = slack ? 0 : EA * (length - unstressedLength) / unstressedLength;
+            return { idx, EA, unstressedLength, indices, length, direction, slack, tension };
+        });
+        // ケーブルの接線剛性 k = (EA/L0)·e·eᵀ + (T/l)·(I − e·eᵀ) を両端の並進自由度に加える（position で行列の番号に直す）
+        const addCableTangentStiffness = (K, cableStates, position = (index) => index) => {
+            cableStates.forEach(({ EA, unstressedLength, indices, length, direction, slack, tension }) => {
+                const axial = (EA / unstressedLength) * (slack ? CABLE_SLACK_STIFFNESS_RATIO : 1);
+                const geometric = Math.max(tension, EA * CABLE_MIN_TENSION_RATIO) / length;
+                const span = direction.length;
+                indices.forEach((rowIndex, a) => {
+                    const row = position(rowIndex);
+                    if (row === undefined) return;
+                    indices.forEach((colIndex, b) => {
+                        const col = position(colIndex);
+                        if (col === undefined) return;
+                        const p = a % span;
+                        const q = b % span;
+                        const value = (axial - geometric) * direction[p] * direction[q] + (p === q ? geometric : 0);
+                        K.add(row, col, (a < span) === (b < span) ? value : -value);
+                    });
+                });
+            });
+            return K;
+        };
+        const K_members = assembleGlobalStiffness(withoutCableStiffness());
+
+        // ばね支点: 支点ばねの剛性 k・v・vᵀ を全体剛性マトリックスに加える（自由度は拘束しない）
+        // v は自由度 indices の成分で表したばねの向き（グローバル軸のばねは対角項だけになる）
+        // 2次元フレームでは X方向・Z方向（鉛直）・Y軸まわり回転のばねを用いる
+        const springKeys = is2DFrame ? ['kx', 'kz', 'kry'] : ['kx', 'ky', 'kz', 'krx', 'kry', 'krz'];
+        const supportSprings = [];
+        // 支点座標系の軸方向（入力座標系）を節点の並進・回転の自由度の成分に直す
+        const toSupportDofVector = (nodeIndex, direction, rotational) => {
+            if (is2DFrame) {
+                return rotational
+                    ? { indices: [nodeIndex * 3 + 2], vector: [1] }
+                    : { indices: [nodeIndex * 3, nodeIndex * 3 + 1], vector: [direction.x, direction.z] };
+            }
+            const base = nodeIndex * 6 + (rotational ? 3 : 0);
+            return { indices: [base, base + 1, base + 2], vector: [direction.x, direction.y, direction.z] };
+        };
+        const supportAxesByNode = nodes.map(node => getSupportLocalAxes(node, is2DFrame));
+        nodes.forEach((node, i) => {
+            if (normalizeSupportValue(node.support) !== 'spring' || !node.springs) return;
+            const axes = supportAxesByNode[i];
+            springKeys.forEach((key, offset) => {
+                const stiffness = Number(node.springs[key]);
+                if (!Number.isFinite(stiffness) || stiffness <= 0) return;
+                if (!axes) {
+                    supportSprings.push({ indices: [i * dofPerNode + offset], vector: [1], stiffness });
+                    return;
+                }
+                const direction = axes[key.slice(-1)];
+                supportSprings.push({ ...toSupportDofVector(i, direction, key.startsWith('kr')), stiffness });
+            });
+        });
+
+        // 傾斜支点: 支点座標系のローラーの拘束方向がグローバル軸と一致しない場合は、その向きの剛なばねで拘束する
+        // （ばね剛性は部材の全体剛性の対角項の最大値の INCLINED_SUPPORT_STIFFNESS_RATIO 倍、反力はばね支点と同じく −k・変位）
+        const INCLINED_SUPPORT_STIFFNESS_RATIO = 1e6;
+        const inclinedRestraints = [];
+        nodes.forEach((node, i) => {
+            const direction = getRollerRestraintDirection(normalizeSupportValue(node.support), supportAxesByNode[i], is2DFrame);
+            if (direction) inclinedRestraints.push({ nodeIndex: i, direction });
+        });
+        const alignedInclinedRestraints = [];
+        if (inclinedRestraints.length > 0) {
+            let maxDiagonal = 0;
+            for (let r = 0; r < dof; r++) maxDiagonal = Math.max(maxDiagonal, Math.abs(K_members.get(r, r)));
+            const stiffness = (maxDiagonal > 0 ? maxDiagonal : 1) * INCLINED_SUPPORT_STIFFNESS_RATIO;
+            inclinedRestraints.forEach(({ nodeIndex, direction }) => {
+                const dofVector = toSupportDofVector(nodeIndex, direction, false);
+                // グローバル軸に一致する拘束方向（90°回転など）はその自由度を直接拘束する
+                const alignedPosition = dofVector.vector.findIndex(value => Math.abs(Math.abs(value) - 1) < SUPPORT_AXIS_TOLERANCE);
+                if (alignedPosition !== -1) {
+                    alignedInclinedRestraints.push(dofVector.indices[alignedPosition]);
+                } else {
+                    supportSprings.push({ ...dofVector, stiffness });
+                }
+            });
+        }
+
+        const addSupportSprings = (K) => {
+            supportSprings.forEach(({ indices, vector, stiffness }) => {
+                indices.forEach((row, p) => indices.forEach((col, q) => K.add(row, col, stiffness * vector[p] * vector[q])));
+            });
+            return K;
+        };
+        const K_global = addCableTangentStiffness(addSupportSprings(K_members), evaluateCables());
+
+        // 部材途中の荷重（グローバル座標系の direction: 'x'|'y'|'z' 方向の荷重）を部材ごとに局所座標系へ変換し、固定端力を求める
+        // 2次元フレームでは解析用の座標のY・Zが入れ替わるので、モーメント（軸性ベクトル）は向きも反転する
+        const buildSpanLoadMap = (spanLoads = []) => {
+            const groupedLoads = new Map();
+            spanLoads.forEach(load => {
+                const member = members[load.memberIndex];
+                const basis = member ? getMemberBasis(member) : null;
+                const axis = `${load.direction || ''}`.toLowerCase();
+                if (!basis || !['x', 'y', 'z'].includes(axis)) return;
+                const type = load.type === 'moment' || load.type === 'distributed' ? load.type : 'point';
+                const toLocal = (magnitude) => {
+                    const global = { x: 0, y: 0, z: 0 };
+                    global[axis] = Number(magnitude) || 0;
+                    const analysisGlobal = !is2DFrame
+                        ? global
+                        : (type === 'moment' ? { x: -global.x, y: -global.z, z: -global.y } : { x: global.x, y: global.z, z: global.y });
+                    return {
+                        x: dot3(analysisGlobal, basis.localX),
+                        y: dot3(analysisGlobal, basis.localY),
+                        z: dot3(analysisGlobal, basis.localZ)
+                    };
+                };
+                const clampPosition = (value) => Math.min(Math.max(Number(value) || 0, 0), basis.length);
+                const localLoad = { type, a: clampPosition(load.a), value: toLocal(load.value) };
+                if (type === 'distributed') {
+                    localLoad.b = clampPosition(load.b);
+                    localLoad.valueEnd = toLocal(load.valueEnd ?? load.value);
+                }
+                if (!groupedLoads.has(load.memberIndex)) groupedLoads.set(load.memberIndex, []);
+                groupedLoads.get(load.memberIndex).push(localLoad);
+            });
+            const spanLoadMap = new Map();
+            groupedLoads.forEach((loads, memberIndex) => {
+                spanLoadMap.set(memberIndex, { loads, ...buildSpanLoadFixedEndForces(members[memberIndex], loads, is2DFrame) });
+            });
+            return spanLoadMap;
+        };
+
+        // 荷重ケースの荷重ベクトルと固定端力を作る
+        const buildLoadVector = (combinedNodeLoads, combinedMemberLoads, thermalLoads = [], spanLoadMap = new Map()) => {
+            const F_global = mat.create(dof, 1);
+            const fixedEndForces = {};
+
+            const axisKeyMap2D = ['x', 'y', 'rz'];
+            const axisKeyMap3D = ['x', 'y', 'z', 'rx', 'ry', 'rz'];
+            const addForceWithSignFlip = (globalIndex, value) => {
+                if (!Number.isFinite(value) || Math.abs(value) < 1e-12) {
+                    return;
+                }
+                const axisKey = is2DFrame ? axisKeyMap2D[globalIndex % 3] : axisKeyMap3D[globalIndex % 6];
+                let multiplier = 1;
+                if (axisKey === 'x' || axisKey === 'y' || axisKey === 'z') {
+                    multiplier = loadCalcMultipliers[axisKey] ?? 1;
+                }
+                if (multiplier === 0) {
+                    return;
+                }
+                F_global[globalIndex][0] += value * multiplier;
+            };
+        
+            // 同一部材の荷重を合計して重複を防ぐ (3D対応: wy, wz別々に管理)
+            const memberLoadMap = new Map();
+            combinedMemberLoads.forEach(load => {
+                const memberIndex = load.memberIndex;
+                if (memberLoadMap.has(memberIndex)) {
+                    const existing = memberLoadMap.get(memberIndex);
+                    existing.wy = (existing.wy || 0) + (load.wy || 0);
+                    existing.wz = (existing.wz || 0) + (load.wz || 0);
+                    existing.w = (existing.w || 0) + (load.w || 0);
+                    if (load.global) {
+                        if (!existing.global) {
+                            existing.global = { wx: 0, wy: 0, wz: 0 };
+                        }
+                        existing.global.wx += load.global.wx || 0;
+                        existing.global.wy += load.global.wy || 0;
+                        existing.global.wz += load.global.wz || 0;
+                    }
+                    if (load.isFromSelfWeight) {
+                        existing.isFromSelfWeight = true;
+                    }
+                    if (load.isFromUserInput) {
+                        existing.isFromUserInput = true;
+                    }
+                } else {
+                    memberLoadMap.set(memberIndex, {
+                        memberIndex,
+                        wy: load.wy || 0,
+                        wz: load.wz || 0,
+                        w: load.w || 0,
+                        global: load.global ? {
+                            wx: load.global.wx || 0,
+                            wy: load.global.wy || 0,
+                            wz: load.global.wz || 0
+                        } : null,
+                        isFromSelfWeight: !!load.isFromSelfWeight,
+                        isFromUserInput: !!load.isFromUserInput
+                    });
+                }
+            });
+        
+            // 合計された荷重で固定端力を計算 (3D対応)
+            memberLoadMap.forEach(load => {
+                const member = members[load.memberIndex];
+                const L = member.flexibleLength ?? member.length;
+                const wy = load.wy !== undefined ? load.wy : (load.w || 0);
+                const wz = load.wz || 0;
+                let fel;
+
+                if (is2DFrame) {
+                    // 2D: 6要素の固定端力ベクトル (3自由度×2節点)
+                    // 注意: 固定端力は荷重と逆向き（下向き荷重→上向き拘束力）
+                    // しかし、等価節点荷重として扱うため、さらに符号反転が必要
+                    // 結果として、wyと同じ符号の固定端力を使用
+                    if (hasSemiRigidEnd(member) || hasDofRelease(member) || member.shearDeformationFactor > 0) {
+                        fel = applyEndConditionsToFixedEndForces(member, [0, -wy*L/2, -wy*L**2/12, 0, -wy*L/2, wy*L**2/12], true);
+                    }
+                    else if (member.i_conn === 'rigid' && member.j_conn === 'rigid') {
+                        fel = [0, -wy*L/2, -wy*L**2/12, 0, -wy*L/2, wy*L**2/12];
+                    }
+                    else if (member.i_conn === 'pinned' && member.j_conn === 'rigid') {
+                        fel = [0, -3*wy*L/8, 0, 0, -5*wy*L/8, wy*L**2/8];
+                    }
+                    else if (member.i_conn === 'rigid' && member.j_conn === 'pinned') {
+                        fel = [0, -5*wy*L/8, -wy*L**2/8, 0, -3*wy*L/8, 0];
+                    }
+                    else {
+                        fel = [0, -wy*L/2, 0, 0, -wy*L/2, 0];
+                    }
+                    const T_t = mat.transpose(member.T);
+                    const feg = mat.multiply(T_t, fel.map(v => [v]));
+                    const i = member.i;
+                    const j = member.j;
+                    addForceWithSignFlip(i*3, -feg[0][0]);
+                    addForceWithSignFlip(i*3+1, -feg[1][0]);
+                    F_global[i*3+2][0] -= feg[2][0];
+                    addForceWithSignFlip(j*3, -feg[3][0]);
+                    addForceWithSignFlip(j*3+1, -feg[4][0]);
+                    F_global[j*3+2][0] -= feg[5][0];
+                    fixedEndForces[load.memberIndex] = fel;
+                } else {
+                    // 3D: 12要素の固定端力ベクトル (6自由度×2節点)
+                    // fel = [Fx_i, Fy_i, Fz_i, Mx_i, My_i, Mz_i, Fx_j, Fy_j, Fz_j, Mx_j, My_j, Mz_j]
+                    // 端部解放のある部材は剛性と同じ静的縮約で固定端力を求める
+                    if (hasSemiRigidEnd(member) || member.release3D?.hasRelease) {
+                        fel = applyEndConditionsToFixedEndForces(member, [0, -wy*L/2, -wz*L/2, 0, wz*L**2/12, -wy*L**2/12, 0, -wy*L/2, -wz*L/2, 0, -wz*L**2/12, wy*L**2/12], false);
+                    }
+                    else if (member.i_conn === 'rigid' && member.j_conn === 'rigid') {
+                        fel = [0, -wy*L/2, -wz*L/2, 0, wz*L**2/12, -wy*L**2/12, 0, -wy*L/2, -wz*L/2, 0, -wz*L**2/12, wy*L**2/12];
+                    }
+                    else if (member.i_conn === 'pinned' && member.j_conn === 'rigid') {
+                        fel = [0, -3*wy*L/8, -3*wz*L/8, 0, 0, 0, 0, -5*wy*L/8, -5*wz*L/8, 0, wz*L**2/8, wy*L**2/8];
+                    }
+                    else if (member.i_conn === 'rigid' && member.j_conn === 'pinned') {
+                        fel = [0, -5*wy*L/8, -5*wz*L/8, 0, wz*L**2/8, -wy*L**2/8, 0, -3*wy*L/8, -3*wz*L/8, 0, 0, 0];
+                    }
+                    else {
+                        fel = [0, -wy*L/2, -wz*L/2, 0, 0, 0, 0, -wy*L/2, -wz*L/2, 0, 0, 0];
+                    }
+
+                    const releaseInfo = member.release3D;
+                    if (releaseInfo?.releaseLocalIndices?.length) {
+                        releaseInfo.releaseLocalIndices.forEach(idx => {
+                            fel[idx] = 0;
+                        });
+                    }
+
+                    const T_forLoads = releaseInfo?.T_active || member.T3D;
+                    const activeLocalIndices = releaseInfo?.activeLocalIndices || Array.from({ length: 12 }, (_, idx) => idx);
+                    const felActiveVector = activeLocalIndices.map(idx => fel[idx]).map(v => [v]);
+                    const feg = mat.multiply(mat.transpose(T_forLoads), felActiveVector);
+
+                    const i = member.i;
+                    const j = member.j;
+                    addForceWithSignFlip(i*6, -feg[0][0]);
+                    addForceWithSignFlip(i*6+1, -feg[1][0]);
+                    F_global[i*6+2][0] -= feg[2][0];
+                    F_global[i*6+3][0] -= feg[3][0];
+                    F_global[i*6+4][0] -= feg[4][0];
+                    F_global[i*6+5][0] -= feg[5][0];
+                    addForceWithSignFlip(j*6, -feg[6][0]);
+                    addForceWithSignFlip(j*6+1, -feg[7][0]);
+                    F_global[j*6+2][0] -= feg[8][0];
+                    F_global[j*6+3][0] -= feg[9][0];
+                    F_global[j*6+4][0] -= feg[10][0];
+                    F_global[j*6+5][0] -= feg[11][0];
+                    fixedEndForces[load.memberIndex] = fel;
+                }
+
+                // 剛域に作用する荷重は剛域を通して直接節点に伝わる
+                if (member.rigidZoneData) {
+                    const dofPerNode = is2DFrame ? 3 : 6;
+                    const felRigidZone = buildRigidZoneFixedEndForces(member.rigidZoneData, wy, wz, is2DFrame);
+                    const fegRigidZone = mat.multiply(mat.transpose(member.rigidZoneData.rotation), felRigidZone.map(v => [v]));
+                    fegRigidZone.forEach(([value], k) => {
+                        const dof = k % dofPerNode;
+                        const globalIndex = (k < dofPerNode ? member.i : member.j) * dofPerNode + dof;
+                        if (dof < 2) addForceWithSignFlip(globalIndex, -value);
+                        else F_global[globalIndex][0] -= value;
+                    });
+                }
+            });
+
+            // 温度荷重は部材ごとに合計して固定端力を求め、等分布荷重の固定端力に加える
+            const thermalLoadMap = new Map();
+            thermalLoads.forEach(load => {
+                if (!members[load.memberIndex]) return;
+                const total = thermalLoadMap.get(load.memberIndex) || { deltaT: 0, gradientY: 0, gradientZ: 0 };
+                total.deltaT += Number(load.deltaT) || 0;
+                total.gradientY += Number(load.gradientY) || 0;
+                total.gradientZ += Number(load.gradientZ) || 0;
+                thermalLoadMap.set(load.memberIndex, total);
+            });
+            thermalLoadMap.forEach((load, memberIndex) => {
+                const member = members[memberIndex];
+                const dofPerNode = is2DFrame ? 3 : 6;
+                const fel = buildThermalFixedEndForces(member, load, is2DFrame);
+                const feg = mat.multiply(mat.transpose(is2DFrame ? member.T : member.T3D), fel.map(v => [v]));
+                feg.forEach(([value], k) => {
+                    F_global[(k < dofPerNode ? member.i : member.j) * dofPerNode + k % dofPerNode][0] -= value;
+                });
+                const existing = fixedEndForces[memberIndex];
+                fixedEndForces[memberIndex] = existing ? existing.map((value, k) => value + fel[k]) : fel;
+            });
+
+            // 部材途中の荷重の固定端力も同じように加え、剛域に作用する分は剛域を通して節点に直接加える
+            spanLoadMap.forEach(({ fel, rigidZoneForces }, memberIndex) => {
+                const member = members[memberIndex];
+                const dofPerNode = is2DFrame ? 3 : 6;
+                const subtractEndForces = (endForces, transform) => {
+                    mat.multiply(mat.transpose(transform), endForces.map(v => [v])).forEach(([value], k) => {
+                        const dof = k % dofPerNode;
+                        const globalIndex = (k < dofPerNode ? member.i : member.j) * dofPerNode + dof;
+                        if (dof < 2) addForceWithSignFlip(globalIndex, -value);
+                        else F_global[globalIndex][0] -= value;
+                    });
+                };
+                subtractEndForces(fel, is2DFrame ? member.T : member.T3D);
+                if (rigidZoneForces) subtractEndForces(rigidZoneForces, member.rigidZoneData.rotation);
+                const existing = fixedEndForces[memberIndex];
+                fixedEndForces[memberIndex] = existing ? existing.map((value, k) => value + fel[k]) : fel;
+            });
+        
+            // 節点荷重を設定（2D/3Dで処理を分ける）
+            if (is2DFrame) {
+                combinedNodeLoads.forEach(load => { 
+                    const base = load.nodeIndex * 3; 
+                    addForceWithSignFlip(base, load.px || 0); 
+                    addForceWithSignFlip(base + 1, load.py || 0); 
+                    // 節点モーメントは面内の回転（グローバルY軸まわり）の My だけを用いる（Y・Z軸の入れ替えで回転の向きが反転する）
+                    F_global[base + 2][0] -= Number(load.my) || 0;
+                });
+            } else {
+                // 3D: 6自由度
+                combinedNodeLoads.forEach(load => { 
+                    const base = load.nodeIndex * 6; 
+                    addForceWithSignFlip(base, load.px || 0); 
+                    addForceWithSignFlip(base + 1, load.py || 0); 
+                    const pzContribution = (load.pz || 0) * (loadCalcMultipliers.z ?? 1);
+                    F_global[base + 2][0] += pzContribution; 
+                    F_global[base + 3][0] += Number(load.mx) || 0;
+                    F_global[base + 4][0] += Number(load.my) || 0;
+                    F_global[base + 5][0] += Number(load.mz) || 0;
+                });
+            }
+
+            return { F_global, fixedEndForces, memberLoadMap, spanLoadMap };
+        };
+
+        const caseData = loadCases.map(loadCase => {
+            const { combinedNodeLoads, combinedMemberLoads } = buildCombinedLoads(loadCase || {});
+            return { loadCase: loadCase || {}, combinedNodeLoads, ...buildLoadVector(
+                combinedNodeLoads,
+                combinedMemberLoads,
+                loadCase?.thermalLoads || [],
+                buildSpanLoadMap(loadCase?.spanLoads || [])
+            ) };
+        });
+
+        // 3次元フレームでは、剛性も荷重も持たない自由度（トラス節点の回転など）を解析から除外する
+        const excludedDOFs = new Set();
+        if (!is2DFrame) {
+            const exclusionTolerance = 1e-9;
+            for (let r = 0; r < dof; r++) {
+                let maxMagnitude = 0;
+                for (const val of K_global.rows[r].values()) {
+                    if (Math.abs(val) > maxMagnitude) {
+                        maxMagnitude = Math.abs(val);
+                        if (maxMagnitude > exclusionTolerance) break;
+                    }
+                }
+                if (maxMagnitude <= exclusionTolerance && caseData.every(data => Math.abs(data.F_global[r][0]) <= exclusionTolerance)) {
+                    excludedDOFs.add(r);
+                    caseData.forEach(data => { data.F_global[r][0] = 0; });
+                }
+            }
+        }
+
+        // ==========================================================
+        // 強制変位を考慮した解析ロジック（自由節点も対応）
+        // ==========================================================
+
+        // 1. 物理的な支点による拘束自由度を定義（2D/3Dで処理を分ける）
+        const support_constraints = new Set();
+        const registerConstraint = (index) => {
+            if (index >= 0 && index < dof && !excludedDOFs.has(index)) {
+                support_constraints.add(index);
+            }
+        };
+
+        nodes.forEach((node, i) => {
+            const supportType = normalizeSupportValue(node.support);
+            // 支点座標系を持つローラーは傾斜支点として別に扱う
+            if (isRollerSupport(supportType) && supportAxesByNode[i]) return;
+            
+            if (is2DFrame) {
+                // 2D解析: 3自由度 (dx, dy, θz)
+                if (supportType === 'fixed') {
+                    registerConstraint(i * 3);
+                    registerConstraint(i * 3 + 1);
+                    registerConstraint(i * 3 + 2);
+                } else if (supportType === 'pinned') {
+                    registerConstraint(i * 3);
+                    registerConstraint(i * 3 + 1);
+                } else if (supportType === 'roller-x') {
+                    registerConstraint(i * 3);
+                } else if (supportType === 'roller-y' || supportType === 'roller-z') {
+                    registerConstraint(i * 3 + 1);
+                }
+            } else {
+                // 3D解析: 6自由度 (dx, dy, dz, θx, θy, θz)
+                if (supportType === 'fixed') {
+                    // 完全固定: 全6自由度を拘束
+                    registerConstraint(i * 6);
+                    registerConstraint(i * 6 + 1);
+                    registerConstraint(i * 6 + 2);
+                    registerConstraint(i * 6 + 3);
+                    registerConstraint(i * 6 + 4);
+                    registerConstraint(i * 6 + 5);
+                } else if (supportType === 'pinned') {
+                    // ピン: 移動3自由度を拘束、回転自由
+                    registerConstraint(i * 6);
+                    registerConstraint(i * 6 + 1);
+                    registerConstraint(i * 6 + 2);
+                } else if (isRollerSupport(supportType)) {
+                    const axis = getRollerAxis(supportType) || 'y';
+                    const axisIndexMap = { x: 0, y: 1, z: 2 };
+                    const offset = axisIndexMap[axis];
+                    if (offset !== undefined) {
+                        registerConstraint(i * 6 + offset);
+                    }
+                }
+            }
+        });
+        alignedInclinedRestraints.forEach(registerConstraint);
+
+        // 2. 強制変位が与えられた自由度を特定し、既知変位ベクトルD_sを作成
+        const D_s = mat.create(dof, 1);
+        const forced_disp_constraints = new Set();
+        const assignForcedDisplacement = (index, value) => {
+            if (!Number.isFinite(value) || value === 0) return;
+            if (excludedDOFs.has(index)) {
+                console.warn('強制変位が解放自由度に指定されました', { index, value });
+                return;
+            }
+            D_s[index][0] = value;
+            forced_disp_constraints.add(index);
+        };
+        
+        if (is2DFrame) {
+            // 2D: dx, dy
+            nodes.forEach((node, i) => {
+                if (node.dx_forced !== undefined && node.dx_forced !== null && node.dx_forced !== 0) {
+                    assignForcedDisplacement(i * 3, node.dx_forced);
+                }
+                if (node.dy_forced !== undefined && node.dy_forced !== null && node.dy_forced !== 0) {
+                    assignForcedDisplacement(i * 3 + 1, node.dy_forced);
+                }
+            });
+        } else {
+            // 3D: dx, dy, dz
+            nodes.forEach((node, i) => {
+                if (node.dx_forced !== undefined && node.dx_forced !== null && node.dx_forced !== 0) {
+                    assignForcedDisplacement(i * 6, node.dx_forced);
+                }
+                if (node.dy_forced !== undefined && node.dy_forced !== null && node.dy_forced !== 0) {
+                    assignForcedDisplacement(i * 6 + 1, node.dy_forced);
+                }
+                if (node.dz_forced !== undefined && node.dz_forced !== null && node.dz_forced !== 0) {
+                    assignForcedDisplacement(i * 6 + 2, node.dz_forced);
+                }
+            });
+        }
+        
+        // 3. 物理支点と強制変位を合算し、最終的な「拘束自由度」と「自由度」を決定
+        // 強制変位の自由度は全ケースで拘束し、強制変位を与えないケースでは変位0とする
+        const constrained_indices_set = new Set([...support_constraints, ...forced_disp_constraints]);
+        const constrained_indices = Array.from(constrained_indices_set)
+            .filter(index => !excludedDOFs.has(index))
+            .sort((a, b) => a - b);
+        const free_indices = [...Array(dof).keys()].filter(i => !constrained_indices_set.has(i) && !excludedDOFs.has(i));
+        // ばね支点の反力（拘束していない自由度のみ）を R = K・D − F と同じ向きで加える
+        const addSpringReactions = (R, D) => {
+            supportSprings.forEach(({ indices, vector, stiffness }) => {
+                const elongation = indices.reduce((sum, index, p) => sum + vector[p] * D[index][0], 0);
+                indices.forEach((index, p) => {
+                    if (!constrained_indices_set.has(index)) R[index][0] -= stiffness * vector[p] * elongation;
+                });
+            });
+            return R;
+        };
+        const zeroDisplacement = mat.create(dof, 1);
+        const getCaseForcedDisplacement = (loadCase) => {
+            if (typeof loadCase.forcedDisplacements === 'number') {
+                return D_s.map(row => [row[0] * loadCase.forcedDisplacements]);
+            }
+            return loadCase.forcedDisplacements ? D_s : zeroDisplacement;
+        };
+
+        // 4. 自由度側の部分行列 K_ff を取り出し、ケースごとに荷重ベクトルを分割する
+        // 強制変位による等価節点力を差し引く: F_modified = F_f - K_fs * D_s_constrained
+        const K_ff = sparse.extractSubmatrix(K_global, free_indices);
+        const caseVectors = caseData.map(({ loadCase, F_global }) => {
+            const D_case = getCaseForcedDisplacement(loadCase);
+            const D_s_constrained = constrained_indices.map(idx => D_case[idx][0]);
+            const Kfs_Ds = sparse.multiplyPartition(K_global, free_indices, constrained_indices, D_s_constrained);
+            const F_modified = free_indices.map((idx, pos) => F_global[idx][0] - Kfs_Ds[pos]);
+            return { D_s_constrained, F_modified };
+        });
+
+        const freeOrder = sparse.orderDofsByNodes(nodes.length, members, dofPerNode, free_indices);
+
+        // 自由度の解 D_f から全体変位・反力・部材断面力をまとめる（K・memberStiffness は P-Δ解析の2次剛性を使う場合に指定）
+        const buildCaseResult = (caseIndex, D_f, K = K_global, memberStiffness = []) => {
+            const { loadCase, combinedNodeLoads, F_global, fixedEndForces, memberLoadMap, spanLoadMap } = caseData[caseIndex];
+            const { D_s_constrained } = caseVectors[caseIndex];
+
+            // 6. 全体変位ベクトル D_global を組み立てる
+            const D_global = mat.create(dof, 1);
+            free_indices.forEach((val, i) => { D_global[val][0] = D_f[i]; });
+            constrained_indices.forEach((val, i) => { D_global[val][0] = D_s_constrained[i]; });
+
+            // 7. 反力 R を計算
+            // R = K_sf * D_f + K_ss * D_s_constrained - F_s
+            const Ksf_Df = sparse.multiplyPartition(K, constrained_indices, free_indices, D_f);
+            const Kss_Ds = sparse.multiplyPartition(K, constrained_indices, constrained_indices, D_s_constrained);
+
+            const R = mat.create(dof, 1);
+            constrained_indices.forEach((val, i) => { R[val][0] = Ksf_Df[i] + Kss_Ds[i] - F_global[val][0]; });
+            addSpringReactions(R, D_global);
+
+            // 8. 部材断面力の計算（2D/3Dで処理を分ける）
+            const memberForces = recoverMemberForces({ members, D_global, fixedEndForces, memberLoadMap, spanLoadMap, is2DFrame, memberStiffness });
+
+            return {
+                id: loadCase.id,
+                name: loadCase.name,
+                D: D_global,
+                R,
+                forces: memberForces,
+                nodeLoads: combinedNodeLoads,
+                memberLoads: Array.from(memberLoadMap.values()),
+                thermalLoads: loadCase.thermalLoads || [],
+                spanLoads: loadCase.spanLoads || []
+            };
+        };
+
+        // P-Δ解析・座屈解析では、剛性を持たない自由度（零ピボット: ピン接合の部材だけが集まる節点の回転など）を変位0として除外する
+        let stiffFreeDofs = null;
+        const getStiffFreeDofs = () => {
+            if (!stiffFreeDofs) {
+                const { zeroPivots } = sparse.factorize(K_ff, { order: freeOrder, allowZeroPivots: true });
+                const zeroPivotSet = new Set(zeroPivots);
+                const positions = free_indices.map((_, pos) => pos).filter(pos => !zeroPivotSet.has(pos));
+                const indices = positions.map(pos => free_indices[pos]);
+                stiffFreeDofs = {
+                    positions,
+                    indices,
+                    order: sparse.orderDofsByNodes(nodes.length, members, dofPerNode, indices)
+                };
+            }
+            return stiffFreeDofs;
+        };
+        const translationalDofCount = is2DFrame ? 2 : 3;
+
+        // 固有ベクトル（剛性のある自由度の成分）を全体変位の形にし、最大の並進変位成分が 1 となるように正規化する
+        const toModeDisplacement = (shape, indices) => {
+            let peak = 0;
+            indices.forEach((globalIdx, pos) => {
+                if (globalIdx % dofPerNode < translationalDofCount && Math.abs(shape[pos]) > Math.abs(peak)) peak = shape[pos];
+            });
+            const D = mat.create(dof, 1);
+            indices.forEach((globalIdx, pos) => { D[globalIdx][0] = peak !== 0 ? shape[pos] / peak : shape[pos]; });
+            return D;
+        };
+
+        // 同じ高さの節点を1つの層とする（P-Δ解析の層間変位、応答スペクトル解析の層せん断力に使う）
+        const verticalKey = is2DFrame ? 'y' : 'z';
+        const levels = [];
+        nodes.forEach((node, idx) => {
+            let level = levels.find(item => Math.abs(item.elevation - node[verticalKey]) < 1e-6);
+            if (!level) {
+                level = { elevation: node[verticalKey], nodeIndices: [] };
+                levels.push(level);
+            }
+            level.nodeIndices.push(idx);
+        });
+        levels.sort((a, b) => a.elevation - b.elevation);
+
+        return {
+            nodes,
+            members,
+            is2DFrame,
+            dof,
+            dofPerNode,
+            translationalDofCount,
+            caseData,
+            caseVectors,
+            K_global,
+            K_ff,
+            freeOrder,
+            free_indices,
+            constrained_indices,
+            supportSprings,
+            cableMembers,
+            reportProgress,
+            diagnoseInstability,
+            assembleGlobalStiffness,
+            addSupportSprings,
+            addCableTangentStiffness,
+            evaluateCables,
+            withoutCableStiffness,
+            addSpringReactions,
+            getCaseForcedDisplacement,
+            buildCaseResult,
+            getStiffFreeDofs,
+            toModeDisplacement,
+            levels
+        };
+    };
+
+    /**
+     * 完全拘束モデル（自由度がない）の各ケースを解く: 強制変位をそのまま変位とし、反力 R = K・D − F と部材断面力を求める
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @returns {object[]} 各ケースの結果
+     */
+    const solveFullyConstrainedCases = (assembled) => {
+        const { members, is2DFrame, caseData, K_global, reportProgress, getCaseForcedDisplacement } = assembled;
+        reportProgress('recovery', 0);
+        return caseData.map(({ loadCase, F_global, fixedEndForces, memberLoadMap, spanLoadMap }) => {
+            const D_global = getCaseForcedDisplacement(loadCase).map(row => [row[0]]);
+            const KD = K_global.multiplyVector(D_global.map(row => row[0]));
+            const R = F_global.map((row, idx) => [KD[idx] - row[0]]);
+            return {
+                id: loadCase.id,
+                name: loadCase.name,
+                D: D_global,
+                R,
+                forces: recoverMemberForces({ members, D_global, fixedEndForces, memberLoadMap, spanLoadMap, is2DFrame }),
+                nodeLoads: loadCase.nodeLoads || [],
+                memberLoads: loadCase.memberLoads || [],
+                thermalLoads: loadCase.thermalLoads || [],
+                spanLoads: loadCase.spanLoads || []
+            };
+        });
+    };
+
+    /**
+     * 各ケースの未知変位 D_f を解き（節点番号をRCM法で付け替えてスカイラインLDLᵀ分解、分解は全ケース共通）、線形静的解析の結果をまとめる
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @returns {object[]} 各ケースの1次解析の結果
+     */
+    const solveLinearCases = (assembled) => {
+        const { nodes, members, is2DFrame, caseData, caseVectors, K_global, K_ff, freeOrder, free_indices, reportProgress, diagnoseInstability, buildCaseResult } = assembled;
+        reportProgress('factorization', 0);
+        const solutions = sparse.solveMultiple(K_ff, caseVectors.map(vectors => vectors.F_modified), {
+            order: freeOrder,
+            onProgress: (fraction) => reportProgress('factorization', fraction)
+        });
+        const failedIndex = solutions ? solutions.findIndex(solution => !solution) : 0;
+        if (failedIndex !== -1) {
+            const detail = diagnoseInstability ? diagnoseInstability(K_global, free_indices, nodes, members, is2DFrame) : '';
+            const failedCase = solutions && caseData.length > 1 ? caseData[failedIndex].loadCase : null;
+            const caseLabel = failedCase ? `（荷重ケース ${failedCase.name || failedCase.id}）` : '';
+            throw new Error(`解を求めることができませんでした${caseLabel}。構造が不安定であるか、拘束が不適切である可能性があります。\n${detail || ''}`);
+        }
+
+        reportProgress('recovery', 0);
+        return caseData.map((data, caseIndex) => {
+            const caseResult = buildCaseResult(caseIndex, solutions[caseIndex]);
+            reportProgress('recovery', (caseIndex + 1) / caseData.length);
+            return caseResult;
+        });
+    };
+
+    // 引張専用・圧縮専用で無効とした部材の断面力に inactive を付け、ケースの結果に判定の状態 axialOnly を付ける
+    const withAxialOnlyState = (result, inactive, state) => ({
+        ...result,
+        forces: result.forces.map((force, idx) => (inactive.has(idx) ? { ...force, inactive: true } : force)),
+        axialOnly: { ...state, inactiveMembers: [...inactive].sort((a, b) => a - b) }
+    });
+    // 無効とした部材（inactive の部材番号）の剛性を除いた部材剛性（ケーブル部材の剛性は常に除く）
+    const getInactiveMemberStiffness = (assembled, inactive) => assembled.withoutCableStiffness(assembled.members.map((member, idx) => (
+        inactive.has(idx) ? buildInactiveMemberStiffness(member, assembled.is2DFrame) : null
+    )));
+
+    /**
+     * 引張専用・圧縮専用部材の解析: 軸力の向きが合わない部材の剛性を除いて解き直すことを、無効な部材が変わらなくなるまで繰り返す
+     * 無効な部材も、有効だとした場合の端部の変位による軸力で再び有効にするかを判定する
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @param {object[]} cases - 各ケースの1次解析の結果
+     * @returns {object[]} 各ケースの結果（引張専用・圧縮専用の部材がなければ cases をそのまま返す）
+     */
+    const solveAxialOnlyCases = (assembled, cases) => {
+        const { nodes, members, is2DFrame, caseData, caseVectors, freeOrder, free_indices, constrained_indices, diagnoseInstability, assembleGlobalStiffness, addSupportSprings, addCableTangentStiffness, evaluateCables, buildCaseResult } = assembled;
+        const axialOnlyMembers = members
+            .map((member, idx) => ({ idx, behavior: isCableMember(member) ? null : getAxialOnlyBehavior(member) }))
+            .filter(({ behavior }) => behavior);
+        if (axialOnlyMembers.length === 0) return cases;
+        const solveAxialOnlyCase = (caseIndex, linearResult) => {
+            const { loadCase, F_global, fixedEndForces, memberLoadMap, spanLoadMap } = caseData[caseIndex];
+            const { D_s_constrained } = caseVectors[caseIndex];
+            let current = linearResult;
+            let inactive = new Set();
+            for (let iteration = 0; iteration <= AXIAL_ONLY_MAX_ITERATIONS; iteration++) {
+                const trialForces = recoverMemberForces({ members, D_global: current.D, fixedEndForces, memberLoadMap, spanLoadMap, is2DFrame });
+                const nextInactive = new Set();
+                axialOnlyMembers.forEach(({ idx, behavior }) => {
+                    const N = getMemberTensionForce(trialForces[idx]);
+                    const wrongSign = behavior === 'tension-only' ? N < -AXIAL_ONLY_FORCE_TOLERANCE : N > AXIAL_ONLY_FORCE_TOLERANCE;
+                    if (wrongSign || (inactive.has(idx) && Math.abs(N) <= AXIAL_ONLY_FORCE_TOLERANCE)) nextInactive.add(idx);
+                });
+                const changed = nextInactive.size !== inactive.size || [...nextInactive].some(idx => !inactive.has(idx));
+                if (!changed) {
+                    return withAxialOnlyState(current, inactive, { converged: true, iterations: iteration, message: '' });
+                }
+                if (iteration === AXIAL_ONLY_MAX_ITERATIONS) break;
+
+                inactive = nextInactive;
+                const memberStiffness = getInactiveMemberStiffness(assembled, inactive);
+                const K_active = addCableTangentStiffness(addSupportSprings(assembleGlobalStiffness(memberStiffness)), evaluateCables());
+                const Kfs_Ds = sparse.multiplyPartition(K_active, free_indices, constrained_indices, D_s_constrained);
+                const F_modified = free_indices.map((idx, pos) => F_global[idx][0] - Kfs_Ds[pos]);
+                const solution = sparse.solveMultiple(sparse.extractSubmatrix(K_active, free_indices), [F_modified], { order: freeOrder })?.[0];
+                if (!solution) {
+                    const inactiveMembers = [...inactive].sort((a, b) => a - b);
+                    const detail = diagnoseInstability ? diagnoseInstability(K_active, free_indices, nodes, members, is2DFrame, inactiveMembers) : '';
+                    const caseLabel = caseData.length > 1 ? `（荷重ケース ${loadCase.name || loadCase.id}）` : '';
+                    throw new Error(`引張専用・圧縮専用の部材 ${inactiveMembers.map(idx => idx + 1).join(', ')} を無効にすると構造が不安定になります${caseLabel}。\n${detail || ''}`);
+                }
+                current = buildCaseResult(caseIndex, solution, K_active, memberStiffness);
+            }
+            return withAxialOnlyState(current, inactive, {
+                converged: false,
+                iterations: AXIAL_ONLY_MAX_ITERATIONS,
+                message: `${AXIAL_ONLY_MAX_ITERATIONS}回の反復で引張専用・圧縮専用部材の有効・無効が定まりませんでした。`
+            });
+        };
+        return cases.map((linearResult, caseIndex) => solveAxialOnlyCase(caseIndex, linearResult));
+    };
+
+    /**
+     * ケーブル部材の解析: 荷重を loadSteps 段階に分けて与え、各段階で残差力が十分小さくなるまで Newton–Raphson 法で反復する
+     * ケーブル以外の部材は線形（P-Δ解析では現在の軸力による2次剛性）とし、引張専用・圧縮専用で無効とした部材は1次解析の判定のまま除く
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @param {object[]} cases - 各ケースの1次解析（引張専用・圧縮専用部材の解析後）の結果
+     * @param {object} [settings] - options.cable { loadSteps, maxIterations, tolerance }
+     * @param {boolean} [pDelta] - ケーブル以外の部材に軸力による2次剛性を加えるか（options.pDelta を指定した場合）
+     * @returns {object[]} 各ケースの結果（ケーブル部材がなければ cases をそのまま返す）
+     */
+    const solveCableCases = (assembled, cases, settings = {}, pDelta = false) => {
+        const { members, is2DFrame, dof, caseData, caseVectors, freeOrder, free_indices, constrained_indices, cableMembers, reportProgress, assembleGlobalStiffness, addSupportSprings, addCableTangentStiffness, evaluateCables, withoutCableStiffness, buildCaseResult } = assembled;
+        if (cableMembers.length === 0) return cases;
+        const { loadSteps: cableLoadSteps = 10, maxIterations: cableMaxIterations = 50, tolerance: cableTolerance = 1e-6 } = settings || {};
+        const freePositions = new Map(free_indices.map((idx, pos) => [idx, pos]));
+        const solveCableCase = (caseIndex, linearResult) => {
+            const { F_global, fixedEndForces, memberLoadMap, spanLoadMap } = caseData[caseIndex];
+            const { D_s_constrained } = caseVectors[caseIndex];
+            const inactive = new Set(linearResult.axialOnly?.inactiveMembers || []);
+            const linearStiffness = getInactiveMemberStiffness(assembled, inactive);
+            const D = new Float64Array(dof);
+            let K_frame = addSupportSprings(assembleGlobalStiffness(linearStiffness));
+            let memberStiffness = linearStiffness;
+            let iterations = 0;
+            const notConverged = (message) => ({
+                ...linearResult,
+                cable: { converged: false, iterations, loadSteps: cableLoadSteps, message }
+            });
+
+            for (let step = 1; step <= cableLoadSteps; step++) {
+                const factor = step / cableLoadSteps;
+                constrained_indices.forEach((idx, pos) => { D[idx] = D_s_constrained[pos] * factor; });
+                let converged = false;
+                for (let iteration = 1; iteration <= cableMaxIterations; iteration++) {
+                    if (pDelta) {
+                        const D_global = Array.from(D, value => [value]);
+                        const forces = recoverMemberForces({ members, D_global, fixedEndForces, memberLoadMap, spanLoadMap, is2DFrame, memberStiffness });
+                        memberStiffness = withoutCableStiffness(members.map((member, idx) => (inactive.has(idx)
+                            ? buildInactiveMemberStiffness(member, is2DFrame)
+                            : (isCableMember(member) ? null : buildSecondOrderMemberStiffness(member, getMemberTensionForce(forces[idx]), is2DFrame)))));
+                        K_frame = addSupportSprings(assembleGlobalStiffness(memberStiffness));
+                    }
+                    // 残差力 = 荷重 − 部材の内力（ケーブルの張力による節点力を含む）
+                    const cableStates = evaluateCables(D);
+                    const internal = K_frame.multiplyVector(D);
+                    cableStates.forEach(({ indices, direction, tension }) => {
+                        const span = direction.length;
+                        indices.forEach((idx, a) => { internal[idx] += (a < span ? -1 : 1) * tension * direction[a % span]; });
+                    });
+                    const residual = free_indices.map(idx => factor * F_global[idx][0] - internal[idx]);
+                    // 収束判定の基準は荷重とケーブル張力の最大値
+                    const scale = cableStates.reduce(
+                        (max, { tension }) => Math.max(max, tension),
+                        free_indices.reduce((max, idx) => Math.max(max, Math.abs(factor * F_global[idx][0])), Number.MIN_VALUE)
+                    );
+                    if (residual.reduce((max, value) => Math.max(max, Math.abs(value)), 0) <= cableTolerance * scale) {
+                        converged = true;
+                        break;
+                    }
+                    iterations++;
+                    const K_tangent = addCableTangentStiffness(sparse.extractSubmatrix(K_frame, free_indices), cableStates, idx => freePositions.get(idx));
+                    const increment = sparse.solveMultiple(K_tangent, [residual], { order: freeOrder })?.[0];
+                    if (!increment) {
+                        return notConverged(`荷重段階 ${step}/${cableLoadSteps} で接線剛性が特異となり解を求めることができませんでした。構造が不安定である可能性があります。`);
+                    }
+                    free_indices.forEach((idx, pos) => { D[idx] += increment[pos]; });
+                }
+                if (!converged) {
+                    return notConverged(`荷重段階 ${step}/${cableLoadSteps} で${cableMaxIterations}回の反復では残差力が収束しませんでした。`);
+                }
+            }
+
+            const result = buildCaseResult(caseIndex, free_indices.map(idx => D[idx]), K_frame, memberStiffness);
+            const cableStates = evaluateCables(D);
+            const constrainedSet = new Set(constrained_indices);
+            cableStates.forEach(({ idx, indices, direction, tension, length, unstressedLength, slack }) => {
+                const span = direction.length;
+                indices.forEach((dofIndex, a) => {
+                    if (constrainedSet.has(dofIndex)) result.R[dofIndex][0] += (a < span ? -1 : 1) * tension * direction[a % span];
+                });
+                const force = result.forces[idx];
+                result.forces[idx] = {
+                    ...force,
+                    N_i: force.N_i - tension,
+                    N_j: force.N_j + tension,
+                    cable: { tension, length, unstressedLength, slack }
+                };
+            });
+            const withCable = { ...result, cable: { converged: true, iterations, loadSteps: cableLoadSteps, message: '' } };
+            return linearResult.axialOnly ? withAxialOnlyState(withCable, inactive, linearResult.axialOnly) : withCable;
+        };
+        reportProgress('cable', 0);
+        return cases.map((linearResult, caseIndex) => {
+            const caseResult = solveCableCase(caseIndex, linearResult);
+            reportProgress('cable', (caseIndex + 1) / cases.length);
+            return caseResult;
+        });
+    };
+
+    /**
+     * 線形座屈解析: 基準荷重ケースの軸力による幾何剛性 K_G で (K + λK_G)φ = 0 を解き、座屈荷重係数 λ を小さい順に求める
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @param {object[]} cases - 各ケースの1次解析の結果
+     * @param {object|boolean} settings - options.buckling { caseId, modeCount }（true は既定値）
+     * @returns {object} { caseId, caseName, requestedModes, modes }
+     */
+    const analyzeBuckling = (assembled, cases, settings) => {
+        const { members, is2DFrame, K_global, reportProgress, assembleGlobalStiffness, getStiffFreeDofs, toModeDisplacement } = assembled;
+        const { caseId = null, modeCount = 3 } = settings === true ? {} : settings;
+        const referenceIndex = caseId === null ? 0 : cases.findIndex(caseResult => caseResult.id === caseId);
+        if (referenceIndex === -1) {
+            throw new Error(`座屈解析の基準荷重ケース ${caseId} がありません。`);
+        }
+        const reference = cases[referenceIndex];
+        reportProgress('buckling', 0);
+        const K_G = assembleGlobalStiffness(members.map((member, idx) => buildLinearGeometricStiffness(
+            member, getMemberTensionForce(reference.forces[idx]), is2DFrame
+        )));
+        const stiff = getStiffFreeDofs();
+        const negativeKG = sparse.extractSubmatrix(K_G, stiff.indices);
+        negativeKG.rows.forEach(row => row.forEach((value, col) => row.set(col, -value)));
+        const eigen = sparse.solveGeneralizedEigen(sparse.extractSubmatrix(K_global, stiff.indices), negativeKG, {
+            count: modeCount,
+            order: stiff.order,
+            onProgress: (fraction) => reportProgress('buckling', fraction)
+        });
+        return {
+            caseId: reference.id,
+            caseName: reference.name,
+            requestedModes: modeCount,
+            modes: eigen.values.map((factor, modeIndex) => ({
+                mode: modeIndex + 1,
+                factor,
+                D: toModeDisplacement(eigen.vectors[modeIndex], stiff.indices)
+            }))
+        };
+    };
+
+    /**
+     * 固有値解析: 質量マトリックス M で Kφ = ω²Mφ を解き、固有周期と方向別の刺激係数・有効質量比を求める
+     * 応答スペクトル解析・時刻歴応答解析は、ここで求めた固有モード（basis）を用いる
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @param {object|boolean|undefined} settings - options.modal { modeCount, massType, nodalMasses }（true・未指定は既定値）
+     * @returns {object} { modal, basis: { stiff, M, directions, normalizedShapes } }
+     */
+    const analyzeModal = (assembled, settings) => {
+        const { nodes, members, is2DFrame, dofPerNode, translationalDofCount, K_global, reportProgress, assembleGlobalStiffness, getStiffFreeDofs, toModeDisplacement } = assembled;
+        const { modeCount = 3, massType = 'lumped', nodalMasses = [] } = (settings && settings !== true) ? settings : {};
+        reportProgress('modal', 0);
+        // 質量マトリックスも剛性と同じ座標変換・自由度番号で組み立てる
+        const M_global = assembleGlobalStiffness(members.map(member => {
+            const m_local = buildMemberMassLocal(member, is2DFrame, massType);
+            return is2DFrame ? { k_local: m_local } : { k_local_3d: m_local };
+        }));
+        nodalMasses.forEach(({ nodeIndex, mass }) => {
+            if (!(mass > 0) || !(nodeIndex >= 0 && nodeIndex < nodes.length)) return;
+            for (let k = 0; k < translationalDofCount; k++) {
+                M_global.add(nodeIndex * dofPerNode + k, nodeIndex * dofPerNode + k, mass);
+            }
+        });
+
+        const stiff = getStiffFreeDofs();
+        const M = sparse.extractSubmatrix(M_global, stiff.indices);
+        // 2次元フレームの面内鉛直方向は解析上のY軸（全体座標のZ軸）
+        const directions = (is2DFrame ? ['X', 'Z'] : ['X', 'Y', 'Z']).map((label, component) => {
+            const influence = stiff.indices.map(globalIdx => (globalIdx % dofPerNode === component ? 1 : 0));
+            const M_influence = M.multiplyVector(influence);
+            return { label, component, M_influence, totalMass: influence.reduce((sum, value, pos) => sum + value * M_influence[pos], 0) };
+        });
+        if (directions.every(direction => !(direction.totalMass > 0))) {
+            throw new Error('質量が0のため固有値解析を行えません。部材の密度または節点質量を入力してください。');
+        }
+
+        const eigen = sparse.solveGeneralizedEigen(sparse.extractSubmatrix(K_global, stiff.indices), M, {
+            count: modeCount,
+            order: stiff.order,
+            onProgress: (fraction) => reportProgress('modal', fraction)
+        });
+        const totalMass = {};
+        directions.forEach(({ label, totalMass: mass }) => { totalMass[label] = mass; });
+        // φᵀMφ = 1 に正規化したモード（応答スペクトル解析で使う）
+        const normalizedShapes = eigen.vectors.map(shape => {
+            const M_shape = M.multiplyVector(shape);
+            const generalizedMass = shape.reduce((sum, value, pos) => sum + value * M_shape[pos], 0);
+            const scale = 1 / Math.sqrt(generalizedMass);
+            return { shape: shape.map(value => value * scale), M_shape: M_shape.map(value => value * scale) };
+        });
+        const modal = {
+            massType,
+            requestedModes: modeCount,
+            directions: directions.map(direction => direction.label),
+            totalMass,
+            modes: eigen.values.map((omegaSquared, modeIndex) => {
+                const { shape, M_shape } = normalizedShapes[modeIndex];
+                const participationFactors = {};
+                const massRatios = {};
+                directions.forEach(({ label, M_influence, totalMass: mass }) => {
+                    // 刺激係数は φᵀMφ = 1 に正規化したモードに対する値
+                    const factor = shape.reduce((sum, value, pos) => sum + value * M_influence[pos], 0);
+                    participationFactors[label] = factor;
+                    massRatios[label] = mass > 0 ? factor * factor / mass : 0;
+                });
+                const omega = Math.sqrt(omegaSquared);
+                return {
+                    mode: modeIndex + 1,
+                    omega,
+                    frequency: omega / (2 * Math.PI),
+                    period: 2 * Math.PI / omega,
+                    participationFactors,
+                    massRatios,
+                    D: toModeDisplacement(shape, stiff.indices)
+                };
+            })
+        };
+        return { modal, basis: { stiff, M, directions, normalizedShapes } };
+    };
+
+    /**
+     * 応答スペクトル解析: モードごとの最大応答を設計用スペクトルから求め、SRSS法またはCQC法で組み合わせる
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @param {object} modalAnalysis - analyzeModal() の結果
+     * @param {object} settings - options.responseSpectrum { direction, combination, damping, spectrum }
+     * @returns {object} { direction, combination, damping, massRatio, baseShear, storeys, modes, D, R, forces }
+     */
+    const analyzeResponseSpectrum = (assembled, modalAnalysis, settings) => {
+        const { members, is2DFrame, dof, dofPerNode, K_global, constrained_indices, reportProgress, addSpringReactions, levels } = assembled;
+        const { modal, basis: modalBasis } = modalAnalysis;
+        const { direction = 'X', combination = 'CQC', damping = 0.05, spectrum = {} } = settings;
+        const excitation = modalBasis.directions.find(item => item.label === direction && item.label !== 'Z');
+        if (!excitation) {
+            throw new Error(`応答スペクトル解析の加振方向 ${direction} は指定できません（2次元フレームはX方向のみ）。`);
+        }
+        if (modal.modes.length === 0) {
+            throw new Error('応答スペクトル解析に使う振動モードが求められませんでした。');
+        }
+        reportProgress('response-spectrum', 0);
+        const { stiff, normalizedShapes } = modalBasis;
+        const { component, M_influence, totalMass } = excitation;
+        // 層せん断力は、その層の床（上側の節点の高さ）以上にある節点の慣性力の和
+        const storeyNodeSets = levels.slice(1).map(level => new Set(
+            levels.filter(item => item.elevation >= level.elevation).flatMap(item => item.nodeIndices)
+        ));
+        const sumAbove = (values, nodeSet) => stiff.indices.reduce((sum, globalIdx, pos) => (
+            globalIdx % dofPerNode === component && nodeSet.has(Math.floor(globalIdx / dofPerNode)) ? sum + values[pos] : sum
+        ), 0);
+
+        const modeResponses = modal.modes.map((mode, modeIndex) => {
+            const { shape, M_shape } = normalizedShapes[modeIndex];
+            const participation = mode.participationFactors[direction];
+            const acceleration = getSpectralAcceleration(spectrum, mode.period);
+            // モードの最大変位 u = Γ・Sa/ω²・φ、慣性力 f = Γ・Sa・Mφ
+            const displacementScale = participation * acceleration / (mode.omega * mode.omega);
+            const D_mode = mat.create(dof, 1);
+            stiff.indices.forEach((globalIdx, pos) => { D_mode[globalIdx][0] = displacementScale * shape[pos]; });
+            const KD = K_global.multiplyVector(D_mode.map(row => row[0]));
+            const R_mode = mat.create(dof, 1);
+            constrained_indices.forEach(idx => { R_mode[idx][0] = KD[idx]; });
+            addSpringReactions(R_mode, D_mode);
+            const inertia = M_shape.map(value => participation * acceleration * value);
+            reportProgress('response-spectrum', (modeIndex + 1) / modal.modes.length);
+            return {
+                mode: mode.mode,
+                period: mode.period,
+                acceleration,
+                baseShear: inertia.reduce((sum, value, pos) => (stiff.indices[pos] % dofPerNode === component ? sum + value : sum), 0),
+                storeyShears: storeyNodeSets.map(nodeSet => sumAbove(inertia, nodeSet)),
+                D: D_mode,
+                R: R_mode,
+                forces: recoverMemberForces({ members, D_global: D_mode, fixedEndForces: [], memberLoadMap: new Map(), is2DFrame })
+            };
+        });
+
+        // CQC法はモード間の相関を考慮し、SRSS法は相関を無視する（相関係数は対角のみ 1）
+        const correlation = modal.modes.map((modeI, i) => modal.modes.map((modeJ, j) => {
+            if (i === j) return 1;
+            return combination === 'CQC' ? getModalCorrelation(modeI.omega, modeJ.omega, damping) : 0;
+        }));
+        const combine = (values) => {
+            let sum = 0;
+            let dominant = 0;
+            values.forEach((value, i) => {
+                if (Math.abs(value) > Math.abs(values[dominant])) dominant = i;
+                values.forEach((other, j) => { sum += correlation[i][j] * value * other; });
+            });
+            return Math.sign(values[dominant]) * Math.sqrt(Math.max(sum, 0));
+        };
+        const combineVector = (key) => modeResponses[0][key].map((row, idx) => [combine(modeResponses.map(response => response[key][idx][0]))]);
+        const massRatio = modal.modes.reduce((sum, mode) => sum + mode.massRatios[direction], 0);
+
+        return {
+            direction,
+            combination,
+            damping,
+            massRatio,
+            totalMass,
+            baseShear: Math.abs(combine(modeResponses.map(response => response.baseShear))),
+            storeys: levels.slice(1).map((level, index) => {
+                const mass = sumAbove(M_influence, storeyNodeSets[index]);
+                const shear = Math.abs(combine(modeResponses.map(response => response.storeyShears[index])));
+                return {
+                    storey: index + 1,
+                    elevation: level.elevation,
+                    weight: mass * GRAVITY,
+                    shear,
+                    // 層せん断力係数 Ci = Qi / ΣWi
+                    shearCoefficient: mass > 0 ? shear / (mass * GRAVITY) : null
+                };
+            }),
+            modes: modeResponses.map(({ mode, period, acceleration, baseShear }) => ({ mode, period, acceleration, baseShear })),
+            D: combineVector('D'),
+            R: combineVector('R'),
+            forces: members.map((_, memberIndex) => combineModalFields(modeResponses.map(response => response.forces[memberIndex]), combine))
+        };
+    };
+
+    /**
+     * 時刻歴応答解析: 地動加速度 ag による M ü + C u̇ + K u = -M r ag を Newmark-β法で解く（u は地盤に対する相対変位）
+     * 減衰はレイリー減衰 C = αM + βK とし、1次・2次の固有円振動数で減衰定数 h となるように α・β を決める
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @param {object} modalAnalysis - analyzeModal() の結果
+     * @param {object} settings - options.timeHistory { direction, accelerations, timeStep, damping, beta, frameCount }
+     * @returns {object} { time, groundAcceleration, baseShear, peakBaseShear, nodeDisplacements, peakForces, peakForceTimes, frames, ... }
+     */
+    const analyzeTimeHistory = (assembled, modalAnalysis, settings) => {
+        const { nodes, members, is2DFrame, dof, dofPerNode, K_global, constrained_indices, supportSprings, reportProgress } = assembled;
+        const { modal, basis: modalBasis } = modalAnalysis;
+        const { direction = 'X', accelerations = [], timeStep, damping = 0.02, beta = 0.25, frameCount = 200 } = settings;
+        const excitation = modalBasis.directions.find(item => item.label === direction && item.label !== 'Z');
+        if (!excitation) {
+            throw new Error(`時刻歴応答解析の加振方向 ${direction} は指定できません（2次元フレームはX方向のみ）。`);
+        }
+        if (!(timeStep > 0) || accelerations.length < 2) {
+            throw new Error('時刻歴応答解析の地動加速度と時間刻みを入力してください。');
+        }
+        if (modal.modes.length === 0) {
+            throw new Error('時刻歴応答解析の減衰を決める振動モードが求められませんでした。');
+        }
+        reportProgress('time-history', 0);
+        const { stiff, M } = modalBasis;
+        const { component, M_influence } = excitation;
+        const K = sparse.extractSubmatrix(K_global, stiff.indices);
+        const size = stiff.indices.length;
+        const omega1 = modal.modes[0].omega;
+        const omega2 = modal.modes.length > 1 ? modal.modes[1].omega : omega1;
+        const alpha = 2 * damping * omega1 * omega2 / (omega1 + omega2);
+        const betaK = 2 * damping / (omega1 + omega2);
+
+        const gamma = 0.5;
+        const dt = timeStep;
+        const c0 = 1 / (beta * dt * dt);
+        const c1 = gamma / (beta * dt);
+        const c2 = 1 / (beta * dt);
+        const c3 = 1 / (2 * beta) - 1;
+        const c4 = gamma / beta - 1;
+        const c5 = dt * (gamma / (2 * beta) - 1);
+        // 有効剛性 K_eff = K + c1・C + c0・M は時刻によらないので一度だけ分解する
+        const K_eff = sparse.createSparseMatrix(size);
+        K.rows.forEach((row, r) => row.forEach((value, c) => K_eff.add(r, c, (1 + c1 * betaK) * value)));
+        M.rows.forEach((row, r) => row.forEach((value, c) => K_eff.add(r, c, (c0 + c1 * alpha) * value)));
+        const factor = sparse.factorize(K_eff, { order: stiff.order, allowZeroPivots: true });
+        if (!factor.success) {
+            throw new Error('時刻歴応答解析の有効剛性マトリックスを分解できませんでした。');
+        }
+
+        // ベースシアは支点反力の加振方向成分の和（K_sf・u の行を足し合わせた係数で求める）
+        const stiffPosition = new Map(stiff.indices.map((globalIdx, pos) => [globalIdx, pos]));
+        const baseShearRow = new Float64Array(size);
+        constrained_indices.forEach(constrainedIdx => {
+            if (constrainedIdx % dofPerNode !== component) return;
+            K_global.rows[constrainedIdx].forEach((value, col) => {
+                const pos = stiffPosition.get(col);
+                if (pos !== undefined) baseShearRow[pos] += value;
+            });
+        });
+        supportSprings.forEach(({ indices, vector, stiffness }) => {
+            indices.forEach((row, p) => {
+                if (row % dofPerNode !== component) return;
+                indices.forEach((col, q) => {
+                    const pos = stiffPosition.get(col);
+                    if (pos !== undefined) baseShearRow[pos] -= stiffness * vector[p] * vector[q];
+                });
+            });
+        });
+        const nodePositions = nodes.map((_, nodeIndex) => stiffPosition.get(nodeIndex * dofPerNode + component));
+
+        const stepCount = accelerations.length;
+        const frameInterval = Math.max(1, Math.ceil(stepCount / frameCount));
+        const time = new Float64Array(stepCount);
+        const baseShear = new Float64Array(stepCount);
+        const nodeDisplacements = nodes.map(() => new Float64Array(stepCount));
+        const frames = [];
+        const peakForces = members.map(() => ({}));
+        const peakForceTimes = members.map(() => ({}));
+        let peakBaseShear = { value: 0, time: 0 };
+
+        const toGlobalDisplacement = (u) => {
+            const D = mat.create(dof, 1);
+            stiff.indices.forEach((globalIdx, pos) => { D[globalIdx][0] = u[pos]; });
+            return D;
+        };
+        const recordStep = (step, u) => {
+            const t = step * dt;
+            time[step] = t;
+            let shear = 0;
+            for (let pos = 0; pos < size; pos++) shear += baseShearRow[pos] * u[pos];
+            baseShear[step] = shear;
+            if (Math.abs(shear) > Math.abs(peakBaseShear.value)) peakBaseShear = { value: shear, time: t };
+            nodePositions.forEach((pos, nodeIndex) => {
+                if (pos !== undefined) nodeDisplacements[nodeIndex][step] = u[pos];
+            });
+            const D = toGlobalDisplacement(u);
+            const forces = recoverMemberForces({ members, D_global: D, fixedEndForces: [], memberLoadMap: new Map(), is2DFrame });
+            forces.forEach((force, memberIndex) => {
+                Object.keys(force).forEach(key => {
+                    if (typeof force[key] !== 'number' || Math.abs(force[key]) <= Math.abs(peakForces[memberIndex][key] || 0)) return;
+                    peakForces[memberIndex][key] = force[key];
+                    peakForceTimes[memberIndex][key] = t;
+                });
+            });
+            if (step % frameInterval === 0 || step === stepCount - 1) frames.push({ time: t, D });
+        };
+
+        // 静止状態から始め、初期加速度は M ü0 = -M r ag0 を満たす ü0 = -r ag0 とする
+        let u = new Float64Array(size);
+        let v = new Float64Array(size);
+        let a = Float64Array.from(stiff.indices, globalIdx => (globalIdx % dofPerNode === component ? -accelerations[0] : 0));
+        recordStep(0, u);
+        const combined = new Float64Array(size);
+        const dampingTerm = new Float64Array(size);
+        for (let step = 1; step < stepCount; step++) {
+            for (let pos = 0; pos < size; pos++) {
+                dampingTerm[pos] = c1 * u[pos] + c4 * v[pos] + c5 * a[pos];
+                combined[pos] = c0 * u[pos] + c2 * v[pos] + c3 * a[pos] + alpha * dampingTerm[pos];
+            }
+            const M_combined = M.multiplyVector(combined);
+            const K_damping = K.multiplyVector(dampingTerm);
+            const rhs = new Float64Array(size);
+            for (let pos = 0; pos < size; pos++) {
+                rhs[pos] = -M_influence[pos] * accelerations[step] + M_combined[pos] + betaK * K_damping[pos];
+            }
+            const uNext = sparse.substitute(factor.skyline, rhs);
+            const aNext = new Float64Array(size);
+            const vNext = new Float64Array(size);
+            for (let pos = 0; pos < size; pos++) {
+                aNext[pos] = c0 * (uNext[pos] - u[pos]) - c2 * v[pos] - c3 * a[pos];
+                vNext[pos] = v[pos] + dt * ((1 - gamma) * a[pos] + gamma * aNext[pos]);
+            }
+            if (uNext.some(value => !Number.isFinite(value))) {
+                throw new Error(`時刻歴応答解析の変位が発散しました（${(step * dt).toFixed(3)} 秒）。`);
+            }
+            u = uNext;
+            v = vNext;
+            a = aNext;
+            recordStep(step, u);
+            if (step % 50 === 0) reportProgress('time-history', step / stepCount);
+        }
+
+        return {
+            direction,
+            timeStep: dt,
+            damping,
+            beta,
+            rayleigh: { alpha, beta: betaK },
+            time,
+            groundAcceleration: Float64Array.from(accelerations),
+            baseShear,
+            peakBaseShear,
+            nodeDisplacements,
+            peakForces,
+            peakForceTimes,
+            frames
+        };
+    };
+
+    /**
+     * プッシュオーバー解析: 鉛直荷重を与えた状態から荷重パターンの荷重係数 λ を増やし、材端の曲げモーメントが全塑性モーメントに
+     * 達するごとに塑性ヒンジ（その軸の回転の解放）を加えて剛性を更新する（イベント・トゥ・イベント法、微小変形）
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @param {object[]} cases - 各ケースの1次解析の結果
+     * @param {object} settings - options.pushover { caseId, gravityCaseId, direction, controlNode, targetDisplacement, maxSteps }
+     * @returns {object} { caseId, caseName, gravityCaseId, gravityCaseName, direction, controlNode, targetDisplacement, steps, hinges, stopReason, message, D, forces }
+     */
+    const analyzePushover = (assembled, cases, settings) => {
+        const { nodes, members, is2DFrame, dof, dofPerNode, caseData, freeOrder, free_indices, cableMembers, reportProgress, assembleGlobalStiffness, addSupportSprings } = assembled;
+        const { caseId = null, gravityCaseId = null, direction = 'X', controlNode = null, targetDisplacement = null, maxSteps = 50 } = settings;
+        const findCaseIndex = (id, label) => {
+            const index = id === null ? 0 : cases.findIndex(caseResult => caseResult.id === id);
+            if (index === -1) {
+                throw new Error(`プッシュオーバー解析の${label} ${id} がありません。`);
+            }
+            return index;
+        };
+        const component = { X: 0, Y: 1 }[direction];
+        if (component === undefined || (is2DFrame && component !== 0)) {
+            throw new Error(`プッシュオーバー解析の載荷方向 ${direction} は指定できません（2次元フレームはX方向のみ）。`);
+        }
+        if (cableMembers.length > 0) {
+            throw new Error('ケーブル部材のあるモデルではプッシュオーバー解析を行えません。');
+        }
+        const patternIndex = findCaseIndex(caseId, '荷重パターンの荷重ケース');
+        const pattern = caseData[patternIndex];
+        const patternName = pattern.loadCase.name || pattern.loadCase.id;
+        // 部材荷重の固定端力はヒンジの発生で変わるため、荷重パターンには節点荷重だけを用いる
+        if (Object.keys(pattern.fixedEndForces).length > 0) {
+            throw new Error(`プッシュオーバー解析の荷重パターン（荷重ケース ${patternName}）には節点荷重だけを与えてください。`);
+        }
+        const F_pattern = free_indices.map(idx => pattern.F_global[idx][0]);
+        const patternShear = free_indices.reduce((sum, idx, pos) => (idx % dofPerNode === component ? sum + F_pattern[pos] : sum), 0);
+        if (Math.abs(patternShear) < 1e-12) {
+            throw new Error(`プッシュオーバー解析の荷重パターン（荷重ケース ${patternName}）に${direction}方向の荷重がありません。`);
+        }
+        if (controlNode !== null && !(controlNode >= 0 && controlNode < nodes.length)) {
+            throw new Error(`プッシュオーバー解析の制御節点 ${controlNode + 1} がありません。`);
+        }
+
+        // 鉛直荷重ケースの1次解析の結果を初期状態とする（引張専用・圧縮専用で無効な部材はその判定のまま除く）
+        const gravity = gravityCaseId === null ? null : cases[findCaseIndex(gravityCaseId, '鉛直荷重の荷重ケース')];
+        const inactive = new Set((gravity || cases[patternIndex]).axialOnly?.inactiveMembers || []);
+        const D = gravity ? Float64Array.from(gravity.D, row => row[0]) : new Float64Array(dof);
+        let forces = gravity
+            ? gravity.forces
+            : recoverMemberForces({ members, D_global: mat.create(dof, 1), fixedEndForces: {}, memberLoadMap: new Map(), is2DFrame });
+        const getEndMoment = (force, end, axis) => {
+            const source = force.faceForces || force;
+            return is2DFrame ? source[`M_${end}`] : source[`${axis}_${end}`];
+        };
+        const candidates = members.flatMap((member, idx) => (inactive.has(idx)
+            ? []
+            : getPlasticHingeCandidates(member, is2DFrame).map(candidate => ({ ...candidate, memberIndex: idx }))));
+        candidates.forEach(({ memberIndex, end, axis, Mp }) => {
+            if (Math.abs(getEndMoment(forces[memberIndex], end, axis)) >= Mp) {
+                throw new Error(`鉛直荷重だけで部材 ${memberIndex + 1} の${end}端の曲げモーメント ${axis} が全塑性モーメントを超えています。`);
+            }
+        });
+
+        reportProgress('pushover', 0);
+        const hinges = [];
+        let loadFactor = 0;
+        let control = controlNode;
+        const getControlDisplacement = () => (control === null ? 0 : D[control * dofPerNode + component]);
+        const steps = [];
+        const recordStep = (step) => steps.push({
+            step,
+            loadFactor,
+            baseShear: loadFactor * patternShear,
+            displacement: getControlDisplacement(),
+            hingeCount: hinges.length
+        });
+        let stopReason = 'max-steps';
+        let message = `${maxSteps}段階で解析を打ち切りました。`;
+
+        for (let step = 1; step <= maxSteps; step++) {
+            const memberStiffness = members.map((member, idx) => {
+                if (inactive.has(idx)) return buildInactiveMemberStiffness(member, is2DFrame);
+                const memberHinges = hinges.filter(hinge => hinge.memberIndex === idx);
+                return memberHinges.length > 0 ? buildHingedMemberStiffness(member, memberHinges, is2DFrame) : null;
+            });
+            const K_step = addSupportSprings(assembleGlobalStiffness(memberStiffness));
+            const solution = sparse.solveMultiple(sparse.extractSubmatrix(K_step, free_indices), [F_pattern], { order: freeOrder })?.[0];
+            if (!solution) {
+                stopReason = 'mechanism';
+                message = `塑性ヒンジ ${hinges.length} 個で崩壊機構が形成されました。`;
+                break;
+            }
+            // 荷重係数 1 あたりの変位・断面力の増分
+            const D_unit = mat.create(dof, 1);
+            free_indices.forEach((idx, pos) => { D_unit[idx][0] = solution[pos]; });
+            const unitForces = recoverMemberForces({ members, D_global: D_unit, fixedEndForces: {}, memberLoadMap: new Map(), is2DFrame, memberStiffness });
+            if (control === null) {
+                // 制御節点の既定は、最初の増分で載荷方向の変位が最大の節点
+                control = nodes.reduce((best, _, idx) => (
+                    Math.abs(D_unit[idx * dofPerNode + component][0]) > Math.abs(D_unit[best * dofPerNode + component][0]) ? idx : best
+                ), 0);
+                steps.forEach(item => { item.displacement = getControlDisplacement(); });
+            }
+            if (steps.length === 0) recordStep(0);
+
+            // 次のヒンジが生じるまでの荷重係数の増分（モーメントが ±Mp に達するまで）
+            const hingeIncrements = candidates
+                .filter(candidate => !hinges.some(hinge => hinge.memberIndex === candidate.memberIndex && hinge.end === candidate.end && hinge.axis === candidate.axis))
+                .map(candidate => {
+                    const moment = getEndMoment(forces[candidate.memberIndex], candidate.end, candidate.axis);
+                    const rate = getEndMoment(unitForces[candidate.memberIndex], candidate.end, candidate.axis);
+                    const increment = Math.abs(rate) > 1e-12 ? (Math.sign(rate) * candidate.Mp - moment) / rate : Infinity;
+                    return { ...candidate, increment: Math.max(increment, 0), sign: Math.sign(rate) };
+                });
+            let increment = hingeIncrements.reduce((min, item) => Math.min(min, item.increment), Infinity);
+            let reachedTarget = false;
+            const controlRate = D_unit[control * dofPerNode + component][0];
+            if (targetDisplacement > 0 && Math.abs(controlRate) > 1e-15) {
+                const targetIncrement = (targetDisplacement - Math.abs(getControlDisplacement())) / Math.abs(controlRate);
+                if (targetIncrement <= increment) {
+                    increment = Math.max(targetIncrement, 0);
+                    reachedTarget = true;
+                }
+            }
+            if (!Number.isFinite(increment)) {
+                stopReason = 'no-hinge';
+                message = 'これ以上塑性ヒンジが生じる材端がありません（全塑性モーメントを持たない部材だけが荷重を負担しています）。';
+                break;
+            }
+
+            for (let idx = 0; idx < dof; idx++) D[idx] += increment * D_unit[idx][0];
+            forces = forces.map((force, idx) => combineModalFields([force, unitForces[idx]], ([value, rate = 0]) => value + increment * rate));
+            loadFactor += increment;
+            if (!reachedTarget) {
+                const tolerance = PLASTIC_HINGE_TOLERANCE * Math.max(loadFactor, 1);
+                hingeIncrements
+                    .filter(item => item.increment - increment <= tolerance)
+                    .forEach(({ memberIndex, end, axis, Mp, sign }) => {
+                        hinges.push({ order: hinges.length + 1, step, memberIndex, end, axis, moment: sign * Mp, loadFactor });
+                    });
+            }
+            recordStep(step);
+            reportProgress('pushover', step / maxSteps);
+            if (reachedTarget) {
+                stopReason = 'target';
+                message = '';
+                break;
+            }
+        }
+        if (steps.length === 0) {
+            throw new Error(`プッシュオーバー解析の荷重パターン（荷重ケース ${patternName}）を与えると構造が不安定になります。`);
+        }
+
+        return {
+            caseId: pattern.loadCase.id,
+            caseName: pattern.loadCase.name,
+            gravityCaseId: gravity ? gravity.id : null,
+            gravityCaseName: gravity ? gravity.name : null,
+            direction,
+            controlNode: control,
+            targetDisplacement,
+            steps,
+            hinges,
+            stopReason,
+            message,
+            D: Array.from(D, value => [value]),
+            forces
+        };
+    };
+
+    /**
+     * P-Δ解析: 各ケースの1次解析の軸力による幾何剛性を加えて、変位が収束するまで反復計算する
+     * @param {object} assembled - assembleAnalysisModel() で組み立てた解析モデル
+     * @param {object[]} cases - 各ケースの1次解析の結果
+     * @param {object|boolean} settings - options.pDelta { maxIterations, tolerance }（true は既定値）
+     * @returns {object[]} pDelta を付けた各ケースの結果（収束しなかったケースは1次解析のまま）
+     */
+    const analyzePDelta = (assembled, cases, settings) => {
+        const { members, is2DFrame, dofPerNode, caseData, caseVectors, free_indices, constrained_indices, reportProgress, assembleGlobalStiffness, addSupportSprings, buildCaseResult, getStiffFreeDofs, levels } = assembled;
+        // 上下の層の平均水平変位の差（層間変位）を1次・2次解析で比べる
+        const getAverageLateralDisplacement = (D, nodeIndices) => {
+            let x = 0;
+            let y = 0;
+            nodeIndices.forEach(idx => {
+                x += D[idx * dofPerNode][0];
+                if (!is2DFrame) y += D[idx * dofPerNode + 1][0];
+            });
+            return { x: x / nodeIndices.length, y: y / nodeIndices.length };
+        };
+        const buildStoreyAmplification = (D_first, D_second) => levels.slice(1).map((level, index) => {
+            const below = levels[index];
+            const getDrift = (D) => {
+                const upper = getAverageLateralDisplacement(D, level.nodeIndices);
+                const lower = getAverageLateralDisplacement(D, below.nodeIndices);
+                return Math.hypot(upper.x - lower.x, upper.y - lower.y);
+            };
+            const firstOrderDrift = getDrift(D_first);
+            const secondOrderDrift = getDrift(D_second);
+            return {
+                storey: index + 1,
+                elevation: level.elevation,
+                height: level.elevation - below.elevation,
+                firstOrderDrift,
+                secondOrderDrift,
+                // 1次の層間変位がない層（鉛直荷重のみの対称骨組など）は増幅率を求めない
+                amplification: firstOrderDrift > 1e-12 ? secondOrderDrift / firstOrderDrift : null
+            };
+        });
+
+        // 14. P-Δ解析: 前回の軸力から幾何剛性を加えた2次剛性で解き直し、変位の増分が十分小さくなるまで繰り返す
+        const { maxIterations = 30, tolerance = 1e-4 } = settings === true ? {} : settings;
+        const solvePDeltaCase = (caseIndex, linearResult) => {
+            // ケーブル部材のあるモデルは、ケーブルの大変形解析の反復に2次剛性を含めて解いている
+            if (linearResult.cable) {
+                const { converged, iterations, message } = linearResult.cable;
+                return { ...linearResult, pDelta: { converged, iterations, message, storeys: [] } };
+            }
+            const { F_global } = caseData[caseIndex];
+            const { D_s_constrained } = caseVectors[caseIndex];
+            const notConverged = (iterations, message) => ({
+                ...linearResult,
+                pDelta: { converged: false, iterations, message, storeys: [] }
+            });
+
+            // 引張専用・圧縮専用で無効とした部材は、1次解析の判定のまま剛性を持たない部材とする
+            const inactive = new Set(linearResult.axialOnly?.inactiveMembers || []);
+            let current = linearResult;
+            for (let iteration = 1; iteration <= maxIterations; iteration++) {
+                const memberStiffness = members.map((member, idx) => (inactive.has(idx)
+                    ? buildInactiveMemberStiffness(member, is2DFrame)
+                    : buildSecondOrderMemberStiffness(member, getMemberTensionForce(current.forces[idx]), is2DFrame)));
+                const K_tangent = addSupportSprings(assembleGlobalStiffness(memberStiffness));
+                const stiff = getStiffFreeDofs();
+                const Kfs_Ds = sparse.multiplyPartition(K_tangent, stiff.indices, constrained_indices, D_s_constrained);
+                const F_modified = stiff.indices.map((idx, pos) => F_global[idx][0] - Kfs_Ds[pos]);
+                const factor = sparse.factorize(sparse.extractSubmatrix(K_tangent, stiff.indices), { order: stiff.order, allowZeroPivots: true });
+                if (!factor.success || factor.negativePivots > 0) {
+                    return notConverged(iteration, '幾何剛性を考慮した剛性マトリックスが正定値でなくなりました（圧縮力が座屈荷重を超えている可能性があります）。');
+                }
+                const D_stiff = sparse.substitute(factor.skyline, F_modified);
+                if (D_stiff.some(value => !Number.isFinite(value))) {
+                    return notConverged(iteration, '変位が発散しました。');
+                }
+                const D_f = new Array(free_indices.length).fill(0);
+                stiff.positions.forEach((freePos, pos) => { D_f[freePos] = D_stiff[pos]; });
+
+                const next = buildCaseResult(caseIndex, D_f, K_tangent, memberStiffness);
+                let change = 0;
+                let scale = 0;
+                next.D.forEach((row, idx) => {
+                    change = Math.max(change, Math.abs(row[0] - current.D[idx][0]));
+                    scale = Math.max(scale, Math.abs(row[0]));
+                });
+                current = next;
+                if (change <= tolerance * scale) {
+                    const converged = {
+                        ...next,
+                        pDelta: { converged: true, iterations: iteration, message: '', storeys: buildStoreyAmplification(linearResult.D, next.D) }
+                    };
+                    return linearResult.axialOnly ? withAxialOnlyState(converged, inactive, linearResult.axialOnly) : converged;
+                }
+            }
+            return notConverged(maxIterations, `${maxIterations}回の反復で変位が収束しませんでした。`);
+        };
+
+        reportProgress('p-delta', 0);
+        return cases.map((linearResult, caseIndex) => {
+            const caseResult = solvePDeltaCase(caseIndex, linearResult);
+            reportProgress('p-delta', (caseIndex + 1) / cases.length);
+            return caseResult;
+        });
+    };
+
+    /**
+     * 荷重ケースごとに構造モデルを線形静的解析する
+     * 全体剛性マトリックスの組立・分解は一度だけ行い、各ケースの荷重ベクトルを解き分ける。
+     * options.pDelta を指定した場合は、各ケースの1次解析の結果から幾何剛性を加えた反復計算（P-Δ解析）を行う。
+     * 節点・部材は複製してから解析に用い、引数のモデルは変更しない。
+     * 2次元フレーム（全節点のY座標が同一）の場合は複製した節点座標・部材情報をXY平面用に書き換えて、戻り値の nodes・members として返す。
+     * @param {object} model - { nodes, members }（parseInputs() と同じ形の節点・部材）
+     *   support が 'spring' の節点は springs { kx, ky, kz (kN/m), krx, kry, krz (kN·m/rad) } の支点ばねで支持する（反力は −k・変位）
+     *   ローラー・ばね支点の節点は supportAxes { angle, vector } で支点座標系を指定でき、拘束方向・ばねの向きを x′・y′・z′ 軸とする（getSupportLocalAxes を参照）
+     *   i_conn / j_conn が 'semi' の部材端は semiRigid { type: 'stiffness'|'fixity', iy, iz, jy, jz } の回転ばねで節点と接合する
+     *   rigidZones { i, j } (m) を持つ部材は両端の剛域を除いた長さを弾性部材とする
+     *   せん断断面積 Asy, Asz (m²) を持つ部材はせん断変形を考慮する（Timoshenko梁、2次元フレームでは Asy を用いる）
+     *   axialBehavior が 'tension-only' / 'compression-only' の部材は、軸力が圧縮・引張となるケースでは剛性を持たない部材として解き直す
+     *   cable { pretension (kN), unstressedLength (m) } を持つ部材は両端ピンのケーブルとし、大変形を考慮した Newton–Raphson 法で解く
+     *   （無応力長を省略した場合は、初期形状で初期張力 pretension となる長さを無応力長とする）
+     *   温度荷重には部材の線膨張係数 thermalExpansion (1/℃) を用いる（省略時は鋼材の値）
+     *   プッシュオーバー解析では plasticMoments { y, z } (kN·m、局所y・z軸まわりの全塑性モーメント) を持つ部材の材端に塑性ヒンジを生じさせる
+     * @param {Array<object>} loadCases - 荷重ケース { id, name, nodeLoads, memberLoads, thermalLoads, spanLoads, memberSelfWeights, nodeSelfWeights, forcedDisplacements }
+     *   nodeLoads は { nodeIndex, px, py, pz (kN), mx, my, mz (kN·m, グローバル軸まわりの右ねじ) } の節点荷重（2次元フレームのモーメントは面内の My だけを用いる）
+     *   memberLoads は { memberIndex, wx, wy, wz (kN/m), coordinateSystem: 'global'|'local', projected } の等分布荷重
+     *   （coordinateSystem が 'local' なら部材座標系の成分、projected が true ならグローバル成分を投影長あたりの値として扱う）
+     *   thermalLoads は { memberIndex, deltaT (℃), gradientY, gradientZ (局所y・z方向の温度勾配 ΔT/h, ℃/m) } の温度荷重
+     *   spanLoads は { memberIndex, type: 'point'|'moment'|'distributed', direction: 'x'|'y'|'z'（グローバル座標系）, a, b (節点 i からの距離 m), value, valueEnd } の部材途中の荷重
+     *   （集中荷重 value (kN)・集中モーメント value (kN·m) は位置 a、分布荷重は a〜b で value から valueEnd (kN/m) まで直線的に変わる）
+     *   forcedDisplacements が true のケースにだけ節点の強制変位を与える（数値の場合は強制変位をその係数倍で与える）
+     * @param {object} [options]
+     * @param {{x?: number, y?: number, z?: number}} [options.loadMultipliers] - 節点荷重の方向別倍率
+     * @param {Function} [options.diagnoseInstability] - 解が得られない場合に不安定要因の説明文を返す関数 (K_global, freeIndices, nodes, members, is2DFrame, inactiveMembers)
+     * @param {Function} [options.onProgress] - 進捗通知 (stage: 'assembly' | 'factorization' | 'recovery' | 'buckling' | 'modal' | 'response-spectrum' | 'time-history' | 'cable' | 'pushover' | 'p-delta', fraction: 0〜1)
+     * @param {{maxIterations?: number, tolerance?: number}} [options.pDelta] - P-Δ解析の反復回数の上限と収束判定値（変位増分/変位の最大値）
+     * @param {{loadSteps?: number, maxIterations?: number, tolerance?: number}} [options.cable] - ケーブル部材の解析の荷重段階数、段階ごとの反復回数の上限と収束判定値（残差力/荷重・張力の最大値）
+     * @param {{caseId?: string, modeCount?: number}} [options.buckling] - 線形座屈解析の基準荷重ケース（既定は先頭のケース）と求めるモード数
+     * @param {{modeCount?: number, massType?: 'lumped'|'consistent', nodalMasses?: Array<{nodeIndex: number, mass: number}>}} [options.modal]
+     *   固有値解析で求めるモード数、部材の質量マトリックスの種類、追加の節点質量 (t)（部材の質量は member.density [kg/m³] から求める）
+     * @param {{direction?: 'X'|'Y', combination?: 'SRSS'|'CQC', damping?: number, spectrum: object}} [options.responseSpectrum]
+     *   応答スペクトル解析の加振方向（2次元フレームはXのみ）、モードの組合せ方法、CQC法の減衰定数、設計用スペクトル（getSpectralAcceleration を参照）
+     *   固有値解析は options.modal の設定（省略時は既定値）で行う
+     * @param {{direction?: 'X'|'Y', accelerations: number[], timeStep: number, damping?: number, beta?: number, frameCount?: number}} [options.timeHistory]
+     *   時刻歴応答解析の加振方向、地動加速度 (m/s²、timeStep 秒ごと)、レイリー減衰の減衰定数（1次・2次モード）、Newmark法の β、アニメーション用に残す変位の数
+     * @param {{caseId?: string, gravityCaseId?: string, direction?: 'X'|'Y', controlNode?: number, targetDisplacement?: number, maxSteps?: number}} [options.pushover]
+     *   プッシュオーバー解析の荷重パターンの荷重ケース（節点荷重のみ、既定は先頭のケース）、先に与える鉛直荷重の荷重ケース、載荷方向（2次元フレームはXのみ）、
+     *   変位を調べる制御節点の番号（0始まり、既定は載荷方向の変位が最大の節点）、制御節点の目標変位 (m) と荷重段階（ヒンジの発生）の数の上限
+     * @returns {{ cases: Array<{ id: string, name: string, D: number[][], R: number[][], forces: object[], nodeLoads: object[], memberLoads: object[], thermalLoads: object[], spanLoads: object[], pDelta?: object }>, nodes: object[], members: object[], is2DFrame: boolean, fullyConstrained: boolean, buckling?: object, modal?: object, responseSpectrum?: object, timeHistory?: object, pushover?: object }}
+     *   部材途中の荷重のある部材の断面力には spanLoads（局所座標系の荷重 { type, a, b, value: {x, y, z}, valueEnd }）を付ける
+     *   半剛接合の部材の断面力には semiRigidRotations { iy, iz, jy, jz } （回転ばねの回転角 rad、3Dでは全体座標系の回転ベクトル i, j も）を付ける
+     *   剛域のある部材の断面力は節点位置の値とし、剛域端（柱・梁の面）の値を faceForces に付ける
+     *   引張専用・圧縮専用の部材があれば各ケースに axialOnly { converged, iterations, message, inactiveMembers } を付け、無効な部材の断面力に inactive: true を付ける
+     *   （部材を無効にすると不安定になる場合はエラーとし、diagnoseInstability には無効な部材の番号も渡す）
+     *   ケーブル部材があれば各ケースに cable { converged, iterations, loadSteps, message } を付け、ケーブルの断面力に cable { tension, length, unstressedLength, slack } を付ける
+     *   （収束しなかったケースの結果は初期張力による幾何剛性を含む1次解析のまま、P-Δ解析はケーブルの反復に含める）
+     *   P-Δ解析では各ケースに pDelta { converged, iterations, message, storeys } を付ける（収束しなかったケースの結果は1次解析のまま）
+     *   線形座屈解析では buckling { caseId, caseName, requestedModes, modes: [{ mode, factor, D }] } を付ける（2次元フレームでは面内の座屈のみ）
+     *   固有値解析では modal { massType, requestedModes, directions, totalMass, modes: [{ mode, omega, frequency, period, participationFactors, massRatios, D }] } を付ける
+     *   （有効質量比は拘束されていない自由度の質量に対する比）
+     *   応答スペクトル解析では responseSpectrum { direction, combination, damping, massRatio, baseShear, storeys, modes, D, R, forces } を付ける
+     *   （組み合わせた応答は絶対値に、各成分で寄与の最も大きいモードの符号を付けたもの）
+     *   時刻歴応答解析では timeHistory { time, groundAcceleration, baseShear, peakBaseShear, nodeDisplacements, peakForces, peakForceTimes, frames: [{ time, D }], ... } を付ける
+     *   （nodeDisplacements は節点ごとの加振方向の相対変位、peakForces は断面力の成分ごとの絶対値最大の値）
+     *   プッシュオーバー解析では pushover { caseId, caseName, gravityCaseId, gravityCaseName, direction, controlNode, targetDisplacement, steps, hinges, stopReason, message, D, forces } を付ける
+     *   （steps は荷重段階ごとの { step, loadFactor, baseShear, displacement, hingeCount }、hinges は発生順の { order, step, memberIndex, end, axis, moment, loadFactor }、
+     *   stopReason は 'target' | 'mechanism' | 'no-hinge' | 'max-steps'、D・forces は最終段階の変位と断面力）
+     */
+    const analyzeLoadCases = (model, loadCases, options = {}) => {
+        const assembled = assembleAnalysisModel(model, loadCases, options);
+        const { nodes, members, is2DFrame, free_indices } = assembled;
+        if (free_indices.length === 0) { // 完全拘束モデルの場合
+            return { cases: solveFullyConstrainedCases(assembled), nodes, members, is2DFrame, fullyConstrained: true };
+        }
+
+        let cases = solveLinearCases(assembled);
+        cases = solveAxialOnlyCases(assembled, cases);
+        cases = solveCableCases(assembled, cases, options.cable, Boolean(options.pDelta));
+        const buckling = options.buckling ? analyzeBuckling(assembled, cases, options.buckling) : null;
+        // 応答スペクトル解析・時刻歴応答解析を行う場合は、その固有モード・減衰を求めるために固有値解析を必ず行う
+        const modalAnalysis = (options.modal || options.responseSpectrum || options.timeHistory) ? analyzeModal(assembled, options.modal) : null;
+        const modal = modalAnalysis ? modalAnalysis.modal : null;
+        const responseSpectrum = options.responseSpectrum ? analyzeResponseSpectrum(assembled, modalAnalysis, options.responseSpectrum) : null;
+        const timeHistory = options.timeHistory ? analyzeTimeHistory(assembled, modalAnalysis, options.timeHistory) : null;
+        const pushover = options.pushover ? analyzePushover(assembled, cases, options.pushover) : null;
+        if (options.pDelta) cases = analyzePDelta(assembled, cases, options.pDelta);
+
+        return { cases, nodes, members, is2DFrame, fullyConstrained: false, buckling, modal, responseSpectrum, timeHistory, pushover };
+    };
+
+    /**
+     * 1つの荷重セットで構造解析を行う（全ての荷重と強制変位を1ケースとして解く）
+     * 引数のモデルは変更せず、解析用に書き換えた節点・部材を戻り値の nodes・members として返す。
+     * @param {object} model - parseInputs() と同じ形 { nodes, members, nodeLoads, memberLoads, thermalLoads, spanLoads, memberSelfWeights, nodeSelfWeights }
+     * @param {object} [options] - analyzeLoadCases と同じ
+     * @returns {{ D: number[][], R: number[][], forces: object[], nodes: object[], members: object[], nodeLoads: object[], memberLoads: object[], thermalLoads: object[], spanLoads: object[], is2DFrame: boolean, fullyConstrained: boolean }}
+     */
+    const analyzeModel = (model, options = {}) => {
+        const { nodeLoads = [], memberLoads = [], thermalLoads = [], spanLoads = [], memberSelfWeights = [], nodeSelfWeights = [] } = model || {};
+        const result = analyzeLoadCases(model, [{
+            nodeLoads,
+            memberLoads,
+            thermalLoads,
+            spanLoads,
+            memberSelfWeights,
+            nodeSelfWeights,
+            forcedDisplacements: true
+        }], options);
+        const [loadCaseResult] = result.cases;
+        return {
+            D: loadCaseResult.D,
+            R: loadCaseResult.R,
+            forces: loadCaseResult.forces,
+            nodes: result.nodes,
+            members: result.members,
+            nodeLoads: loadCaseResult.nodeLoads,
+            memberLoads: loadCaseResult.memberLoads,
+            thermalLoads: loadCaseResult.thermalLoads,
+            spanLoads: loadCaseResult.spanLoads,
+            is2DFrame: result.is2DFrame,
+            fullyConstrained: result.fullyConstrained
+        };
+    };
+
+    // 荷重の大きさを表す成分（荷重組合せの係数を掛ける）
+    const LOAD_MAGNITUDE_KEYS = ['px', 'py', 'pz', 'mx', 'my', 'mz', 'w', 'wx', 'wy', 'wz', 'totalWeight', 'deltaT', 'gradientY', 'gradientZ', 'value', 'valueEnd'];
+
+    // 荷重の大きさの成分を係数倍した荷重（局所座標系の部材途中の荷重の value: {x, y, z} は各成分を係数倍する）
+    const scaleLoadMagnitudes = (load, factor) => {
+        const scaled = { ...load };
+        LOAD_MAGNITUDE_KEYS.forEach(field => {
+            const value = scaled[field];
+            if (typeof value === 'number') {
+                scaled[field] = value * factor;
+            } else if (value && typeof value === 'object') {
+                scaled[field] = Object.fromEntries(Object.entries(value).map(([key, component]) => [key, component * factor]));
+            }
+        });
+        return scaled;
+    };
+
+    // 数値は係数倍して加算し、入れ子のオブジェクトは再帰的に処理する（数値以外は最初の値を残す）
+    const addScaledFields = (target, source, factor, keyField) => {
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            if (key === keyField) {
+                target[key] = value;
+            } else if (key === 'spanLoads' && Array.isArray(value)) {
+                // 部材途中の荷重は位置ごとに係数倍して並べる
+                target[key] = [...(target[key] || []), ...value.map(load => scaleLoadMagnitudes(load, factor))];
+            } else if (typeof value === 'number') {
+                target[key] = (typeof target[key] === 'number' ? target[key] : 0) + factor * value;
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                target[key] = addScaledFields(target[key] && typeof target[key] === 'object' ? target[key] : {}, value, factor);
+            } else if (target[key] === undefined) {
+                target[key] = value;
+            }
+        });
+        return target;
+    };
+
+    const combineLoadsByKey = (loadLists, keyField) => {
+        const combined = new Map();
+        loadLists.forEach(({ loads, factor }) => (loads || []).forEach(load => {
+            const key = load[keyField];
+            combined.set(key, addScaledFields(combined.get(key) || {}, load, factor, keyField));
+        }));
+        return Array.from(combined.values());
+    };
+
+    /**
+     * 荷重ケースの解析結果を係数倍して足し合わせ、荷重組合せの結果を求める（線形解析なので重ね合わせが成り立つ）
+     * @param {Array<object>} caseResults - analyzeLoadCases の cases
+     * @param {Array<{caseId: string, factor: number}>} terms - 組み合わせる荷重ケースと係数
+     * @param {{id: string, name: string}} [combination] - 結果に付ける記号と名称
+     * @returns {{ id: string, name: string, D: number[][], R: number[][], forces: object[], nodeLoads: object[], memberLoads: object[], thermalLoads: object[], spanLoads: object[] }}
+     */
+    const combineLoadCaseResults = (caseResults, terms, combination = {}) => {
+        const weighted = terms.map(({ caseId, factor }) => {
+            const caseResult = caseResults.find(loadCase => loadCase.id === caseId);
+            if (!caseResult) {
+                throw new Error(`荷重組合せ ${combination.name || combination.id || ''} の荷重ケース ${caseId} の解析結果がありません。`);
+            }
+            return { caseResult, factor };
+        });
+        if (weighted.length === 0) {
+            throw new Error('荷重組合せに荷重ケースがありません。');
+        }
+        const [{ caseResult: first }] = weighted;
+        const combineVectors = (key) => first[key].map((row, idx) => [
+            weighted.reduce((sum, { caseResult, factor }) => sum + factor * caseResult[key][idx][0], 0)
+        ]);
+
+        return {
+            id: combination.id,
+            name: combination.name,
+            D: combineVectors('D'),
+            R: combineVectors('R'),
+            forces: first.forces.map((_, memberIndex) => weighted.reduce(
+                (sum, { caseResult, factor }) => addScaledFields(sum, caseResult.forces[memberIndex], factor),
+                {}
+            )),
+            nodeLoads: combineLoadsByKey(weighted.map(({ caseResult, factor }) => ({ loads: caseResult.nodeLoads, factor })), 'nodeIndex'),
+            memberLoads: combineLoadsByKey(weighted.map(({ caseResult, factor }) => ({ loads: caseResult.memberLoads, factor })), 'memberIndex'),
+            thermalLoads: combineLoadsByKey(weighted.map(({ caseResult, factor }) => ({ loads: caseResult.thermalLoads, factor })), 'memberIndex'),
+            spanLoads: weighted.flatMap(({ caseResult, factor }) => (caseResult.spanLoads || []).map(load => scaleLoadMagnitudes(load, factor)))
+        };
+    };
+
+
+    /**
+     * 荷重ケースの荷重を係数倍してまとめ、荷重組合せを1つの荷重ケースにする
+     * P-Δ解析のように重ね合わせが成り立たない解析で、荷重組合せごとに解析するために使う。
+     * @param {Array<object>} loadCases - analyzeLoadCases に渡す荷重ケース
+     * @param {Array<{caseId: string, factor: number}>} terms - 組み合わせる荷重ケースと係数
+     * @param {{id: string, name: string}} [combination] - 荷重ケースに付ける記号と名称
+     * @returns {object} analyzeLoadCases に渡す荷重ケース（forcedDisplacements は強制変位の係数）
+     */
+    const buildFactoredLoadCase = (loadCases, terms, combination = {}) => {
+        if (terms.length === 0) {
+            throw new Error('荷重組合せに荷重ケースがありません。');
+        }
+        const factored = {
+            id: combination.id,
+            name: combination.name,
+            nodeLoads: [],
+            memberLoads: [],
+            thermalLoads: [],
+            spanLoads: [],
+            memberSelfWeights: [],
+            nodeSelfWeights: [],
+            forcedDisplacements: 0
+        };
+        terms.forEach(({ caseId, factor }) => {
+            const loadCase = loadCases.find(item => item.id === caseId);
+            if (!loadCase) {
+                throw new Error(`荷重組合せ ${combination.name || combination.id || ''} の荷重ケース ${caseId} がありません。`);
+            }
+            ['nodeLoads', 'memberLoads', 'thermalLoads', 'spanLoads', 'memberSelfWeights', 'nodeSelfWeights'].forEach(key => {
+                (loadCase[key] || []).forEach(load => {
+                    factored[key].push(scaleLoadMagnitudes(load, factor));
+                });
+            });
+            if (loadCase.forcedDisplacements) {
+                factored.forcedDisplacements += factor * (typeof loadCase.forcedDisplacements === 'number' ? loadCase.forcedDisplacements : 1);
+            }
+        });
+        return factored;
+    };
+
+    return {
+        mat,
+        normalizeSupportValue,
+        isRollerSupport,
+        getRollerAxis,
+        getSupportLocalAxes,
+        getAxialOnlyBehavior,
+        zeroMatrixRowAndColumn,
+        build3DReleaseData,
+        RELEASE_DOF_KEYS,
+        findUnstableReleases,
+        computeMemberLocalAxes,
+        isPlanarFrame,
+        getMemberAxisOptions,
+        getMemberRollFromDefault,
+        getMemberLoadAxes,
+        resolveMemberLoadVector,
+        getShearDeformationFactors,
+        recoverMemberForces,
+        analyzeLoadCases,
+        analyzeModel,
+        combineLoadCaseResults,
+        buildFactoredLoadCase
+    };
+})();
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.FrameAnalysisEngine = FrameAnalysisEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameAnalysisEngine;
+}
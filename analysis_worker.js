@@ -0,0 +1,64 @@
+/**
+ * 構造解析用 Web Worker
+ * メインスレッドから受け取ったモデルを FrameAnalysisEngine で解析し、または解析結果の断面検定を行い、進捗と結果を返す。
+ *
+ * 受信: { id, type: 'analysis', model, loadCases, options }（loadCases を指定した場合は荷重ケースごとに解析する）
+ *       { id, type: 'section-check', loadTerm, result, combinations, projectionMode }
+ * 送信: { id, type: 'progress', stage, fraction }
+ *       { id, type: 'result', result }
+ *       { id, type: 'error', message, instability }
+ */
+importScripts('sparse_solver.js', 'analysis_engine.js', 'member_force_distribution.js', 'section_check.js');
+
+const PROGRESS_POST_INTERVAL_MS = 100;
+
+self.onmessage = (event) => {
+    const { id, type = 'analysis', model, loadCases, options = {} } = event.data || {};
+    let lastPostedAt = 0;
+    let instability = null;
+
+    const postProgress = (stage, fraction = 0) => {
+        const now = Date.now();
+        // 途中経過は間引いて送る（段階の開始時は必ず送る）
+        if (fraction > 0 && now - lastPostedAt < PROGRESS_POST_INTERVAL_MS) return;
+        lastPostedAt = now;
+        self.postMessage({ id, type: 'progress', stage, fraction });
+    };
+
+    if (type === 'section-check') {
+        const { loadTerm, result, combinations = [], projectionMode } = event.data;
+        try {
+            const sectionCheckResults = calculateGoverningSectionChecks(loadTerm, result, combinations, { projectionMode, onProgress: postProgress });
+            self.postMessage({ id, type: 'result', result: sectionCheckResults });
+        } catch (error) {
+            self.postMessage({ id, type: 'error', message: error.message, instability: null });
+        }
+        return;
+    }
+
+    try {
+        const engineOptions = {
+            ...options,
+            onProgress: postProgress,
+            // 不安定性の診断はメインスレッドで行うため、自由度の行の剛性（[列, 値] の配列）を持ち帰り、同期実行と同じ行列で診断する
+            diagnoseInstability: (K_global, freeIndices, nodes, members, is2DFrame, inactiveMembers = []) => {
+                instability = {
+                    dof: K_global.size,
+                    freeIndices,
+                    rows: freeIndices.map(idx => Array.from(K_global.rows[idx])),
+                    nodes,
+                    members,
+                    is2DFrame,
+                    inactiveMembers
+                };
+                return '';
+            }
+        };
+        const result = Array.isArray(loadCases)
+            ? FrameAnalysisEngine.analyzeLoadCases(model, loadCases, engineOptions)
+            : FrameAnalysisEngine.analyzeModel(model, engineOptions);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message, instability });
+    }
+};
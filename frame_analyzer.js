@@ -22,15 +22,7 @@ const project3DTo2D = (node, projectionMode) => {
     }
 };
 
-// 木材基準強度データ (N/mm²)
-const WOOD_BASE_STRENGTH_DATA = {
-    "Matsu_Group": { name: "あかまつ、くろまつ、べいまつ", fc: 22.2, ft: 17.7, fb: 28.2, fs: 2.4 },
-    "Hinoki_Group": { name: "からまつ、ひば、ひのき、べいひ", fc: 20.7, ft: 16.2, fb: 26.7, fs: 2.1 },
-    "Tsuga_Group": { name: "つが、べいつが", fc: 19.2, ft: 14.7, fb: 25.2, fs: 2.1 },
-    "Sugi_Group": { name: "もみ、えぞまつ、すぎ、べいすぎ等", fc: 17.7, ft: 13.5, fb: 22.2, fs: 1.8 },
-    "Kashi": { name: "かし", fc: 20.7, ft: 16.2, fb: 26.7, fs: 4.2 },
-    "Keyaki_Group": { name: "くり、なら、ぶな、けやき", fc: 19.2, ft: 14.7, fb: 25.2, fs: 3.0 }
-};
+// 木材基準強度データ（WOOD_BASE_STRENGTH_DATA）は section_check.js で定義されています
 
 // 材料密度データ (kg/m³)
 const MATERIAL_DENSITY_DATA = {
@@ -49,6 +41,22 @@ const MATERIAL_DENSITY_DATA = {
     "custom": 7850     // 任意入力時のデフォルト（スチール相当）
 };
 
+// 線膨張係数データ (1/℃)、温度荷重の解析に用いる
+const MATERIAL_THERMAL_EXPANSION_DATA = {
+    "205000": 1.2e-5,  // スチール
+    "193000": 1.73e-5, // ステンレス
+    "70000": 2.3e-5,   // アルミニウム
+
+    // 木材（繊維方向）
+    "7000": 5e-6,
+    "8000": 5e-6,
+    "9000": 5e-6,
+    "10000": 5e-6,
+
+    // デフォルト値
+    "custom": 1.2e-5   // 任意入力時のデフォルト（スチール相当）
+};
+
 // 設定オブジェクト
 const CONFIG = {
     validation: {
@@ -92,49 +100,18 @@ const SUPPORT_TYPE_OPTIONS = Object.freeze([
     { value: 'fixed', label: '固定' },
     { value: 'roller-x', label: 'ローラー(X軸固定)' },
     { value: 'roller-y', label: 'ローラー(Y軸固定)' },
-    { value: 'roller-z', label: 'ローラー(Z軸固定)' }
+    { value: 'roller-z', label: 'ローラー(Z軸固定)' },
+    { value: 'spring', label: 'ばね' }
 ]);
 
-const SUPPORT_ALIAS_ENTRIES = [
-    { target: 'free', aliases: ['f', 'free', '自由'] },
-    { target: 'pinned', aliases: ['p', 'pin', 'pinned', 'hinge', 'hinged', 'ピン'] },
-    { target: 'fixed', aliases: ['x', 'fix', 'fixed', '固定'] },
-    { target: 'roller-x', aliases: ['roller-x', 'roller_x', 'rollerx', 'r-x', 'rx', 'ローラーx', 'ローラー(x)', 'ローラー(X軸固定)'] },
-    { target: 'roller-y', aliases: ['roller-y', 'roller_y', 'rollery', 'r-y', 'ry', 'ローラー', 'ローラーy', 'ローラー(y)', 'ローラー(Y軸固定)', 'r', 'roller'] },
-    { target: 'roller-z', aliases: ['roller-z', 'roller_z', 'rollerz', 'r-z', 'rz', 'ローラーz', 'ローラー(z)', 'ローラー(Z軸固定)'] }
-];
-
 const NODE_PROPS_TITLE_BASE = '節点プロパティ編集';
 
-const SUPPORT_ALIAS_MAP = SUPPORT_ALIAS_ENTRIES.reduce((map, entry) => {
-    entry.aliases.forEach(alias => {
-        const key = `${alias}`.trim();
-        if (!key) return;
-        map.set(key, entry.target);
-        map.set(key.toLowerCase(), entry.target);
-    });
-    return map;
-}, new Map());
-
-const normalizeSupportValue = (value) => {
-    if (value === undefined || value === null) return 'free';
-    const raw = `${value}`.trim();
-    if (!raw) return 'free';
-    return SUPPORT_ALIAS_MAP.get(raw) || SUPPORT_ALIAS_MAP.get(raw.toLowerCase()) || raw;
-};
-
-const isRollerSupport = (value) => {
-    const normalized = normalizeSupportValue(value);
-    return normalized === 'roller-x' || normalized === 'roller-y' || normalized === 'roller-z';
-};
-
-const getRollerAxis = (value) => {
-    const normalized = normalizeSupportValue(value);
-    if (normalized === 'roller-x') return 'x';
-    if (normalized === 'roller-y') return 'y';
-    if (normalized === 'roller-z') return 'z';
-    return null;
-};
+// 支点種別の正規化と部材端の解放の判定は解析エンジンと共通
+const {
+    normalizeSupportValue, isRollerSupport, getRollerAxis, RELEASE_DOF_KEYS, findUnstableReleases,
+    computeMemberLocalAxes, getMemberAxisOptions, getMemberRollFromDefault, isPlanarFrame,
+    getMemberLoadAxes, resolveMemberLoadVector, getSupportLocalAxes
+} = FrameAnalysisEngine;
 
 const SUPPORT_LABEL_MAP = SUPPORT_TYPE_OPTIONS.reduce((map, { value, label }) => {
     map[value] = label;
@@ -150,6 +127,103 @@ const buildSupportOptionsMarkup = (selectedValue = 'free') => {
 
 const buildSupportSelectMarkup = (selectedValue = 'free') => `<select>${buildSupportOptionsMarkup(selectedValue)}</select>`;
 
+// ばね支点の剛性（kx, ky, kz: kN/m、krx, kry, krz: kN·m/rad）
+const SUPPORT_SPRING_KEYS = Object.freeze(['kx', 'ky', 'kz', 'krx', 'kry', 'krz']);
+
+const normalizeSupportSprings = (source) => SUPPORT_SPRING_KEYS.reduce((springs, key) => {
+    const value = Number.parseFloat(source?.[key]);
+    springs[key] = Number.isFinite(value) && value > 0 ? value : 0;
+    return springs;
+}, {});
+
+const hasSupportSprings = (springs) => SUPPORT_SPRING_KEYS.some(key => (springs?.[key] || 0) > 0);
+
+const formatSupportSprings = (springs) => SUPPORT_SPRING_KEYS
+    .filter(key => springs[key] > 0)
+    .map(key => `${key}=${springs[key]}`)
+    .join(', ');
+
+// ばね剛性は節点テーブルに列を設けず、行の data 属性に保持する（支点selectのツールチップに表示）
+const readNodeRowSprings = (row) => {
+    try {
+        return normalizeSupportSprings(JSON.parse(row?.dataset?.springs || '{}'));
+    } catch (error) {
+        return normalizeSupportSprings(null);
+    }
+};
+
+const writeNodeRowSprings = (row, source) => {
+    if (!row) return;
+    const springs = normalizeSupportSprings(source);
+    if (hasSupportSprings(springs)) {
+        row.dataset.springs = JSON.stringify(springs);
+    } else {
+        delete row.dataset.springs;
+    }
+    updateNodeRowSupportTitle(row);
+};
+
+// 傾斜支点の支点座標系 { angle: XZ面内の回転角 (度), vector: x′ 軸の向き {x, y, z} }（ローラー・ばね支点で用いる）
+// CSV からは support_angle, support_vx, support_vy, support_vz の列として読み込む
+const normalizeSupportAxes = (source) => {
+    if (!source) return null;
+    const toNumber = (value) => {
+        const num = Number.parseFloat(value);
+        return Number.isFinite(num) ? num : 0;
+    };
+    const rawVector = source.vector || {
+        x: source.support_vx,
+        y: source.support_vy,
+        z: source.support_vz
+    };
+    const vector = { x: toNumber(rawVector.x), y: toNumber(rawVector.y), z: toNumber(rawVector.z) };
+    const hasVector = vector.x !== 0 || vector.y !== 0 || vector.z !== 0;
+    const angle = toNumber(source.angle ?? source.support_angle);
+    if (!hasVector && angle === 0) return null;
+    return hasVector ? { angle, vector } : { angle };
+};
+
+const formatSupportAxes = (supportAxes) => supportAxes.vector
+    ? `x′軸 (${supportAxes.vector.x}, ${supportAxes.vector.y}, ${supportAxes.vector.z})`
+    : `回転角 ${supportAxes.angle}°`;
+
+const readNodeRowSupportAxes = (row) => {
+    try {
+        return normalizeSupportAxes(JSON.parse(row?.dataset?.supportAxes || 'null'));
+    } catch (error) {
+        return null;
+    }
+};
+
+const writeNodeRowSupportAxes = (row, source) => {
+    if (!row) return;
+    const supportAxes = normalizeSupportAxes(source);
+    if (supportAxes) {
+        row.dataset.supportAxes = JSON.stringify(supportAxes);
+    } else {
+        delete row.dataset.supportAxes;
+    }
+    updateNodeRowSupportTitle(row);
+};
+
+// 支点selectのツールチップにばね剛性と支点座標系を表示する
+function updateNodeRowSupportTitle(row) {
+    const supportSelect = row?.cells[4]?.querySelector('select');
+    if (!supportSelect) return;
+    const springs = readNodeRowSprings(row);
+    const supportAxes = readNodeRowSupportAxes(row);
+    supportSelect.title = [
+        hasSupportSprings(springs) ? `ばね剛性: ${formatSupportSprings(springs)}` : '',
+        supportAxes ? `支点座標系: ${formatSupportAxes(supportAxes)}` : ''
+    ].filter(Boolean).join('\n');
+}
+
+// 支点座標系はローラー・ばね支点にだけ用いる
+const supportUsesLocalAxes = (support) => {
+    const normalized = normalizeSupportValue(support);
+    return normalized === 'spring' || isRollerSupport(normalized);
+};
+
 const resolveMemberConnectionTargets = (row) => {
     const fallback = {
         i: { select: null, cellIndex: -1 },
@@ -217,108 +291,699 @@ const getMemberConnectionCellIndex = (row, endpoint = 'i') => {
     return handles?.[endpoint]?.cellIndex ?? -1;
 };
 
-const zeroMatrixRowAndColumn = (matrix, index, tiny = 1e-9) => {
-    if (!Array.isArray(matrix) || !Array.isArray(matrix[index])) return;
-    const size = matrix.length;
-    for (let i = 0; i < size; i++) {
-        if (Array.isArray(matrix[index])) matrix[index][i] = 0;
-        if (Array.isArray(matrix[i])) matrix[i][index] = 0;
+// 半剛接合の回転ばね（type: 'stiffness' は kN·m/rad、'fixity' は固定度 0〜1）
+// iy, iz, jy, jz は始端・終端の部材座標 y, z 軸まわり（2Dでは iz, jz のみ使用）
+const SEMI_RIGID_KEYS = Object.freeze(['iy', 'iz', 'jy', 'jz']);
+const DEFAULT_SEMI_RIGID = Object.freeze({ type: 'fixity', iy: 0.5, iz: 0.5, jy: 0.5, jz: 0.5 });
+
+const normalizeSemiRigid = (source) => {
+    const type = source?.type === 'stiffness' ? 'stiffness' : 'fixity';
+    return SEMI_RIGID_KEYS.reduce((semiRigid, key) => {
+        const value = Number.parseFloat(source?.[key]);
+        semiRigid[key] = Number.isFinite(value)
+            ? (type === 'fixity' ? Math.min(Math.max(value, 0), 1) : Math.max(value, 0))
+            : DEFAULT_SEMI_RIGID[key];
+        return semiRigid;
+    }, { type });
+};
+
+const formatSemiRigid = (semiRigid) => `${semiRigid.type === 'fixity' ? '固定度' : '回転ばね'}: ` +
+    SEMI_RIGID_KEYS.map(key => `${key}=${semiRigid[key]}`).join(', ');
+
+// 半剛接合の設定は部材テーブルに列を設けず、行の data 属性に保持する（接合selectのツールチップに表示）
+const readMemberRowSemiRigid = (row) => {
+    try {
+        return normalizeSemiRigid(JSON.parse(row?.dataset?.semiRigid || 'null') || DEFAULT_SEMI_RIGID);
+    } catch (error) {
+        return normalizeSemiRigid(DEFAULT_SEMI_RIGID);
+    }
+};
+
+const writeMemberRowSemiRigid = (row, source) => {
+    if (!row) return;
+    const semiRigid = source ? normalizeSemiRigid(source) : null;
+    if (semiRigid) {
+        row.dataset.semiRigid = JSON.stringify(semiRigid);
+    } else {
+        delete row.dataset.semiRigid;
+    }
+    updateMemberRowConnectionInfo(row);
+};
+
+// 保存データの部材から半剛接合の設定を取り出す（CSVでは semiType, semi_iy などの列に展開される）
+const getMemberSemiRigidSource = (member) => {
+    if (member?.i_conn !== 'semi' && member?.j_conn !== 'semi') return null;
+    return member.semiRigid ?? SEMI_RIGID_KEYS.reduce((source, key) => {
+        source[key] = member[`semi_${key}`];
+        return source;
+    }, { type: member.semiType });
+};
+
+// 部材端の自由度ごとの解放（接合 'release'、キーは N, Qy, Qz, Mx, My, Mz）
+const DEFAULT_MEMBER_RELEASES = Object.freeze({ i: ['Mz'], j: ['Mz'] });
+
+const normalizeMemberReleases = (source) => ['i', 'j'].reduce((releases, end) => {
+    const keys = Array.isArray(source?.[end]) ? source[end] : DEFAULT_MEMBER_RELEASES[end];
+    releases[end] = RELEASE_DOF_KEYS.filter(key => keys.includes(key));
+    return releases;
+}, {});
+
+// 解放は部材テーブルの行の data 属性に保持し、接合selectの横に解放する自由度を表示する
+const readMemberRowReleases = (row) => {
+    try {
+        return normalizeMemberReleases(JSON.parse(row?.dataset?.releases || 'null'));
+    } catch (error) {
+        return normalizeMemberReleases(null);
     }
-    if (Array.isArray(matrix[index])) matrix[index][index] = tiny;
 };
 
-const build3DReleaseData = (kLocal3D, T3D, globalIndexMap, iConn, jConn, matrixLib) => {
-    const matrixOps = matrixLib || globalThis.matrixOps || globalThis.mat;
-    if (!matrixOps) {
-        throw new Error('3D release handling requires matrix utilities.');
+const writeMemberRowReleases = (row, source) => {
+    if (!row) return;
+    if (source) {
+        row.dataset.releases = JSON.stringify(normalizeMemberReleases(source));
+    } else {
+        delete row.dataset.releases;
     }
-    const isPinned = (conn) => {
-        if (typeof conn !== 'string') return false;
-        const normalized = conn.trim().toLowerCase();
-        return normalized === 'pinned' || normalized === 'p';
+    updateMemberRowConnectionInfo(row);
+};
+
+// 保存データの部材から解放の設定を取り出す（CSVでは release_i, release_j 列に "My/Mz" の形で保存する）
+const getMemberReleasesSource = (member) => {
+    if (member?.i_conn !== 'release' && member?.j_conn !== 'release') return null;
+    const parseKeys = (value) => (typeof value === 'string' ? value.split('/').filter(Boolean) : []);
+    return member.releases ?? { i: parseKeys(member.release_i), j: parseKeys(member.release_j) };
+};
+
+// 接合selectのツールチップと解放する自由度の表示を行の設定に合わせる
+const updateMemberRowConnectionInfo = (row) => {
+    const semiRigid = readMemberRowSemiRigid(row);
+    const releases = readMemberRowReleases(row);
+    ['i', 'j'].forEach(endpoint => {
+        const select = getMemberConnectionSelect(row, endpoint);
+        if (!select) return;
+        const releaseKeys = releases[endpoint];
+        if (select.value === 'semi') {
+            select.title = formatSemiRigid(semiRigid);
+        } else if (select.value === 'release') {
+            select.title = `解放: ${releaseKeys.join(', ') || 'なし'}`;
+        } else {
+            select.title = '';
+        }
+        const summary = select.parentElement?.querySelector('.member-conn-summary');
+        if (summary) summary.textContent = select.value === 'release' ? releaseKeys.join(' ') : '';
+    });
+};
+
+// 部材の局所座標軸の向き（回転角 β [度]、参照節点番号は1始まり）。3D解析でだけ用いる
+const normalizeMemberAxisOrientation = (source) => {
+    const rollAngle = Number.parseFloat(source?.rollAngle);
+    const referenceNode = Number.parseInt(source?.referenceNode, 10);
+    return {
+        rollAngle: Number.isFinite(rollAngle) ? rollAngle : 0,
+        referenceNode: Number.isInteger(referenceNode) && referenceNode > 0 ? referenceNode : null
     };
+};
+
+// 局所座標軸の向きは行の data 属性に保持する（既定の向きなら属性を持たない）
+const readMemberRowAxisOrientation = (row) => normalizeMemberAxisOrientation(row?.dataset);
 
-    const releaseLocalIndices = [];
-    if (isPinned(iConn)) {
-        releaseLocalIndices.push(4, 5);
+const writeMemberRowAxisOrientation = (row, source) => {
+    if (!row) return;
+    const { rollAngle, referenceNode } = normalizeMemberAxisOrientation(source);
+    if (rollAngle !== 0) {
+        row.dataset.rollAngle = `${rollAngle}`;
+    } else {
+        delete row.dataset.rollAngle;
     }
-    if (isPinned(jConn)) {
-        releaseLocalIndices.push(10, 11);
+    if (referenceNode !== null) {
+        row.dataset.referenceNode = `${referenceNode}`;
+    } else {
+        delete row.dataset.referenceNode;
     }
+};
 
-    const allIndices = Array.isArray(kLocal3D)
-        ? kLocal3D.map((_, idx) => idx)
-        : Array.from({ length: 12 }, (_, idx) => idx);
+// 節点の削除に合わせて参照節点番号を詰める（削除した節点を参照していた場合は参照を外す）
+const shiftMemberRowReferenceNode = (row, deletedNodeNumber) => {
+    const { rollAngle, referenceNode } = readMemberRowAxisOrientation(row);
+    if (referenceNode === null || referenceNode < deletedNodeNumber) return;
+    writeMemberRowAxisOrientation(row, { rollAngle, referenceNode: referenceNode === deletedNodeNumber ? null : referenceNode - 1 });
+};
 
-    if (!Array.isArray(kLocal3D) || releaseLocalIndices.length === 0) {
-        return {
-            hasRelease: false,
-            usedCondensation: false,
-            activeLocalIndices: allIndices,
-            releaseLocalIndices,
-            k_local_active: kLocal3D,
-            T_active: T3D,
-            K_rr_inv: null,
-            K_ra: null,
-            K_ar: null,
-            fallbackZeroing: false,
-            k_local_modified: kLocal3D,
-            globalIndexMap
-        };
+const fillPopupAxisOrientationFields = (row) => {
+    const { rollAngle, referenceNode } = readMemberRowAxisOrientation(row);
+    const rollAngleInput = document.getElementById('popup-roll-angle');
+    const referenceNodeInput = document.getElementById('popup-reference-node');
+    if (rollAngleInput) rollAngleInput.value = rollAngle;
+    if (referenceNodeInput) referenceNodeInput.value = referenceNode ?? '';
+};
+
+const readPopupAxisOrientationFields = () => normalizeMemberAxisOrientation({
+    rollAngle: document.getElementById('popup-roll-angle')?.value,
+    referenceNode: document.getElementById('popup-reference-node')?.value
+});
+
+// ポップアップの参照節点が部材の局所座標軸に使えるかを調べる（問題がなければ空文字列）
+const findPopupReferenceNodeProblem = (memberRow, nodeCount) => {
+    const { referenceNode } = readPopupAxisOrientationFields();
+    if (referenceNode === null) return '';
+    if (referenceNode > nodeCount) return `参照節点 ${referenceNode} は存在しません。`;
+    const endNodes = [1, 2].map(cellIndex => Number.parseInt(memberRow?.cells[cellIndex]?.querySelector('input')?.value, 10));
+    return endNodes.includes(referenceNode) ? '参照節点には部材の両端以外の節点を指定してください。' : '';
+};
+
+// 部材端の剛域（mode: 'none' | 'auto' | 'manual'、手入力の長さ i, j は mm）
+// 自動の場合は、柱の端部では接続する梁のせいの1/2、梁の端部では接続する柱のせいの1/2（最大値）とする
+const RIGID_ZONE_MODES = ['none', 'auto', 'manual'];
+
+const normalizeMemberRigidZone = (source) => {
+    const mode = RIGID_ZONE_MODES.includes(source?.mode) ? source.mode : 'none';
+    const toLength = (value) => {
+        const length = Number.parseFloat(value);
+        return Number.isFinite(length) && length > 0 ? length : 0;
+    };
+    return {
+        mode,
+        i: mode === 'manual' ? toLength(source.i) : 0,
+        j: mode === 'manual' ? toLength(source.j) : 0
+    };
+};
+
+// 剛域は行の data 属性に保持する（剛域なしの場合は属性を持たない）
+const readMemberRowRigidZone = (row) => {
+    try {
+        return normalizeMemberRigidZone(JSON.parse(row?.dataset?.rigidZone || 'null'));
+    } catch (error) {
+        return normalizeMemberRigidZone(null);
     }
+};
 
-    const activeLocalIndices = allIndices.filter(idx => !releaseLocalIndices.includes(idx));
+const writeMemberRowRigidZone = (row, source) => {
+    if (!row) return;
+    const rigidZone = normalizeMemberRigidZone(source);
+    if (rigidZone.mode !== 'none') {
+        row.dataset.rigidZone = JSON.stringify(rigidZone);
+    } else {
+        delete row.dataset.rigidZone;
+    }
+};
 
-    const selectSubmatrix = (matrix, rowIndices, colIndices) => rowIndices.map(r => colIndices.map(c => matrix[r][c]));
+// 保存データの部材から剛域の設定を取り出す（CSVでは rigidZoneMode, rigidZone_i, rigidZone_j 列に展開される）
+const getMemberRigidZoneSource = (member) => member?.rigidZone
+    ?? { mode: member?.rigidZoneMode, i: member?.rigidZone_i, j: member?.rigidZone_j };
 
-    const K_rr = selectSubmatrix(kLocal3D, releaseLocalIndices, releaseLocalIndices);
-    const K_ra = selectSubmatrix(kLocal3D, releaseLocalIndices, activeLocalIndices);
-    const K_ar = selectSubmatrix(kLocal3D, activeLocalIndices, releaseLocalIndices);
-    const K_aa = selectSubmatrix(kLocal3D, activeLocalIndices, activeLocalIndices);
+// 断面のせい（m）。寸法が分からない断面は 0
+const getMemberSectionDepth = (member) => {
+    const dims = deriveSectionDimensions(member?.sectionInfo) || {};
+    const depth = [dims.H, dims.D, dims.A].find(value => Number.isFinite(value) && value > 0);
+    return depth ? depth / 1000 : 0;
+};
 
-    const K_rr_inv = matrixOps.inverse(K_rr);
+// 鉛直から45°以内の部材を柱、それ以外を梁とみなす
+const isColumnLikeMember = (member, nodes) => {
+    const ni = nodes[member.i];
+    const nj = nodes[member.j];
+    const length = Math.hypot(nj.x - ni.x, nj.y - ni.y, nj.z - ni.z);
+    return length > 0 && Math.abs(nj.z - ni.z) / length >= Math.SQRT1_2;
+};
 
-    if (!K_rr_inv) {
-        console.warn('3D端部解放の縮約に失敗したため、零行列による近似にフォールバックします。');
-        // Condensation failed (singular). Fallback to zeroing.
-        const kModified = kLocal3D.map(row => [...row]);
-        releaseLocalIndices.forEach(idx => zeroMatrixRowAndColumn(kModified, idx));
-        return {
-            hasRelease: true,
-            usedCondensation: false,
-            activeLocalIndices: allIndices,
-            releaseLocalIndices,
-            k_local_active: kModified,
-            T_active: T3D,
-            K_rr_inv: null,
-            K_ra: null,
-            K_ar: null,
-            fallbackZeroing: true,
-            k_local_modified: kModified,
-            globalIndexMap
-        };
+/**
+ * 部材テーブルの剛域の設定から、解析に用いる剛域の長さ（m）を部材ごとに求める
+ * @param {Array<object>} settings - normalizeMemberRigidZone() の形の設定（部材の順）
+ * @param {Array<object>} members - parseInputs() の部材（i, j は0始まり）
+ * @param {Array<object>} nodes
+ * @returns {Array<{i: number, j: number}|null>} 剛域がない部材は null
+ */
+const resolveMemberRigidZones = (settings, members, nodes) => {
+    let membersByNode = null;
+    const getAutoLength = (memberIndex, end) => {
+        if (!membersByNode) {
+            membersByNode = nodes.map(() => []);
+            members.forEach((member, index) => {
+                membersByNode[member.i]?.push(index);
+                membersByNode[member.j]?.push(index);
+            });
+        }
+        const isColumn = isColumnLikeMember(members[memberIndex], nodes);
+        return (membersByNode[members[memberIndex][end]] || []).reduce((length, otherIndex) => {
+            if (otherIndex === memberIndex || isColumnLikeMember(members[otherIndex], nodes) === isColumn) return length;
+            return Math.max(length, getMemberSectionDepth(members[otherIndex]) / 2);
+        }, 0);
+    };
+    return settings.map((setting, index) => {
+        const lengths = setting.mode === 'auto'
+            ? { i: getAutoLength(index, 'i'), j: getAutoLength(index, 'j') }
+            : { i: setting.i / 1000, j: setting.j / 1000 };
+        return lengths.i > 0 || lengths.j > 0 ? lengths : null;
+    });
+};
+
+// 部材プロパティポップアップの剛域欄（長さを指定するときだけ長さの入力欄を表示する）
+const updatePopupRigidZoneFieldsVisibility = () => {
+    const isManual = document.getElementById('popup-rigid-zone-mode')?.value === 'manual';
+    document.querySelectorAll('#member-props-popup .popup-rigid-zone-field').forEach(field => {
+        field.style.display = isManual ? '' : 'none';
+    });
+};
+
+const fillPopupRigidZoneFields = (row) => {
+    const rigidZone = readMemberRowRigidZone(row);
+    const modeSelect = document.getElementById('popup-rigid-zone-mode');
+    if (modeSelect) modeSelect.value = rigidZone.mode;
+    ['i', 'j'].forEach(end => {
+        const input = document.getElementById(`popup-rigid-zone-${end}`);
+        if (input) input.value = rigidZone[end];
+    });
+    updatePopupRigidZoneFieldsVisibility();
+};
+
+const readPopupRigidZoneFields = () => normalizeMemberRigidZone({
+    mode: document.getElementById('popup-rigid-zone-mode')?.value,
+    i: document.getElementById('popup-rigid-zone-i')?.value,
+    j: document.getElementById('popup-rigid-zone-j')?.value
+});
+
+// 部材のせん断断面積（局所y・z方向、cm²）。手入力した方向だけを持ち、空欄（null）の方向は断面寸法から算定する
+const normalizeMemberShearAreas = (source) => ['y', 'z'].reduce((areas, axis) => {
+    const value = Number.parseFloat(source?.[axis]);
+    areas[axis] = Number.isFinite(value) && value > 0 ? value : null;
+    return areas;
+}, {});
+
+// 手入力のせん断断面積は行の data 属性に保持する（どちらも空欄なら属性を持たない）
+const readMemberRowShearAreas = (row) => {
+    try {
+        return normalizeMemberShearAreas(JSON.parse(row?.dataset?.shearAreas || 'null'));
+    } catch (error) {
+        return normalizeMemberShearAreas(null);
+    }
+};
+
+const writeMemberRowShearAreas = (row, source) => {
+    if (!row) return;
+    const shearAreas = normalizeMemberShearAreas(source);
+    if (shearAreas.y !== null || shearAreas.z !== null) {
+        row.dataset.shearAreas = JSON.stringify(shearAreas);
+    } else {
+        delete row.dataset.shearAreas;
+    }
+};
+
+// 保存データの部材からせん断断面積を取り出す（CSVでは shearArea_y, shearArea_z 列に保存する）
+const getMemberShearAreasSource = (member) => member?.shearAreas
+    ?? { y: member?.shearArea_y, z: member?.shearArea_z };
+
+/**
+ * 断面寸法（mm）から強軸・弱軸まわりの曲げに対応するせん断断面積（cm²）を求める
+ * 強軸はウェブ方向、弱軸はフランジ方向のせん断。板を矩形断面とみなす部分には係数 5/6 を掛ける。
+ * @returns {{strong: number, weak: number}|null} 寸法から求められない断面は null
+ */
+const estimateSectionShearAreas = (sectionInfo) => {
+    const dims = deriveSectionDimensions(sectionInfo) || {};
+    const rectangular = 5 / 6;
+    let areas = null;
+    switch (deriveSectionTypeKey(sectionInfo)) {
+        case 'hkatakou_hiro':
+        case 'hkatakou_naka':
+        case 'hkatakou_hoso':
+        case 'ikatakou':
+        case 'keiryouhkatakou':
+        case 'keiryourippuhkatakou':
+        case 'mizogatakou':
+        case 'keimizogatakou': {
+            const H = dims.H;
+            const B = dims.B || dims.A;
+            const t1 = dims.t1 || dims.t;
+            const t2 = dims.t2 || dims.t;
+            if (H && B && t1 && t2) areas = { strong: (H - 2 * t2) * t1, weak: rectangular * 2 * B * t2 };
+            break;
+        }
+        case 'rippumizokatakou':
+            if (dims.H && dims.A && dims.t) areas = { strong: dims.H * dims.t, weak: rectangular * 2 * dims.A * dims.t };
+            break;
+        case 'seihoukei':
+        case 'tyouhoukei': {
+            const B = dims.B || dims.A;
+            if (dims.A && dims.t) areas = { strong: 2 * dims.A * dims.t, weak: 2 * B * dims.t };
+            break;
+        }
+        case 'koukan':
+        case 'pipe':
+            if (dims.D && dims.t) {
+                const half = Math.PI * (dims.D - dims.t) * dims.t / 2;
+                areas = { strong: half, weak: half };
+            }
+            break;
+        case 'touhenyamakatakou':
+        case 'futouhenyamagata': {
+            const B = dims.B || dims.A;
+            if (dims.A && dims.t) areas = { strong: rectangular * dims.A * dims.t, weak: rectangular * B * dims.t };
+            break;
+        }
+        case '矩形':
+        case 'rectangular':
+            if (dims.H && dims.B) areas = { strong: rectangular * dims.H * dims.B, weak: rectangular * dims.H * dims.B };
+            break;
+        case '円形':
+        case 'circular':
+        case 'circle':
+        case 'round':
+            if (dims.D) areas = { strong: 0.9 * Math.PI * dims.D ** 2 / 4, weak: 0.9 * Math.PI * dims.D ** 2 / 4 };
+            break;
+        default:
+            break;
+    }
+    return areas && areas.strong > 0 && areas.weak > 0 ? { strong: areas.strong / 100, weak: areas.weak / 100 } : null;
+};
+
+/**
+ * 解析に用いる局所y・z方向のせん断断面積（m²）
+ * 手入力の値、断面寸法からの算定値（軸方向の設定に合わせて強軸・弱軸を割り当てる）、5/6・A（矩形断面とみなす）の順に用いる。
+ * @param {{y: number|null, z: number|null}} manualAreas - 手入力のせん断断面積（cm²）
+ * @param {object} sectionInfo
+ * @param {object} axisProps - 局所軸の断面性能（selectedKey, rotationOverride）
+ * @param {number} A - 断面積（m²）
+ * @returns {{y: number, z: number}}
+ */
+const resolveMemberShearAreas = (manualAreas, sectionInfo, axisProps, A) => {
+    const estimated = estimateSectionShearAreas(sectionInfo);
+    let local = null;
+    if (estimated && axisProps?.selectedKey === 'both') {
+        const shared = (estimated.strong + estimated.weak) / 2;
+        local = { y: shared, z: shared };
+    } else if (estimated) {
+        // 局所z軸まわりの曲げが強軸なら、局所y方向のせん断はウェブが受け持つ
+        const swapped = (axisProps?.selectedKey === 'y') !== (axisProps?.rotationOverride === 'horizontal-90');
+        local = swapped ? { y: estimated.weak, z: estimated.strong } : { y: estimated.strong, z: estimated.weak };
+    }
+    return ['y', 'z'].reduce((areas, axis) => {
+        const area = manualAreas?.[axis] ?? local?.[axis];
+        areas[axis] = area ? area * 1e-4 : A * 5 / 6;
+        return areas;
+    }, {});
+};
+
+const fillPopupShearAreaFields = (row) => {
+    const shearAreas = readMemberRowShearAreas(row);
+    ['y', 'z'].forEach(axis => {
+        const input = document.getElementById(`popup-shear-area-${axis}`);
+        if (input) input.value = shearAreas[axis] ?? '';
+    });
+};
+
+const readPopupShearAreaFields = () => normalizeMemberShearAreas({
+    y: document.getElementById('popup-shear-area-y')?.value,
+    z: document.getElementById('popup-shear-area-z')?.value
+});
+
+// 部材の塑性断面係数（局所y・z軸まわり、cm³）。手入力した軸だけを持ち、空欄（null）の軸は断面寸法から算定する
+const normalizeMemberPlasticModuli = (source) => ['y', 'z'].reduce((moduli, axis) => {
+    const value = Number.parseFloat(source?.[axis]);
+    moduli[axis] = Number.isFinite(value) && value > 0 ? value : null;
+    return moduli;
+}, {});
+
+const readMemberRowPlasticModuli = (row) => {
+    try {
+        return normalizeMemberPlasticModuli(JSON.parse(row?.dataset?.plasticModuli || 'null'));
+    } catch (error) {
+        return normalizeMemberPlasticModuli(null);
+    }
+};
+
+const writeMemberRowPlasticModuli = (row, source) => {
+    if (!row) return;
+    const plasticModuli = normalizeMemberPlasticModuli(source);
+    if (plasticModuli.y !== null || plasticModuli.z !== null) {
+        row.dataset.plasticModuli = JSON.stringify(plasticModuli);
+    } else {
+        delete row.dataset.plasticModuli;
+    }
+};
+
+// 保存データの部材から塑性断面係数を取り出す（CSVでは plasticModulus_y, plasticModulus_z 列に保存する）
+const getMemberPlasticModuliSource = (member) => member?.plasticModuli
+    ?? { y: member?.plasticModulus_y, z: member?.plasticModulus_z };
+
+/**
+ * 断面寸法（mm）から強軸・弱軸まわりの塑性断面係数（cm³）を求める
+ * H形・I形はフィレット、角形鋼管は角の丸みを無視して板の組合せとして求める（溝形・山形など非対称な断面は求めない）。
+ * @returns {{strong: number, weak: number}|null} 寸法から求められない断面は null
+ */
+const estimateSectionPlasticModuli = (sectionInfo) => {
+    const dims = deriveSectionDimensions(sectionInfo) || {};
+    let moduli = null;
+    switch (deriveSectionTypeKey(sectionInfo)) {
+        case 'hkatakou_hiro':
+        case 'hkatakou_naka':
+        case 'hkatakou_hoso':
+        case 'ikatakou':
+        case 'keiryouhkatakou': {
+            const H = dims.H;
+            const B = dims.B || dims.A;
+            const t1 = dims.t1 || dims.t;
+            const t2 = dims.t2 || dims.t;
+            if (H && B && t1 && t2) {
+                const webHeight = H - 2 * t2;
+                moduli = {
+                    strong: B * t2 * (H - t2) + t1 * webHeight ** 2 / 4,
+                    weak: t2 * B ** 2 / 2 + webHeight * t1 ** 2 / 4
+                };
+            }
+            break;
+        }
+        case 'seihoukei':
+        case 'tyouhoukei': {
+            const H = dims.A;
+            const B = dims.B || dims.A;
+            const t = dims.t;
+            if (H && t) {
+                const plastic = (depth, width) => width * depth ** 2 / 4 - (width - 2 * t) * (depth - 2 * t) ** 2 / 4;
+                moduli = { strong: plastic(H, B), weak: plastic(B, H) };
+            }
+            break;
+        }
+        case 'koukan':
+        case 'pipe':
+            if (dims.D && dims.t) {
+                const plastic = (dims.D ** 3 - (dims.D - 2 * dims.t) ** 3) / 6;
+                moduli = { strong: plastic, weak: plastic };
+            }
+            break;
+        case '矩形':
+        case 'rectangular':
+            if (dims.H && dims.B) moduli = { strong: dims.B * dims.H ** 2 / 4, weak: dims.H * dims.B ** 2 / 4 };
+            break;
+        case '円形':
+        case 'circular':
+        case 'circle':
+        case 'round':
+            if (dims.D) moduli = { strong: dims.D ** 3 / 6, weak: dims.D ** 3 / 6 };
+            break;
+        default:
+            break;
+    }
+    return moduli && moduli.strong > 0 && moduli.weak > 0 ? { strong: moduli.strong / 1000, weak: moduli.weak / 1000 } : null;
+};
+
+// 全塑性モーメントを求める材料（基準強度 F を入力する鋼材・ステンレス・アルミニウム）
+const PLASTIC_MOMENT_STRENGTH_TYPES = Object.freeze(['F-value', 'F-stainless', 'F-aluminum']);
+
+/**
+ * プッシュオーバー解析に用いる局所y・z軸まわりの全塑性モーメント Mp = Zp・F（kN·m）
+ * 塑性断面係数は手入力の値、断面寸法からの算定値（軸方向の設定に合わせて強軸・弱軸を割り当てる）、弾性断面係数の順に用いる。
+ * 基準強度 F を持たない材料（コンクリート・木材など）の部材は塑性ヒンジを生じさせない（null）。
+ * @param {{y: number|null, z: number|null}} manualModuli - 手入力の塑性断面係数（cm³）
+ * @param {object} sectionInfo
+ * @param {object} axisProps - 局所軸の断面性能（selectedKey, rotationOverride, local.sectionModulus [m³]）
+ * @param {object} strengthProps - 部材の強度（type, value [N/mm²]）
+ * @returns {{y: number|null, z: number|null}|null}
+ */
+const resolveMemberPlasticMoments = (manualModuli, sectionInfo, axisProps, strengthProps) => {
+    const F = Number(strengthProps?.value);
+    if (!PLASTIC_MOMENT_STRENGTH_TYPES.includes(strengthProps?.type) || !(F > 0)) return null;
+    const estimated = estimateSectionPlasticModuli(sectionInfo);
+    let local = null;
+    if (estimated && axisProps?.selectedKey === 'both') {
+        const shared = (estimated.strong + estimated.weak) / 2;
+        local = { y: shared, z: shared };
+    } else if (estimated) {
+        const swapped = (axisProps?.selectedKey === 'y') !== (axisProps?.rotationOverride === 'horizontal-90');
+        local = swapped ? { y: estimated.strong, z: estimated.weak } : { y: estimated.weak, z: estimated.strong };
+    }
+    return ['y', 'z'].reduce((moments, axis) => {
+        const elastic = Number(axisProps?.local?.sectionModulus?.[axis]) * 1e6;
+        const modulus = manualModuli?.[axis] ?? local?.[axis] ?? (elastic > 0 ? elastic : null);
+        moments[axis] = modulus ? modulus * F * 1e-3 : null;
+        return moments;
+    }, {});
+};
+
+const fillPopupPlasticModulusFields = (row) => {
+    const plasticModuli = readMemberRowPlasticModuli(row);
+    ['y', 'z'].forEach(axis => {
+        const input = document.getElementById(`popup-plastic-modulus-${axis}`);
+        if (input) input.value = plasticModuli[axis] ?? '';
+    });
+};
+
+const readPopupPlasticModulusFields = () => normalizeMemberPlasticModuli({
+    y: document.getElementById('popup-plastic-modulus-y')?.value,
+    z: document.getElementById('popup-plastic-modulus-z')?.value
+});
+
+// 部材の軸力の向きの制限（引張専用・圧縮専用）。制限のない部材は行の data 属性を持たない
+const MEMBER_AXIAL_BEHAVIOR_LABELS = Object.freeze({ 'tension-only': '引張専用', 'compression-only': '圧縮専用' });
+
+const normalizeMemberAxialBehavior = (value) => (Object.prototype.hasOwnProperty.call(MEMBER_AXIAL_BEHAVIOR_LABELS, value) ? value : null);
+
+const readMemberRowAxialBehavior = (row) => normalizeMemberAxialBehavior(row?.dataset?.axialBehavior);
+
+const writeMemberRowAxialBehavior = (row, value) => {
+    if (!row) return;
+    const axialBehavior = normalizeMemberAxialBehavior(value);
+    if (axialBehavior) {
+        row.dataset.axialBehavior = axialBehavior;
+    } else {
+        delete row.dataset.axialBehavior;
     }
+};
+
+const fillPopupAxialBehaviorField = (row) => {
+    const select = document.getElementById('popup-axial-behavior');
+    if (select) select.value = readMemberRowAxialBehavior(row) || 'both';
+};
 
-    const temp = matrixOps.multiply(K_ar, matrixOps.multiply(K_rr_inv, K_ra));
-    const K_condensed = matrixOps.subtract(K_aa, temp);
-    const T_active = activeLocalIndices.map(idx => T3D[idx]);
+const readPopupAxialBehaviorField = () => normalizeMemberAxialBehavior(document.getElementById('popup-axial-behavior')?.value);
 
+// ケーブル部材の設定 { pretension (kN), unstressedLength (m) }。ケーブルでない部材は null とし、行の data 属性を持たない
+const normalizeMemberCable = (source) => {
+    if (!source) return null;
+    const pretension = Number.parseFloat(source.pretension);
+    const unstressedLength = Number.parseFloat(source.unstressedLength);
+    if (!Number.isFinite(pretension) && !Number.isFinite(unstressedLength)) return null;
     return {
-        hasRelease: true,
-        usedCondensation: true,
-        activeLocalIndices,
-        releaseLocalIndices,
-        k_local_active: K_condensed,
-        T_active,
-        K_rr_inv,
-        K_ra,
-        K_ar,
-        fallbackZeroing: false,
-        k_local_modified: kLocal3D,
-        globalIndexMap
+        pretension: Number.isFinite(pretension) && pretension > 0 ? pretension : 0,
+        unstressedLength: Number.isFinite(unstressedLength) && unstressedLength > 0 ? unstressedLength : null
     };
 };
 
+const readMemberRowCable = (row) => {
+    try {
+        return normalizeMemberCable(JSON.parse(row?.dataset?.cable || 'null'));
+    } catch (error) {
+        return null;
+    }
+};
+
+const writeMemberRowCable = (row, source) => {
+    if (!row) return;
+    const cable = normalizeMemberCable(source);
+    if (cable) {
+        row.dataset.cable = JSON.stringify(cable);
+    } else {
+        delete row.dataset.cable;
+    }
+};
+
+// 保存データの部材からケーブルの設定を取り出す（CSVでは cable_pretension, cable_unstressedLength 列に保存する）
+const getMemberCableSource = (member) => member?.cable
+    ?? { pretension: member?.cable_pretension, unstressedLength: member?.cable_unstressedLength };
+
+// 部材プロパティポップアップのケーブル欄（部材種別がケーブルのときだけ表示し、両端はピン接合に固定する）
+const updatePopupCableFieldsVisibility = () => {
+    const isCable = document.getElementById('popup-member-type')?.value === 'cable';
+    document.querySelectorAll('#member-props-popup .popup-cable-field').forEach(field => {
+        field.style.display = isCable ? '' : 'none';
+    });
+    document.querySelectorAll('#member-props-popup .popup-axial-behavior-field').forEach(field => {
+        field.style.display = isCable ? 'none' : '';
+    });
+    ['popup-i-conn', 'popup-j-conn'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        if (isCable) select.value = 'pinned';
+        select.disabled = isCable;
+    });
+    updatePopupSemiRigidFieldsVisibility();
+    updatePopupReleaseFieldsVisibility();
+};
+
+const fillPopupCableFields = (row) => {
+    const cable = readMemberRowCable(row);
+    const typeSelect = document.getElementById('popup-member-type');
+    if (typeSelect) typeSelect.value = cable ? 'cable' : 'frame';
+    const pretensionInput = document.getElementById('popup-cable-pretension');
+    if (pretensionInput) pretensionInput.value = cable ? cable.pretension : '';
+    const lengthInput = document.getElementById('popup-cable-unstressed-length');
+    if (lengthInput) lengthInput.value = cable?.unstressedLength ?? '';
+    updatePopupCableFieldsVisibility();
+};
+
+const readPopupCableFields = () => (document.getElementById('popup-member-type')?.value === 'cable'
+    ? normalizeMemberCable({
+        pretension: document.getElementById('popup-cable-pretension')?.value || 0,
+        unstressedLength: document.getElementById('popup-cable-unstressed-length')?.value
+    })
+    : null);
+
+// 部材プロパティポップアップの解放欄（どちらかの端部が 'release' のときだけ表示する）
+const updatePopupReleaseFieldsVisibility = () => {
+    const isRelease = ['popup-i-conn', 'popup-j-conn'].some(id => document.getElementById(id)?.value === 'release');
+    document.querySelectorAll('#member-props-popup .popup-release-field').forEach(field => {
+        field.style.display = isRelease ? '' : 'none';
+    });
+};
+
+const fillPopupReleaseFields = (row) => {
+    const releases = readMemberRowReleases(row);
+    ['i', 'j'].forEach(end => {
+        document.querySelectorAll(`#popup-release-${end} input[type="checkbox"]`).forEach(checkbox => {
+            checkbox.checked = releases[end].includes(checkbox.value);
+        });
+    });
+    updatePopupReleaseFieldsVisibility();
+};
+
+const readPopupReleaseFields = () => ['i', 'j'].reduce((releases, end) => {
+    releases[end] = Array.from(document.querySelectorAll(`#popup-release-${end} input[type="checkbox"]:checked`), checkbox => checkbox.value);
+    return releases;
+}, {});
+
+// ポップアップの接合条件で部材が不安定にならないかを調べる（ピン接合は曲げ2軸の解放として扱う）
+const findPopupReleaseProblems = () => {
+    const releases = readPopupReleaseFields();
+    const endKeys = ['i', 'j'].reduce((keys, end) => {
+        const conn = document.getElementById(`popup-${end}-conn`)?.value;
+        keys[end] = conn === 'release' ? releases[end] : (conn === 'pinned' ? ['My', 'Mz'] : []);
+        return keys;
+    }, {});
+    return findUnstableReleases(endKeys);
+};
+
+// 部材プロパティポップアップの半剛接合欄（どちらかの端部が半剛のときだけ表示する）
+const updatePopupSemiRigidFieldsVisibility = () => {
+    const isSemi = ['popup-i-conn', 'popup-j-conn'].some(id => document.getElementById(id)?.value === 'semi');
+    document.querySelectorAll('#member-props-popup .popup-semi-rigid-field').forEach(field => {
+        field.style.display = isSemi ? '' : 'none';
+    });
+};
+
+const fillPopupSemiRigidFields = (row) => {
+    const semiRigid = readMemberRowSemiRigid(row);
+    const typeSelect = document.getElementById('popup-semi-rigid-type');
+    if (typeSelect) typeSelect.value = semiRigid.type;
+    SEMI_RIGID_KEYS.forEach(key => {
+        const input = document.getElementById(`popup-semi-rigid-${key}`);
+        if (input) input.value = semiRigid[key];
+    });
+    updatePopupSemiRigidFieldsVisibility();
+};
+
+const readPopupSemiRigidFields = () => SEMI_RIGID_KEYS.reduce((source, key) => {
+    source[key] = document.getElementById(`popup-semi-rigid-${key}`)?.value;
+    return source;
+}, { type: document.getElementById('popup-semi-rigid-type')?.value });
+
 const enablePopupDrag = (popupElement, handleElement) => {
     if (!popupElement || !handleElement || handleElement.dataset.dragHandlerAttached === 'true') {
         return;
@@ -961,32 +1626,316 @@ function deriveAxisKeyFromLabel(label) {
     return null;
 }
 
-function findMemberLoadRow(memberIndex) {
-    if (!elements || !elements.memberLoadsTable || !Number.isInteger(memberIndex)) {
-        return null;
+// --- 荷重ケース ---
+// 荷重表の荷重ケース列（荷重値の列の後ろ）の選択欄の class
+const LOAD_CASE_SELECT_CLASS = 'load-case-select';
+// 荷重組合せの式（1.0D+1.0L など）で係数と区別できるよう、記号は英字か _ で始める
+const LOAD_CASE_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DEFAULT_LOAD_CASES = Object.freeze([{ id: 'D', name: '固定荷重' }]);
+// 自重と強制変位は荷重表とは別の荷重ケースとして解析する
+const SELF_WEIGHT_LOAD_CASE = Object.freeze({ id: 'SW', name: '自重' });
+const FORCED_DISPLACEMENT_LOAD_CASE = Object.freeze({ id: 'FD', name: '強制変位' });
+const TOTAL_LOAD_CASE = Object.freeze({ id: 'ALL', name: '全荷重ケース合計' });
+// 応答スペクトル解析の結果は荷重ケースと同じように切り替えて表示する
+const RESPONSE_SPECTRUM_RESULT = Object.freeze({ id: 'RS', name: '応答スペクトル' });
+const RESERVED_LOAD_CASE_IDS = new Set([SELF_WEIGHT_LOAD_CASE.id, FORCED_DISPLACEMENT_LOAD_CASE.id, TOTAL_LOAD_CASE.id, RESPONSE_SPECTRUM_RESULT.id]);
+
+/**
+ * 記号の規則（LOAD_CASE_ID_PATTERN）を定める前に保存された記号（数字で始まる記号や + - を含む記号）を、規則に合う記号に読み替える
+ * 英数字と _ 以外の文字は _ に置き換え、英字か _ で始まらない記号は先頭に _ を付ける（他の記号と重なる場合は末尾に番号を付ける）
+ * @param {string} id - 保存されていた記号
+ * @param {Set<string>} usedIds - 使用済みの記号（読み替えた記号を追加する）
+ * @returns {string} 規則に合う記号
+ */
+function migrateLoadCaseId(id, usedIds) {
+    const sanitized = `${id}`.replace(/[^A-Za-z0-9_]/g, '_');
+    const base = LOAD_CASE_ID_PATTERN.test(sanitized) ? sanitized : `_${sanitized}`;
+    let candidate = base;
+    for (let suffix = 2; usedIds.has(candidate) || RESERVED_LOAD_CASE_IDS.has(candidate); suffix++) {
+        candidate = `${base}_${suffix}`;
     }
+    usedIds.add(candidate);
+    return candidate;
+}
 
-    return Array.from(elements.memberLoadsTable.rows || []).find((row) => {
-        const memberInput = row.cells[0]?.querySelector('input');
-        if (!memberInput) return false;
-        const value = parseInt(memberInput.value, 10);
-        return Number.isInteger(value) && value - 1 === memberIndex;
-    }) || null;
+/**
+ * 記号を読み替えた荷重ケース・荷重組合せを利用者に知らせる
+ * @param {string} label - '荷重ケース' または '荷重組合せ'
+ * @param {Map<string, string>} renamedIds - 元の記号から読み替えた記号への対応
+ */
+function notifyMigratedLoadCaseIds(label, renamedIds) {
+    if (!renamedIds || renamedIds.size === 0) return;
+    const list = Array.from(renamedIds, ([previousId, newId]) => `${previousId} → ${newId}`).join('\n');
+    alert(`${label}の記号は英字または _ で始まる半角英数字とするため、次の記号を読み替えました。\n${list}`);
 }
 
-function readMemberLoadComponents(row) {
-    if (!(row instanceof HTMLTableRowElement)) {
-        return { wx: 0, wy: 0, wz: 0 };
-    }
-    const readCellValue = (index) => {
-        const input = row.cells[index]?.querySelector('input');
-        const value = input ? parseFloat(input.value) : 0;
-        return Number.isFinite(value) ? value : 0;
-    };
+function escapeLoadCaseText(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-    return {
-        wx: readCellValue(1),
-        wy: readCellValue(2),
+/**
+ * 荷重ケース表から荷重ケースの一覧を取得する
+ * 表が空の場合は既定の荷重ケースを返す。
+ * @returns {Array<{id: string, name: string}>}
+ */
+function getLoadCaseDefinitions() {
+    const definitions = [];
+    const seen = new Set();
+    Array.from(elements?.loadCasesTable?.rows || []).forEach(row => {
+        const id = (row.cells[0]?.querySelector('input')?.value || '').trim();
+        if (!id || seen.has(id)) return;
+        seen.add(id);
+        const name = (row.cells[1]?.querySelector('input')?.value || '').trim();
+        definitions.push({ id, name: name || id });
+    });
+    return definitions.length > 0 ? definitions : DEFAULT_LOAD_CASES.map(loadCase => ({ ...loadCase }));
+}
+
+function getActiveLoadCaseId() {
+    const definitions = getLoadCaseDefinitions();
+    const selected = elements?.activeLoadCaseSelect?.value;
+    return definitions.some(loadCase => loadCase.id === selected) ? selected : definitions[0].id;
+}
+
+function getLoadRowCaseSelect(row) {
+    return row?.querySelector?.(`select.${LOAD_CASE_SELECT_CLASS}`) || null;
+}
+
+function getLoadRowCaseId(row) {
+    const value = getLoadRowCaseSelect(row)?.value;
+    return value || getLoadCaseDefinitions()[0].id;
+}
+
+function isLoadRowInActiveCase(row) {
+    return getLoadRowCaseId(row) === getActiveLoadCaseId();
+}
+
+function buildLoadCaseOptionsMarkup(selectedId) {
+    const definitions = getLoadCaseDefinitions();
+    const options = definitions.map(loadCase => `<option value="${loadCase.id}"${loadCase.id === selectedId ? ' selected' : ''}>${loadCase.id}: ${escapeLoadCaseText(loadCase.name)}</option>`);
+    // 一覧にない荷重ケースを参照している行は、その値を残したまま表示する
+    if (selectedId && !definitions.some(loadCase => loadCase.id === selectedId)) {
+        options.push(`<option value="${escapeLoadCaseText(selectedId)}" selected>${escapeLoadCaseText(selectedId)}</option>`);
+    }
+    return options.join('');
+}
+
+function buildLoadCaseSelectMarkup(selectedId = getActiveLoadCaseId()) {
+    return `<select class="${LOAD_CASE_SELECT_CLASS}">${buildLoadCaseOptionsMarkup(selectedId)}</select>`;
+}
+
+// --- 部材途中の荷重（集中荷重・集中モーメント・部分分布荷重） ---
+const SPAN_LOAD_TYPES = Object.freeze({ point: '集中荷重', moment: '集中モーメント', distributed: '分布荷重' });
+const SPAN_LOAD_DIRECTIONS = Object.freeze(['x', 'y', 'z']);
+
+/**
+ * 部材集中荷重・部分分布荷重表の行のセル（荷重ケース列は含まない）
+ * @param {{member?: number, type?: string, direction?: string, a?: number, b?: number, value?: number, valueEnd?: number}} [load]
+ * @returns {string[]}
+ */
+function buildSpanLoadRowCells(load = {}) {
+    const numberOr = (value, fallback) => {
+        const num = value === '' || value === null || value === undefined ? NaN : Number(value);
+        return Number.isFinite(num) ? num : fallback;
+    };
+    const type = Object.prototype.hasOwnProperty.call(SPAN_LOAD_TYPES, load.type) ? load.type : 'point';
+    const direction = `${load.direction ?? ''}`.toLowerCase();
+    const selectedDirection = SPAN_LOAD_DIRECTIONS.includes(direction) ? direction : 'z';
+    const value = numberOr(load.value, 0);
+    return [
+        `<input type="number" value="${numberOr(load.member, 1)}">`,
+        `<select>${Object.entries(SPAN_LOAD_TYPES).map(([key, label]) => `<option value="${key}"${key === type ? ' selected' : ''}>${label}</option>`).join('')}</select>`,
+        `<select>${SPAN_LOAD_DIRECTIONS.map(axis => `<option value="${axis}"${axis === selectedDirection ? ' selected' : ''}>${axis.toUpperCase()}</option>`).join('')}</select>`,
+        `<input type="number" value="${numberOr(load.a, 0)}" min="0" step="0.1">`,
+        `<input type="number" value="${numberOr(load.b, 0)}" min="0" step="0.1">`,
+        `<input type="number" value="${value}">`,
+        `<input type="number" value="${numberOr(load.valueEnd, value)}">`
+    ];
+}
+
+// --- 部材等分布荷重の座標系と荷重の長さ ---
+const MEMBER_LOAD_COORDINATE_SYSTEMS = Object.freeze({ global: 'グローバル', local: '部材座標系' });
+const MEMBER_LOAD_LENGTH_BASES = Object.freeze({ true: '実長あたり', projected: '投影長あたり' });
+
+/**
+ * 部材荷重表の座標系・荷重の長さのセル（部材番号・Wx・Wy・Wz の後に続く）
+ * @param {{coordinateSystem?: string, projected?: boolean|string}} [load]
+ * @returns {string[]}
+ */
+function buildMemberLoadOptionCells(load = {}) {
+    const coordinateSystem = load.coordinateSystem === 'local' ? 'local' : 'global';
+    const lengthBasis = load.projected === true || load.projected === 'true' ? 'projected' : 'true';
+    const buildSelect = (options, selected) => `<select>${Object.entries(options)
+        .map(([key, label]) => `<option value="${key}"${key === selected ? ' selected' : ''}>${label}</option>`).join('')}</select>`;
+    return [
+        buildSelect(MEMBER_LOAD_COORDINATE_SYSTEMS, coordinateSystem),
+        buildSelect(MEMBER_LOAD_LENGTH_BASES, lengthBasis)
+    ];
+}
+
+// 部材荷重表の行の座標系と、投影長あたりの荷重かどうか（投影長はグローバル座標系の荷重にだけ用いる）
+function readMemberLoadOptions(row) {
+    const coordinateSystem = row?.cells[4]?.querySelector('select')?.value === 'local' ? 'local' : 'global';
+    return {
+        coordinateSystem,
+        projected: coordinateSystem === 'global' && row?.cells[5]?.querySelector('select')?.value === 'projected'
+    };
+}
+
+/**
+ * 部材荷重を実長あたりのグローバル成分 { wx, wy, wz } にする（解析エンジンと同じ部材座標軸を使う）
+ * 部材座標系・投影長の荷重を、グローバル成分の荷重しか扱わない3Dビューアに渡すときに用いる。
+ */
+function resolveMemberLoadGlobalComponents(load, nodes, members) {
+    const member = members[load.memberIndex];
+    if (!member || (load.coordinateSystem !== 'local' && !load.projected)) {
+        return { wx: Number(load.wx) || 0, wy: Number(load.wy) || 0, wz: Number(load.wz) || 0 };
+    }
+    const isPlanar = isPlanarFrame(nodes);
+    const axes = getMemberLoadAxes(nodes[member.i], nodes[member.j], getMemberAxisOptions(member, nodes, isPlanar), isPlanar);
+    const vector = resolveMemberLoadVector(load, axes);
+    return { wx: vector.x, wy: vector.y, wz: vector.z };
+}
+
+// --- 荷重組合せ ---
+const LOAD_COMBINATION_TERMS = Object.freeze({ long: '長期', short: '短期' });
+const LOAD_COMBINATION_TERM_PATTERN = /\s*([+\-±]?)\s*((?:\d+(?:\.\d*)?|\.\d+)?)\s*\*?\s*([A-Za-z_][A-Za-z0-9_]*)\s*/y;
+
+/**
+ * 荷重組合せの式を項に分解する
+ * 例: "1.0D+1.0L±1.0K" → [{ sign: 1, factor: 1, caseId: 'D' }, ..., { sign: 0, factor: 1, caseId: 'K' }]
+ * @param {string} expression - 組合せ式（係数を省略した項は 1.0、± の項は sign: 0）
+ * @returns {Array<{sign: number, factor: number, caseId: string}>}
+ */
+function parseLoadCombinationExpression(expression) {
+    const text = String(expression ?? '').trim();
+    const terms = [];
+    LOAD_COMBINATION_TERM_PATTERN.lastIndex = 0;
+    while (LOAD_COMBINATION_TERM_PATTERN.lastIndex < text.length) {
+        const match = LOAD_COMBINATION_TERM_PATTERN.exec(text);
+        // 2項目以降は符号が必須
+        if (!match || (terms.length > 0 && !match[1])) {
+            terms.length = 0;
+            break;
+        }
+        const [, signText, factorText, caseId] = match;
+        terms.push({
+            sign: signText === '-' ? -1 : (signText === '±' ? 0 : 1),
+            factor: factorText ? parseFloat(factorText) : 1,
+            caseId
+        });
+    }
+    if (terms.length === 0) {
+        throw new Error(`荷重組合せの式「${expression}」を解釈できません。1.0D+1.0L±1.0K のように入力してください。`);
+    }
+    return terms;
+}
+
+function formatLoadCombinationExpression(terms) {
+    return terms.map((term, index) => {
+        const signText = term.sign === 0 ? '±' : (term.sign < 0 ? '-' : (index > 0 ? '+' : ''));
+        const factorText = Number.isInteger(term.factor) ? term.factor.toFixed(1) : String(term.factor);
+        return `${signText}${factorText}${term.caseId}`;
+    }).join('');
+}
+
+/**
+ * ± を含む荷重組合せを、符号を決めた組合せに展開する（± の項が n 個なら 2^n 通り）
+ * @param {{id: string, expression: string, term: string}} definition - 荷重組合せの定義
+ * @returns {Array<{id: string, name: string, term: string, terms: Array<{caseId: string, factor: number}>}>}
+ */
+function expandLoadCombination(definition) {
+    const terms = parseLoadCombinationExpression(definition.expression);
+    const alternatingCount = terms.filter(term => term.sign === 0).length;
+    const variants = [];
+    for (let mask = 0; mask < 2 ** alternatingCount; mask++) {
+        let alternatingIndex = 0;
+        let suffix = '';
+        const signedTerms = terms.map(term => {
+            if (term.sign !== 0) return term;
+            const sign = (mask >> (alternatingCount - 1 - alternatingIndex++)) & 1 ? -1 : 1;
+            suffix += sign > 0 ? '+' : '-';
+            return { ...term, sign };
+        });
+        variants.push({
+            id: `${definition.id}${suffix}`,
+            name: formatLoadCombinationExpression(signedTerms),
+            term: definition.term,
+            terms: signedTerms.map(term => ({ caseId: term.caseId, factor: term.sign * term.factor }))
+        });
+    }
+    return variants;
+}
+
+// --- 節点荷重（集中荷重 Px・Py・Pz と節点モーメント Mx・My・Mz） ---
+// 節点荷重表の列は 節点番号・Px・Py・Pz・Mx・My・Mz の順（荷重ケース列はその後）
+const NODE_LOAD_COMPONENT_KEYS = Object.freeze(['px', 'py', 'pz', 'mx', 'my', 'mz']);
+
+/**
+ * 節点荷重表の行のセル（荷重ケース列は含まない）
+ * @param {number} nodeNumber - 節点番号（1始まり）
+ * @param {{px?: number, py?: number, pz?: number, mx?: number, my?: number, mz?: number}} [load]
+ * @returns {string[]}
+ */
+function buildNodeLoadRowCells(nodeNumber, load = {}) {
+    return [
+        `<input type="number" value="${nodeNumber}">`,
+        ...NODE_LOAD_COMPONENT_KEYS.map(key => {
+            const value = Number(load[key]);
+            return `<input type="number" value="${Number.isFinite(value) ? value : 0}">`;
+        })
+    ];
+}
+
+function readNodeLoadComponents(row) {
+    return NODE_LOAD_COMPONENT_KEYS.reduce((components, key, index) => {
+        const value = parseFloat(row?.cells[index + 1]?.querySelector('input')?.value);
+        components[key] = Number.isFinite(value) ? value : 0;
+        return components;
+    }, {});
+}
+
+function findNodeLoadRow(nodeIndex) {
+    if (!elements || !elements.nodeLoadsTable || !Number.isInteger(nodeIndex)) {
+        return null;
+    }
+    return Array.from(elements.nodeLoadsTable.rows).find(row =>
+        parseInt(row.cells[0].querySelector('input').value) - 1 === nodeIndex && isLoadRowInActiveCase(row)) || null;
+}
+
+function findMemberLoadRow(memberIndex) {
+    if (!elements || !elements.memberLoadsTable || !Number.isInteger(memberIndex)) {
+        return null;
+    }
+
+    // ポップアップではグローバル座標系・実長あたりの荷重を編集する
+    return Array.from(elements.memberLoadsTable.rows || []).find((row) => {
+        const memberInput = row.cells[0]?.querySelector('input');
+        if (!memberInput) return false;
+        const value = parseInt(memberInput.value, 10);
+        const { coordinateSystem, projected } = readMemberLoadOptions(row);
+        return Number.isInteger(value) && value - 1 === memberIndex && isLoadRowInActiveCase(row)
+            && coordinateSystem === 'global' && !projected;
+    }) || null;
+}
+
+function readMemberLoadComponents(row) {
+    if (!(row instanceof HTMLTableRowElement)) {
+        return { wx: 0, wy: 0, wz: 0 };
+    }
+    const readCellValue = (index) => {
+        const input = row.cells[index]?.querySelector('input');
+        const value = input ? parseFloat(input.value) : 0;
+        return Number.isFinite(value) ? value : 0;
+    };
+
+    return {
+        wx: readCellValue(1),
+        wy: readCellValue(2),
         wz: readCellValue(3)
     };
 }
@@ -1043,7 +1992,8 @@ function updateMemberLoadRow(memberIndex, loads) {
             `<input type="number" value="${memberIndex + 1}">`,
             `<input type="number" value="${sanitizedLoads.wx}">`,
             `<input type="number" value="${sanitizedLoads.wy}">`,
-            `<input type="number" value="${sanitizedLoads.wz}">`
+            `<input type="number" value="${sanitizedLoads.wz}">`,
+            ...buildMemberLoadOptionCells()
         ]);
     } else {
         const setCell = (index, value) => {
@@ -1244,6 +2194,9 @@ function detectMemberAtPosition(clientX, clientY) {
     const memberLoadsTable = document.getElementById('member-loads-table')?.getElementsByTagName('tbody')[0];
     if (memberLoadsTable && memberLoadsTable.rows) {
         Array.from(memberLoadsTable.rows).forEach((loadRow) => {
+            if (!isLoadRowInActiveCase(loadRow)) {
+                return;
+            }
             const memberInput = loadRow.cells?.[0]?.querySelector('input');
             const memberId = parseInt(memberInput?.value, 10);
             if (!Number.isFinite(memberId)) {
@@ -2268,16 +3221,98 @@ document.addEventListener('DOMContentLoaded', () => {
         membersTable: document.getElementById('members-table').getElementsByTagName('tbody')[0],
         nodeLoadsTable: document.getElementById('node-loads-table').getElementsByTagName('tbody')[0],
         memberLoadsTable: document.getElementById('member-loads-table').getElementsByTagName('tbody')[0],
+        memberSpanLoadsTable: document.getElementById('member-span-loads-table').getElementsByTagName('tbody')[0],
+        memberThermalLoadsTable: document.getElementById('member-thermal-loads-table').getElementsByTagName('tbody')[0],
+        loadCasesTable: document.getElementById('load-cases-table').getElementsByTagName('tbody')[0],
+        addLoadCaseBtn: document.getElementById('add-load-case-btn'),
+        activeLoadCaseSelect: document.getElementById('active-load-case-select'),
+        loadCombinationsTable: document.getElementById('load-combinations-table').getElementsByTagName('tbody')[0],
+        addLoadCombinationBtn: document.getElementById('add-load-combination-btn'),
+        resultCaseControls: document.getElementById('result-case-controls'),
+        resultCaseSelect: document.getElementById('result-case-select'),
+        envelopeDiagramControls: document.getElementById('envelope-diagram-controls'),
+        envelopeDiagramToggle: document.getElementById('envelope-diagram-toggle'),
+        pinResultBtn: document.getElementById('pin-result-btn'),
+        pinCombinationsBtn: document.getElementById('pin-combinations-btn'),
+        clearPinnedResultsBtn: document.getElementById('clear-pinned-results-btn'),
+        pinnedResultSummary: document.getElementById('pinned-result-summary'),
         addNodeBtn: document.getElementById('add-node-btn'),
         addMemberBtn: document.getElementById('add-member-btn'),
         addNodeLoadBtn: document.getElementById('add-node-load-btn'),
         addMemberLoadBtn: document.getElementById('add-member-load-btn'),
+        addMemberSpanLoadBtn: document.getElementById('add-member-span-load-btn'),
+        addMemberThermalLoadBtn: document.getElementById('add-member-thermal-load-btn'),
         calculateBtn: document.getElementById('calculate-btn'),
+        pDeltaToggle: document.getElementById('p-delta-toggle'),
+        shearDeformationToggle: document.getElementById('shear-deformation-toggle'),
         calculateAndAnimateBtn: document.getElementById('calculate-and-animate-btn'),
         presetSelector: document.getElementById('preset-selector'),
         displacementResults: document.getElementById('displacement-results'),
         reactionResults: document.getElementById('reaction-results'),
         forceResults: document.getElementById('force-results'),
+        loadCombinationEnvelope: document.getElementById('load-combination-envelope'),
+        envelopeDisplacementResults: document.getElementById('envelope-displacement-results'),
+        envelopeReactionResults: document.getElementById('envelope-reaction-results'),
+        envelopeForceResults: document.getElementById('envelope-force-results'),
+        pDeltaReport: document.getElementById('p-delta-report'),
+        pDeltaWarning: document.getElementById('p-delta-warning'),
+        pDeltaSummary: document.getElementById('p-delta-summary'),
+        pDeltaResults: document.getElementById('p-delta-results'),
+        bucklingModeCount: document.getElementById('buckling-mode-count'),
+        globalBucklingBtn: document.getElementById('global-buckling-btn'),
+        globalBucklingSummary: document.getElementById('global-buckling-summary'),
+        globalBucklingResults: document.getElementById('global-buckling-results'),
+        pushoverCase: document.getElementById('pushover-case'),
+        pushoverGravityCase: document.getElementById('pushover-gravity-case'),
+        pushoverDirection: document.getElementById('pushover-direction'),
+        pushoverControlNode: document.getElementById('pushover-control-node'),
+        pushoverTarget: document.getElementById('pushover-target'),
+        pushoverMaxSteps: document.getElementById('pushover-max-steps'),
+        pushoverBtn: document.getElementById('pushover-btn'),
+        pushoverSummary: document.getElementById('pushover-summary'),
+        pushoverChart: document.getElementById('pushover-chart'),
+        pushoverHinges: document.getElementById('pushover-hinges'),
+        modalToggle: document.getElementById('modal-toggle'),
+        modalOptions: document.getElementById('modal-options'),
+        modalModeCount: document.getElementById('modal-mode-count'),
+        modalMassType: document.getElementById('modal-mass-type'),
+        nodalMassesTable: document.getElementById('nodal-masses-table')?.getElementsByTagName('tbody')[0],
+        addNodalMassBtn: document.getElementById('add-nodal-mass-btn'),
+        modalReport: document.getElementById('modal-report'),
+        modalSummary: document.getElementById('modal-summary'),
+        modalResults: document.getElementById('modal-results'),
+        responseSpectrumToggle: document.getElementById('response-spectrum-toggle'),
+        responseSpectrumOptions: document.getElementById('response-spectrum-options'),
+        rsDirection: document.getElementById('rs-direction'),
+        rsCombination: document.getElementById('rs-combination'),
+        rsDamping: document.getElementById('rs-damping'),
+        rsSpectrumType: document.getElementById('rs-spectrum-type'),
+        rsBuildingStandardSettings: document.getElementById('rs-building-standard-settings'),
+        rsSoilType: document.getElementById('rs-soil-type'),
+        rsZoneFactor: document.getElementById('rs-zone-factor'),
+        rsBaseShearCoefficient: document.getElementById('rs-base-shear-coefficient'),
+        rsCustomSettings: document.getElementById('rs-custom-settings'),
+        rsCustomSpectrum: document.getElementById('rs-custom-spectrum'),
+        responseSpectrumReport: document.getElementById('response-spectrum-report'),
+        responseSpectrumSummary: document.getElementById('response-spectrum-summary'),
+        responseSpectrumStoreys: document.getElementById('response-spectrum-storeys'),
+        responseSpectrumModes: document.getElementById('response-spectrum-modes'),
+        timeHistoryToggle: document.getElementById('time-history-toggle'),
+        timeHistoryOptions: document.getElementById('time-history-options'),
+        thFile: document.getElementById('th-file'),
+        thRecordInfo: document.getElementById('th-record-info'),
+        thUnits: document.getElementById('th-units'),
+        thTimeStep: document.getElementById('th-time-step'),
+        thScale: document.getElementById('th-scale'),
+        thDirection: document.getElementById('th-direction'),
+        thDamping: document.getElementById('th-damping'),
+        thBeta: document.getElementById('th-beta'),
+        timeHistoryReport: document.getElementById('time-history-report'),
+        timeHistorySummary: document.getElementById('time-history-summary'),
+        thNodeSelect: document.getElementById('th-node-select'),
+        thAnimateBtn: document.getElementById('th-animate-btn'),
+        timeHistoryChart: document.getElementById('time-history-chart'),
+        timeHistoryPeakForces: document.getElementById('time-history-peak-forces'),
         errorMessage: document.getElementById('error-message'),
         modelCanvas: document.getElementById('model-canvas'),
         displacementCanvas: document.getElementById('displacement-canvas'),
@@ -2319,6 +3354,10 @@ document.addEventListener('DOMContentLoaded', () => {
         considerSelfWeightCheckbox: document.getElementById('consider-self-weight-checkbox'),
         hiddenAxisCoord: document.getElementById('hidden-axis-coord'),
         hiddenAxisLabel: document.getElementById('hidden-axis-label'),
+        analysisProgress: document.getElementById('analysis-progress'),
+        analysisProgressLabel: document.getElementById('analysis-progress-label'),
+        analysisProgressBar: document.getElementById('analysis-progress-bar'),
+        analysisCancelBtn: document.getElementById('analysis-cancel-btn'),
     };
 
     if (elements.nodePropsPopup && elements.nodePropsTitle) {
@@ -2333,6 +3372,27 @@ document.addEventListener('DOMContentLoaded', () => {
         popupSupportSelect.value = initializedValue;
     }
 
+    // ばね支点を選んだときだけばね剛性の入力欄を、ローラー・ばね支点のときだけ支点座標系の入力欄を表示する
+    const updatePopupSpringFieldsVisibility = () => {
+        const isSpring = normalizeSupportValue(popupSupportSelect?.value) === 'spring';
+        document.querySelectorAll('#node-props-popup .popup-spring-field').forEach(field => {
+            field.style.display = isSpring ? '' : 'none';
+        });
+        const usesLocalAxes = supportUsesLocalAxes(popupSupportSelect?.value);
+        document.querySelectorAll('#node-props-popup .popup-support-axes-field').forEach(field => {
+            field.style.display = usesLocalAxes ? '' : 'none';
+        });
+    };
+    if (popupSupportSelect) {
+        popupSupportSelect.addEventListener('change', updatePopupSpringFieldsVisibility);
+    }
+    ['popup-i-conn', 'popup-j-conn'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', updatePopupSemiRigidFieldsVisibility);
+        document.getElementById(id)?.addEventListener('change', updatePopupReleaseFieldsVisibility);
+    });
+    document.getElementById('popup-rigid-zone-mode')?.addEventListener('change', updatePopupRigidZoneFieldsVisibility);
+    document.getElementById('popup-member-type')?.addEventListener('change', updatePopupCableFieldsVisibility);
+
     const popupAreaInput = document.getElementById('popup-a');
     if (popupAreaInput) {
         popupAreaInput.addEventListener('input', updatePopupSelfWeightDisplay);
@@ -2557,7 +3617,10 @@ document.addEventListener('DOMContentLoaded', () => {
             `<input type="number" value="${formatForced(forcedDz, 3)}" step="0.1" title="強制変位 δz (mm)">`
         ];
 
-        return addRow(tableBody, nodeCells, saveHistory);
+        const newRow = addRow(tableBody, nodeCells, saveHistory);
+        if (newRow && options.springs) writeNodeRowSprings(newRow, options.springs);
+        if (newRow && options.supportAxes) writeNodeRowSupportAxes(newRow, options.supportAxes);
+        return newRow;
     };
 
     window.addNodeToTable = addNodeToTable;
@@ -2627,7 +3690,7 @@ document.addEventListener('DOMContentLoaded', () => {
     let unstableMembers = new Set();
     let instabilityMessage = '';
 
-    const analyzeInstability = (K_global, reduced_indices, nodes, members, is2DFrame = false) => {
+    const analyzeInstability = (K_global, reduced_indices, nodes, members, is2DFrame = false, inactiveMembers = []) => {
         const analysis = {
             message: '',
             unstableNodes: new Set(),
@@ -2657,6 +3720,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 analysis.message += `特異モード（零エネルギーモード）が検出されました`;
             }
 
+            // 4. 引張専用・圧縮専用で無効になった部材（部材がないものとして解いたため不安定になった）
+            if (inactiveMembers.length > 0) {
+                inactiveMembers.forEach(idx => analysis.unstableMembers.add(idx));
+                if (analysis.message) analysis.message += '\n';
+                analysis.message += `引張専用・圧縮専用で無効になった部材: ${inactiveMembers.map(i => i+1).join(', ')}`;
+            }
+
             // グローバル変数に設定（描画用）
             unstableNodes = analysis.unstableNodes;
             unstableMembers = analysis.unstableMembers;
@@ -2701,6 +3771,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 else if (axis === 'z') dofs.add('dy');
                 else if (axis === 'y') dofs.add('out-of-plane-y');
                 else dofs.add(`roller-${support}`);
+            } else if (support === 'spring') {
+                const springs = normalizeSupportSprings(node.springs);
+                if (springs.kx > 0) dofs.add('dx');
+                if (springs.kz > 0) dofs.add('dy');
+                if (springs.kry > 0) dofs.add('rz');
             }
 
             if (isEffectivelyZeroConstraint(node.dx_forced)) dofs.add('dx');
@@ -2716,6 +3791,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 else if (axis === 'y') dofs.add('dy');
                 else if (axis === 'z') dofs.add('dz');
                 else dofs.add(`roller-${support}`);
+            } else if (support === 'spring') {
+                const springs = normalizeSupportSprings(node.springs);
+                ['dx', 'dy', 'dz', 'rx', 'ry', 'rz'].forEach((dof, index) => {
+                    if (springs[SUPPORT_SPRING_KEYS[index]] > 0) dofs.add(dof);
+                });
             }
 
             if (isEffectivelyZeroConstraint(node.dx_forced)) dofs.add('dx');
@@ -2780,7 +3860,8 @@ document.addEventListener('DOMContentLoaded', () => {
             // 簡易的な特異性検出
             // 対角要素がゼロまたは極小の要素を検出
             reduced_indices.forEach((idx, i) => {
-                if (Math.abs(K_global[idx][idx]) < 1e-10) {
+                const diagonal = typeof K_global.get === 'function' ? K_global.get(idx, idx) : K_global[idx][idx];
+                if (Math.abs(diagonal) < 1e-10) {
                     zeroEnergyModes.push(idx);
                 }
             });
@@ -3008,10 +4089,16 @@ document.addEventListener('DOMContentLoaded', () => {
             const nodeInput = row.cells[0]?.querySelector('input');
             if (nodeInput) setupInputValidation(nodeInput, 'node-reference');
             
-        } else if (tableBody === elements.memberLoadsTable) {
-            // 部材荷重表：部材番号検証
+        } else if (tableBody === elements.memberLoadsTable || tableBody === elements.memberSpanLoadsTable || tableBody === elements.memberThermalLoadsTable) {
+            // 部材荷重表・部材集中荷重表・温度荷重表：部材番号検証
             const memberInput = row.cells[0]?.querySelector('input');
             if (memberInput) setupInputValidation(memberInput, 'member-reference');
+        } else if (tableBody === elements.nodalMassesTable) {
+            // 節点質量表：節点番号検証・質量は0以上
+            const nodeInput = row.cells[0]?.querySelector('input');
+            const massInput = row.cells[1]?.querySelector('input');
+            if (nodeInput) setupInputValidation(nodeInput, 'node-reference');
+            if (massInput) setupInputValidation(massInput, 'non-negative-number');
         }
     };
 
@@ -3031,6 +4118,16 @@ document.addEventListener('DOMContentLoaded', () => {
         Array.from(elements.memberLoadsTable.rows).forEach(row => {
             setupTableInputValidation(row, elements.memberLoadsTable);
         });
+
+        // 部材集中荷重・部分分布荷重表の検証
+        Array.from(elements.memberSpanLoadsTable.rows).forEach(row => {
+            setupTableInputValidation(row, elements.memberSpanLoadsTable);
+        });
+
+        // 温度荷重表の検証
+        Array.from(elements.memberThermalLoadsTable.rows).forEach(row => {
+            setupTableInputValidation(row, elements.memberThermalLoadsTable);
+        });
     };
 
     const showSelectionChoiceMenu = (pageX, pageY, onSelectNodes, onSelectMembers) => {
@@ -3531,6 +4628,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 <select id="bulk-i-conn" style="margin-left: 20px; display: none;">
                     <option value="rigid">剛接合</option>
                     <option value="pinned">ピン接合</option>
+                    <option value="semi">半剛接合</option>
+                    <option value="release">自由度ごとの解放</option>
                 </select>
             </div>
             <div style="margin-bottom: 15px;">
@@ -3538,6 +4637,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 <select id="bulk-j-conn" style="margin-left: 20px; display: none;">
                     <option value="rigid">剛接合</option>
                     <option value="pinned">ピン接合</option>
+                    <option value="semi">半剛接合</option>
+                    <option value="release">自由度ごとの解放</option>
                 </select>
             </div>
             <div style="margin-bottom: 15px;">
@@ -3817,14 +4918,14 @@ document.addEventListener('DOMContentLoaded', () => {
                     });
                 }
             }
+            if (updates.i_conn || updates.j_conn) {
+                updateMemberRowConnectionInfo(row);
+            }
             
             // 等分布荷重の処理
             if (updates.memberLoad) {
                 // 既存の部材荷重を検索
-                const existingLoadRow = Array.from(elements.memberLoadsTable.rows).find(loadRow => {
-                    const memberInput = loadRow.cells[0].querySelector('input');
-                    return parseInt(memberInput.value) - 1 === memberIndex;
-                });
+                const existingLoadRow = findMemberLoadRow(memberIndex);
 
                 const hasProp = (prop) => Object.prototype.hasOwnProperty.call(updates.memberLoad, prop);
                 const getSafeValue = (prop, fallback = 0) => {
@@ -3856,6 +4957,8 @@ document.addEventListener('DOMContentLoaded', () => {
                             <td><input type="number" value="${wx}" step="0.01"></td>
                             <td><input type="number" value="${wy}" step="0.01"></td>
                             <td><input type="number" value="${wz}" step="0.01"></td>
+                            ${buildMemberLoadOptionCells().map(cell => `<td>${cell}</td>`).join('')}
+                            <td>${buildLoadCaseSelectMarkup()}</td>
                             <td><button class="delete-row-btn">×</button></td>
                         `;
 
@@ -4179,74 +5282,225 @@ document.addEventListener('DOMContentLoaded', () => {
     window.applyBulkNodeEdit = applyBulkNodeEdit;
     
     // --- Matrix Math Library ---
-    const mat = {
-        create: (rows, cols, value = 0) => Array(rows).fill().map(() => Array(cols).fill(value)),
-        clone: (A) => A.map(row => row.slice()),
-        identity: (n) => {
-            const I = Array.from({ length: n }, (_, row) => Array.from({ length: n }, (_, col) => (row === col ? 1 : 0)));
-            return I;
-        },
-        multiply: (A, B) => {
-            const C = mat.create(A.length, B[0].length);
-            for (let i = 0; i < A.length; i++) {
-                for (let j = 0; j < B[0].length; j++) {
-                    for (let k = 0; k < A[0].length; k++) {
-                        C[i][j] += A[i][k] * B[k][j];
-                    }
-                }
-            }
-            return C;
-        },
-        transpose: A => A[0].map((_, colIndex) => A.map(row => row[colIndex])),
-        add: (A, B) => A.map((row, i) => row.map((val, j) => val + B[i][j])),
-        subtract: (A, B) => A.map((row, i) => row.map((val, j) => val - B[i][j])),
-        solve: (A, b) => {
-            const n = A.length;
-            const aug = A.map((row, i) => [...row, b[i][0]]);
-            for (let i = 0; i < n; i++) {
-                let maxRow = i;
-                for (let k = i + 1; k < n; k++) {
-                    if (Math.abs(aug[k][i]) > Math.abs(aug[maxRow][i])) maxRow = k;
-                }
-                [aug[i], aug[maxRow]] = [aug[maxRow], aug[i]];
-                if (aug[i][i] === 0) continue;
-                for (let k = i + 1; k < n; k++) {
-                    const factor = aug[k][i] / aug[i][i];
-                    for (let j = i; j < n + 1; j++) aug[k][j] -= factor * aug[i][j];
-                }
-            }
-            const x = mat.create(n, 1);
-            for (let i = n - 1; i >= 0; i--) {
-                let sum = 0;
-                for (let j = i + 1; j < n; j++) sum += aug[i][j] * x[j][0];
-                if (aug[i][i] === 0 && aug[i][n] - sum !== 0) return null;
-                x[i][0] = aug[i][i] === 0 ? 0 : (aug[i][n] - sum) / aug[i][i];
-            }
-            return x;
-        },
-        inverse: (A) => {
-            if (!Array.isArray(A) || A.length === 0 || A.length !== A[0].length) return null;
-            const n = A.length;
-            const identity = mat.identity(n);
-            const inv = mat.create(n, n);
-            for (let col = 0; col < n; col++) {
-                const e = identity.map(row => [row[col]]);
-                const solution = mat.solve(mat.clone(A), e);
-                if (!solution) return null;
-                for (let row = 0; row < n; row++) {
-                    inv[row][col] = solution[row][0];
-                }
-            }
-            return inv;
-        }
-    };
+    const mat = FrameAnalysisEngine.mat;
     if (!globalThis.matrixOps) {
         globalThis.matrixOps = mat;
     }
     
     // --- State and History Management ---
+    // 解析条件（保存データに含める。古いデータや未指定の項目は既定値にする）
+    const MODAL_MASS_TYPES = ['lumped', 'consistent'];
+    const DEFAULT_MODAL_MODE_COUNT = 6;
+    const RESPONSE_SPECTRUM_DIRECTIONS = ['X', 'Y'];
+    const RESPONSE_SPECTRUM_COMBINATIONS = ['CQC', 'SRSS'];
+    const DEFAULT_RESPONSE_SPECTRUM = Object.freeze({
+        enabled: false,
+        direction: 'X',
+        combination: 'CQC',
+        damping: 0.05,
+        spectrumType: 'building-standard',
+        soilType: 2,
+        zoneFactor: 1.0,
+        baseShearCoefficient: 0.2,
+        customSpectrum: ''
+    });
+    const GROUND_MOTION_UNITS = { gal: 0.01, mps2: 1, g: 9.80665 };
+    const NEWMARK_BETAS = [0.25, 1 / 6];
+    const DEFAULT_TIME_HISTORY = Object.freeze({
+        enabled: false,
+        units: 'gal',
+        timeStep: 0.01,
+        scale: 1.0,
+        direction: 'X',
+        damping: 0.02,
+        beta: 0.25
+    });
+
+    const getPositiveInputValue = (input, fallback) => {
+        const value = parseFloat(input?.value);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    const getAnalysisOptions = () => ({
+        pDelta: !!elements.pDeltaToggle?.checked,
+        shearDeformation: !!elements.shearDeformationToggle?.checked,
+        modal: {
+            enabled: !!elements.modalToggle?.checked,
+            modeCount: Math.min(Math.max(parseInt(elements.modalModeCount?.value, 10) || DEFAULT_MODAL_MODE_COUNT, 1), 30),
+            massType: elements.modalMassType?.value === 'consistent' ? 'consistent' : 'lumped'
+        },
+        responseSpectrum: {
+            enabled: !!elements.responseSpectrumToggle?.checked,
+            direction: elements.rsDirection?.value === 'Y' ? 'Y' : 'X',
+            combination: elements.rsCombination?.value === 'SRSS' ? 'SRSS' : 'CQC',
+            damping: Math.min(Math.max(getPositiveInputValue(elements.rsDamping, DEFAULT_RESPONSE_SPECTRUM.damping), 0.001), 0.5),
+            spectrumType: elements.rsSpectrumType?.value === 'custom' ? 'custom' : 'building-standard',
+            soilType: [1, 2, 3].includes(Number(elements.rsSoilType?.value)) ? Number(elements.rsSoilType.value) : DEFAULT_RESPONSE_SPECTRUM.soilType,
+            zoneFactor: getPositiveInputValue(elements.rsZoneFactor, DEFAULT_RESPONSE_SPECTRUM.zoneFactor),
+            baseShearCoefficient: getPositiveInputValue(elements.rsBaseShearCoefficient, DEFAULT_RESPONSE_SPECTRUM.baseShearCoefficient),
+            customSpectrum: elements.rsCustomSpectrum?.value || ''
+        },
+        timeHistory: {
+            enabled: !!elements.timeHistoryToggle?.checked,
+            units: Object.prototype.hasOwnProperty.call(GROUND_MOTION_UNITS, elements.thUnits?.value) ? elements.thUnits.value : DEFAULT_TIME_HISTORY.units,
+            timeStep: getPositiveInputValue(elements.thTimeStep, 0) || DEFAULT_TIME_HISTORY.timeStep,
+            scale: getPositiveInputValue(elements.thScale, DEFAULT_TIME_HISTORY.scale),
+            direction: elements.thDirection?.value === 'Y' ? 'Y' : 'X',
+            damping: Math.min(getPositiveInputValue(elements.thDamping, DEFAULT_TIME_HISTORY.damping), 0.5),
+            beta: Number(elements.thBeta?.value) < 0.2 ? 1 / 6 : 0.25
+        }
+    });
+
+    // 固有値解析の設定（モード数・質量）は応答スペクトル解析・時刻歴応答解析でも使う
+    const updateModalOptionsVisibility = () => {
+        const responseSpectrumEnabled = !!elements.responseSpectrumToggle?.checked;
+        const timeHistoryEnabled = !!elements.timeHistoryToggle?.checked;
+        if (elements.modalOptions) elements.modalOptions.style.display = elements.modalToggle?.checked || responseSpectrumEnabled || timeHistoryEnabled ? 'block' : 'none';
+        if (elements.responseSpectrumOptions) elements.responseSpectrumOptions.style.display = responseSpectrumEnabled ? 'block' : 'none';
+        if (elements.timeHistoryOptions) elements.timeHistoryOptions.style.display = timeHistoryEnabled ? 'block' : 'none';
+        const customSpectrum = elements.rsSpectrumType?.value === 'custom';
+        if (elements.rsBuildingStandardSettings) elements.rsBuildingStandardSettings.style.display = customSpectrum ? 'none' : 'flex';
+        if (elements.rsCustomSettings) elements.rsCustomSettings.style.display = customSpectrum ? 'block' : 'none';
+    };
+
+    const applyAnalysisOptions = (options = {}) => {
+        if (elements.pDeltaToggle) elements.pDeltaToggle.checked = !!options?.pDelta;
+        if (elements.shearDeformationToggle) elements.shearDeformationToggle.checked = !!options?.shearDeformation;
+        const modal = options?.modal || {};
+        if (elements.modalToggle) elements.modalToggle.checked = !!modal.enabled;
+        if (elements.modalModeCount) elements.modalModeCount.value = modal.modeCount || DEFAULT_MODAL_MODE_COUNT;
+        if (elements.modalMassType) elements.modalMassType.value = MODAL_MASS_TYPES.includes(modal.massType) ? modal.massType : 'lumped';
+        const responseSpectrum = { ...DEFAULT_RESPONSE_SPECTRUM, ...(options?.responseSpectrum || {}) };
+        if (elements.responseSpectrumToggle) elements.responseSpectrumToggle.checked = !!responseSpectrum.enabled;
+        if (elements.rsDirection) elements.rsDirection.value = RESPONSE_SPECTRUM_DIRECTIONS.includes(responseSpectrum.direction) ? responseSpectrum.direction : 'X';
+        if (elements.rsCombination) elements.rsCombination.value = RESPONSE_SPECTRUM_COMBINATIONS.includes(responseSpectrum.combination) ? responseSpectrum.combination : 'CQC';
+        if (elements.rsDamping) elements.rsDamping.value = responseSpectrum.damping;
+        if (elements.rsSpectrumType) elements.rsSpectrumType.value = responseSpectrum.spectrumType === 'custom' ? 'custom' : 'building-standard';
+        if (elements.rsSoilType) elements.rsSoilType.value = String(responseSpectrum.soilType);
+        if (elements.rsZoneFactor) elements.rsZoneFactor.value = responseSpectrum.zoneFactor;
+        if (elements.rsBaseShearCoefficient) elements.rsBaseShearCoefficient.value = responseSpectrum.baseShearCoefficient;
+        if (elements.rsCustomSpectrum) elements.rsCustomSpectrum.value = responseSpectrum.customSpectrum;
+        const timeHistory = { ...DEFAULT_TIME_HISTORY, ...(options?.timeHistory || {}) };
+        if (elements.timeHistoryToggle) elements.timeHistoryToggle.checked = !!timeHistory.enabled;
+        if (elements.thUnits) elements.thUnits.value = Object.prototype.hasOwnProperty.call(GROUND_MOTION_UNITS, timeHistory.units) ? timeHistory.units : DEFAULT_TIME_HISTORY.units;
+        if (elements.thTimeStep) elements.thTimeStep.value = timeHistory.timeStep;
+        if (elements.thScale) elements.thScale.value = timeHistory.scale;
+        if (elements.thDirection) elements.thDirection.value = RESPONSE_SPECTRUM_DIRECTIONS.includes(timeHistory.direction) ? timeHistory.direction : 'X';
+        if (elements.thDamping) elements.thDamping.value = timeHistory.damping;
+        if (elements.thBeta) elements.thBeta.value = String(NEWMARK_BETAS.find(beta => Math.abs(beta - Number(timeHistory.beta)) < 1e-6) ?? DEFAULT_TIME_HISTORY.beta);
+        updateModalOptionsVisibility();
+    };
+
+    [elements.modalToggle, elements.responseSpectrumToggle, elements.rsSpectrumType, elements.timeHistoryToggle].forEach(control => {
+        if (control) control.addEventListener('change', updateModalOptionsVisibility);
+    });
+
+    /**
+     * 解析条件の応答スペクトル解析の設定を FrameAnalysisEngine の options.responseSpectrum にする
+     * ユーザー定義スペクトルは1行に「周期, 加速度」を書いたテキストから読み取る。
+     * @param {object} settings - getAnalysisOptions().responseSpectrum
+     * @returns {{direction: string, combination: string, damping: number, spectrum: object}}
+     */
+    const buildResponseSpectrumOptions = (settings) => {
+        const { direction, combination, damping, spectrumType, soilType, zoneFactor, baseShearCoefficient, customSpectrum } = settings;
+        if (spectrumType !== 'custom') {
+            return { direction, combination, damping, spectrum: { type: 'building-standard', soilType, zoneFactor, baseShearCoefficient } };
+        }
+        const points = [];
+        customSpectrum.split(/\r?\n/).forEach((line, index) => {
+            const text = line.trim();
+            if (!text) return;
+            const values = text.split(/[\s,、]+/).map(Number);
+            if (values.length !== 2 || values.some(value => !Number.isFinite(value)) || values[0] < 0 || values[1] < 0) {
+                throw new Error(`応答スペクトルの${index + 1}行目「${text}」は「周期 T (s), 加速度 Sa (m/s²)」の形で0以上の値を入力してください。`);
+            }
+            points.push({ period: values[0], acceleration: values[1] });
+        });
+        if (points.length === 0) {
+            throw new Error('ユーザー定義の応答スペクトルの周期と加速度を入力してください。');
+        }
+        return { direction, combination, damping, spectrum: { type: 'custom', points } };
+    };
+
+    // 読み込んだ地震波（ファイルの値のまま。単位と倍率は解析時に掛ける）
+    let loadedGroundMotion = null;
+
+    /**
+     * 地震波のテキスト・CSVから加速度の列を読み取る
+     * 1列なら加速度、2列以上なら1列目を時刻・2列目を加速度とする（数値で始まらない行は見出しとして読み飛ばす）。
+     * @param {string} text - ファイルの内容
+     * @returns {{values: number[], timeStep: number|null}} timeStep は時刻の列から求めた時間刻み（1列の場合は null）
+     */
+    const parseGroundMotionText = (text) => {
+        const rows = text.split(/\r?\n/)
+            .map(line => line.trim().split(/[\s,;]+/).filter(Boolean).map(Number))
+            .filter(values => values.length > 0 && values.every(Number.isFinite));
+        if (rows.length < 2) {
+            throw new Error('地震波ファイルから加速度の数値を読み取れませんでした。');
+        }
+        if (rows.every(values => values.length === 1)) {
+            return { values: rows.map(values => values[0]), timeStep: null };
+        }
+        const times = rows.map(values => values[0]);
+        const timeStep = times[1] - times[0];
+        if (!(timeStep > 0) || times.some((t, index) => Math.abs(t - times[0] - index * timeStep) > timeStep * 1e-3)) {
+            throw new Error('地震波ファイルの時刻が等間隔ではありません。');
+        }
+        return { values: rows.map(values => values[1] ?? 0), timeStep };
+    };
+
+    const updateGroundMotionInfo = () => {
+        if (!elements.thRecordInfo) return;
+        if (!loadedGroundMotion) {
+            elements.thRecordInfo.textContent = '未読込';
+            return;
+        }
+        const { name, values, timeStep } = loadedGroundMotion;
+        const peak = values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        const stepText = timeStep ? `Δt = ${timeStep} s（ファイルの時刻）` : 'Δt は入力値';
+        elements.thRecordInfo.textContent = `${name}: ${values.length} 点、${stepText}、最大 ${peak.toPrecision(4)}`;
+        if (timeStep && elements.thTimeStep) elements.thTimeStep.value = timeStep;
+    };
+
+    if (elements.thFile) {
+        elements.thFile.addEventListener('change', (event) => {
+            const file = event.target.files?.[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    loadedGroundMotion = { name: file.name, ...parseGroundMotionText(String(reader.result)) };
+                } catch (error) {
+                    loadedGroundMotion = null;
+                    alert(error.message);
+                }
+                updateGroundMotionInfo();
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * 解析条件の時刻歴応答解析の設定と読み込んだ地震波から FrameAnalysisEngine の options.timeHistory を作る
+     * @param {object} settings - getAnalysisOptions().timeHistory
+     * @returns {{direction: string, accelerations: number[], timeStep: number, damping: number, beta: number}}
+     */
+    const buildTimeHistoryOptions = (settings) => {
+        if (!loadedGroundMotion) {
+            throw new Error('時刻歴応答解析の地震波ファイルを読み込んでください。');
+        }
+        const factor = GROUND_MOTION_UNITS[settings.units] * settings.scale;
+        return {
+            direction: settings.direction,
+            accelerations: loadedGroundMotion.values.map(value => value * factor),
+            timeStep: loadedGroundMotion.timeStep || settings.timeStep,
+            damping: settings.damping,
+            beta: settings.beta
+        };
+    };
+
     const getCurrentState = () => {
-        const state = { nodes: [], members: [], nodeLoads: [], memberLoads: [] };
+        const state = { nodes: [], members: [], nodeLoads: [], memberLoads: [], spanLoads: [], thermalLoads: [], loadCases: getLoadCaseDefinitions(), loadCombinations: getLoadCombinationDefinitions(), analysisOptions: getAnalysisOptions(), nodalMasses: getNodalMassDefinitions() };
         Array.from(elements.nodesTable.rows).forEach(row => {
             const supportSelectValue = row.cells[4]?.querySelector('select')?.value || 'free';
             state.nodes.push({
@@ -4256,7 +5510,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 support: normalizeSupportValue(supportSelectValue),
                 dx_forced: row.cells[5]?.querySelector('input')?.value || 0,
                 dy_forced: row.cells[6]?.querySelector('input')?.value || 0,
-                dz_forced: row.cells[7]?.querySelector('input')?.value || 0
+                dz_forced: row.cells[7]?.querySelector('input')?.value || 0,
+                ...(normalizeSupportValue(supportSelectValue) === 'spring' ? { springs: readNodeRowSprings(row) } : {}),
+                ...(supportUsesLocalAxes(supportSelectValue) && readNodeRowSupportAxes(row) ? { supportAxes: readNodeRowSupportAxes(row) } : {})
             });
         });
         Array.from(elements.membersTable.rows).forEach(row => {
@@ -4307,6 +5563,25 @@ document.addEventListener('DOMContentLoaded', () => {
             const connectionTargets = resolveMemberConnectionTargets(row);
             currentMember.i_conn = connectionTargets.i.select?.value || 'rigid';
             currentMember.j_conn = connectionTargets.j.select?.value || 'rigid';
+            if (currentMember.i_conn === 'semi' || currentMember.j_conn === 'semi') {
+                currentMember.semiRigid = readMemberRowSemiRigid(row);
+            }
+            if (currentMember.i_conn === 'release' || currentMember.j_conn === 'release') {
+                currentMember.releases = readMemberRowReleases(row);
+            }
+            const axisOrientation = readMemberRowAxisOrientation(row);
+            if (axisOrientation.rollAngle !== 0) currentMember.rollAngle = axisOrientation.rollAngle;
+            if (axisOrientation.referenceNode !== null) currentMember.referenceNode = axisOrientation.referenceNode;
+            const rigidZone = readMemberRowRigidZone(row);
+            if (rigidZone.mode !== 'none') currentMember.rigidZone = rigidZone;
+            const shearAreas = readMemberRowShearAreas(row);
+            if (shearAreas.y !== null || shearAreas.z !== null) currentMember.shearAreas = shearAreas;
+            const plasticModuli = readMemberRowPlasticModuli(row);
+            if (plasticModuli.y !== null || plasticModuli.z !== null) currentMember.plasticModuli = plasticModuli;
+            const axialBehavior = readMemberRowAxialBehavior(row);
+            if (axialBehavior) currentMember.axialBehavior = axialBehavior;
+            const cable = readMemberRowCable(row);
+            if (cable) currentMember.cable = cable;
             currentMember.Zx = row.dataset.zx;
             currentMember.ix = row.dataset.ix;
             currentMember.iy = row.dataset.iy;
@@ -4357,7 +5632,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 node: row.cells[0]?.querySelector('input')?.value || 1,
                 px: row.cells[1]?.querySelector('input')?.value || 0,
                 py: row.cells[2]?.querySelector('input')?.value || 0,
-                pz: row.cells[3]?.querySelector('input')?.value || 0
+                pz: row.cells[3]?.querySelector('input')?.value || 0,
+                mx: row.cells[4]?.querySelector('input')?.value || 0,
+                my: row.cells[5]?.querySelector('input')?.value || 0,
+                mz: row.cells[6]?.querySelector('input')?.value || 0,
+                case: getLoadRowCaseId(row)
             });
         });
         Array.from(elements.memberLoadsTable.rows).forEach(row => {
@@ -4366,7 +5645,31 @@ document.addEventListener('DOMContentLoaded', () => {
                 wx: row.cells[1]?.querySelector('input')?.value || 0,
                 wy: row.cells[2]?.querySelector('input')?.value || 0,
                 wz: row.cells[3]?.querySelector('input')?.value || 0,
-                w: row.cells[2]?.querySelector('input')?.value || 0
+                w: row.cells[2]?.querySelector('input')?.value || 0,
+                ...readMemberLoadOptions(row),
+                case: getLoadRowCaseId(row)
+            });
+        });
+        Array.from(elements.memberSpanLoadsTable.rows).forEach(row => {
+            const readCell = (index) => row.cells[index]?.querySelector('input, select')?.value;
+            state.spanLoads.push({
+                member: readCell(0) || 1,
+                type: readCell(1) || 'point',
+                direction: readCell(2) || 'z',
+                a: readCell(3) || 0,
+                b: readCell(4) || 0,
+                value: readCell(5) || 0,
+                valueEnd: readCell(6) || 0,
+                case: getLoadRowCaseId(row)
+            });
+        });
+        Array.from(elements.memberThermalLoadsTable.rows).forEach(row => {
+            state.thermalLoads.push({
+                member: row.cells[0]?.querySelector('input')?.value || 1,
+                deltaT: row.cells[1]?.querySelector('input')?.value || 0,
+                gradientY: row.cells[2]?.querySelector('input')?.value || 0,
+                gradientZ: row.cells[3]?.querySelector('input')?.value || 0,
+                case: getLoadRowCaseId(row)
             });
         });
         return state;
@@ -4453,11 +5756,20 @@ document.addEventListener('DOMContentLoaded', () => {
             elements.membersTable.innerHTML = '';
             elements.nodeLoadsTable.innerHTML = '';
             elements.memberLoadsTable.innerHTML = '';
+            elements.memberSpanLoadsTable.innerHTML = '';
+            elements.memberThermalLoadsTable.innerHTML = '';
+            // 荷重ケースのない古いデータは既定の荷重ケースに読み込む
+            const renamedCaseIds = resetLoadCases(state.loadCases);
+            const renamedCombinationIds = resetLoadCombinations(state.loadCombinations);
+            const getRestoredCaseId = (caseId) => renamedCaseIds.get(`${caseId ?? ''}`.trim()) || caseId;
+            applyAnalysisOptions(state.analysisOptions);
+            resetNodalMasses(state.nodalMasses);
+            const defaultCaseId = getLoadCaseDefinitions()[0].id;
             
             // 節点復元
             state.nodes.forEach(n => {
                 const normalizedSupport = normalizeSupportValue(n.support);
-                addRow(elements.nodesTable, [
+                const nodeRow = addRow(elements.nodesTable, [
                 `#`,
                 `<input type="number" value="${getNumberValue(n.x, 0)}">`,
                 `<input type="number" value="${getNumberValue(n.y, 0)}">`,
@@ -4467,6 +5779,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 `<input type="number" value="${getNumberValue(n.dy_forced, 0)}" step="0.1">`,
                 `<input type="number" value="${getNumberValue(n.dz_forced, 0)}" step="0.1">`
             ], false);
+                // CSV から読み込んだ場合はばね剛性が kx〜krz の列として入っている
+                writeNodeRowSprings(nodeRow, normalizedSupport === 'spring' ? (n.springs ?? n) : null);
+                writeNodeRowSupportAxes(nodeRow, supportUsesLocalAxes(normalizedSupport) ? (n.supportAxes ?? n) : null);
             });
             
             // 部材復元
@@ -4544,6 +5859,14 @@ document.addEventListener('DOMContentLoaded', () => {
                         if(m.Zy) newRow.dataset.zy = m.Zy;
                         if(m.ix) newRow.dataset.ix = m.ix;
                         if(m.iy) newRow.dataset.iy = m.iy;
+                        writeMemberRowSemiRigid(newRow, getMemberSemiRigidSource(m));
+                        writeMemberRowReleases(newRow, getMemberReleasesSource(m));
+                        writeMemberRowAxisOrientation(newRow, m);
+                        writeMemberRowRigidZone(newRow, getMemberRigidZoneSource(m));
+                        writeMemberRowShearAreas(newRow, getMemberShearAreasSource(m));
+                        writeMemberRowPlasticModuli(newRow, getMemberPlasticModuliSource(m));
+                        writeMemberRowAxialBehavior(newRow, m.axialBehavior);
+                        writeMemberRowCable(newRow, getMemberCableSource(m));
 
                         // 断面情報と軸情報を復元
                         let sectionInfoToApply = parseSectionInfo(m);
@@ -4580,10 +5903,8 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // 節点荷重復元
             state.nodeLoads.forEach(l => addRow(elements.nodeLoadsTable, [
-                `<input type="number" value="${getNumberValue(l.node ?? l.n, 1)}">`,
-                `<input type="number" value="${getNumberValue(l.px, 0)}">`,
-                `<input type="number" value="${getNumberValue(l.py, 0)}">`,
-                `<input type="number" value="${getNumberValue(l.pz, 0)}">`
+                ...buildNodeLoadRowCells(getNumberValue(l.node ?? l.n, 1), l),
+                buildLoadCaseSelectMarkup(getRestoredCaseId(l.case) || defaultCaseId)
             ], false));
             
             // 部材荷重復元
@@ -4591,13 +5912,32 @@ document.addEventListener('DOMContentLoaded', () => {
                 `<input type="number" value="${getNumberValue(l.member ?? l.m, 1)}">`,
                 `<input type="number" value="${getNumberValue(l.wx, 0)}">`,
                 `<input type="number" value="${getNumberValue(l.wy ?? l.w, 0)}">`,
-                `<input type="number" value="${getNumberValue(l.wz, 0)}">`
+                `<input type="number" value="${getNumberValue(l.wz, 0)}">`,
+                ...buildMemberLoadOptionCells(l),
+                buildLoadCaseSelectMarkup(getRestoredCaseId(l.case) || defaultCaseId)
+            ], false));
+
+            // 部材集中荷重・部分分布荷重復元（古いデータにも対応）
+            (state.spanLoads || []).forEach(l => addRow(elements.memberSpanLoadsTable, [
+                ...buildSpanLoadRowCells(l),
+                buildLoadCaseSelectMarkup(getRestoredCaseId(l.case) || defaultCaseId)
+            ], false));
+
+            // 温度荷重復元（温度荷重のない古いデータにも対応）
+            (state.thermalLoads || []).forEach(l => addRow(elements.memberThermalLoadsTable, [
+                `<input type="number" value="${getNumberValue(l.member ?? l.m, 1)}">`,
+                `<input type="number" value="${getNumberValue(l.deltaT, 0)}">`,
+                `<input type="number" value="${getNumberValue(l.gradientY, 0)}">`,
+                `<input type="number" value="${getNumberValue(l.gradientZ, 0)}">`,
+                buildLoadCaseSelectMarkup(getRestoredCaseId(l.case) || defaultCaseId)
             ], false));
             
             renumberTables();
             if (typeof drawOnCanvas === 'function') {
                 drawOnCanvas();
             }
+            notifyMigratedLoadCaseIds('荷重ケース', renamedCaseIds);
+            notifyMigratedLoadCaseIds('荷重組合せ', renamedCombinationIds);
         } catch (error) {
             console.error('Error in restoreState:', error);
             alert('元に戻す処理中にエラーが発生しました。コンソールで詳細を確認してください。');
@@ -4743,6 +6083,8 @@ document.addEventListener('DOMContentLoaded', () => {
             deleteBtn.onclick = () => handleMemberRowDeletion(row);
         } else if (tableBody === elements.nodesTable) {
             deleteBtn.onclick = () => handleNodeRowDeletion(row);
+        } else if (tableBody === elements.loadCasesTable) {
+            deleteBtn.onclick = () => handleLoadCaseRowDeletion(row);
         } else {
             deleteBtn.onclick = () => handleGenericRowDeletion(row);
         }
@@ -4756,18 +6098,20 @@ document.addEventListener('DOMContentLoaded', () => {
         pushState();
         const deletedMemberNumber = row.rowIndex;
         
-        // 関連する部材荷重を削除
-        const loadsToDelete = Array.from(elements.memberLoadsTable.rows)
-            .filter(r => parseInt(r.cells[0].querySelector('input').value) - 1 === deletedMemberNumber);
-        loadsToDelete.forEach(r => r.remove());
-        
-        // 後続の部材荷重の番号を調整
-        Array.from(elements.memberLoadsTable.rows).forEach(r => {
-            const input = r.cells[0].querySelector('input');
-            const current = parseInt(input.value);
-            if (current - 1 > deletedMemberNumber) {
-                input.value = current - 1;
-            }
+        [elements.memberLoadsTable, elements.memberSpanLoadsTable, elements.memberThermalLoadsTable].forEach(tableBody => {
+            // 関連する部材荷重・温度荷重を削除
+            const loadsToDelete = Array.from(tableBody.rows)
+                .filter(r => parseInt(r.cells[0].querySelector('input').value) - 1 === deletedMemberNumber);
+            loadsToDelete.forEach(r => r.remove());
+            
+            // 後続の部材荷重・温度荷重の番号を調整
+            Array.from(tableBody.rows).forEach(r => {
+                const input = r.cells[0].querySelector('input');
+                const current = parseInt(input.value);
+                if (current - 1 > deletedMemberNumber) {
+                    input.value = current - 1;
+                }
+            });
         });
         
         row.remove();
@@ -4805,6 +6149,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (c_j > deletedNodeNumber) {
                     membersToUpdate.push({ input: j, newValue: c_j - 1 });
                 }
+                shiftMemberRowReferenceNode(r, deletedNodeNumber);
             }
         });
         
@@ -4823,11 +6168,28 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
         
+        // 関連する節点質量の処理
+        const nodalMassesToDelete = [];
+        const nodalMassesToUpdate = [];
+
+        Array.from(elements.nodalMassesTable?.rows || []).forEach(r => {
+            const n = r.cells[0].querySelector('input');
+            const current = parseInt(n.value);
+
+            if (current === deletedNodeNumber) {
+                nodalMassesToDelete.push(r);
+            } else if (current > deletedNodeNumber) {
+                nodalMassesToUpdate.push({ input: n, newValue: current - 1 });
+            }
+        });
+        
         // 削除と更新を実行
         membersToDelete.forEach(r => r.remove());
         nodeLoadsToDelete.forEach(r => r.remove());
+        nodalMassesToDelete.forEach(r => r.remove());
         membersToUpdate.forEach(item => item.input.value = item.newValue);
         nodeLoadsToUpdate.forEach(item => item.input.value = item.newValue);
+        nodalMassesToUpdate.forEach(item => item.input.value = item.newValue);
         
         row.remove();
         renumberTables();
@@ -4849,1228 +6211,1301 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    const getLoadRowsOfCase = (caseId) => [elements.nodeLoadsTable, elements.memberLoadsTable, elements.memberSpanLoadsTable, elements.memberThermalLoadsTable]
+        .flatMap(tableBody => Array.from(tableBody.rows))
+        .filter(row => getLoadRowCaseId(row) === caseId);
+
     /**
-     * 行の入力フィールドにイベントリスナーを設定
-     * @param {HTMLTableRowElement} row - 対象の行
-     * @param {HTMLTableSectionElement} tableBody - 所属するテーブルボディ
+     * 荷重ケースの一覧が変わったときに、入力ケースの選択肢と荷重表の荷重ケース列を更新する
      */
-    const setupRowInputListeners = (row, tableBody) => {
-        row.querySelectorAll('input, select').forEach(element => {
-            element.addEventListener('focus', pushState);
-            element.addEventListener('change', () => {
-                if (typeof drawOnCanvas === 'function') {
-                    drawOnCanvas();
-                }
+    const refreshLoadCaseSelectors = () => {
+        if (elements.activeLoadCaseSelect) {
+            const activeId = getActiveLoadCaseId();
+            elements.activeLoadCaseSelect.innerHTML = getLoadCaseDefinitions()
+                .map(loadCase => `<option value="${loadCase.id}">${loadCase.id}: ${escapeLoadCaseText(loadCase.name)}</option>`)
+                .join('');
+            elements.activeLoadCaseSelect.value = activeId;
+        }
+        [elements.nodeLoadsTable, elements.memberLoadsTable, elements.memberSpanLoadsTable, elements.memberThermalLoadsTable].forEach(tableBody => {
+            Array.from(tableBody.rows).forEach(row => {
+                const select = getLoadRowCaseSelect(row);
+                if (select) select.innerHTML = buildLoadCaseOptionsMarkup(select.value);
             });
         });
-        
-        // 入力検証の設定
-        setupTableInputValidation(row, tableBody);
     };
 
-    const addRow = (tableBody, cells, saveHistory = true) => {
-        return utils.executeWithErrorHandling(() => {
-            if (saveHistory) pushState();
-            
-            const newRow = createTableRow(tableBody, cells);
-            
-            // テーブル固有の設定
-            if (tableBody === elements.membersTable) {
-                setupMemberRowSpecialFeatures(newRow);
-                setupMaterialTypeHandling(newRow);
-            }
-            
-            // イベントリスナーの設定
-            setupRowDeleteHandler(newRow, tableBody);
-            setupRowInputListeners(newRow, tableBody);
-            
-            if (saveHistory) {
-                renumberTables();
-                // プリセット読み込み中は描画をスキップ
-                if (typeof drawOnCanvas === 'function' && !window.isLoadingPreset) {
-                    drawOnCanvas();
-                }
-            }
-            
-            return newRow;
-        }, { tableType: tableBody.id, cellCount: cells.length }, 'テーブル行の追加に失敗しました');
+    const addLoadCaseRow = (id, name, saveHistory = true) => addRow(elements.loadCasesTable, [
+        `<input type="text" value="${escapeLoadCaseText(id)}" size="6">`,
+        `<input type="text" value="${escapeLoadCaseText(name)}">`
+    ], saveHistory);
+
+    /**
+     * 記号の規則に合わない記号を読み替えた一覧にする（記号が空のものは除く）
+     * @param {Array<{id: string}>} definitions - 荷重ケースまたは荷重組合せの一覧
+     * @param {Set<string>} [reservedIds] - 規則に合っていても使えない記号（読み替える）
+     * @returns {{ definitions: Array<object>, renamedIds: Map<string, string> }} renamedIds は元の記号から読み替えた記号への対応
+     */
+    const migrateLoadCaseDefinitions = (definitions, reservedIds = new Set()) => {
+        const entries = (Array.isArray(definitions) ? definitions : [])
+            .filter(definition => definition && `${definition.id ?? ''}`.trim())
+            .map(definition => ({ definition, id: `${definition.id}`.trim() }));
+        const isValid = (id) => LOAD_CASE_ID_PATTERN.test(id) && !reservedIds.has(id);
+        const usedIds = new Set(entries.filter(({ id }) => isValid(id)).map(({ id }) => id));
+        const renamedIds = new Map();
+        const migrated = entries.map(({ definition, id }) => {
+            if (isValid(id)) return { ...definition, id };
+            if (!renamedIds.has(id)) renamedIds.set(id, migrateLoadCaseId(id, usedIds));
+            return { ...definition, id: renamedIds.get(id) };
+        });
+        return { definitions: migrated, renamedIds };
     };
 
-    const renumberTables = () => {
-        elements.nodesTable.querySelectorAll('tr').forEach((row, i) => row.cells[0].textContent = i + 1);
-        elements.membersTable.querySelectorAll('tr').forEach((row, i) => row.cells[0].textContent = i + 1);
+    /**
+     * 荷重ケース表を指定の一覧で置き換える
+     * 記号の規則に合わない古いデータの記号は読み替える（荷重表の荷重ケース列は戻り値の対応で読み替える）。
+     * @param {Array<{id: string, name: string}>} [definitions] - 省略時は既定の荷重ケース
+     * @returns {Map<string, string>} 元の記号から読み替えた記号への対応
+     */
+    const resetLoadCases = (definitions = DEFAULT_LOAD_CASES) => {
+        elements.loadCasesTable.innerHTML = '';
+        const { definitions: validDefinitions, renamedIds } = migrateLoadCaseDefinitions(definitions, RESERVED_LOAD_CASE_IDS);
+        (validDefinitions.length > 0 ? validDefinitions : DEFAULT_LOAD_CASES).forEach(loadCase => {
+            addLoadCaseRow(loadCase.id, loadCase.name || loadCase.id, false);
+        });
+        refreshLoadCaseSelectors();
+        return renamedIds;
     };
-    
-    const calculate = () => {
-        try {
-            // elements が初期化されているかチェック
-            if (!elements) {
-                console.error('❌ calculate: elements が初期化されていません');
-                alert('内部エラー: DOM要素が初期化されていません。ページを再読み込みしてください。');
-                return;
-            }
-            
-            elements.errorMessage.style.display = 'none';
-            clearResults(); 
-            const { nodes, members, nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights } = parseInputs();
-            const projectionModeForCalc = getProjectionModeValue();
-            const is3DModeActive = window.is3DMode === true;
-            const { calcRules } = buildConcentratedLoadRules(projectionModeForCalc, is3DModeActive);
-            const adjustedNodeLoads = nodeLoads.map(load => applyCalcRulesToLoad(load, calcRules));
-            const loadCalcMultipliers = {
-                x: calcRules.px?.multiplier ?? 1,
-                y: calcRules.py?.multiplier ?? 1,
-                z: calcRules.pz?.multiplier ?? 1
-            };
-            
-            // 2次元フレームの自動検出（全ての節点のY座標が同じ値の場合）
-            const is2DFrame = nodes.length > 0 && nodes.every(node => Math.abs(node.y - nodes[0].y) < 1e-6);
-            
-            if (is2DFrame) {
-                // 2次元フレームの場合、Z座標をY座標として扱う（2D解析エンジンはXY平面用）
-                nodes.forEach(node => {
 
-            const addNode = typeof window.addNodeToTable === 'function' ? window.addNodeToTable : null;
-            if (!addNode) {
-                alert('節点追加処理が初期化されていません。ページを再読み込みしてください。');
+    /**
+     * 荷重ケース表の行に、記号の検証と荷重表への反映を設定する
+     * @param {HTMLTableRowElement} row - 対象の行
+     */
+    const setupLoadCaseRowFeatures = (row) => {
+        const idInput = row.cells[0]?.querySelector('input');
+        const nameInput = row.cells[1]?.querySelector('input');
+        if (!idInput) return;
+        idInput.dataset.previousId = idInput.value.trim();
+
+        idInput.addEventListener('change', () => {
+            const previousId = idInput.dataset.previousId;
+            const newId = idInput.value.trim();
+            const isDuplicate = Array.from(elements.loadCasesTable.rows)
+                .some(other => other !== row && other.cells[0]?.querySelector('input')?.value.trim() === newId);
+            let errorText = '';
+            if (!LOAD_CASE_ID_PATTERN.test(newId)) {
+                errorText = '荷重ケースの記号は英字または _ で始まる半角英数字で入力してください。';
+            } else if (RESERVED_LOAD_CASE_IDS.has(newId)) {
+                errorText = `記号 ${newId} は自重・強制変位・合計・応答スペクトルの結果用に予約されています。`;
+            } else if (isDuplicate) {
+                errorText = `荷重ケース ${newId} は既に存在します。`;
+            }
+            if (errorText) {
+                alert(errorText);
+                idInput.value = previousId;
                 return;
             }
-                    const tempY = node.y;
-                    node.y = node.z; // Z座標（垂直）をY座標として使用
-                    node.z = tempY;  // Y座標（面外）をZ座標として退避
-                });
-                
-                // 部材の幾何情報を再計算（座標変換後）
-                members.forEach(member => {
-                    const ni = nodes[member.i];
-                    const nj = nodes[member.j];
-                    const dx = nj.x - ni.x;
-                    const dy = nj.y - ni.y;
-                    const L = Math.sqrt(dx**2 + dy**2);
-                    
-                    if (L === 0) {
-                        console.error(`部材 ${member.i+1}-${member.j+1} の長さが0です`);
-                        return;
-                    }
-                    
-                    // 方向余弦を更新
-                    const c = dx / L;
-                    const s = dy / L;
-                    member.length = L;
-                    member.c = c;
-                    member.s = s;
-                    
-                    // 変換マトリックスを更新（2D用）
-                    member.T = [
-                        [c, s, 0, 0, 0, 0],
-                        [-s, c, 0, 0, 0, 0],
-                        [0, 0, 1, 0, 0, 0],
-                        [0, 0, 0, c, s, 0],
-                        [0, 0, 0, -s, c, 0],
-                        [0, 0, 0, 0, 0, 1]
-                    ];
-                    
-                    // 局所剛性マトリックスを再計算
-                    const E = member.E;
-                    const A = member.A;
-                    const axisProps2D = member.axisProperties || null;
-                    const I = axisProps2D?.bendingInertia ?? member.I ?? member.Iz; // 選択軸に応じた断面二次モーメント
-                    const EAL = E * A / L;
-                    const EIL = E * I / L;
-                    const EIL2 = E * I / (L ** 2);
-                    const EIL3 = E * I / (L ** 3);
-                    
-                    const i_conn = member.i_conn;
-                    const j_conn = member.j_conn;
-                    
-                    if (i_conn === 'rigid' && j_conn === 'rigid') {
-                        member.k_local = [
-                            [EAL, 0, 0, -EAL, 0, 0],
-                            [0, 12*EIL3, 6*EIL2, 0, -12*EIL3, 6*EIL2],
-                            [0, 6*EIL2, 4*EIL, 0, -6*EIL2, 2*EIL],
-                            [-EAL, 0, 0, EAL, 0, 0],
-                            [0, -12*EIL3, -6*EIL2, 0, 12*EIL3, -6*EIL2],
-                            [0, 6*EIL2, 2*EIL, 0, -6*EIL2, 4*EIL]
-                        ];
-                    } else if (i_conn === 'pinned' && j_conn === 'rigid') {
-                        member.k_local = [
-                            [EAL, 0, 0, -EAL, 0, 0],
-                            [0, 3*EIL3, 0, 0, -3*EIL3, 3*EIL2],
-                            [0, 0, 0, 0, 0, 0],
-                            [-EAL, 0, 0, EAL, 0, 0],
-                            [0, -3*EIL3, 0, 0, 3*EIL3, -3*EIL2],
-                            [0, 3*EIL2, 0, 0, -3*EIL2, 3*EIL]
-                        ];
-                    } else if (i_conn === 'rigid' && j_conn === 'pinned') {
-                        member.k_local = [
-                            [EAL, 0, 0, -EAL, 0, 0],
-                            [0, 3*EIL3, 3*EIL2, 0, -3*EIL3, 0],
-                            [0, 3*EIL2, 3*EIL, 0, -3*EIL2, 0],
-                            [-EAL, 0, 0, EAL, 0, 0],
-                            [0, -3*EIL3, -3*EIL2, 0, 3*EIL3, 0],
-                            [0, 0, 0, 0, 0, 0]
-                        ];
-                    } else {
-                        member.k_local = [
-                            [EAL, 0, 0, -EAL, 0, 0],
-                            [0, 0, 0, 0, 0, 0],
-                            [0, 0, 0, 0, 0, 0],
-                            [-EAL, 0, 0, EAL, 0, 0],
-                            [0, 0, 0, 0, 0, 0],
-                            [0, 0, 0, 0, 0, 0]
-                        ];
-                    }
-                });
-                
-                // 面外方向の自由度を拘束（元のdy_forcedをdz_forcedに移動）
-                nodes.forEach(node => {
-                    node.dz_forced = 0; // 面外変位（元のY方向）を拘束
-                    node.dy_forced = undefined; // Y方向（現在は垂直方向）は自由
+            const wasActive = elements.activeLoadCaseSelect?.value === previousId;
+            if (previousId && previousId !== newId) {
+                getLoadRowsOfCase(previousId).forEach(loadRow => {
+                    const select = getLoadRowCaseSelect(loadRow);
+                    if (select) select.innerHTML = buildLoadCaseOptionsMarkup(newId);
                 });
+                renameLoadCaseInCombinations(previousId, newId);
             }
-            
-            // 解析用に自重荷重を部材・節点荷重へ統合（常にグローバル-Z方向）
-            const combinedNodeLoads = [...adjustedNodeLoads];
+            idInput.dataset.previousId = newId;
+            refreshLoadCaseSelectors();
+            if (wasActive && elements.activeLoadCaseSelect) {
+                elements.activeLoadCaseSelect.value = newId;
+            }
+        });
+        if (nameInput) nameInput.addEventListener('change', refreshLoadCaseSelectors);
+    };
 
-            const EPS = 1e-9;
-            const dot3 = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
-            const cross3 = (a, b) => ({
-                x: a.y * b.z - a.z * b.y,
-                y: a.z * b.x - a.x * b.z,
-                z: a.x * b.y - a.y * b.x
+    /**
+     * 荷重ケース行削除の処理（その荷重ケースの荷重も削除する）
+     * @param {HTMLTableRowElement} row - 削除対象の行
+     */
+    const handleLoadCaseRowDeletion = (row) => {
+        if (elements.loadCasesTable.rows.length <= 1) {
+            alert('荷重ケースは1つ以上必要です。');
+            return;
+        }
+        const caseId = row.cells[0]?.querySelector('input')?.value.trim();
+        const loadRows = getLoadRowsOfCase(caseId);
+        if (loadRows.length > 0 && !confirm(`荷重ケース ${caseId} の荷重 ${loadRows.length} 件も削除されます。よろしいですか？`)) {
+            return;
+        }
+        pushState();
+        loadRows.forEach(loadRow => loadRow.remove());
+        row.remove();
+        refreshLoadCaseSelectors();
+        if (typeof drawOnCanvas === 'function') {
+            drawOnCanvas();
+        }
+    };
+
+    const buildLoadCombinationTermSelectMarkup = (term) => `<select>${Object.entries(LOAD_COMBINATION_TERMS)
+        .map(([value, label]) => `<option value="${value}"${value === term ? ' selected' : ''}>${label}</option>`)
+        .join('')}</select>`;
+
+    /**
+     * 荷重組合せ表から荷重組合せの一覧を取得する（記号・式が空の行は除く）
+     * @returns {Array<{id: string, expression: string, term: string}>}
+     */
+    const getLoadCombinationDefinitions = () => Array.from(elements.loadCombinationsTable?.rows || [])
+        .map(row => ({
+            id: (row.cells[0]?.querySelector('input')?.value || '').trim(),
+            expression: (row.cells[1]?.querySelector('input')?.value || '').trim(),
+            term: row.cells[2]?.querySelector('select')?.value === 'long' ? 'long' : 'short'
+        }))
+        .filter(definition => definition.id && definition.expression);
+
+    const addLoadCombinationRow = (id, expression, term, saveHistory = true) => addRow(elements.loadCombinationsTable, [
+        `<input type="text" value="${escapeLoadCaseText(id)}" size="6">`,
+        `<input type="text" value="${escapeLoadCaseText(expression)}">`,
+        buildLoadCombinationTermSelectMarkup(term)
+    ], saveHistory);
+
+    /**
+     * 荷重組合せ表を指定の一覧で置き換える（記号の規則に合わない古いデータの記号は読み替える）
+     * @param {Array<{id: string, expression: string, term: string}>} [definitions] - 省略時は荷重組合せなし
+     * @returns {Map<string, string>} 元の記号から読み替えた記号への対応
+     */
+    const resetLoadCombinations = (definitions = []) => {
+        elements.loadCombinationsTable.innerHTML = '';
+        const { definitions: validDefinitions, renamedIds } = migrateLoadCaseDefinitions(definitions);
+        validDefinitions.forEach(definition => addLoadCombinationRow(definition.id, definition.expression || '', definition.term, false));
+        return renamedIds;
+    };
+
+    /**
+     * 節点質量表から追加の節点質量の一覧を取得する（質量が0以下の行は除く）
+     * @returns {Array<{node: number, mass: number}>} node は1始まりの節点番号、mass の単位は t
+     */
+    const getNodalMassDefinitions = () => Array.from(elements.nodalMassesTable?.rows || [])
+        .map(row => ({
+            node: parseInt(row.cells[0]?.querySelector('input')?.value, 10),
+            mass: parseFloat(row.cells[1]?.querySelector('input')?.value)
+        }))
+        .filter(definition => Number.isInteger(definition.node) && definition.mass > 0);
+
+    const addNodalMassRow = (node, mass, saveHistory = true) => addRow(elements.nodalMassesTable, [
+        `<input type="number" value="${node}" min="1" step="1">`,
+        `<input type="number" value="${mass}" min="0" step="0.1">`
+    ], saveHistory);
+
+    /**
+     * 節点質量表を指定の一覧で置き換える
+     * @param {Array<{node: number, mass: number}>} [definitions] - 省略時は節点質量なし
+     */
+    const resetNodalMasses = (definitions = []) => {
+        if (!elements.nodalMassesTable) return;
+        elements.nodalMassesTable.innerHTML = '';
+        (Array.isArray(definitions) ? definitions : [])
+            .filter(definition => definition && Number.isFinite(Number(definition.node)) && Number.isFinite(Number(definition.mass)))
+            .forEach(definition => addNodalMassRow(Number(definition.node), Number(definition.mass), false));
+    };
+
+    // 荷重ケースの記号を変えたときに、荷重組合せの式の参照も書き換える
+    const renameLoadCaseInCombinations = (previousId, newId) => {
+        Array.from(elements.loadCombinationsTable.rows).forEach(row => {
+            const input = row.cells[1]?.querySelector('input');
+            if (!input) return;
+            try {
+                const terms = parseLoadCombinationExpression(input.value);
+                if (!terms.some(term => term.caseId === previousId)) return;
+                input.value = formatLoadCombinationExpression(terms.map(term => (term.caseId === previousId ? { ...term, caseId: newId } : term)));
+            } catch (error) {
+                // 解釈できない式は書き換えずに残す（解析時にエラーとして表示される）
+            }
+        });
+    };
+
+    /**
+     * 荷重組合せ表の行に、記号と組合せ式の検証を設定する
+     * @param {HTMLTableRowElement} row - 対象の行
+     */
+    const setupLoadCombinationRowFeatures = (row) => {
+        const idInput = row.cells[0]?.querySelector('input');
+        const expressionInput = row.cells[1]?.querySelector('input');
+        if (idInput) {
+            idInput.dataset.previousId = idInput.value.trim();
+            idInput.addEventListener('change', () => {
+                const newId = idInput.value.trim();
+                const isDuplicate = Array.from(elements.loadCombinationsTable.rows)
+                    .some(other => other !== row && other.cells[0]?.querySelector('input')?.value.trim() === newId);
+                let errorText = '';
+                if (!LOAD_CASE_ID_PATTERN.test(newId)) {
+                    errorText = '荷重組合せの記号は英字または _ で始まる半角英数字で入力してください。';
+                } else if (isDuplicate) {
+                    errorText = `荷重組合せ ${newId} は既に存在します。`;
+                }
+                if (errorText) {
+                    alert(errorText);
+                    idInput.value = idInput.dataset.previousId;
+                    return;
+                }
+                idInput.dataset.previousId = newId;
             });
-            const magnitude3 = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
-            const normalize3 = (v) => {
-                const len = magnitude3(v);
-                if (!isFinite(len) || len <= EPS) {
-                    return { x: 0, y: 0, z: 0 };
+        }
+        if (expressionInput) {
+            expressionInput.dataset.previousExpression = expressionInput.value;
+            expressionInput.addEventListener('change', () => {
+                try {
+                    parseLoadCombinationExpression(expressionInput.value);
+                    expressionInput.dataset.previousExpression = expressionInput.value;
+                } catch (error) {
+                    alert(error.message);
+                    expressionInput.value = expressionInput.dataset.previousExpression;
                 }
-                return { x: v.x / len, y: v.y / len, z: v.z / len };
-            };
-            const scale3 = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
-            const subtract3 = (a, b) => ({
-                x: (a?.x ?? 0) - (b?.x ?? 0),
-                y: (a?.y ?? 0) - (b?.y ?? 0),
-                z: (a?.z ?? 0) - (b?.z ?? 0)
             });
+        }
+    };
 
-            const ensureCombinedNodeLoad = (nodeIndex) => {
-                let target = combinedNodeLoads.find(load => load.nodeIndex === nodeIndex);
-                if (!target) {
-                    target = {
-                        nodeIndex,
-                        px: 0,
-                        py: 0,
-                        pz: 0,
-                        mx: 0,
-                        my: 0,
-                        mz: 0
-                    };
-                    combinedNodeLoads.push(target);
+    /**
+     * 行の入力フィールドにイベントリスナーを設定
+     * @param {HTMLTableRowElement} row - 対象の行
+     * @param {HTMLTableSectionElement} tableBody - 所属するテーブルボディ
+     */
+    const setupRowInputListeners = (row, tableBody) => {
+        row.querySelectorAll('input, select').forEach(element => {
+            element.addEventListener('focus', pushState);
+            element.addEventListener('change', () => {
+                if (typeof drawOnCanvas === 'function') {
+                    drawOnCanvas();
                 }
-                return target;
-            };
+            });
+        });
+        
+        // 入力検証の設定
+        setupTableInputValidation(row, tableBody);
+    };
 
-            const getMemberBasis = (member) => {
-                const nodeI = nodes[member.i];
-                const nodeJ = nodes[member.j];
-                if (!nodeI || !nodeJ) {
-                    return null;
+    const addRow = (tableBody, cells, saveHistory = true) => {
+        return utils.executeWithErrorHandling(() => {
+            if (saveHistory) pushState();
+            
+            // 荷重表の行には荷重ケース列を付ける（指定がなければ入力中の荷重ケース）
+            const isLoadTable = [elements.nodeLoadsTable, elements.memberLoadsTable, elements.memberSpanLoadsTable, elements.memberThermalLoadsTable].includes(tableBody);
+            const rowCells = isLoadTable && !cells.some(cell => `${cell}`.includes(LOAD_CASE_SELECT_CLASS))
+                ? [...cells, buildLoadCaseSelectMarkup()]
+                : cells;
+            const newRow = createTableRow(tableBody, rowCells);
+            
+            // テーブル固有の設定
+            if (tableBody === elements.membersTable) {
+                setupMemberRowSpecialFeatures(newRow);
+                setupMaterialTypeHandling(newRow);
+            } else if (tableBody === elements.loadCasesTable) {
+                setupLoadCaseRowFeatures(newRow);
+            } else if (tableBody === elements.loadCombinationsTable) {
+                setupLoadCombinationRowFeatures(newRow);
+            }
+            
+            // イベントリスナーの設定
+            setupRowDeleteHandler(newRow, tableBody);
+            setupRowInputListeners(newRow, tableBody);
+            
+            if (saveHistory) {
+                renumberTables();
+                // プリセット読み込み中は描画をスキップ
+                if (typeof drawOnCanvas === 'function' && !window.isLoadingPreset) {
+                    drawOnCanvas();
                 }
+            }
+            
+            return newRow;
+        }, { tableType: tableBody.id, cellCount: cells.length }, 'テーブル行の追加に失敗しました');
+    };
 
-                const dx = (nodeJ.x ?? 0) - (nodeI.x ?? 0);
-                const dy = (nodeJ.y ?? 0) - (nodeI.y ?? 0);
-                const dz = is2DFrame ? 0 : ((nodeJ.z ?? 0) - (nodeI.z ?? 0));
-                const axisVector = { x: dx, y: dy, z: dz };
-                const length = magnitude3(axisVector);
-                if (!(length > EPS)) {
-                    return null;
-                }
+    const renumberTables = () => {
+        elements.nodesTable.querySelectorAll('tr').forEach((row, i) => row.cells[0].textContent = i + 1);
+        elements.membersTable.querySelectorAll('tr').forEach((row, i) => row.cells[0].textContent = i + 1);
+    };
+    
+    // --- 解析ワーカー（解析中も画面操作を止めないためにバックグラウンドで実行） ---
+    const ANALYSIS_STAGE_LABELS = {
+        assembly: '剛性マトリックスを組立中',
+        factorization: '連立方程式を分解中',
+        recovery: '部材断面力を計算中',
+        cable: 'ケーブルの大変形を反復計算中',
+        'p-delta': 'P-Δ効果を反復計算中',
+        buckling: '座屈固有値を計算中',
+        modal: '固有周期を計算中',
+        'response-spectrum': '応答スペクトル解析中',
+        'time-history': '時刻歴応答を計算中',
+        pushover: 'プッシュオーバー解析中',
+        'section-check': '断面検定中'
+    };
+    const ANALYSIS_PROGRESS_DELAY_MS = 200;
+    const ANALYSIS_CANCELLED = 'analysis-cancelled';
+
+    let analysisWorker = null;
+    let analysisWorkerUnavailable = false;
+    let analysisJobId = 0;
+    let pendingAnalysis = null;
+    let analysisProgressTimer = null;
+
+    const showAnalysisProgress = (stage, fraction = 0) => {
+        if (!elements.analysisProgress) return;
+        if (elements.analysisProgressLabel) {
+            elements.analysisProgressLabel.textContent = `${ANALYSIS_STAGE_LABELS[stage] || '解析中'}...`;
+        }
+        if (elements.analysisProgressBar) {
+            elements.analysisProgressBar.value = Math.min(Math.max(fraction, 0), 1);
+        }
+        // 小規模モデルで表示がちらつかないよう、一定時間経過してから表示する
+        if (elements.analysisProgress.style.display !== 'flex' && !analysisProgressTimer) {
+            analysisProgressTimer = setTimeout(() => {
+                analysisProgressTimer = null;
+                elements.analysisProgress.style.display = 'flex';
+            }, ANALYSIS_PROGRESS_DELAY_MS);
+        }
+    };
 
-                const localX = { x: axisVector.x / length, y: axisVector.y / length, z: axisVector.z / length };
-                let localY;
-                let localZ;
+    const hideAnalysisProgress = () => {
+        if (analysisProgressTimer) {
+            clearTimeout(analysisProgressTimer);
+            analysisProgressTimer = null;
+        }
+        if (elements.analysisProgress) {
+            elements.analysisProgress.style.display = 'none';
+        }
+    };
 
-                if (is2DFrame) {
-                    localZ = { x: 0, y: 0, z: 1 };
-                    localY = { x: -localX.y, y: localX.x, z: 0 };
-                    const localYLength = magnitude3(localY);
-                    if (!(localYLength > EPS)) {
-                        localY = { x: 0, y: 1, z: 0 };
-                    } else {
-                        localY = normalize3(localY);
-                    }
-                } else {
-                    if (Math.abs(localX.z) < 0.9) {
-                        const temp = Math.sqrt(localX.x * localX.x + localX.y * localX.y);
-                        localZ = normalize3({
-                            x: -localX.z * localX.x / temp,
-                            y: -localX.z * localX.y / temp,
-                            z: temp
-                        });
-                        localY = normalize3(cross3(localZ, localX));
-                    } else {
-                        localY = { x: 0, y: 1, z: 0 };
-                        localZ = normalize3(cross3(localX, localY));
-                        localY = normalize3(cross3(localZ, localX));
-                    }
-                }
+    const getAnalysisWorker = () => {
+        if (analysisWorker || analysisWorkerUnavailable) return analysisWorker;
+        if (typeof Worker === 'undefined') {
+            analysisWorkerUnavailable = true;
+            return null;
+        }
+        try {
+            analysisWorker = new Worker('analysis_worker.js');
+        } catch (error) {
+            // file:// で開いた場合などはワーカーを生成できないため、メインスレッドで解析する
+            console.warn('解析ワーカーを起動できないため、メインスレッドで解析します:', error);
+            analysisWorkerUnavailable = true;
+            analysisWorker = null;
+        }
+        return analysisWorker;
+    };
 
-                return { localX, localY, localZ, length };
-            };
+    const diagnoseInstabilityMessage = (K_global, freeIndices, nodes, members, is2DFrame, inactiveMembers) =>
+        analyzeInstability(K_global, freeIndices, nodes, members, is2DFrame, inactiveMembers).message;
 
-            const combinedMemberLoads = [];
+    const runAnalysisSynchronously = (model, loadCases, options) => FrameAnalysisEngine.analyzeLoadCases(model, loadCases, {
+        ...options,
+        diagnoseInstability: diagnoseInstabilityMessage
+    });
 
-            memberLoads.forEach(load => {
-                const memberIndex = load.memberIndex;
-                const member = members[memberIndex];
-                if (!member) {
+    /**
+     * 解析中のジョブを中止する
+     * ワーカーは強制終了し、次回の解析時に再生成する。
+     */
+    const cancelAnalysis = () => {
+        if (!pendingAnalysis) return;
+        const { reject } = pendingAnalysis;
+        pendingAnalysis = null;
+        if (analysisWorker) {
+            analysisWorker.terminate();
+            analysisWorker = null;
+        }
+        hideAnalysisProgress();
+        reject(new Error(ANALYSIS_CANCELLED));
+    };
+
+    /**
+     * ジョブをワーカーで実行する（ワーカーが使えない場合は同期実行）
+     * 実行中のジョブは中止してから始める。
+     * @param {object} job - ワーカーに送るジョブ（type と入力データ）
+     * @param {Function} runSynchronously - 同じ処理をメインスレッドで行う関数
+     * @param {string} firstStage - 最初に表示する進捗の段階
+     * @returns {Promise<object>} ジョブの結果
+     */
+    const runWorkerJob = (job, runSynchronously, firstStage) => {
+        cancelAnalysis();
+        const worker = getAnalysisWorker();
+        if (!worker) {
+            return Promise.resolve().then(runSynchronously);
+        }
+
+        const id = ++analysisJobId;
+        return new Promise((resolve, reject) => {
+            pendingAnalysis = { id, type: job.type, resolve, reject };
+
+            worker.onmessage = (event) => {
+                const message = event.data || {};
+                if (!pendingAnalysis || message.id !== pendingAnalysis.id) return;
+                if (message.type === 'progress') {
+                    showAnalysisProgress(message.stage, message.fraction);
                     return;
                 }
-
-                const basis = getMemberBasis(member);
-                if (!basis) {
+                pendingAnalysis = null;
+                if (message.type === 'result') {
+                    resolve(message.result);
                     return;
                 }
+                let detail = '';
+                const instability = message.instability;
+                if (instability) {
+                    // ワーカーから持ち帰った自由度の行で剛性マトリックスを組み直し、同期実行と同じ analyzeInstability で診断する
+                    const K_free = SparseSolver.createSparseMatrix(instability.dof);
+                    instability.freeIndices.forEach((idx, pos) => {
+                        instability.rows[pos].forEach(([col, value]) => K_free.add(idx, col, value));
+                    });
+                    detail = diagnoseInstabilityMessage(K_free, instability.freeIndices, instability.nodes, instability.members, instability.is2DFrame, instability.inactiveMembers);
+                }
+                reject(new Error(`${message.message}${detail || ''}`));
+            };
 
-                const wxInput = Number(load.wx);
-                const wyInput = Number(load.wy);
-                const wzInput = Number(load.wz);
-                const legacyW = Number(load.w);
+            worker.onerror = (event) => {
+                // ワーカースクリプト自体の読み込みに失敗した場合は同期実行に切り替える
+                event.preventDefault?.();
+                console.warn('解析ワーカーでエラーが発生したため、メインスレッドで再実行します:', event.message);
+                analysisWorker?.terminate();
+                analysisWorker = null;
+                analysisWorkerUnavailable = true;
+                if (!pendingAnalysis || pendingAnalysis.id !== id) return;
+                pendingAnalysis = null;
+                try {
+                    resolve(runSynchronously());
+                } catch (error) {
+                    reject(error);
+                }
+            };
 
-                const originalGlobal = {
-                    x: Number.isFinite(wxInput) ? wxInput : 0,
-                    y: Number.isFinite(wyInput) ? wyInput : 0,
-                    z: Number.isFinite(wzInput) ? wzInput : (Number.isFinite(legacyW) ? legacyW : 0)
-                };
+            showAnalysisProgress(firstStage, 0);
+            worker.postMessage({ id, ...job });
+        });
+    };
 
-                if (Math.abs(originalGlobal.x) < EPS && Math.abs(originalGlobal.y) < EPS && Math.abs(originalGlobal.z) < EPS) {
-                    return;
-                }
+    /**
+     * 解析エンジンをワーカーで実行する
+     * @returns {Promise<object>} FrameAnalysisEngine.analyzeLoadCases の戻り値
+     */
+    const runAnalysisEngine = (model, loadCases, options) => runWorkerJob(
+        { type: 'analysis', model, loadCases, options },
+        () => runAnalysisSynchronously(model, loadCases, options),
+        'assembly'
+    );
 
-                const analysisGlobal = is2DFrame
-                    ? { x: originalGlobal.x, y: originalGlobal.z, z: originalGlobal.y }
-                    : { ...originalGlobal };
+    const getSectionCheckProjectionMode = () => {
+        const projectionSelect = document.getElementById('projection-mode');
+        return projectionSelect ? projectionSelect.value : 'iso';
+    };
 
-                const localComponents = {
-                    wx: dot3(analysisGlobal, basis.localX),
-                    wy: dot3(analysisGlobal, basis.localY),
-                    wz: dot3(analysisGlobal, basis.localZ)
-                };
+    /**
+     * 断面検定をワーカーで実行する（大規模モデルでも画面を止めず、中止ボタンで止められるようにする）
+     * @param {'long'|'short'} loadTerm - 長期・短期の区分
+     * @param {{members: Array<object>, forces: Array<object>, memberLoads: Array<object>}} result - 解析結果
+     * @param {Array<object>} combinations - 指定した期間の荷重組合せ（getSectionCheckCombinations の戻り値）
+     * @returns {Promise<Array<object>>} calculateGoverningSectionChecks の戻り値
+     */
+    const runSectionCheckEngine = (loadTerm, { members, forces, memberLoads }, combinations) => {
+        const result = { members, forces, memberLoads };
+        const projectionMode = getSectionCheckProjectionMode();
+        return runWorkerJob(
+            { type: 'section-check', loadTerm, result, combinations, projectionMode },
+            () => calculateGoverningSectionChecks(loadTerm, result, combinations, { projectionMode }),
+            'section-check'
+        );
+    };
 
-                if (Math.abs(localComponents.wx) > EPS && basis.length > EPS) {
-                    const halfAxial = (localComponents.wx * basis.length) / 2;
-                    if (Math.abs(halfAxial) > EPS) {
-                        const axialVector = scale3(basis.localX, halfAxial);
-                        const loadI = ensureCombinedNodeLoad(member.i);
-                        const loadJ = ensureCombinedNodeLoad(member.j);
-                        loadI.px = (loadI.px || 0) + axialVector.x;
-                        loadI.py = (loadI.py || 0) + axialVector.y;
-                        loadI.pz = (loadI.pz || 0) + axialVector.z;
-                        loadJ.px = (loadJ.px || 0) + axialVector.x;
-                        loadJ.py = (loadJ.py || 0) + axialVector.y;
-                        loadJ.pz = (loadJ.pz || 0) + axialVector.z;
-                    }
-                }
+    if (elements.analysisCancelBtn) {
+        elements.analysisCancelBtn.addEventListener('click', cancelAnalysis);
+    }
 
-                const hasTransverse = Math.abs(localComponents.wy) > EPS || (!is2DFrame && Math.abs(localComponents.wz) > EPS);
-                if (!hasTransverse) {
-                    return;
-                }
+    /**
+     * 入力表の荷重を解析用の荷重ケースに分ける
+     * 荷重表の荷重ケースに加えて自重・強制変位をそれぞれ独立したケースとし、全荷重を合計したケースを先頭に置く。
+     * @returns {Array<object>} FrameAnalysisEngine.analyzeLoadCases に渡す荷重ケース
+     */
+    const buildAnalysisLoadCases = ({ nodes, nodeLoads, memberLoads, spanLoads = [], thermalLoads = [], memberSelfWeights, nodeSelfWeights }) => {
+        const definitions = getLoadCaseDefinitions();
+        // 一覧にない荷重ケースを参照する荷重も、そのケース名のまま解析する
+        [...nodeLoads, ...memberLoads, ...spanLoads, ...thermalLoads].forEach(load => {
+            if (load.caseId && !definitions.some(loadCase => loadCase.id === load.caseId)) {
+                definitions.push({ id: load.caseId, name: load.caseId });
+            }
+        });
 
-                combinedMemberLoads.push({
-                    memberIndex,
-                    wy: localComponents.wy,
-                    wz: is2DFrame ? 0 : localComponents.wz,
-                    w: localComponents.wy,
-                    global: {
-                        wx: analysisGlobal.x,
-                        wy: analysisGlobal.y,
-                        wz: analysisGlobal.z
-                    },
-                    isFromUserInput: true
+        const loadCases = [{
+            ...TOTAL_LOAD_CASE,
+            nodeLoads,
+            memberLoads,
+            spanLoads,
+            thermalLoads,
+            memberSelfWeights,
+            nodeSelfWeights,
+            forcedDisplacements: true
+        }];
+        definitions.forEach(loadCase => loadCases.push({
+            ...loadCase,
+            nodeLoads: nodeLoads.filter(load => load.caseId === loadCase.id),
+            memberLoads: memberLoads.filter(load => load.caseId === loadCase.id),
+            spanLoads: spanLoads.filter(load => load.caseId === loadCase.id),
+            thermalLoads: thermalLoads.filter(load => load.caseId === loadCase.id)
+        }));
+        if (memberSelfWeights.length > 0 || nodeSelfWeights.length > 0) {
+            loadCases.push({ ...SELF_WEIGHT_LOAD_CASE, memberSelfWeights, nodeSelfWeights });
+        }
+        const hasForcedDisplacement = nodes.some(node => [node.dx_forced, node.dy_forced, node.dz_forced]
+            .some(value => Number.isFinite(value) && value !== 0));
+        if (hasForcedDisplacement) {
+            loadCases.push({ ...FORCED_DISPLACEMENT_LOAD_CASE, forcedDisplacements: true });
+        }
+        return loadCases;
+    };
+
+    /**
+     * 荷重組合せ表の定義を検証し、± を展開した解析用の荷重組合せを作る
+     * @param {Array<object>} loadCases - buildAnalysisLoadCases の荷重ケース
+     * @returns {Array<{id: string, name: string, term: string, terms: Array<{caseId: string, factor: number}>}>}
+     */
+    const buildAnalysisLoadCombinations = (loadCases) => {
+        const caseIds = new Set(loadCases.map(loadCase => loadCase.id));
+        const combinationIds = new Set();
+        return getLoadCombinationDefinitions().flatMap(definition => {
+            if (caseIds.has(definition.id) || combinationIds.has(definition.id)) {
+                throw new Error(`荷重組合せの記号 ${definition.id} が荷重ケースまたは他の荷重組合せと重複しています。`);
+            }
+            combinationIds.add(definition.id);
+            return expandLoadCombination(definition).map(combination => ({
+                ...combination,
+                // 自重・強制変位のないモデルでは SW・FD の項を 0 として扱う
+                terms: combination.terms.filter(term => {
+                    if (caseIds.has(term.caseId)) return true;
+                    if (RESERVED_LOAD_CASE_IDS.has(term.caseId)) return false;
+                    throw new Error(`荷重組合せ ${definition.id} の荷重ケース ${term.caseId} が見つかりません。`);
+                })
+            }));
+        });
+    };
+
+    // 包絡値の各成分を { max, min, maxId, minId } に更新する（入れ子のオブジェクトは成分ごとに再帰）
+    const mergeEnvelopeValue = (entry, value, resultId) => {
+        if (value && typeof value === 'object') {
+            const target = entry || {};
+            Object.keys(value).forEach(key => { target[key] = mergeEnvelopeValue(target[key], value[key], resultId); });
+            return target;
+        }
+        if (!Number.isFinite(value)) return entry;
+        if (!entry) return { max: value, min: value, maxId: resultId, minId: resultId };
+        if (value > entry.max) { entry.max = value; entry.maxId = resultId; }
+        if (value < entry.min) { entry.min = value; entry.minId = resultId; }
+        return entry;
+    };
+
+    /**
+     * 荷重組合せの結果から節点変位・支点反力・部材端力の最大値・最小値（包絡値）を求める
+     * 値の符号は結果表と同じ（buildAnalysisResultSummary の形）。
+     * @returns {{ is3D: boolean, displacements: object[], reactions: object[], forces: object[] }}
+     */
+    const buildLoadCombinationEnvelope = (combinations, nodes, members) => {
+        const envelope = {
+            is3D: combinations[0].D.length / nodes.length === 6,
+            displacements: [],
+            reactions: [],
+            forces: []
+        };
+        combinations.forEach(combination => {
+            const summary = buildAnalysisResultSummary(combination.D, combination.R, combination.forces, nodes, members);
+            ['displacements', 'reactions', 'forces'].forEach(key => {
+                summary[key].forEach((item, index) => {
+                    envelope[key][index] = mergeEnvelopeValue(envelope[key][index], item, combination.id);
                 });
             });
+        });
+        return envelope;
+    };
 
-            if (memberSelfWeights && memberSelfWeights.length > 0) {
-                console.log('🔧 自重荷重を解析に追加（全てグローバル座標系の−Z方向）:');
-
-                const downwardUnit = is2DFrame ? { x: 0, y: -1, z: 0 } : { x: 0, y: 0, z: -1 };
-
-                const selfWeightNodeMap = new Map();
-                const ensureNodeLoad = (nodeIndex) => {
-                    if (!selfWeightNodeMap.has(nodeIndex)) {
-                        selfWeightNodeMap.set(nodeIndex, {
-                            nodeIndex,
-                            px: 0,
-                            py: 0,
-                            pz: 0,
-                            mx: 0,
-                            my: 0,
-                            mz: 0,
-                            isFromSelfWeight: true
-                        });
-                    }
-                    return selfWeightNodeMap.get(nodeIndex);
-                };
+    const ENVELOPE_ROWS = [['max', '最大'], ['min', '最小']];
+    const ENVELOPE_COLUMNS = {
+        displacements3D: [
+            { key: 'x', label: '変位 δx (mm)', scale: 1000 }, { key: 'y', label: '変位 δy (mm)', scale: 1000 }, { key: 'z', label: '変位 δz (mm)', scale: 1000 },
+            { key: 'rx', label: '回転角 θx (rad)', digits: 6 }, { key: 'ry', label: '回転角 θy (rad)', digits: 6 }, { key: 'rz', label: '回転角 θz (rad)', digits: 6 }
+        ],
+        displacements2D: [
+            { key: 'x', label: '変位 δx (mm)', scale: 1000 }, { key: 'y', label: '変位 δy (mm)', scale: 1000 }, { key: 'rotation', label: '回転角 θz (rad)' }
+        ],
+        reactions3D: [
+            { key: 'x', label: '反力 Rx (kN)' }, { key: 'y', label: '反力 Ry (kN)' }, { key: 'z', label: '反力 Rz (kN)' },
+            { key: 'mx', label: '反力 Mx (kN・m)' }, { key: 'my', label: '反力 My (kN・m)' }, { key: 'mz', label: '反力 Mz (kN・m)' }
+        ],
+        reactions2D: [
+            { key: 'x', label: '反力 Rx (kN)' }, { key: 'y', label: '反力 Ry (kN)' }, { key: 'mz', label: '反力 Mz (kN・m)' }
+        ],
+        forces3D: [
+            { key: 'N', label: '軸力 N<sub>x</sub> (kN)' }, { key: 'Vy', label: 'せん断力 V<sub>y</sub> (kN)' }, { key: 'Vz', label: 'せん断力 V<sub>z</sub> (kN)' },
+            { key: 'Tx', label: 'ねじり T<sub>x</sub> (kN・m)' }, { key: 'My', label: '曲げ M<sub>y</sub> (kN・m)' }, { key: 'Mz', label: '曲げ M<sub>z</sub> (kN・m)' }
+        ],
+        forces2D: [
+            { key: 'N', label: '軸力 N (kN)' }, { key: 'Q', label: 'せん断力 Q (kN)' }, { key: 'M', label: '曲げM (kN・m)' }
+        ]
+    };
 
-                memberSelfWeights.forEach(selfWeightLoad => {
-                    const member = members[selfWeightLoad.memberIndex];
-                    if (!member) return;
-
-                    const nodeI = nodes[member.i];
-                    const nodeJ = nodes[member.j];
-                    if (!nodeI || !nodeJ) return;
-
-                    const dx = (nodeJ.x ?? 0) - (nodeI.x ?? 0);
-                    const dy = (nodeJ.y ?? 0) - (nodeI.y ?? 0);
-                    const dz = is2DFrame ? 0 : ((nodeJ.z ?? 0) - (nodeI.z ?? 0));
-                    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
-                    if (!(length > EPS)) return;
-
-                    const weightPerMeter = selfWeightLoad.w || 0;
-                    if (Math.abs(weightPerMeter) < EPS) return;
-
-                    // 自重は常にグローバル鉛直方向（下向き）に作用
-                    // weightPerMeterは正の値で格納されているので、符号を反転して下向きにする
-                    // 2Dフレーム: -Y方向, 3Dフレーム: -Z方向
-                    const globalLoadVector = is2DFrame ? {
-                        wx: 0,
-                        wy: -weightPerMeter,  // 2D: 負の値（Y軸下向き）
-                        wz: 0
-                    } : {
-                        wx: 0,
-                        wy: 0,
-                        wz: -weightPerMeter  // 3D: 負の値（Z軸下向き）
-                    };
+    const buildEnvelopeCells = (entry, kind, columns) => columns.map(({ key, scale = 1, digits = 2 }) => {
+        const component = entry?.[key];
+        if (!component) return '<td>-</td>';
+        const resultId = kind === 'max' ? component.maxId : component.minId;
+        return `<td>${(component[kind] * scale).toFixed(digits)}<span class="envelope-case">(${escapeLoadCaseText(resultId)})</span></td>`;
+    }).join('');
 
-                    // 部材の局所座標系を計算（解析用）
-                    const localX = normalize3({ x: dx, y: dy, z: dz });
-                    let localY;
-                    let localZ;
-
-                    if (is2DFrame) {
-                        const globalZAxis = { x: 0, y: 0, z: 1 };
-                        localY = normalize3(cross3(globalZAxis, localX));
-                        localZ = globalZAxis;
-                        if (magnitude3(localY) <= EPS) {
-                            localY = { x: 0, y: 1, z: 0 };
-                        }
-                    } else {
-                        if (Math.abs(localX.z) < 0.9) {
-                            const temp = Math.sqrt(localX.x * localX.x + localX.y * localX.y);
-                            localZ = normalize3({
-                                x: -localX.z * localX.x / temp,
-                                y: -localX.z * localX.y / temp,
-                                z: temp
-                            });
-                            localY = normalize3(cross3(localZ, localX));
-                        } else {
-                            localY = { x: 0, y: 1, z: 0 };
-                            localZ = normalize3(cross3(localX, localY));
-                            localY = normalize3(cross3(localZ, localX));
-                        }
-                    }
-
-                    // グローバル荷重ベクトルを局所座標系に変換（解析用）
-                    const loadVectorGlobal = is2DFrame ? 
-                        { x: 0, y: -weightPerMeter, z: 0 } :
-                        { x: 0, y: 0, z: -weightPerMeter };
-                    const wyComponent = dot3(loadVectorGlobal, localY);
-                    const wzComponent = is2DFrame ? 0 : dot3(loadVectorGlobal, localZ);
-
-                    // 解析用に局所成分の分布荷重を追加
-                    const hasTransverse = Math.abs(wyComponent) > EPS || Math.abs(wzComponent) > EPS;
-                    if (hasTransverse) {
-                        const distributedLoad = {
-                            memberIndex: selfWeightLoad.memberIndex,
-                            wy: Math.abs(wyComponent) > EPS ? wyComponent : 0,
-                            wz: is2DFrame ? 0 : (Math.abs(wzComponent) > EPS ? wzComponent : 0),
-                            w: weightPerMeter,
-                            isFromSelfWeight: true,
-                            global: globalLoadVector  // グローバル成分を保存（描画用）
-                        };
-                        console.log(`  部材${selfWeightLoad.memberIndex + 1}: wy=${distributedLoad.wy.toFixed(4)}kN/m, wz=${(distributedLoad.wz || 0).toFixed(4)}kN/m (グローバル${is2DFrame ? 'Y' : 'Z'}軸下向き)`);
-                        combinedMemberLoads.push(distributedLoad);
-                    } else {
-                        console.log(`  部材${selfWeightLoad.memberIndex + 1}: 分布荷重成分なし（軸方向のみ）`);
-                    }
+    /**
+     * 荷重組合せの包絡値を結果表に表示する（荷重組合せがない場合は非表示）
+     */
+    const displayLoadCombinationEnvelope = (envelope, nodes) => {
+        if (!elements.loadCombinationEnvelope) return;
+        elements.loadCombinationEnvelope.style.display = envelope ? 'block' : 'none';
+        if (!envelope) return;
+        const dimension = envelope.is3D ? '3D' : '2D';
+        const headerCells = (columns) => columns.map(column => `<th>${column.label}</th>`).join('');
+
+        const displacementColumns = ENVELOPE_COLUMNS[`displacements${dimension}`];
+        let dispHTML = `<thead><tr><th>節点 #</th><th></th>${headerCells(displacementColumns)}</tr></thead><tbody>`;
+        envelope.displacements.forEach((entry, i) => {
+            ENVELOPE_ROWS.forEach(([kind, label], rowIndex) => {
+                dispHTML += `<tr>${rowIndex === 0 ? `<td rowspan="2">${i + 1}</td>` : ''}<td>${label}</td>${buildEnvelopeCells(entry, kind, displacementColumns)}</tr>`;
+            });
+        });
+        elements.envelopeDisplacementResults.innerHTML = `${dispHTML}</tbody>`;
+
+        const reactionColumns = ENVELOPE_COLUMNS[`reactions${dimension}`];
+        let reactHTML = `<thead><tr><th>節点 #</th><th></th>${headerCells(reactionColumns)}</tr></thead><tbody>`;
+        envelope.reactions.forEach((entry, i) => {
+            if (nodes[i]?.support === 'free') return;
+            ENVELOPE_ROWS.forEach(([kind, label], rowIndex) => {
+                reactHTML += `<tr>${rowIndex === 0 ? `<td rowspan="2">${i + 1}</td>` : ''}<td>${label}</td>${buildEnvelopeCells(entry, kind, reactionColumns)}</tr>`;
+            });
+        });
+        elements.envelopeReactionResults.innerHTML = `${reactHTML}</tbody>`;
+
+        const forceColumns = ENVELOPE_COLUMNS[`forces${dimension}`];
+        let forceHTML = `<thead><tr><th>部材 #</th><th>端部</th><th></th>${headerCells(forceColumns)}</tr></thead><tbody>`;
+        envelope.forces.forEach((entry, idx) => {
+            [['i', 'i端'], ['j', 'j端']].forEach(([end, endLabel], endIndex) => {
+                ENVELOPE_ROWS.forEach(([kind, label], rowIndex) => {
+                    const memberCell = endIndex === 0 && rowIndex === 0 ? `<td rowspan="4">${idx + 1}</td>` : '';
+                    const endCell = rowIndex === 0 ? `<td rowspan="2">${endLabel}</td>` : '';
+                    forceHTML += `<tr>${memberCell}${endCell}<td>${label}</td>${buildEnvelopeCells(entry?.[end], kind, forceColumns)}</tr>`;
                 });
+            });
+        });
+        elements.envelopeForceResults.innerHTML = `${forceHTML}</tbody>`;
+    };
 
-                // 軸方向成分を節点荷重に加算
-                if (selfWeightNodeMap.size > 0) {
-                    let totalVertical = 0;
-                    const totalVector = { x: 0, y: 0, z: 0 };
-                    selfWeightNodeMap.forEach(load => {
-                        const existing = combinedNodeLoads.find(item => item.nodeIndex === load.nodeIndex);
-                        if (existing) {
-                            existing.px = (existing.px || 0) + (load.px || 0);
-                            existing.py = (existing.py || 0) + (load.py || 0);
-                            existing.pz = (existing.pz || 0) + (load.pz || 0);
-                            if (load.isFromSelfWeight) existing.isFromSelfWeight = true;
-                        } else {
-                            combinedNodeLoads.push(load);
-                        }
-                        if (is2DFrame) {
-                            totalVertical += load.py || 0;
-                        } else {
-                            totalVertical += load.pz || 0;
-                        }
+    // 荷重ケース・荷重組合せごとの解析結果（結果表示の切り替えと断面検定用）
+    let lastLoadCaseResults = null;
 
-                        totalVector.x += load.px || 0;
-                        totalVector.y += load.py || 0;
-                        totalVector.z += load.pz || 0;
+    const getResultLabel = (result) => (result.id === TOTAL_LOAD_CASE.id ? result.name : `${result.id}: ${result.name}`);
 
-                        console.log(`  節点${load.nodeIndex + 1}: (Px, Py, Pz)=(${(load.px||0).toFixed(4)}, ${(load.py||0).toFixed(4)}, ${(load.pz||0).toFixed(4)})kN (自重軸成分)`);
-                    });
-                    console.log(`  ▶ 節点自重合計: ${is2DFrame ? 'Py' : 'Pz'}=${totalVertical.toFixed(4)}kN, ベクトル合計=(${totalVector.x.toFixed(4)}, ${totalVector.y.toFixed(4)}, ${totalVector.z.toFixed(4)})kN`);
-                }
-            }
+    /**
+     * P-Δ解析の収束状況と層ごとの増幅率（2次解析と1次解析の層間変位の比）を表示する
+     * 収束しなかった荷重ケース・荷重組合せは、表示中の結果に関わらず警告として列挙する。
+     * @param {object} caseResult - 表示中の荷重ケース・荷重組合せの結果
+     */
+    const displayPDeltaReport = (caseResult) => {
+        if (!elements.pDeltaReport) return;
+        const pDelta = caseResult?.pDelta;
+        elements.pDeltaReport.style.display = pDelta ? 'block' : 'none';
+        if (!pDelta) return;
+
+        const notConverged = [...lastLoadCaseResults.cases, ...lastLoadCaseResults.combinations]
+            .filter(result => result.pDelta && !result.pDelta.converged);
+        elements.pDeltaWarning.style.display = notConverged.length > 0 ? 'block' : 'none';
+        elements.pDeltaWarning.innerHTML = notConverged
+            .map(result => `⚠ ${escapeLoadCaseText(getResultLabel(result))}: P-Δ解析が収束しませんでした。${escapeLoadCaseText(result.pDelta.message)}`)
+            .join('<br>');
+
+        const label = getResultLabel(caseResult);
+        if (!pDelta.converged) {
+            elements.pDeltaSummary.textContent = `${label}: P-Δ解析が収束しなかったため、1次解析の結果を表示しています。`;
+            elements.pDeltaResults.innerHTML = '';
+            return;
+        }
+        elements.pDeltaSummary.textContent = `${label}: ${pDelta.iterations}回の反復で収束しました。増幅率は2次の層間変位を1次の層間変位で割った値です。`;
+        let html = '<thead><tr><th>層</th><th>高さ (m)</th><th>階高 (m)</th><th>1次層間変位 (mm)</th><th>2次層間変位 (mm)</th><th>増幅率</th></tr></thead><tbody>';
+        pDelta.storeys.forEach(storey => {
+            const amplification = storey.amplification === null ? '-' : storey.amplification.toFixed(3);
+            html += `<tr><td>${storey.storey}</td><td>${storey.elevation.toFixed(3)}</td><td>${storey.height.toFixed(3)}</td><td>${(storey.firstOrderDrift * 1000).toFixed(3)}</td><td>${(storey.secondOrderDrift * 1000).toFixed(3)}</td><td>${amplification}</td></tr>`;
+        });
+        elements.pDeltaResults.innerHTML = `${html}</tbody>`;
+    };
 
-            // 解析用に自重節点荷重（事前計算分）があれば統合
-            if (nodeSelfWeights && nodeSelfWeights.length > 0) {
-                console.log('🔧 自重節点荷重を解析に追加:');
-                nodeSelfWeights.forEach(selfWeightLoad => {
-                    const existingLoad = combinedNodeLoads.find(load => load.nodeIndex === selfWeightLoad.nodeIndex);
-                    const target = existingLoad || {
-                        nodeIndex: selfWeightLoad.nodeIndex,
-                        px: 0,
-                        py: 0,
-                        pz: 0
-                    };
+    // 全体座屈解析（固有値解析）の結果と、変位図に描いている座屈モードのアニメーション
+    let lastGlobalBucklingResult = null;
+    let bucklingModeAnimation = null;
+    const BUCKLING_MODE_PERIOD_MS = 2000;
 
-                    ['px', 'py', 'pz'].forEach(key => {
-                        if (typeof selfWeightLoad[key] === 'number') {
-                            target[key] = (target[key] || 0) + selfWeightLoad[key];
-                        }
-                    });
-                    target.isFromSelfWeight = true;
+    const formatBucklingFactor = (factor) => (factor < 1000 ? factor.toFixed(3) : factor.toExponential(3));
 
-                    if (!existingLoad) {
-                        combinedNodeLoads.push(target);
-                    }
+    const updateBucklingModeButtons = () => {
+        if (!elements.globalBucklingResults) return;
+        elements.globalBucklingResults.querySelectorAll('button[data-mode-index]').forEach(button => {
+            const playing = bucklingModeAnimation?.modeIndex === Number(button.dataset.modeIndex);
+            button.textContent = playing ? '停止' : 'モード表示';
+        });
+    };
 
-                    const logLabel = is2DFrame ? 'Py' : 'Pz';
-                    const logValue = is2DFrame ? (target.py || 0) : (target.pz || 0);
-                    console.log(`  節点${target.nodeIndex + 1}: ${logLabel}=${logValue.toFixed(4)}kN (追加自重)`);
-                });
+    const stopBucklingModeAnimation = () => {
+        if (!bucklingModeAnimation) return;
+        cancelAnimationFrame(bucklingModeAnimation.frameId);
+        bucklingModeAnimation = null;
+        updateBucklingModeButtons();
+    };
+
+    /**
+     * 座屈モードを変位図のキャンバスに振動させて描く
+     * @param {number} modeIndex - lastGlobalBucklingResult.modes の添字
+     */
+    const startBucklingModeAnimation = (modeIndex) => {
+        stopBucklingModeAnimation();
+        const mode = lastGlobalBucklingResult?.modes[modeIndex];
+        if (!mode || !elements.displacementCanvas || typeof drawModeShapeDiagram !== 'function') return;
+        const { nodes, members } = lastGlobalBucklingResult;
+        const title = `座屈モード ${mode.mode}次（λ = ${formatBucklingFactor(mode.factor)}）`;
+        const startTime = performance.now();
+        const animationFrame = (now) => {
+            const amplitude = Math.sin(2 * Math.PI * (now - startTime) / BUCKLING_MODE_PERIOD_MS);
+            drawModeShapeDiagram(elements.displacementCanvas, nodes, members, mode.D, amplitude, title);
+            bucklingModeAnimation.frameId = requestAnimationFrame(animationFrame);
+        };
+        bucklingModeAnimation = { modeIndex, frameId: requestAnimationFrame(animationFrame) };
+        updateBucklingModeButtons();
+        elements.displacementCanvas.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+
+    /**
+     * 全体座屈解析の座屈荷重係数を一覧表示する
+     * 座屈荷重係数 λ は基準荷重を何倍すると座屈するかを表し、部材ごとの座屈判定と同じ基準（1未満: 座屈危険、2未満: 要注意）で判定する。
+     */
+    const displayGlobalBucklingResults = () => {
+        stopBucklingModeAnimation();
+        if (!elements.globalBucklingResults) return;
+        if (!lastGlobalBucklingResult) {
+            elements.globalBucklingSummary.textContent = '';
+            elements.globalBucklingResults.innerHTML = '';
+            return;
+        }
+
+        const { caseId, caseName, requestedModes, modes } = lastGlobalBucklingResult;
+        const label = getResultLabel({ id: caseId, name: caseName });
+        let summary = `基準荷重: ${label}。座屈荷重係数 λ は基準荷重の何倍で構造全体が座屈するかを表します。`;
+        if (modes.length === 0) {
+            summary += '圧縮力による座屈モードは見つかりませんでした。';
+        } else if (modes.length < requestedModes) {
+            summary += `圧縮力による座屈モードは ${modes.length} 次までしか見つかりませんでした。`;
+        }
+        elements.globalBucklingSummary.textContent = summary;
+        if (modes.length === 0) {
+            elements.globalBucklingResults.innerHTML = '';
+            return;
+        }
+
+        let html = '<thead><tr><th>次数</th><th>座屈荷重係数 λ</th><th>判定</th><th>モード形状</th></tr></thead><tbody>';
+        modes.forEach((mode, modeIndex) => {
+            let status = '安全';
+            let statusStyle = 'color: green;';
+            let rowStyle = '';
+            if (mode.factor < 1.0) {
+                status = '❌ 座屈危険';
+                statusStyle = 'color: red; font-weight: bold;';
+                rowStyle = 'style="background-color: #fdd;"';
+            } else if (mode.factor < 2.0) {
+                status = '⚠️ 要注意';
+                statusStyle = 'color: orange; font-weight: bold;';
+                rowStyle = 'style="background-color: #fff3cd;"';
+            } else {
+                status = '✅ 安全';
             }
-            
-            // 🔧 自由度の決定：2Dなら3自由度/節点、3Dなら6自由度/節点
-            const dofPerNode = is2DFrame ? 3 : 6;
-            const dof = nodes.length * dofPerNode;
-            
-            // 🔧 3D構造の場合、各部材に3D用の変換マトリックスと剛性マトリックスを設定
-            if (!is2DFrame) {
-                members.forEach((member, idx) => {
-                    const ni = nodes[member.i];
-                    const nj = nodes[member.j];
-                    const dx = nj.x - ni.x;
-                    const dy = nj.y - ni.y;
-                    const dz = nj.z - ni.z;
-                    const L = Math.sqrt(dx*dx + dy*dy + dz*dz);
-                    
-                    if (L === 0) {
-                        throw new Error(`部材 ${idx+1} の長さが0です`);
-                    }
-                    
-                    // 局所座標系: x'軸を部材軸方向とする
-                    const cx = dx / L;
-                    const cy = dy / L;
-                    const cz = dz / L;
-                    
-                    // y'軸とz'軸の決定（簡易的に、部材がほぼ垂直でない場合はZ軸を基準）
-                    let v_y, v_z;
-                    if (Math.abs(cz) < 0.9) {
-                        // 部材が垂直でない場合、z'軸を水平面に投影した方向を基準
-                        const temp = Math.sqrt(cx*cx + cy*cy);
-                        v_z = { x: -cz*cx/temp, y: -cz*cy/temp, z: temp };
-                        const len_vz = Math.sqrt(v_z.x*v_z.x + v_z.y*v_z.y + v_z.z*v_z.z);
-                        v_z = { x: v_z.x/len_vz, y: v_z.y/len_vz, z: v_z.z/len_vz };
-                        
-                        // y'軸 = z'軸 × x'軸
-                        v_y = {
-                            x: v_z.y*cz - v_z.z*cy,
-                            y: v_z.z*cx - v_z.x*cz,
-                            z: v_z.x*cy - v_z.y*cx
-                        };
-                    } else {
-                        // 部材がほぼ垂直の場合、Y軸を基準
-                        v_y = { x: 0, y: 1, z: 0 };
-                        v_z = {
-                            x: cy*0 - cz*1,
-                            y: cz*0 - cx*0,
-                            z: cx*1 - cy*0
-                        };
-                        const len_vz = Math.sqrt(v_z.x*v_z.x + v_z.y*v_z.y + v_z.z*v_z.z);
-                        if (len_vz > 1e-6) {
-                            v_z = { x: v_z.x/len_vz, y: v_z.y/len_vz, z: v_z.z/len_vz };
-                        }
-                    }
-                    
-                    // 3D変換マトリックス（12×12）
-                    const R = [
-                        [cx, cy, cz, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-                        [v_y.x, v_y.y, v_y.z, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-                        [v_z.x, v_z.y, v_z.z, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-                        [0, 0, 0, cx, cy, cz, 0, 0, 0, 0, 0, 0],
-                        [0, 0, 0, v_y.x, v_y.y, v_y.z, 0, 0, 0, 0, 0, 0],
-                        [0, 0, 0, v_z.x, v_z.y, v_z.z, 0, 0, 0, 0, 0, 0],
-                        [0, 0, 0, 0, 0, 0, cx, cy, cz, 0, 0, 0],
-                        [0, 0, 0, 0, 0, 0, v_y.x, v_y.y, v_y.z, 0, 0, 0],
-                        [0, 0, 0, 0, 0, 0, v_z.x, v_z.y, v_z.z, 0, 0, 0],
-                        [0, 0, 0, 0, 0, 0, 0, 0, 0, cx, cy, cz],
-                        [0, 0, 0, 0, 0, 0, 0, 0, 0, v_y.x, v_y.y, v_y.z],
-                        [0, 0, 0, 0, 0, 0, 0, 0, 0, v_z.x, v_z.y, v_z.z]
-                    ];
-                    
-                    member.T3D = R;
-                    member.length = L;
-                    
-                    // 3D局所剛性マトリックス（12×12）
-                    const E = member.E;
-                    const G = E / (2 * (1 + 0.3)); // ポアソン比0.3を仮定
-                    const A = member.A;
-                    const axisProps3D = member.axisProperties || null;
-                    const Iy = axisProps3D?.local?.inertia?.y ?? member.Iy;
-                    const Iz = axisProps3D?.local?.inertia?.z ?? member.Iz;
-                    const J = member.J;
-                    
-                    const EA_L = E * A / L;
-                    const GJ_L = G * J / L;
-                    const EIy_L3 = 12 * E * Iy / (L*L*L);
-                    const EIy_L2 = 6 * E * Iy / (L*L);
-                    const EIy_L = 4 * E * Iy / L;
-                    const EIy_L_half = 2 * E * Iy / L;
-                    const EIz_L3 = 12 * E * Iz / (L*L*L);
-                    const EIz_L2 = 6 * E * Iz / (L*L);
-                    const EIz_L = 4 * E * Iz / L;
-                    const EIz_L_half = 2 * E * Iz / L;
-                    
-                    // 簡易的な剛接合の剛性マトリックス（ピン・ローラー接合は後で対応）
-                    const k_local_3d = [
-                        [EA_L, 0, 0, 0, 0, 0, -EA_L, 0, 0, 0, 0, 0],
-                        [0, EIz_L3, 0, 0, 0, EIz_L2, 0, -EIz_L3, 0, 0, 0, EIz_L2],
-                        [0, 0, EIy_L3, 0, -EIy_L2, 0, 0, 0, -EIy_L3, 0, -EIy_L2, 0],
-                        [0, 0, 0, GJ_L, 0, 0, 0, 0, 0, -GJ_L, 0, 0],
-                        [0, 0, -EIy_L2, 0, EIy_L, 0, 0, 0, EIy_L2, 0, EIy_L_half, 0],
-                        [0, EIz_L2, 0, 0, 0, EIz_L, 0, -EIz_L2, 0, 0, 0, EIz_L_half],
-                        [-EA_L, 0, 0, 0, 0, 0, EA_L, 0, 0, 0, 0, 0],
-                        [0, -EIz_L3, 0, 0, 0, -EIz_L2, 0, EIz_L3, 0, 0, 0, -EIz_L2],
-                        [0, 0, -EIy_L3, 0, EIy_L2, 0, 0, 0, EIy_L3, 0, EIy_L2, 0],
-                        [0, 0, 0, -GJ_L, 0, 0, 0, 0, 0, GJ_L, 0, 0],
-                        [0, 0, -EIy_L2, 0, EIy_L_half, 0, 0, 0, EIy_L2, 0, EIy_L, 0],
-                        [0, EIz_L2, 0, 0, 0, EIz_L_half, 0, -EIz_L2, 0, 0, 0, EIz_L]
-                    ];
-
-                    const globalIndexMap = [
-                        member.i * 6,
-                        member.i * 6 + 1,
-                        member.i * 6 + 2,
-                        member.i * 6 + 3,
-                        member.i * 6 + 4,
-                        member.i * 6 + 5,
-                        member.j * 6,
-                        member.j * 6 + 1,
-                        member.j * 6 + 2,
-                        member.j * 6 + 3,
-                        member.j * 6 + 4,
-                        member.j * 6 + 5
-                    ];
-
-                    const releaseData = build3DReleaseData(k_local_3d, R, globalIndexMap, member.i_conn, member.j_conn, mat);
-
-                    member.k_local_3d = k_local_3d;
-                    member.k_local_active = releaseData.k_local_active;
-                    member.T_active = releaseData.T_active;
-                    member.activeLocalIndices = releaseData.activeLocalIndices;
-                    member.releaseLocalIndices = releaseData.releaseLocalIndices;
-                    member.release3D = releaseData;
-                    member.globalIndexMap = globalIndexMap;
-                });
+            html += `<tr ${rowStyle}><td>${mode.mode}</td><td>${formatBucklingFactor(mode.factor)}</td><td style="${statusStyle}">${status}</td><td><button data-mode-index="${modeIndex}">モード表示</button></td></tr>`;
+        });
+        elements.globalBucklingResults.innerHTML = `${html}</tbody>`;
+    };
+
+    if (elements.globalBucklingResults) {
+        elements.globalBucklingResults.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-mode-index]');
+            if (!button) return;
+            const modeIndex = Number(button.dataset.modeIndex);
+            if (bucklingModeAnimation?.modeIndex === modeIndex) {
+                stopBucklingModeAnimation();
+                // 変位図を表示中の解析結果に戻す
+                if (lastResults) drawDisplacementDiagram(lastResults.nodes, lastResults.members, lastResults.D, lastResults.forces);
+                return;
             }
-            let K_global = mat.create(dof, dof);
-            let F_global = mat.create(dof, 1);
-            const fixedEndForces = {};
+            startBucklingModeAnimation(modeIndex);
+        });
+    }
 
-            const axisKeyMap2D = ['x', 'y', 'rz'];
-            const axisKeyMap3D = ['x', 'y', 'z', 'rx', 'ry', 'rz'];
-            const addForceWithSignFlip = (globalIndex, value) => {
-                if (!Number.isFinite(value) || Math.abs(value) < 1e-12) {
-                    return;
-                }
-                const axisKey = is2DFrame ? axisKeyMap2D[globalIndex % 3] : axisKeyMap3D[globalIndex % 6];
-                let multiplier = 1;
-                if (axisKey === 'x' || axisKey === 'y' || axisKey === 'z') {
-                    multiplier = loadCalcMultipliers[axisKey] ?? 1;
-                }
-                if (multiplier === 0) {
-                    return;
-                }
-                F_global[globalIndex][0] += value * multiplier;
-            };
-            
-            // 同一部材の荷重を合計して重複を防ぐ (3D対応: wy, wz別々に管理)
-            const memberLoadMap = new Map();
-            combinedMemberLoads.forEach(load => {
-                const memberIndex = load.memberIndex;
-                if (memberLoadMap.has(memberIndex)) {
-                    const existing = memberLoadMap.get(memberIndex);
-                    existing.wy = (existing.wy || 0) + (load.wy || 0);
-                    existing.wz = (existing.wz || 0) + (load.wz || 0);
-                    existing.w = (existing.w || 0) + (load.w || 0);
-                    if (load.global) {
-                        if (!existing.global) {
-                            existing.global = { wx: 0, wy: 0, wz: 0 };
-                        }
-                        existing.global.wx += load.global.wx || 0;
-                        existing.global.wy += load.global.wy || 0;
-                        existing.global.wz += load.global.wz || 0;
-                    }
-                    if (load.isFromSelfWeight) {
-                        existing.isFromSelfWeight = true;
-                    }
-                    if (load.isFromUserInput) {
-                        existing.isFromUserInput = true;
-                    }
-                } else {
-                    memberLoadMap.set(memberIndex, {
-                        memberIndex,
-                        wy: load.wy || 0,
-                        wz: load.wz || 0,
-                        w: load.w || 0,
-                        global: load.global ? {
-                            wx: load.global.wx || 0,
-                            wy: load.global.wy || 0,
-                            wz: load.global.wz || 0
-                        } : null,
-                        isFromSelfWeight: !!load.isFromSelfWeight,
-                        isFromUserInput: !!load.isFromUserInput
-                    });
-                }
+    // プッシュオーバー解析の結果（塑性ヒンジはモデル図に発生順の番号を付けて描く）
+    let lastPushoverResult = null;
+
+    // 荷重パターン・鉛直荷重の選択肢は計算した荷重ケースから作る（選択中のケースは残す）
+    const updatePushoverCaseOptions = (cases) => {
+        if (!elements.pushoverCase || !elements.pushoverGravityCase) return;
+        const previousCase = elements.pushoverCase.value;
+        const previousGravity = elements.pushoverGravityCase.value;
+        const options = cases.map(loadCase => `<option value="${escapeLoadCaseText(loadCase.id)}">${escapeLoadCaseText(getResultLabel(loadCase))}</option>`).join('');
+        elements.pushoverCase.innerHTML = options;
+        elements.pushoverGravityCase.innerHTML = `<option value="">なし</option>${options}`;
+        if (cases.some(loadCase => loadCase.id === previousCase)) elements.pushoverCase.value = previousCase;
+        if (cases.some(loadCase => loadCase.id === previousGravity)) elements.pushoverGravityCase.value = previousGravity;
+    };
+
+    /**
+     * プッシュオーバー解析の荷重変形曲線と塑性ヒンジの発生順を表示する
+     * 荷重係数 λ は荷重パターンの荷重の倍率で、ベースシアは λ × 荷重パターンの載荷方向の荷重の合計。
+     */
+    const displayPushoverResults = () => {
+        if (!elements.pushoverHinges) return;
+        if (!lastPushoverResult) {
+            elements.pushoverSummary.textContent = '';
+            elements.pushoverHinges.innerHTML = '';
+            const chartContext = elements.pushoverChart?.getContext('2d');
+            if (chartContext) chartContext.clearRect(0, 0, elements.pushoverChart.width, elements.pushoverChart.height);
+            return;
+        }
+
+        const { caseId, caseName, gravityCaseId, gravityCaseName, direction, controlNode, steps, hinges, message, is2DFrame } = lastPushoverResult;
+        const lastStep = steps[steps.length - 1];
+        const peakStep = steps.reduce((peak, step) => (Math.abs(step.baseShear) > Math.abs(peak.baseShear) ? step : peak));
+        const gravityLabel = gravityCaseId === null ? 'なし' : getResultLabel({ id: gravityCaseId, name: gravityCaseName });
+        elements.pushoverSummary.textContent = `荷重パターン: ${getResultLabel({ id: caseId, name: caseName })}、鉛直荷重: ${gravityLabel}、${direction}方向、制御節点 ${controlNode + 1}。`
+            + `${message || '制御節点の変位が目標変位に達しました。'}`
+            + `最大ベースシア ${peakStep.baseShear.toFixed(2)} kN（荷重係数 λ = ${peakStep.loadFactor.toFixed(3)}）、`
+            + `最終段階の制御節点の変位 ${(lastStep.displacement * 1000).toFixed(2)} mm、塑性ヒンジ ${hinges.length} 箇所（モデル図に発生順の番号を表示）。`;
+
+        if (typeof window.drawCapacityCurveChart === 'function') {
+            window.drawCapacityCurveChart(elements.pushoverChart, steps.map(step => ({
+                x: step.displacement * 1000,
+                y: step.baseShear,
+                label: hinges.filter(hinge => hinge.step === step.step).map(hinge => hinge.order).join(',')
+            })), {
+                title: `荷重変形曲線（${direction}方向）`,
+                xLabel: `制御節点 ${controlNode + 1} の変位 (mm)`,
+                yLabel: 'ベースシア (kN)'
             });
-            
-            // デバッグログ：合計された荷重を確認
-            if (!window.mergedLoadLogCount) window.mergedLoadLogCount = 0;
-            if (window.mergedLoadLogCount === 0) {
-                console.log('=== 合計された部材荷重 ===');
-                memberLoadMap.forEach((load, memberIndex) => {
-                    const wyStr = load.wy !== undefined ? `wy=${load.wy.toFixed(4)}` : `w=${(load.w || 0).toFixed(4)}`;
-                    const wzStr = load.wz !== undefined ? `, wz=${load.wz.toFixed(4)}` : '';
-                    console.log(`部材${memberIndex + 1}: ${wyStr}${wzStr}kN/m`);
-                });
-                console.log('========================');
-                window.mergedLoadLogCount = 1;
-            }
-            
-            // 合計された荷重で固定端力を計算 (3D対応)
-            memberLoadMap.forEach(load => {
-                const member = members[load.memberIndex];
-                const L = member.length;
-                const wy = load.wy !== undefined ? load.wy : (load.w || 0);
-                const wz = load.wz || 0;
-                let fel;
-
-                if (is2DFrame) {
-                    // 2D: 6要素の固定端力ベクトル (3自由度×2節点)
-                    // 注意: 固定端力は荷重と逆向き（下向き荷重→上向き拘束力）
-                    // しかし、等価節点荷重として扱うため、さらに符号反転が必要
-                    // 結果として、wyと同じ符号の固定端力を使用
-                    if (member.i_conn === 'rigid' && member.j_conn === 'rigid') {
-                        fel = [0, -wy*L/2, -wy*L**2/12, 0, -wy*L/2, wy*L**2/12];
-                    }
-                    else if (member.i_conn === 'pinned' && member.j_conn === 'rigid') {
-                        fel = [0, -3*wy*L/8, 0, 0, -5*wy*L/8, wy*L**2/8];
-                    }
-                    else if (member.i_conn === 'rigid' && member.j_conn === 'pinned') {
-                        fel = [0, -5*wy*L/8, -wy*L**2/8, 0, -3*wy*L/8, 0];
-                    }
-                    else {
-                        fel = [0, -wy*L/2, 0, 0, -wy*L/2, 0];
-                    }
-                    const T_t = mat.transpose(member.T);
-                    const feg = mat.multiply(T_t, fel.map(v => [v]));
-                    const i = member.i;
-                    const j = member.j;
-                    addForceWithSignFlip(i*3, -feg[0][0]);
-                    addForceWithSignFlip(i*3+1, -feg[1][0]);
-                    F_global[i*3+2][0] -= feg[2][0];
-                    addForceWithSignFlip(j*3, -feg[3][0]);
-                    addForceWithSignFlip(j*3+1, -feg[4][0]);
-                    F_global[j*3+2][0] -= feg[5][0];
-                    fixedEndForces[load.memberIndex] = fel;
-                } else {
-                    // 3D: 12要素の固定端力ベクトル (6自由度×2節点)
-                    // fel = [Fx_i, Fy_i, Fz_i, Mx_i, My_i, Mz_i, Fx_j, Fy_j, Fz_j, Mx_j, My_j, Mz_j]
-                    if (member.i_conn === 'rigid' && member.j_conn === 'rigid') {
-                        fel = [0, -wy*L/2, -wz*L/2, 0, wz*L**2/12, -wy*L**2/12, 0, -wy*L/2, -wz*L/2, 0, -wz*L**2/12, wy*L**2/12];
-                    }
-                    else if (member.i_conn === 'pinned' && member.j_conn === 'rigid') {
-                        fel = [0, -3*wy*L/8, -3*wz*L/8, 0, 0, 0, 0, -5*wy*L/8, -5*wz*L/8, 0, wz*L**2/8, wy*L**2/8];
-                    }
-                    else if (member.i_conn === 'rigid' && member.j_conn === 'pinned') {
-                        fel = [0, -5*wy*L/8, -5*wz*L/8, 0, wz*L**2/8, -wy*L**2/8, 0, -3*wy*L/8, -3*wz*L/8, 0, 0, 0];
-                    }
-                    else {
-                        fel = [0, -wy*L/2, -wz*L/2, 0, 0, 0, 0, -wy*L/2, -wz*L/2, 0, 0, 0];
-                    }
+        }
+
+        if (hinges.length === 0) {
+            elements.pushoverHinges.innerHTML = '';
+            return;
+        }
+        let html = '<thead><tr><th>順序</th><th>段階</th><th>部材 #</th><th>位置</th><th>曲げ</th><th>全塑性モーメント (kN·m)</th><th>荷重係数 λ</th><th>ベースシア (kN)</th><th>制御節点の変位 (mm)</th></tr></thead><tbody>';
+        hinges.forEach(hinge => {
+            const step = steps.find(item => item.step === hinge.step);
+            html += `<tr><td>${hinge.order}</td><td>${hinge.step}</td><td>${hinge.memberIndex + 1}</td><td>${hinge.end === 'i' ? '始端' : '終端'}</td>`
+                + `<td>${is2DFrame ? 'M' : hinge.axis}</td><td>${hinge.moment.toFixed(2)}</td><td>${hinge.loadFactor.toFixed(3)}</td>`
+                + `<td>${step.baseShear.toFixed(2)}</td><td>${(step.displacement * 1000).toFixed(2)}</td></tr>`;
+        });
+        elements.pushoverHinges.innerHTML = `${html}</tbody>`;
+    };
+
+    /**
+     * 固有値解析の固有周期・振動数と方向別の有効質量比（累積を含む）を表示する
+     * @param {object|null} modal - FrameAnalysisEngine の modal 結果（固有値解析を行わなかった場合は null）
+     */
+    const displayModalResults = (modal) => {
+        if (!elements.modalReport) return;
+        elements.modalReport.style.display = modal ? 'block' : 'none';
+        if (!modal) return;
+
+        const massTypeLabel = modal.massType === 'consistent' ? '整合質量' : '集中質量';
+        const totalMassText = modal.directions.map(direction => `${direction}方向 ${modal.totalMass[direction].toFixed(3)} t`).join('、');
+        let summary = `${massTypeLabel}マトリックス。有効質量比は拘束されていない節点の質量（${totalMassText}）に対する比です。`;
+        if (modal.modes.length < modal.requestedModes) {
+            summary += `求められたモードは ${modal.modes.length} 次までです。`;
+        }
+        elements.modalSummary.textContent = summary;
+
+        const directionHeaders = modal.directions
+            .map(direction => `<th>有効質量比 ${direction} (%)</th><th>累積 ${direction} (%)</th>`)
+            .join('');
+        let html = `<thead><tr><th>次数</th><th>固有周期 T (s)</th><th>振動数 f (Hz)</th><th>円振動数 ω (rad/s)</th>${directionHeaders}<th>モード形状</th></tr></thead><tbody>`;
+        const cumulative = {};
+        modal.modes.forEach((mode, modeIndex) => {
+            const ratioCells = modal.directions.map(direction => {
+                cumulative[direction] = (cumulative[direction] || 0) + mode.massRatios[direction];
+                return `<td>${(mode.massRatios[direction] * 100).toFixed(2)}</td><td>${(cumulative[direction] * 100).toFixed(2)}</td>`;
+            }).join('');
+            html += `<tr><td>${mode.mode}</td><td>${mode.period.toFixed(4)}</td><td>${mode.frequency.toFixed(3)}</td><td>${mode.omega.toFixed(3)}</td>${ratioCells}<td><button data-mode-index="${modeIndex}">モード表示</button></td></tr>`;
+        });
+        elements.modalResults.innerHTML = `${html}</tbody>`;
+    };
+
+    if (elements.modalResults) {
+        // 振動モードは構造図の上で正負に往復させて表示する（モードは最大並進成分 1 に正規化済み）
+        elements.modalResults.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-mode-index]');
+            const mode = lastLoadCaseResults?.modal?.modes[Number(button?.dataset.modeIndex)];
+            if (!mode) return;
+            const { nodes, members } = lastLoadCaseResults;
+            const extent = ['x', 'y', 'z'].map(axis => {
+                const values = nodes.map(node => node[axis] || 0);
+                return Math.max(...values) - Math.min(...values);
+            });
+            const structureSize = Math.max(...extent) || 1;
+            elements.modelCanvas.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            animateDisplacement(nodes, members, mode.D, null, { dispScale: structureSize * 0.1, cycles: 3 });
+        });
+    }
+
+    /**
+     * 応答スペクトル解析の層せん断力・層せん断力係数と、モードごとのスペクトル加速度・ベースシアを表示する
+     * @param {object|null} responseSpectrum - FrameAnalysisEngine の responseSpectrum 結果（行わなかった場合は null）
+     */
+    const displayResponseSpectrumResults = (responseSpectrum) => {
+        if (!elements.responseSpectrumReport) return;
+        elements.responseSpectrumReport.style.display = responseSpectrum ? 'block' : 'none';
+        if (!responseSpectrum) return;
+
+        const { direction, combination, damping, massRatio, totalMass, baseShear } = responseSpectrum;
+        const combinationLabel = combination === 'CQC' ? `CQC法（h = ${damping}）` : 'SRSS法';
+        let summary = `${direction}方向加振、${combinationLabel}。ベースシア ${baseShear.toFixed(2)} kN（${direction}方向の質量 ${totalMass.toFixed(3)} t）、`
+            + `考慮したモードの有効質量比の合計 ${(massRatio * 100).toFixed(1)}%。`;
+        if (massRatio < 0.9) {
+            summary += '有効質量比の合計が90%未満です。固有値解析のモード数を増やしてください。';
+        }
+        summary += `結果の切り替えで「${RESPONSE_SPECTRUM_RESULT.id}: ${RESPONSE_SPECTRUM_RESULT.name}」を選ぶと、組み合わせた変位・反力・断面力（各成分で寄与の最も大きいモードの符号）を表示します。`;
+        elements.responseSpectrumSummary.textContent = summary;
+
+        let storeyHTML = '<thead><tr><th>層</th><th>床高さ (m)</th><th>上部の重量 ΣW (kN)</th><th>層せん断力 Q (kN)</th><th>層せん断力係数 Ci</th></tr></thead><tbody>';
+        responseSpectrum.storeys.slice().reverse().forEach(storey => {
+            const coefficient = storey.shearCoefficient === null ? '-' : storey.shearCoefficient.toFixed(3);
+            storeyHTML += `<tr><td>${storey.storey}</td><td>${storey.elevation.toFixed(3)}</td><td>${storey.weight.toFixed(2)}</td><td>${storey.shear.toFixed(2)}</td><td>${coefficient}</td></tr>`;
+        });
+        elements.responseSpectrumStoreys.innerHTML = `${storeyHTML}</tbody>`;
+
+        let modeHTML = '<thead><tr><th>次数</th><th>固有周期 T (s)</th><th>加速度 Sa (m/s²)</th><th>ベースシア (kN)</th></tr></thead><tbody>';
+        responseSpectrum.modes.forEach(mode => {
+            modeHTML += `<tr><td>${mode.mode}</td><td>${mode.period.toFixed(4)}</td><td>${mode.acceleration.toFixed(3)}</td><td>${mode.baseShear.toFixed(2)}</td></tr>`;
+        });
+        elements.responseSpectrumModes.innerHTML = `${modeHTML}</tbody>`;
+    };
+
+    // 時刻歴のグラフ（地動加速度・ベースシア・指定節点の変位）を描き直す
+    const drawTimeHistoryCharts = () => {
+        const timeHistory = lastLoadCaseResults?.timeHistory;
+        if (!timeHistory || typeof window.drawTimeHistoryChart !== 'function') return;
+        const nodeCount = timeHistory.nodeDisplacements.length;
+        const nodeNumber = Math.min(Math.max(parseInt(elements.thNodeSelect?.value, 10) || nodeCount, 1), nodeCount);
+        const { direction } = timeHistory;
+        window.drawTimeHistoryChart(elements.timeHistoryChart, timeHistory.time, [
+            { label: `地動加速度 ${direction}`, unit: 'm/s²', values: timeHistory.groundAcceleration, color: '#6c757d' },
+            { label: `ベースシア ${direction}`, unit: 'kN', values: timeHistory.baseShear, color: '#007bff' },
+            { label: `節点 ${nodeNumber} の相対変位 ${direction}`, unit: 'mm', values: Array.from(timeHistory.nodeDisplacements[nodeNumber - 1], value => value * 1000), color: '#d9534f' }
+        ], `時刻歴応答（${direction}方向加振）`);
+    };
+
+    /**
+     * 時刻歴応答解析の最大応答・時刻歴グラフ・部材断面力の最大値を表示する
+     * @param {object|null} timeHistory - FrameAnalysisEngine の timeHistory 結果（行わなかった場合は null）
+     */
+    const displayTimeHistoryResults = (timeHistory) => {
+        if (!elements.timeHistoryReport) return;
+        elements.timeHistoryReport.style.display = timeHistory ? 'block' : 'none';
+        if (!timeHistory) return;
+
+        const { direction, timeStep, damping, beta, rayleigh, time, peakBaseShear, nodeDisplacements } = timeHistory;
+        let peakDisplacement = { value: 0, node: 0, time: 0 };
+        nodeDisplacements.forEach((values, nodeIndex) => {
+            values.forEach((value, step) => {
+                if (Math.abs(value) > Math.abs(peakDisplacement.value)) peakDisplacement = { value, node: nodeIndex + 1, time: time[step] };
+            });
+        });
+        const betaLabel = Math.abs(beta - 0.25) < 1e-6 ? '平均加速度法' : '線形加速度法';
+        elements.timeHistorySummary.textContent = `${direction}方向加振、継続時間 ${time[time.length - 1].toFixed(2)} 秒（Δt = ${timeStep} s、${betaLabel}）、`
+            + `レイリー減衰 h = ${damping}（α = ${rayleigh.alpha.toExponential(3)}、β = ${rayleigh.beta.toExponential(3)}）。`
+            + `最大ベースシア ${Math.abs(peakBaseShear.value).toFixed(2)} kN（${peakBaseShear.time.toFixed(2)} 秒）、`
+            + `最大相対変位 ${(Math.abs(peakDisplacement.value) * 1000).toFixed(2)} mm（節点 ${peakDisplacement.node}、${peakDisplacement.time.toFixed(2)} 秒）。`;
+        if (elements.thNodeSelect) {
+            elements.thNodeSelect.max = nodeDisplacements.length;
+            elements.thNodeSelect.value = peakDisplacement.node || 1;
+        }
+        drawTimeHistoryCharts();
+
+        // 部材ごとに、i端・j端のうち絶対値の大きい方の値とその時刻を示す
+        const quantities = lastLoadCaseResults.is2DFrame
+            ? [['N', 'N (kN)'], ['Q', 'Q (kN)'], ['M', 'M (kN·m)']]
+            : [['N', 'N (kN)'], ['Qy', 'Qy (kN)'], ['Qz', 'Qz (kN)'], ['Mx', 'Mx (kN·m)'], ['My', 'My (kN·m)'], ['Mz', 'Mz (kN·m)']];
+        let html = `<thead><tr><th>部材 #</th>${quantities.map(([, label]) => `<th>${label}</th><th>時刻 (s)</th>`).join('')}</tr></thead><tbody>`;
+        timeHistory.peakForces.forEach((peak, memberIndex) => {
+            const cells = quantities.map(([key]) => {
+                const endKey = Math.abs(peak[`${key}_j`] || 0) > Math.abs(peak[`${key}_i`] || 0) ? `${key}_j` : `${key}_i`;
+                const value = peak[endKey] || 0;
+                const peakTime = timeHistory.peakForceTimes[memberIndex][endKey];
+                return `<td>${value.toFixed(2)}</td><td>${peakTime === undefined ? '-' : peakTime.toFixed(2)}</td>`;
+            }).join('');
+            html += `<tr><td>${memberIndex + 1}</td>${cells}</tr>`;
+        });
+        elements.timeHistoryPeakForces.innerHTML = `${html}</tbody>`;
+    };
 
-                    const releaseInfo = member.release3D;
-                    if (releaseInfo?.releaseLocalIndices?.length) {
-                        releaseInfo.releaseLocalIndices.forEach(idx => {
-                            fel[idx] = 0;
-                        });
-                    }
+    if (elements.thNodeSelect) {
+        elements.thNodeSelect.addEventListener('change', drawTimeHistoryCharts);
+    }
 
-                    const T_forLoads = releaseInfo?.T_active || member.T3D;
-                    const activeLocalIndices = releaseInfo?.activeLocalIndices || Array.from({ length: 12 }, (_, idx) => idx);
-                    const felActiveVector = activeLocalIndices.map(idx => fel[idx]).map(v => [v]);
-                    const feg = mat.multiply(mat.transpose(T_forLoads), felActiveVector);
-
-                    const i = member.i;
-                    const j = member.j;
-                    addForceWithSignFlip(i*6, -feg[0][0]);
-                    addForceWithSignFlip(i*6+1, -feg[1][0]);
-                    F_global[i*6+2][0] -= feg[2][0];
-                    F_global[i*6+3][0] -= feg[3][0];
-                    F_global[i*6+4][0] -= feg[4][0];
-                    F_global[i*6+5][0] -= feg[5][0];
-                    addForceWithSignFlip(j*6, -feg[6][0]);
-                    addForceWithSignFlip(j*6+1, -feg[7][0]);
-                    F_global[j*6+2][0] -= feg[8][0];
-                    F_global[j*6+3][0] -= feg[9][0];
-                    F_global[j*6+4][0] -= feg[10][0];
-                    F_global[j*6+5][0] -= feg[11][0];
-                    fixedEndForces[load.memberIndex] = fel;
-                }
+    if (elements.thAnimateBtn) {
+        // 時刻歴の変位（間引いたもの）を構造図の上で順に表示する
+        elements.thAnimateBtn.addEventListener('click', () => {
+            const timeHistory = lastLoadCaseResults?.timeHistory;
+            if (!timeHistory || timeHistory.frames.length === 0) return;
+            const { nodes, members } = lastLoadCaseResults;
+            const dofPerNode = lastLoadCaseResults.is2DFrame ? 3 : 6;
+            const getMaxDisplacement = (D) => D.reduce((max, row, idx) => (idx % dofPerNode < dofPerNode / 2 ? Math.max(max, Math.abs(row[0])) : max), 0);
+            const peakFrame = timeHistory.frames.reduce((peak, frame) => (getMaxDisplacement(frame.D) > getMaxDisplacement(peak.D) ? frame : peak));
+            const extent = ['x', 'y', 'z'].map(axis => {
+                const values = nodes.map(node => node[axis] || 0);
+                return Math.max(...values) - Math.min(...values);
             });
-            
-            // 節点荷重を設定（2D/3Dで処理を分ける）
-            if (is2DFrame) {
-                combinedNodeLoads.forEach(load => { 
-                    const base = load.nodeIndex * 3; 
-                    addForceWithSignFlip(base, load.px || 0); 
-                    addForceWithSignFlip(base + 1, load.py || 0); 
-                });
-            } else {
-                // 3D: 6自由度
-                combinedNodeLoads.forEach(load => { 
-                    const base = load.nodeIndex * 6; 
-                    addForceWithSignFlip(base, load.px || 0); 
-                    addForceWithSignFlip(base + 1, load.py || 0); 
-                    const pzContribution = (load.pz || 0) * (loadCalcMultipliers.z ?? 1);
-                    F_global[base + 2][0] += pzContribution; 
-                });
-            }
-            
-            // 全体剛性マトリックスの組み立て（2D/3Dで処理を分ける）
-            if (is2DFrame) {
-                members.forEach((member) => {
-                    const {k_local, T, i, j} = member;
-                    const T_t = mat.transpose(T), k_global_member = mat.multiply(mat.multiply(T_t, k_local), T);
-                    const indices = [i*3, i*3+1, i*3+2, j*3, j*3+1, j*3+2];
-                    for (let row = 0; row < 6; row++) {
-                        for (let col = 0; col < 6; col++) {
-                            K_global[indices[row]][indices[col]] += k_global_member[row][col];
-                        }
-                    }
-                });
-            } else {
-                // 3D解析
-                members.forEach((member) => {
-                    const T_use = member.T_active || member.T3D;
-                    const k_local_use = member.k_local_active || member.k_local_3d;
-                    const indices = member.globalIndexMap || [
-                        member.i * 6, member.i * 6 + 1, member.i * 6 + 2,
-                        member.i * 6 + 3, member.i * 6 + 4, member.i * 6 + 5,
-                        member.j * 6, member.j * 6 + 1, member.j * 6 + 2,
-                        member.j * 6 + 3, member.j * 6 + 4, member.j * 6 + 5
-                    ];
-
-                    const T_t = mat.transpose(T_use);
-                    const k_global_member = mat.multiply(mat.multiply(T_t, k_local_use), T_use);
-
-                    for (let row = 0; row < 12; row++) {
-                        const globalRow = indices[row];
-                        if (globalRow === null || globalRow === undefined) continue;
-                        for (let col = 0; col < 12; col++) {
-                            const globalCol = indices[col];
-                            if (globalCol === null || globalCol === undefined) continue;
-                            K_global[globalRow][globalCol] += k_global_member[row][col];
-                        }
-                    }
-                });
-            }
-            const excludedDOFs = new Set();
-            if (!is2DFrame) {
-                const tolerance = 1e-9;
-                for (let r = 0; r < dof; r++) {
-                    let maxMagnitude = 0;
-                    for (let c = 0; c < dof; c++) {
-                        const val = K_global[r][c];
-                        if (Math.abs(val) > maxMagnitude) {
-                            maxMagnitude = Math.abs(val);
-                            if (maxMagnitude > tolerance) break;
-                        }
-                    }
-                    if (maxMagnitude <= tolerance && Math.abs(F_global[r][0]) <= tolerance) {
-                        excludedDOFs.add(r);
-                        F_global[r][0] = 0;
-                    }
-                }
-            }
+            const structureSize = Math.max(...extent) || 1;
+            const peakDisplacement = getMaxDisplacement(peakFrame.D);
+            elements.modelCanvas.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            animateDisplacement(nodes, members, peakFrame.D, null, {
+                dispScale: peakDisplacement > 0 ? structureSize * 0.1 / peakDisplacement : 1,
+                frames: timeHistory.frames
+            });
+        });
+    }
 
-            // ==========================================================
-            // 強制変位を考慮した解析ロジック（自由節点も対応）
-            // ==========================================================
+    const updateResultCaseSelector = ({ cases, combinations, spectrumResults = [] }) => {
+        if (!elements.resultCaseSelect) return;
+        const previousId = elements.resultCaseSelect.value;
+        const buildOption = (result, suffix = '') => `<option value="${escapeLoadCaseText(result.id)}">${result.id === TOTAL_LOAD_CASE.id ? '' : `${escapeLoadCaseText(result.id)}: `}${escapeLoadCaseText(result.name)}${suffix}</option>`;
+        const caseOptions = cases.map(loadCase => buildOption(loadCase)).join('');
+        const groups = [
+            combinations.length > 0 ? `<optgroup label="荷重組合せ">${combinations
+                .map(combination => buildOption(combination, `（${LOAD_COMBINATION_TERMS[combination.term]}）`))
+                .join('')}</optgroup>` : '',
+            spectrumResults.length > 0 ? `<optgroup label="応答スペクトル解析">${spectrumResults.map(result => buildOption(result)).join('')}</optgroup>` : ''
+        ].join('');
+        elements.resultCaseSelect.innerHTML = groups ? `<optgroup label="荷重ケース">${caseOptions}</optgroup>${groups}` : caseOptions;
+        const results = [...cases, ...combinations, ...spectrumResults];
+        elements.resultCaseSelect.value = results.some(result => result.id === previousId) ? previousId : cases[0].id;
+        if (elements.resultCaseControls) {
+            elements.resultCaseControls.style.display = results.length > 1 ? 'flex' : 'none';
+        }
+    };
 
-            // 1. 物理的な支点による拘束自由度を定義（2D/3Dで処理を分ける）
-            const support_constraints = new Set();
-            const registerConstraint = (index) => {
-                if (index >= 0 && index < dof && !excludedDOFs.has(index)) {
-                    support_constraints.add(index);
-                }
-            };
+    /**
+     * 指定した荷重ケース（または荷重組合せ）の解析結果を表示する
+     * @param {string} caseId - 荷重ケース・荷重組合せの記号（見つからない場合は全荷重ケース合計）
+     */
+    const showLoadCaseResult = (caseId) => {
+        if (!lastLoadCaseResults) return;
+        stopBucklingModeAnimation();
+        const { cases, combinations, spectrumResults, nodes, members } = lastLoadCaseResults;
+        const caseResult = [...cases, ...combinations, ...spectrumResults].find(result => result.id === caseId) || cases[0];
+
+        // 解析結果をグローバルに保存（応力度コンター図用）
+        window.lastAnalysisResults = {
+            displacements: caseResult.D,
+            reactions: caseResult.R,
+            forces: caseResult.forces,
+            nodes,
+            members,
+            loadCaseId: caseResult.id
+        };
 
-            nodes.forEach((node, i) => {
-                const supportType = normalizeSupportValue(node.support);
-                
-                if (is2DFrame) {
-                    // 2D解析: 3自由度 (dx, dy, θz)
-                    if (supportType === 'fixed') {
-                        registerConstraint(i * 3);
-                        registerConstraint(i * 3 + 1);
-                        registerConstraint(i * 3 + 2);
-                    } else if (supportType === 'pinned') {
-                        registerConstraint(i * 3);
-                        registerConstraint(i * 3 + 1);
-                    } else if (supportType === 'roller-x') {
-                        registerConstraint(i * 3);
-                    } else if (supportType === 'roller-y' || supportType === 'roller-z') {
-                        registerConstraint(i * 3 + 1);
-                    }
-                } else {
-                    // 3D解析: 6自由度 (dx, dy, dz, θx, θy, θz)
-                    if (supportType === 'fixed') {
-                        // 完全固定: 全6自由度を拘束
-                        registerConstraint(i * 6);
-                        registerConstraint(i * 6 + 1);
-                        registerConstraint(i * 6 + 2);
-                        registerConstraint(i * 6 + 3);
-                        registerConstraint(i * 6 + 4);
-                        registerConstraint(i * 6 + 5);
-                    } else if (supportType === 'pinned') {
-                        // ピン: 移動3自由度を拘束、回転自由
-                        registerConstraint(i * 6);
-                        registerConstraint(i * 6 + 1);
-                        registerConstraint(i * 6 + 2);
-                    } else if (isRollerSupport(supportType)) {
-                        const axis = getRollerAxis(supportType) || 'y';
-                        const axisIndexMap = { x: 0, y: 1, z: 2 };
-                        const offset = axisIndexMap[axis];
-                        if (offset !== undefined) {
-                            registerConstraint(i * 6 + offset);
-                        }
-                    }
-                }
-            });
+        displayResults(caseResult.D, caseResult.R, caseResult.forces, nodes, members, caseResult.nodeLoads, caseResult.memberLoads);
+        displayPDeltaReport(caseResult);
+        if (caseResult.axialOnly && !caseResult.axialOnly.converged && elements.forceResults) {
+            elements.forceResults.insertAdjacentHTML('afterbegin', `<caption>⚠ ${escapeLoadCaseText(caseResult.axialOnly.message)}最後の反復の結果を表示しています。</caption>`);
+        }
+        if (caseResult.cable && !caseResult.cable.converged && elements.forceResults) {
+            elements.forceResults.insertAdjacentHTML('afterbegin', `<caption>⚠ ケーブルの大変形解析が収束しませんでした。${escapeLoadCaseText(caseResult.cable.message)}初期張力による幾何剛性を含む1次解析の結果を表示しています。</caption>`);
+        }
+    };
 
-            // 2. 強制変位が与えられた自由度を特定し、既知変位ベクトルD_sを作成
-            const D_s = mat.create(dof, 1);
-            const forced_disp_constraints = new Set();
-            const assignForcedDisplacement = (index, value) => {
-                if (!Number.isFinite(value) || value === 0) return;
-                if (excludedDOFs.has(index)) {
-                    console.warn('強制変位が解放自由度に指定されました', { index, value });
-                    return;
-                }
-                D_s[index][0] = value;
-                forced_disp_constraints.add(index);
-            };
-            
-            if (is2DFrame) {
-                // 2D: dx, dy
-                nodes.forEach((node, i) => {
-                    if (node.dx_forced !== undefined && node.dx_forced !== null && node.dx_forced !== 0) {
-                        assignForcedDisplacement(i * 3, node.dx_forced);
-                    }
-                    if (node.dy_forced !== undefined && node.dy_forced !== null && node.dy_forced !== 0) {
-                        assignForcedDisplacement(i * 3 + 1, node.dy_forced);
-                    }
-                });
-            } else {
-                // 3D: dx, dy, dz
-                nodes.forEach((node, i) => {
-                    if (node.dx_forced !== undefined && node.dx_forced !== null && node.dx_forced !== 0) {
-                        assignForcedDisplacement(i * 6, node.dx_forced);
-                    }
-                    if (node.dy_forced !== undefined && node.dy_forced !== null && node.dy_forced !== 0) {
-                        assignForcedDisplacement(i * 6 + 1, node.dy_forced);
-                    }
-                    if (node.dz_forced !== undefined && node.dz_forced !== null && node.dz_forced !== 0) {
-                        assignForcedDisplacement(i * 6 + 2, node.dz_forced);
-                    }
-                });
-            }
-            
-            // 3. 物理支点と強制変位を合算し、最終的な「拘束自由度」と「自由度」を決定
-            const constrained_indices_set = new Set([...support_constraints, ...forced_disp_constraints]);
-            const constrained_indices = Array.from(constrained_indices_set)
-                .filter(index => !excludedDOFs.has(index))
-                .sort((a, b) => a - b);
-            const free_indices = [...Array(dof).keys()].filter(i => !constrained_indices_set.has(i) && !excludedDOFs.has(i));
-
-            if (free_indices.length === 0) { // 完全拘束モデルの場合
-                const D_global = D_s;
-                const R = mat.subtract(mat.multiply(K_global, D_global), F_global);
-                
-                // 部材断面力の計算（2D/3Dで処理を分ける）
-                const memberForces = members.map((member, idx) => {
-                    // 部材に作用する荷重を取得
-                    const memberLoad = memberLoadMap.get(idx);
-                    const wy = memberLoad ? (memberLoad.wy !== undefined ? memberLoad.wy : (memberLoad.w || 0)) : 0;
-                    const wz = memberLoad ? (memberLoad.wz || 0) : 0;
-
-                    if (is2DFrame) {
-                        // 2D解析
-                        const { T, k_local, i, j } = member;
-                        const d_global_member = [ ...D_global.slice(i * 3, i * 3 + 3), ...D_global.slice(j * 3, j * 3 + 3) ];
-                        const d_local = mat.multiply(T, d_global_member);
-                        let f_local = mat.multiply(k_local, d_local);
-                        if(fixedEndForces[idx]) {
-                            const fel_mat = fixedEndForces[idx].map(v=>[v]);
-                            f_local = mat.add(f_local, fel_mat);
-                        }
-                        return {
-                            N_i: f_local[0][0],
-                            Q_i: f_local[1][0],
-                            M_i: f_local[2][0],
-                            N_j: f_local[3][0],
-                            Q_j: f_local[4][0],
-                            M_j: f_local[5][0],
-                            w: wy  // 等分布荷重を追加
-                        };
-                    } else {
-                        // 3D解析
-                        const { i, j } = member;
-                        const d_global_member = [
-                            D_global[i*6][0], D_global[i*6+1][0], D_global[i*6+2][0],
-                            D_global[i*6+3][0], D_global[i*6+4][0], D_global[i*6+5][0],
-                            D_global[j*6][0], D_global[j*6+1][0], D_global[j*6+2][0],
-                            D_global[j*6+3][0], D_global[j*6+4][0], D_global[j*6+5][0]
-                        ].map(v => [v]);
-
-                        const releaseInfo = member.release3D;
-                        const T_use = member.T_active || member.T3D;
-                        const k_local_use = member.k_local_active || member.k_local_3d;
-                        const d_local_active = mat.multiply(T_use, d_global_member);
-
-                        let d_local_full;
-                        if (releaseInfo?.usedCondensation) {
-                            d_local_full = Array.from({ length: 12 }, () => [0]);
-                            releaseInfo.activeLocalIndices.forEach((localIdx, pos) => {
-                                d_local_full[localIdx][0] = d_local_active[pos][0];
-                            });
-                            if (releaseInfo.releaseLocalIndices.length > 0) {
-                                const temp = mat.multiply(releaseInfo.K_ra, d_local_active);
-                                const d_released = mat.multiply(releaseInfo.K_rr_inv, temp);
-                                releaseInfo.releaseLocalIndices.forEach((localIdx, pos) => {
-                                    d_local_full[localIdx][0] = -d_released[pos][0];
-                                });
-                            }
-                        } else {
-                            d_local_full = d_local_active;
-                        }
+    // 表示中の結果を描き直す（断面検定の結果があれば再計算する）
+    const refreshDisplayedResult = () => {
+        if (!lastLoadCaseResults) return;
+        const hadSectionCheck = !!lastSectionCheckResults;
+        showLoadCaseResult(elements.resultCaseSelect?.value);
+        if (hadSectionCheck) refreshSectionCheck();
+    };
 
-                        const k_for_force = (releaseInfo && !releaseInfo.usedCondensation)
-                            ? (member.k_local_active || member.k_local_3d)
-                            : member.k_local_3d;
+    if (elements.resultCaseSelect) {
+        elements.resultCaseSelect.addEventListener('change', refreshDisplayedResult);
+    }
 
-                        let f_local = mat.multiply(k_for_force, d_local_full);
+    // 包絡図に重ねる解析結果（荷重を変えて再解析しても残る）
+    let pinnedAnalysisResults = [];
+    let pinnedResultSerial = 0;
 
-                        if (fixedEndForces[idx]) {
-                            const fel_mat = fixedEndForces[idx].map(v => [v]);
-                            f_local = mat.add(f_local, fel_mat);
-                        }
+    const getEnvelopeForceSets = (members) => pinnedAnalysisResults.filter(pinned => pinned.forces.length === members.length);
 
-                        return {
-                            N_i: f_local[0][0],
-                            Qy_i: f_local[1][0],
-                            Qz_i: f_local[2][0],
-                            Mx_i: f_local[3][0],
-                            My_i: f_local[4][0],
-                            Mz_i: f_local[5][0],
-                            N_j: f_local[6][0],
-                            Qy_j: f_local[7][0],
-                            Qz_j: f_local[8][0],
-                            Mx_j: f_local[9][0],
-                            My_j: f_local[10][0],
-                            Mz_j: f_local[11][0],
-                            // 2D互換性のため
-                            Q_i: f_local[2][0],
-                            M_i: f_local[4][0],
-                            Q_j: f_local[8][0],
-                            M_j: f_local[10][0],
-                            w: wy,   // 等分布荷重Y方向を追加
-                            wz: wz   // 等分布荷重Z方向を追加
-                        };
-                    }
-                });
-                displayResults(D_global, R, memberForces, nodes, members, nodeLoads, memberLoads);
-                return;
-            }
+    const updateEnvelopeDiagramControls = () => {
+        if (!elements.envelopeDiagramControls) return;
+        elements.envelopeDiagramControls.style.display = lastLoadCaseResults ? 'flex' : 'none';
+        elements.pinCombinationsBtn.style.display = lastLoadCaseResults?.combinations.length > 0 ? '' : 'none';
+        elements.pinnedResultSummary.textContent = pinnedAnalysisResults.length > 0
+            ? `包絡図の結果: ${pinnedAnalysisResults.map(pinned => pinned.label).join(', ')}`
+            : '包絡図の結果: なし';
+    };
 
-            // 3. 行列を分割 (K_ff, K_fs, K_sf, K_ss)
-            const K_ff = free_indices.map(r => free_indices.map(c => K_global[r][c]));
-            const K_fs = free_indices.map(r => constrained_indices.map(c => K_global[r][c]));
-            const K_sf = constrained_indices.map(r => free_indices.map(c => K_global[r][c]));
-            const K_ss = constrained_indices.map(r => constrained_indices.map(c => K_global[r][c]));
-
-            // 4. ベクトルを分割
-            const F_f = free_indices.map(idx => [F_global[idx][0]]);
-            const F_s = constrained_indices.map(idx => [F_global[idx][0]]);
-            const D_s_constrained = constrained_indices.map(idx => [D_s[idx][0]]);
-
-            // 5. 強制変位による等価節点力を計算し、荷重ベクトルを修正
-            // F_modified = F_f - K_fs * D_s_constrained
-            const Kfs_Ds = mat.multiply(K_fs, D_s_constrained);
-            const F_modified = mat.subtract(F_f, Kfs_Ds);
-
-            // 6. 未知変位 D_f を解く
-            const D_f = mat.solve(K_ff, F_modified);
-            if (!D_f) {
-                const instabilityAnalysis = analyzeInstability(K_global, free_indices, nodes, members, is2DFrame);
-                throw new Error(`解を求めることができませんでした。構造が不安定であるか、拘束が不適切である可能性があります。\n${instabilityAnalysis.message}`);
-            }
-
-            // 7. 全体変位ベクトル D_global を組み立てる
-            const D_global = mat.create(dof, 1);
-            free_indices.forEach((val, i) => { D_global[val][0] = D_f[i][0]; });
-            constrained_indices.forEach((val, i) => { D_global[val][0] = D_s_constrained[i][0]; });
-
-            // 8. 反力 R を計算
-            // R = K_sf * D_f + K_ss * D_s_constrained - F_s
-            const Ksf_Df = mat.multiply(K_sf, D_f);
-            const Kss_Ds = mat.multiply(K_ss, D_s_constrained);
-            let R_constrained = mat.add(Ksf_Df, Kss_Ds);
-            R_constrained = mat.subtract(R_constrained, F_s);
-
-            const R = mat.create(dof, 1);
-            constrained_indices.forEach((val, i) => { R[val][0] = R_constrained[i][0]; });
-
-            // ==========================================================
-            // 部材断面力の計算（2D/3Dで処理を分ける）
-            // ==========================================================
-            const memberForces = members.map((member, idx) => {
-                // 部材に作用する荷重を取得
-                const memberLoad = memberLoadMap.get(idx);
-                const wy = memberLoad ? (memberLoad.wy !== undefined ? memberLoad.wy : (memberLoad.w || 0)) : 0;
-                const wz = memberLoad ? (memberLoad.wz || 0) : 0;
-
-                if (is2DFrame) {
-                    // 2D解析
-                    const { T, k_local, i, j } = member;
-                    const d_global_member = [ ...D_global.slice(i * 3, i * 3 + 3), ...D_global.slice(j * 3, j * 3 + 3) ];
-                    const d_local = mat.multiply(T, d_global_member);
-                    let f_local = mat.multiply(k_local, d_local);
-                    if(fixedEndForces[idx]) {
-                        const fel_mat = fixedEndForces[idx].map(v=>[v]);
-                        f_local = mat.add(f_local, fel_mat);
-                    }
-                    return {
-                        N_i: f_local[0][0],
-                        Q_i: f_local[1][0],
-                        M_i: f_local[2][0],
-                        N_j: f_local[3][0],
-                        Q_j: f_local[4][0],
-                        M_j: f_local[5][0],
-                        w: wy  // 等分布荷重を追加
-                    };
-                } else {
-                    // 3D解析
-                    const { i, j } = member;
-                    const d_global_member = [
-                        D_global[i*6][0], D_global[i*6+1][0], D_global[i*6+2][0],
-                        D_global[i*6+3][0], D_global[i*6+4][0], D_global[i*6+5][0],
-                        D_global[j*6][0], D_global[j*6+1][0], D_global[j*6+2][0],
-                        D_global[j*6+3][0], D_global[j*6+4][0], D_global[j*6+5][0]
-                    ].map(v => [v]);
-
-                    const releaseInfo = member.release3D;
-                    const T_use = member.T_active || member.T3D;
-                    const d_local_active = mat.multiply(T_use, d_global_member);
-
-                    let d_local_full;
-                    if (releaseInfo?.usedCondensation) {
-                        d_local_full = Array.from({ length: 12 }, () => [0]);
-                        releaseInfo.activeLocalIndices.forEach((localIdx, pos) => {
-                            d_local_full[localIdx][0] = d_local_active[pos][0];
-                        });
-                        if (releaseInfo.releaseLocalIndices.length > 0) {
-                            const temp = mat.multiply(releaseInfo.K_ra, d_local_active);
-                            const d_released = mat.multiply(releaseInfo.K_rr_inv, temp);
-                            releaseInfo.releaseLocalIndices.forEach((localIdx, pos) => {
-                                d_local_full[localIdx][0] = -d_released[pos][0];
-                            });
-                        }
-                    } else {
-                        d_local_full = d_local_active;
-                    }
+    const clearPinnedAnalysisResults = () => {
+        pinnedAnalysisResults = [];
+        pinnedResultSerial = 0;
+        if (elements.envelopeDiagramToggle) elements.envelopeDiagramToggle.checked = false;
+        updateEnvelopeDiagramControls();
+    };
 
-                    const k_for_force = (releaseInfo && !releaseInfo.usedCondensation)
-                        ? (member.k_local_active || member.k_local_3d)
-                        : member.k_local_3d;
+    /**
+     * 解析結果を包絡図に追加して包絡図表示に切り替える
+     * @param {Array<{id: string, forces: object[]}>} results - 追加する荷重ケース・荷重組合せの結果
+     */
+    const pinAnalysisResults = (results) => {
+        const memberCount = lastLoadCaseResults.members.length;
+        if (pinnedAnalysisResults.some(pinned => pinned.forces.length !== memberCount)) {
+            if (!confirm('部材数の異なるモデルの結果が包絡図に含まれています。それらを除いて追加しますか？')) return;
+            pinnedAnalysisResults = pinnedAnalysisResults.filter(pinned => pinned.forces.length === memberCount);
+        }
+        results.forEach(result => {
+            pinnedAnalysisResults.push({ label: `#${++pinnedResultSerial} ${result.id}`, forces: result.forces });
+        });
+        elements.envelopeDiagramToggle.checked = true;
+        updateEnvelopeDiagramControls();
+        refreshDisplayedResult();
+    };
 
-                    let f_local = mat.multiply(k_for_force, d_local_full);
+    if (elements.envelopeDiagramControls) {
+        elements.pinResultBtn.addEventListener('click', () => {
+            if (!lastResults) return;
+            pinAnalysisResults([{ id: window.lastAnalysisResults?.loadCaseId || TOTAL_LOAD_CASE.id, forces: lastResults.forces }]);
+        });
+        elements.pinCombinationsBtn.addEventListener('click', () => {
+            if (lastLoadCaseResults?.combinations.length > 0) pinAnalysisResults(lastLoadCaseResults.combinations);
+        });
+        elements.clearPinnedResultsBtn.addEventListener('click', () => {
+            clearPinnedAnalysisResults();
+            refreshDisplayedResult();
+        });
+        elements.envelopeDiagramToggle.addEventListener('change', () => {
+            if (elements.envelopeDiagramToggle.checked && pinnedAnalysisResults.length === 0) {
+                alert('包絡図に追加した結果がありません。「表示中の結果を包絡図に追加」で結果を追加してください。');
+                elements.envelopeDiagramToggle.checked = false;
+                return;
+            }
+            refreshDisplayedResult();
+        });
+    }
 
-                    if (fixedEndForces[idx]) {
-                        const fel_mat = fixedEndForces[idx].map(v => [v]);
-                        f_local = mat.add(f_local, fel_mat);
-                    }
+    /**
+     * 入力表からモデルと解析用の荷重ケース・荷重組合せを作る
+     * 部材には固有値解析用の密度 density (kg/m³) を付ける（密度列がない場合は弾性係数に応じた標準値）。
+     * 温度荷重用の線膨張係数 thermalExpansion (1/℃) は弾性係数の材料に応じた標準値とする。
+     * @returns {{ nodes: object[], members: object[], loadCases: object[], loadCombinations: object[], loadMultipliers: object, nodalMasses: Array<{nodeIndex: number, mass: number}> }}
+     */
+    const prepareAnalysisInputs = () => {
+        const { nodes, members, nodeLoads, memberLoads, spanLoads, thermalLoads, memberSelfWeights, nodeSelfWeights } = parseInputs();
+        members.forEach((member, index) => {
+            const row = elements.membersTable.rows[index];
+            const density = parseFloat(row?.querySelector('.density-cell input')?.value);
+            const eValue = row?.cells[3]?.querySelector('select')?.value;
+            member.density = Number.isFinite(density) ? density : (MATERIAL_DENSITY_DATA[eValue] ?? MATERIAL_DENSITY_DATA.custom);
+            member.thermalExpansion = MATERIAL_THERMAL_EXPANSION_DATA[eValue] ?? MATERIAL_THERMAL_EXPANSION_DATA.custom;
+        });
+        const nodalMasses = getNodalMassDefinitions().map(({ node, mass }) => {
+            if (node < 1 || node > nodes.length) {
+                throw new Error(`節点質量の節点番号 ${node} は存在しません。`);
+            }
+            return { nodeIndex: node - 1, mass };
+        });
+        const projectionModeForCalc = getProjectionModeValue();
+        const is3DModeActive = window.is3DMode === true;
+        const { calcRules } = buildConcentratedLoadRules(projectionModeForCalc, is3DModeActive);
+        const adjustedNodeLoads = nodeLoads.map(load => applyCalcRulesToLoad(load, calcRules));
+        const loadMultipliers = {
+            x: calcRules.px?.multiplier ?? 1,
+            y: calcRules.py?.multiplier ?? 1,
+            z: calcRules.pz?.multiplier ?? 1
+        };
+        const loadCases = buildAnalysisLoadCases({
+            nodes,
+            nodeLoads: adjustedNodeLoads,
+            memberLoads,
+            spanLoads,
+            thermalLoads,
+            memberSelfWeights,
+            nodeSelfWeights
+        });
+        return { nodes, members, loadCases, loadCombinations: buildAnalysisLoadCombinations(loadCases), loadMultipliers, nodalMasses };
+    };
 
-                    // 3D断面力の全成分を保存
-                    // f_local: [Fx_i, Fy_i, Fz_i, Mx_i, My_i, Mz_i, Fx_j, Fy_j, Fz_j, Mx_j, My_j, Mz_j]
-                    return {
-                        N_i: f_local[0][0],    // 軸力（X方向）
-                        Qy_i: f_local[1][0],   // せん断力（Y方向）
-                        Qz_i: f_local[2][0],   // せん断力（Z方向）
-                        Mx_i: f_local[3][0],   // ねじりモーメント（X軸周り）
-                        My_i: f_local[4][0],   // 曲げモーメント（Y軸周り）
-                        Mz_i: f_local[5][0],   // 曲げモーメント（Z軸周り）
-                        N_j: f_local[6][0],    // 軸力（X方向）
-                        Qy_j: f_local[7][0],   // せん断力（Y方向）
-                        Qz_j: f_local[8][0],   // せん断力（Z方向）
-                        Mx_j: f_local[9][0],   // ねじりモーメント（X軸周り）
-                        My_j: f_local[10][0],  // 曲げモーメント（Y軸周り）
-                        Mz_j: f_local[11][0],  // 曲げモーメント（Z軸周り）
-                        // 2D互換性のため
-                        Q_i: f_local[2][0],    // デフォルトはZ方向
-                        M_i: f_local[4][0],    // デフォルトはY軸周り
-                        Q_j: f_local[8][0],    // デフォルトはZ方向
-                        M_j: f_local[10][0],   // デフォルトはY軸周り
-                        w: wy,                 // 等分布荷重Y方向を追加
-                        wz: wz                 // 等分布荷重Z方向を追加
-                    };
-                }
-            });
-            
-            // 計算成功時は不安定性ハイライトをクリア
-            clearInstabilityHighlight();
-            
-            // 解析結果をグローバルに保存（応力度コンター図用）
-            window.lastAnalysisResults = {
-                displacements: D_global,
-                reactions: R,
-                forces: memberForces,
-                nodes: nodes,
-                members: members
-            };
-            
-            // 合計された部材荷重を配列に変換
-            const finalMemberLoads = Array.from(memberLoadMap.values());
+    /**
+     * 入力表から荷重ケースごとに解析を実行して結果を表示する
+     * @returns {Promise<boolean>} 結果を表示できた場合は true（エラー・中止時は false）
+     */
+    const calculate = async () => {
+        try {
+            // elements が初期化されているかチェック
+            if (!elements) {
+                console.error('❌ calculate: elements が初期化されていません');
+                alert('内部エラー: DOM要素が初期化されていません。ページを再読み込みしてください。');
+                return false;
+            }
             
-            displayResults(D_global, R, memberForces, nodes, members, combinedNodeLoads, finalMemberLoads);
+            elements.errorMessage.style.display = 'none';
+            clearResults(); 
+            const { nodes, members, loadCases, loadCombinations, loadMultipliers, nodalMasses } = prepareAnalysisInputs();
+            const { pDelta, modal, responseSpectrum, timeHistory } = getAnalysisOptions();
+
+            // P-Δ解析や引張専用・圧縮専用の部材・ケーブル部材があるモデルでは重ね合わせが成り立たないため、荷重組合せも係数倍した荷重で1ケースずつ解析する
+            const analyzeCombinationsAsCases = pDelta || members.some(member => member.axialBehavior || member.cable);
+            const analysisCases = analyzeCombinationsAsCases
+                ? [...loadCases, ...loadCombinations.map(combination => FrameAnalysisEngine.buildFactoredLoadCase(loadCases, combination.terms, combination))]
+                : loadCases;
+            const analysisResult = await runAnalysisEngine({ nodes, members }, analysisCases, {
+                loadMultipliers,
+                pDelta: pDelta ? {} : null,
+                modal: modal.enabled || responseSpectrum.enabled || timeHistory.enabled ? { modeCount: modal.modeCount, massType: modal.massType, nodalMasses } : null,
+                responseSpectrum: responseSpectrum.enabled ? buildResponseSpectrumOptions(responseSpectrum) : null,
+                timeHistory: timeHistory.enabled ? buildTimeHistoryOptions(timeHistory) : null
+            });
+            const result = { ...analysisResult, cases: analysisResult.cases.slice(0, loadCases.length) };
+
+            if (!result.fullyConstrained) {
+                // 計算成功時は不安定性ハイライトをクリア
+                clearInstabilityHighlight();
+            }
+
+            // 線形解析の荷重組合せは荷重ケースの結果を係数倍して重ね合わせる
+            const combinations = loadCombinations.map((combination, index) => ({
+                ...(analyzeCombinationsAsCases
+                    ? analysisResult.cases[loadCases.length + index]
+                    : FrameAnalysisEngine.combineLoadCaseResults(result.cases, combination.terms, combination)),
+                term: combination.term
+            }));
+            // 応答スペクトル解析の結果は荷重ケースと同じ形にして、変位・反力・断面力の表と図に表示できるようにする
+            const spectrumResults = result.responseSpectrum ? [{
+                ...RESPONSE_SPECTRUM_RESULT,
+                name: `${RESPONSE_SPECTRUM_RESULT.name}（${result.responseSpectrum.direction}方向・${result.responseSpectrum.combination}）`,
+                D: result.responseSpectrum.D,
+                R: result.responseSpectrum.R,
+                forces: result.responseSpectrum.forces,
+                nodeLoads: [],
+                memberLoads: []
+            }] : [];
+            lastLoadCaseResults = { ...result, combinations, spectrumResults };
+            updateResultCaseSelector(lastLoadCaseResults);
+            updatePushoverCaseOptions(result.cases);
+            showLoadCaseResult(elements.resultCaseSelect?.value);
+            displayModalResults(result.modal);
+            displayResponseSpectrumResults(result.responseSpectrum);
+            displayTimeHistoryResults(result.timeHistory);
+            displayLoadCombinationEnvelope(
+                combinations.length > 0 ? buildLoadCombinationEnvelope(combinations, result.nodes, result.members) : null,
+                result.nodes
+            );
+            updateEnvelopeDiagramControls();
+            return true;
         } catch (error) {
+            if (error?.message === ANALYSIS_CANCELLED) {
+                // 新しい解析に置き換えられた、または中止ボタンで止めた場合
+                return false;
+            }
             // elements が初期化されているかチェック
             if (elements && elements.errorMessage) {
                 elements.errorMessage.textContent = `エラー: ${error.message}`;
@@ -6085,9 +7520,105 @@ document.addEventListener('DOMContentLoaded', () => {
             if (typeof drawOnCanvas === 'function') {
                 drawOnCanvas();
             }
+            return false;
         }
     };
     
+    /**
+     * 表示中の荷重ケース（荷重組合せ）を基準荷重として全体座屈解析を行う
+     * 荷重組合せは係数倍した荷重ケースに置き換えて、その軸力で幾何剛性を作る。
+     */
+    const runGlobalBucklingAnalysis = async () => {
+        if (!lastLoadCaseResults) {
+            alert('先に計算を実行してください。');
+            return;
+        }
+        try {
+            elements.errorMessage.style.display = 'none';
+            const { nodes, members, loadCases, loadCombinations, loadMultipliers } = prepareAnalysisInputs();
+            const selectedId = elements.resultCaseSelect?.value;
+            const combination = loadCombinations.find(loadCombination => loadCombination.id === selectedId);
+            const referenceCase = combination
+                ? FrameAnalysisEngine.buildFactoredLoadCase(loadCases, combination.terms, combination)
+                : loadCases.find(loadCase => loadCase.id === selectedId) || loadCases[0];
+            const modeCount = Math.min(Math.max(parseInt(elements.bucklingModeCount?.value, 10) || 3, 1), 10);
+
+            const result = await runAnalysisEngine({ nodes, members }, [referenceCase], {
+                loadMultipliers,
+                buckling: { modeCount }
+            });
+            if (!result.buckling) {
+                throw new Error('全ての自由度が拘束されているため、座屈解析を行えません。');
+            }
+            lastGlobalBucklingResult = { ...result.buckling, nodes: result.nodes, members: result.members };
+            displayGlobalBucklingResults();
+        } catch (error) {
+            if (error?.message === ANALYSIS_CANCELLED) return;
+            elements.errorMessage.textContent = `エラー: ${error.message}`;
+            elements.errorMessage.style.display = 'block';
+            console.error(error);
+        } finally {
+            if (!pendingAnalysis) hideAnalysisProgress();
+        }
+    };
+
+    if (elements.globalBucklingBtn) {
+        elements.globalBucklingBtn.addEventListener('click', runGlobalBucklingAnalysis);
+    }
+
+    /**
+     * 選択した荷重パターン・鉛直荷重でプッシュオーバー解析を行う
+     * 全塑性モーメントは部材の塑性断面係数と F値から求め、F値を持たない材料の部材は弾性のままとする。
+     */
+    const runPushoverAnalysis = async () => {
+        if (!lastLoadCaseResults) {
+            alert('先に計算を実行してください。');
+            return;
+        }
+        try {
+            elements.errorMessage.style.display = 'none';
+            const { nodes, members, loadCases, loadMultipliers } = prepareAnalysisInputs();
+            if (!members.some(member => member.plasticMoments)) {
+                throw new Error('全塑性モーメントを求められる部材がありません（F値を入力する鋼材・ステンレス・アルミニウムの部材に塑性ヒンジが生じます）。');
+            }
+            const patternCase = loadCases.find(loadCase => loadCase.id === elements.pushoverCase?.value) || loadCases[0];
+            const gravityId = elements.pushoverGravityCase?.value || '';
+            const gravityCase = gravityId && gravityId !== patternCase.id ? loadCases.find(loadCase => loadCase.id === gravityId) : null;
+            const controlNumber = parseInt(elements.pushoverControlNode?.value, 10);
+            const targetDisplacement = parseFloat(elements.pushoverTarget?.value);
+            const maxSteps = Math.min(Math.max(parseInt(elements.pushoverMaxSteps?.value, 10) || 50, 1), 500);
+
+            const result = await runAnalysisEngine({ nodes, members }, gravityCase ? [patternCase, gravityCase] : [patternCase], {
+                loadMultipliers,
+                pushover: {
+                    caseId: patternCase.id,
+                    gravityCaseId: gravityCase ? gravityCase.id : null,
+                    direction: elements.pushoverDirection?.value || 'X',
+                    controlNode: Number.isFinite(controlNumber) ? controlNumber - 1 : null,
+                    targetDisplacement: targetDisplacement > 0 ? targetDisplacement / 1000 : null,
+                    maxSteps
+                }
+            });
+            if (!result.pushover) {
+                throw new Error('全ての自由度が拘束されているため、プッシュオーバー解析を行えません。');
+            }
+            lastPushoverResult = { ...result.pushover, is2DFrame: result.is2DFrame };
+            displayPushoverResults();
+            drawOnCanvas();
+        } catch (error) {
+            if (error?.message === ANALYSIS_CANCELLED) return;
+            elements.errorMessage.textContent = `エラー: ${error.message}`;
+            elements.errorMessage.style.display = 'block';
+            console.error(error);
+        } finally {
+            if (!pendingAnalysis) hideAnalysisProgress();
+        }
+    };
+
+    if (elements.pushoverBtn) {
+        elements.pushoverBtn.addEventListener('click', runPushoverAnalysis);
+    }
+
     const clearRowValidationState = (row) => {
         if (!row) return;
         row.classList.remove('input-error');
@@ -6329,6 +7860,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const membersRows = Array.from(elements.membersTable.rows);
     membersRows.forEach(clearRowValidationState);
+    // せん断変形を考慮する場合だけ部材にせん断断面積を持たせる（解析エンジンは Asy, Asz があれば Timoshenko梁とする）
+    const includeShearDeformation = !!elements.shearDeformationToggle?.checked;
 
     const nodes = nodeRows.map((row, i) => {
             // 安全な値取得
@@ -6357,7 +7890,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 // 強制変位を基本単位(m, rad)で格納
                 dx_forced: dx_forced_mm / 1000,
                 dy_forced: dy_forced_mm / 1000,
-                dz_forced: dz_forced_mm / 1000
+                dz_forced: dz_forced_mm / 1000,
+                springs: supportValue === 'spring' ? readNodeRowSprings(row) : null,
+                supportAxes: supportUsesLocalAxes(supportValue) ? readNodeRowSupportAxes(row) : null
             };
         });
     const coordinateTolerance = 1e-6;
@@ -6586,6 +8121,11 @@ document.addEventListener('DOMContentLoaded', () => {
             else if (i_conn === 'rigid' && j_conn === 'pinned') k_local = [[EAL,0,0,-EAL,0,0],[0,3*EIL3,3*EIL2,0,-3*EIL3,0],[0,3*EIL2,3*EIL,0,-3*EIL2,0],[-EAL,0,0,EAL,0,0],[0,-3*EIL3,-3*EIL2,0,3*EIL3,0],[0,0,0,0,0,0]];
             else k_local = [[EAL,0,0,-EAL,0,0],[0,0,0,0,0,0],[0,0,0,0,0,0],[-EAL,0,0,EAL,0,0],[0,0,0,0,0,0],[0,0,0,0,0,0]];
             const bendingSectionModulus = axisProps?.bendingSectionModulus ?? Zz;
+            const shearAreas = includeShearDeformation ? resolveMemberShearAreas(readMemberRowShearAreas(row), sectionInfo, axisProps, A) : null;
+            const axisOrientation = readMemberRowAxisOrientation(row);
+            if (axisOrientation.referenceNode !== null && axisOrientation.referenceNode > nodes.length) {
+                throw new Error(`部材 ${index + 1} の参照節点番号が不正です。`);
+            }
 
             return {
                 i,
@@ -6608,6 +8148,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 T,
                 i_conn,
                 j_conn,
+                semiRigid: (i_conn === 'semi' || j_conn === 'semi') ? readMemberRowSemiRigid(row) : null,
+                releases: (i_conn === 'release' || j_conn === 'release') ? readMemberRowReleases(row) : null,
+                Asy: shearAreas?.y ?? null,
+                Asz: shearAreas?.z ?? null,
+                plasticMoments: resolveMemberPlasticMoments(readMemberRowPlasticModuli(row), sectionInfo, axisProps, strengthProps),
+                axialBehavior: readMemberRowAxialBehavior(row),
+                cable: readMemberRowCable(row),
+                rollAngle: axisOrientation.rollAngle,
+                referenceNode: axisOrientation.referenceNode !== null ? axisOrientation.referenceNode - 1 : null,
                 k_local,
                 material,
                 sectionInfo,
@@ -6615,6 +8164,22 @@ document.addEventListener('DOMContentLoaded', () => {
                 axisProperties: axisProps
             };
         });
+        // 3Dビューアで断面を回すため、既定の局所座標軸からの回転角 [rad] を求めておく
+        const isPlanarModel = isPlanarFrame(nodes);
+        members.forEach(member => {
+            const axisOptions = getMemberAxisOptions(member, nodes, isPlanarModel);
+            member.localAxisRoll = (axisOptions.rollAngle || axisOptions.referencePoint)
+                ? getMemberRollFromDefault(nodes[member.i], nodes[member.j], axisOptions)
+                : 0;
+        });
+        // 剛域の長さ（m）を求める（自動の場合は接続する柱・梁のせいから）
+        const rigidZones = resolveMemberRigidZones(membersRows.map(readMemberRowRigidZone), members, nodes);
+        members.forEach((member, index) => {
+            member.rigidZones = rigidZones[index];
+            if (member.rigidZones && member.rigidZones.i + member.rigidZones.j >= member.length) {
+                throw new Error(`部材 ${index + 1} の剛域の長さの合計が部材長以上です。`);
+            }
+        });
         const nodeLoads = Array.from(elements.nodeLoadsTable.rows).map((r, i) => { 
             const n = parseInt(r.cells[0].querySelector('input').value) - 1; 
             if (n < 0 || n >= nodes.length) throw new Error(`節点荷重 ${i+1} の節点番号が不正です。`); 
@@ -6623,9 +8188,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 px:parseFloat(r.cells[1].querySelector('input').value)||0, 
                 py:parseFloat(r.cells[2].querySelector('input').value)||0, 
                 pz:parseFloat(r.cells[3].querySelector('input').value)||0,
-                mx:0,
-                my:0,
-                mz:0
+                mx:parseFloat(r.cells[4].querySelector('input').value)||0,
+                my:parseFloat(r.cells[5].querySelector('input').value)||0,
+                mz:parseFloat(r.cells[6].querySelector('input').value)||0,
+                caseId:getLoadRowCaseId(r)
             }; 
         });
         const memberLoads = Array.from(elements.memberLoadsTable.rows).map((r, i) => { 
@@ -6635,9 +8201,44 @@ document.addEventListener('DOMContentLoaded', () => {
                 memberIndex:m, 
                 wx:parseFloat(r.cells[1].querySelector('input').value)||0,
                 wy:parseFloat(r.cells[2].querySelector('input').value)||0,
-                wz:parseFloat(r.cells[3].querySelector('input').value)||0
+                wz:parseFloat(r.cells[3].querySelector('input').value)||0,
+                ...readMemberLoadOptions(r),
+                caseId:getLoadRowCaseId(r)
             }; 
         });
+        const spanLoads = Array.from(elements.memberSpanLoadsTable.rows).map((r, i) => {
+            const m = parseInt(r.cells[0].querySelector('input').value) - 1;
+            if (m < 0 || m >= members.length) throw new Error(`部材集中荷重 ${i+1} の部材番号が不正です。`);
+            const type = r.cells[1].querySelector('select').value;
+            const a = parseFloat(r.cells[3].querySelector('input').value)||0;
+            const b = parseFloat(r.cells[4].querySelector('input').value)||0;
+            const value = parseFloat(r.cells[5].querySelector('input').value)||0;
+            const valueEndInput = parseFloat(r.cells[6].querySelector('input').value);
+            const length = members[m].length;
+            if (a < 0 || a > length) throw new Error(`部材集中荷重 ${i+1} の位置 a は 0〜${length.toFixed(3)} m の範囲で入力してください。`);
+            if (type === 'distributed' && (b <= a || b > length)) throw new Error(`部材集中荷重 ${i+1} の分布荷重の終点 b は a より大きく ${length.toFixed(3)} m 以下で入力してください。`);
+            return {
+                memberIndex:m,
+                type,
+                direction:r.cells[2].querySelector('select').value,
+                a,
+                b,
+                value,
+                valueEnd:Number.isFinite(valueEndInput) ? valueEndInput : value,
+                caseId:getLoadRowCaseId(r)
+            };
+        });
+        const thermalLoads = Array.from(elements.memberThermalLoadsTable.rows).map((r, i) => {
+            const m = parseInt(r.cells[0].querySelector('input').value) - 1;
+            if (m < 0 || m >= members.length) throw new Error(`温度荷重 ${i+1} の部材番号が不正です。`);
+            return {
+                memberIndex:m,
+                deltaT:parseFloat(r.cells[1].querySelector('input').value)||0,
+                gradientY:parseFloat(r.cells[2].querySelector('input').value)||0,
+                gradientZ:parseFloat(r.cells[3].querySelector('input').value)||0,
+                caseId:getLoadRowCaseId(r)
+            };
+        });
         
         // 自重荷重を追加
         const considerSelfWeightCheckbox = document.getElementById('consider-self-weight-checkbox');
@@ -6658,7 +8259,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
         
-        return { nodes, members, nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights };
+        return { nodes, members, nodeLoads, memberLoads, spanLoads, thermalLoads, memberSelfWeights, nodeSelfWeights };
     };
     
     // window変数として登録（クロススコープアクセス用）
@@ -6675,29 +8276,34 @@ document.addEventListener('DOMContentLoaded', () => {
         const tables = [elements.displacementResults, elements.reactionResults, elements.forceResults, elements.sectionCheckResults];
         tables.forEach(t => { if(t) t.innerHTML = ''; });
         lastResults = null;
+        lastLoadCaseResults = null;
         lastAnalysisResult = null;
         lastSectionCheckResults = null;
+        if (elements.resultCaseControls) elements.resultCaseControls.style.display = 'none';
+        if (elements.loadCombinationEnvelope) elements.loadCombinationEnvelope.style.display = 'none';
+        if (elements.pDeltaReport) elements.pDeltaReport.style.display = 'none';
+        if (elements.modalReport) elements.modalReport.style.display = 'none';
+        if (elements.responseSpectrumReport) elements.responseSpectrumReport.style.display = 'none';
+        if (elements.timeHistoryReport) elements.timeHistoryReport.style.display = 'none';
+        lastGlobalBucklingResult = null;
+        displayGlobalBucklingResults();
+        lastPushoverResult = null;
+        displayPushoverResults();
+        if (elements.envelopeDiagramControls) elements.envelopeDiagramControls.style.display = 'none';
         window.lastResults = null; // グローバル変数もクリア
         window.lastSectionCheckResults = null;
         window.lastBucklingResults = null;
     };
     
-    const displayResults = (D, R, forces, nodes, members, nodeLoads, memberLoads) => {
-        // elements が初期化されているかチェック
-        if (!elements) {
-            console.error('FATAL: elements が初期化されていません！DOMContentLoaded が完了していない可能性があります。');
-            alert('内部エラー: DOM要素が初期化されていません。ページを再読み込みしてください。');
-            return;
-        }
-        
-        lastResults = { D, R, forces, nodes, members, nodeLoads, memberLoads };
-        window.lastResults = lastResults; // グローバルに保存
-
+    /**
+     * 変位・反力・断面力をエクセル出力用の形式にまとめる
+     * @returns {{ displacements: object[], forces: object[], reactions: object[], nodes: object[], members: object[], sectionCheckResults: null }}
+     */
+    const buildAnalysisResultSummary = (D, R, forces, nodes, members) => {
         const dofPerNode = (nodes?.length && D?.length) ? (D.length / nodes.length) : 0;
         const is3D = dofPerNode === 6;
 
-        // エクセル出力用の解析結果を保存
-        lastAnalysisResult = {
+        return {
             displacements: D ? (
                 is3D
                     ? Array.from({ length: D.length / 6 }, (_, i) => ({
@@ -6759,6 +8365,21 @@ document.addEventListener('DOMContentLoaded', () => {
             members: members || [],
             sectionCheckResults: null  // 後で断面検定実行時に設定される
         };
+    };
+
+    const displayResults = (D, R, forces, nodes, members, nodeLoads, memberLoads) => {
+        // elements が初期化されているかチェック
+        if (!elements) {
+            console.error('FATAL: elements が初期化されていません！DOMContentLoaded が完了していない可能性があります。');
+            alert('内部エラー: DOM要素が初期化されていません。ページを再読み込みしてください。');
+            return;
+        }
+        
+        lastResults = { D, R, forces, nodes, members, nodeLoads, memberLoads };
+        window.lastResults = lastResults; // グローバルに保存
+
+        // エクセル出力用の解析結果を保存
+        lastAnalysisResult = buildAnalysisResultSummary(D, R, forces, nodes, members);
 
         // 構造解析完了後に自動で座屈解析を実行
         if (forces && forces.length > 0) {
@@ -6806,24 +8427,44 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // 反力結果の表示
+        // 傾斜支点（支点座標系を持つローラー・ばね支点）があれば支点座標系の成分の列を加える
+        const supportAxesList = nodes.map(n => supportUsesLocalAxes(n.support) ? getSupportLocalAxes(n, !is3DDisplay) : null);
+        const hasInclinedSupports = supportAxesList.some(Boolean);
+        const projectOnto = (vector, axis) => vector.x * axis.x + vector.y * axis.y + vector.z * axis.z;
+        const buildLocalReactionCells = (axes, force, moment = null) => {
+            const axisKeys = is3DDisplay ? ['x', 'y', 'z'] : ['x', 'z'];
+            const values = axes
+                ? [...axisKeys.map(key => projectOnto(force, axes[key])), ...(moment ? axisKeys.map(key => projectOnto(moment, axes[key])) : [])]
+                : null;
+            const cellCount = axisKeys.length * (moment ? 2 : 1);
+            return Array.from({ length: cellCount }, (_, index) => `<td>${values ? values[index].toFixed(2) : '-'}</td>`).join('');
+        };
         let reactHTML;
         if (is3DDisplay) {
             // 3D表示
-            reactHTML = `<thead><tr><th>節点 #</th><th>反力 Rx (kN)</th><th>反力 Ry (kN)</th><th>反力 Rz (kN)</th><th>反力 Mx (kN・m)</th><th>反力 My (kN・m)</th><th>反力 Mz (kN・m)</th></tr></thead><tbody>`;
+            const localHeaders = hasInclinedSupports
+                ? ['Rx′', 'Ry′', 'Rz′'].map(label => `<th>支点座標系 ${label} (kN)</th>`).join('') + ['Mx′', 'My′', 'Mz′'].map(label => `<th>支点座標系 ${label} (kN・m)</th>`).join('')
+                : '';
+            reactHTML = `<thead><tr><th>節点 #</th><th>反力 Rx (kN)</th><th>反力 Ry (kN)</th><th>反力 Rz (kN)</th><th>反力 Mx (kN・m)</th><th>反力 My (kN・m)</th><th>反力 Mz (kN・m)</th>${localHeaders}</tr></thead><tbody>`;
             nodes.forEach((n, i) => {
                 if (n.support !== 'free') {
                     const rx = -R[i*6][0]||0, ry = -R[i*6+1][0]||0, rz = -R[i*6+2][0]||0;
                     const mx = -R[i*6+3][0]||0, my = -R[i*6+4][0]||0, mz = -R[i*6+5][0]||0;
-                    reactHTML += `<tr><td>${i+1}</td><td>${rx.toFixed(2)}</td><td>${ry.toFixed(2)}</td><td>${rz.toFixed(2)}</td><td>${mx.toFixed(2)}</td><td>${my.toFixed(2)}</td><td>${mz.toFixed(2)}</td></tr>`;
+                    const localCells = hasInclinedSupports ? buildLocalReactionCells(supportAxesList[i], { x: rx, y: ry, z: rz }, { x: mx, y: my, z: mz }) : '';
+                    reactHTML += `<tr><td>${i+1}</td><td>${rx.toFixed(2)}</td><td>${ry.toFixed(2)}</td><td>${rz.toFixed(2)}</td><td>${mx.toFixed(2)}</td><td>${my.toFixed(2)}</td><td>${mz.toFixed(2)}</td>${localCells}</tr>`;
                 }
             });
         } else {
-            // 2D表示
-            reactHTML = `<thead><tr><th>節点 #</th><th>反力 Rx (kN)</th><th>反力 Ry (kN)</th><th>反力 Mz (kN・m)</th></tr></thead><tbody>`;
+            // 2D表示（Ry は鉛直方向の反力。支点座標系は面内の x′・z′ 軸の成分）
+            const localHeaders = hasInclinedSupports
+                ? ['Rx′', 'Rz′'].map(label => `<th>支点座標系 ${label} (kN)</th>`).join('')
+                : '';
+            reactHTML = `<thead><tr><th>節点 #</th><th>反力 Rx (kN)</th><th>反力 Ry (kN)</th><th>反力 Mz (kN・m)</th>${localHeaders}</tr></thead><tbody>`;
             nodes.forEach((n, i) => {
                 if (n.support !== 'free') {
                     const rx = -R[i*3][0]||0, ry = -R[i*3+1][0]||0, mz = -R[i*3+2][0]||0;
-                    reactHTML += `<tr><td>${i+1}</td><td>${rx.toFixed(2)}</td><td>${ry.toFixed(2)}</td><td>${mz.toFixed(2)}</td></tr>`;
+                    const localCells = hasInclinedSupports ? buildLocalReactionCells(supportAxesList[i], { x: rx, y: 0, z: ry }) : '';
+                    reactHTML += `<tr><td>${i+1}</td><td>${rx.toFixed(2)}</td><td>${ry.toFixed(2)}</td><td>${mz.toFixed(2)}</td>${localCells}</tr>`;
                 }
             });
         }
@@ -6834,25 +8475,33 @@ document.addEventListener('DOMContentLoaded', () => {
             elements.reactionResults.style.visibility = 'visible';
         }
         
-        // 断面力結果の表示
+        // 断面力結果の表示（引張専用・圧縮専用の部材・ケーブル部材があれば、無効とした部材やたるんだケーブルを示す列を加える）
+        const hasAxialOnlyMembers = members.some(member => member.axialBehavior || member.cable);
+        const axialOnlyHeader = hasAxialOnlyMembers ? '<th>軸力の制限</th>' : '';
+        const buildAxialOnlyCell = (member, force) => {
+            if (!hasAxialOnlyMembers) return '';
+            if (force.cable) return `<td rowspan="2">ケーブル（${force.cable.slack ? 'たるみ' : `張力 ${force.cable.tension.toFixed(2)} kN`}）</td>`;
+            if (!member.axialBehavior || member.cable) return '<td rowspan="2">-</td>';
+            return `<td rowspan="2">${MEMBER_AXIAL_BEHAVIOR_LABELS[member.axialBehavior]}（${force.inactive ? '無効' : '有効'}）</td>`;
+        };
         let forceHTML;
         if (is3DDisplay) {
-            forceHTML = `<thead><tr><th>部材 #</th><th>端部</th><th>節点 #</th><th>軸力 N<sub>x</sub> (kN)</th><th>せん断力 V<sub>y</sub> (kN)</th><th>せん断力 V<sub>z</sub> (kN)</th><th>ねじり T<sub>x</sub> (kN・m)</th><th>曲げ M<sub>y</sub> (kN・m)</th><th>曲げ M<sub>z</sub> (kN・m)</th></tr></thead><tbody>`;
+            forceHTML = `<thead><tr><th>部材 #</th><th>端部</th><th>節点 #</th><th>軸力 N<sub>x</sub> (kN)</th><th>せん断力 V<sub>y</sub> (kN)</th><th>せん断力 V<sub>z</sub> (kN)</th><th>ねじり T<sub>x</sub> (kN・m)</th><th>曲げ M<sub>y</sub> (kN・m)</th><th>曲げ M<sub>z</sub> (kN・m)</th>${axialOnlyHeader}</tr></thead><tbody>`;
             forces.forEach((f, idx) => {
                 const ni = members[idx].i + 1;
                 const nj = members[idx].j + 1;
                 forceHTML += `<tr><td rowspan="2">${idx + 1}</td><td>i端</td><td>${ni}</td>` +
                     `<td>${(-f.N_i).toFixed(2)}</td><td>${f.Qy_i.toFixed(2)}</td><td>${f.Qz_i.toFixed(2)}</td>` +
-                    `<td>${f.Mx_i.toFixed(2)}</td><td>${f.My_i.toFixed(2)}</td><td>${f.Mz_i.toFixed(2)}</td></tr>`;
+                    `<td>${f.Mx_i.toFixed(2)}</td><td>${f.My_i.toFixed(2)}</td><td>${f.Mz_i.toFixed(2)}</td>${buildAxialOnlyCell(members[idx], f)}</tr>`;
                 forceHTML += `<tr><td>j端</td><td>${nj}</td>` +
                     `<td>${f.N_j.toFixed(2)}</td><td>${(-f.Qy_j).toFixed(2)}</td><td>${(-f.Qz_j).toFixed(2)}</td>` +
                     `<td>${f.Mx_j.toFixed(2)}</td><td>${f.My_j.toFixed(2)}</td><td>${f.Mz_j.toFixed(2)}</td></tr>`;
             });
         } else {
-            forceHTML = `<thead><tr><th>部材 #</th><th>始端 #i</th><th>終端 #j</th><th>軸力 N (kN)</th><th>せん断力 Q (kN)</th><th>曲げM (kN・m)</th></tr></thead><tbody>`;
+            forceHTML = `<thead><tr><th>部材 #</th><th>始端 #i</th><th>終端 #j</th><th>軸力 N (kN)</th><th>せん断力 Q (kN)</th><th>曲げM (kN・m)</th>${axialOnlyHeader}</tr></thead><tbody>`;
             forces.forEach((f, i) => {
                 const ni = members[i].i+1, nj = members[i].j+1;
-                forceHTML += `<tr><td rowspan="2">${i+1}</td><td>${ni} (i端)</td><td>-</td><td>${(-f.N_i).toFixed(2)}</td><td>${f.Q_i.toFixed(2)}</td><td>${f.M_i.toFixed(2)}</td></tr>`;
+                forceHTML += `<tr><td rowspan="2">${i+1}</td><td>${ni} (i端)</td><td>-</td><td>${(-f.N_i).toFixed(2)}</td><td>${f.Q_i.toFixed(2)}</td><td>${f.M_i.toFixed(2)}</td>${buildAxialOnlyCell(members[i], f)}</tr>`;
                 forceHTML += `<tr><td>-</td><td>${nj} (j端)</td><td>${f.N_j.toFixed(2)}</td><td>${(-f.Q_j).toFixed(2)}</td><td>${f.M_j.toFixed(2)}</td></tr>`;
             });
         }
@@ -6864,10 +8513,27 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // 新しい全投影対応の描画関数を使用
-        drawDisplacementDiagram(nodes, members, D, memberLoads);
+        drawDisplacementDiagram(nodes, members, D, forces);
+        
+        // 包絡図表示では、包絡図に追加した結果の最大・最小を描画する
+        const envelopeForceSets = elements.envelopeDiagramToggle?.checked ? getEnvelopeForceSets(members) : [];
         
         // 応力図描画（現在の描画 + 第2軸表示）
-        if (typeof drawStressDiagram === 'function') {
+        if (envelopeForceSets.length > 0 && typeof drawEnvelopeStressDiagram === 'function') {
+            drawEnvelopeStressDiagram(elements.momentCanvas, nodes, members, envelopeForceSets, 'moment', '曲げモーメント図 (BMD) (kN・m)');
+            drawEnvelopeStressDiagram(elements.axialCanvas, nodes, members, envelopeForceSets, 'axial', '軸力図 (AFD) (kN)');
+            drawEnvelopeStressDiagram(elements.shearCanvas, nodes, members, envelopeForceSets, 'shear', 'せん断力図 (SFD) (kN)');
+            if (elements.secondaryMomentContainer) {
+                elements.secondaryMomentContainer.style.display = is3DDisplay ? 'block' : 'none';
+            }
+            if (elements.secondaryShearContainer) {
+                elements.secondaryShearContainer.style.display = is3DDisplay ? 'block' : 'none';
+            }
+            if (is3DDisplay) {
+                drawEnvelopeStressDiagram(elements.momentCanvas2, nodes, members, envelopeForceSets, 'moment', '第2軸曲げモーメント図 (BMD) (kN・m)', 'z');
+                drawEnvelopeStressDiagram(elements.shearCanvas2, nodes, members, envelopeForceSets, 'shear', '第2軸せん断力図 (SFD) (kN)', 'z');
+            }
+        } else if (typeof drawStressDiagram === 'function') {
             // 投影面に応じてタイトルを動的に設定
             const projectionMode = getCurrentProjectionMode();
             let momentTitle = '曲げモーメント図 (BMD) (kN・m)';
@@ -7325,15 +8991,84 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
     };
-    const drawConnections = (ctx, transform, nodes, members) => { ctx.fillStyle = 'white'; ctx.strokeStyle = '#333'; ctx.lineWidth = 1.5; const offset = 6; const projectionMode = getCurrentProjectionMode(); const projectedNodes = nodes.map(n => project3DTo2D(n, projectionMode)); const visibleNodeIndices = getVisibleNodeIndices(nodes); members.forEach(m => { if (!visibleNodeIndices.has(m.i) || !visibleNodeIndices.has(m.j)) return; const n_i = projectedNodes[m.i]; const p_i = transform(n_i.x, n_i.y); if (m.i_conn === 'pinned') { const p_i_offset = { x: p_i.x + offset * m.c, y: p_i.y - offset * m.s }; ctx.beginPath(); ctx.arc(p_i_offset.x, p_i_offset.y, 3, 0, 2 * Math.PI); ctx.fill(); ctx.stroke(); } if (m.j_conn === 'pinned') { const n_j = projectedNodes[m.j]; const p_j = transform(n_j.x, n_j.y); const p_j_offset = { x: p_j.x - offset * m.c, y: p_j.y + offset * m.s }; ctx.beginPath(); ctx.arc(p_j_offset.x, p_j_offset.y, 3, 0, 2 * Math.PI); ctx.fill(); ctx.stroke(); } }); };
+    // 部材端の接合記号（○ ピン、● 半剛、□ 自由度ごとの解放）と、使われている記号の凡例を描く
+    const CONNECTION_LEGEND = [
+        { type: 'pinned', label: 'ピン接合（My・Mz 解放）' },
+        { type: 'semi', label: '半剛接合（回転ばね）' },
+        { type: 'release', label: '自由度ごとの解放（部材座標系 N, Qy, Qz, Mx, My, Mz）' }
+    ];
+    const drawConnectionMarker = (ctx, point, type) => {
+        ctx.beginPath();
+        if (type === 'release') {
+            ctx.rect(point.x - 3, point.y - 3, 6, 6);
+        } else {
+            ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+        }
+        ctx.fillStyle = type === 'semi' ? '#999' : 'white';
+        ctx.fill();
+        ctx.stroke();
+    };
+    const drawConnections = (ctx, transform, nodes, members) => {
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1.5;
+        const offset = 6;
+        const projectionMode = getCurrentProjectionMode();
+        const projectedNodes = nodes.map(n => project3DTo2D(n, projectionMode));
+        const visibleNodeIndices = getVisibleNodeIndices(nodes);
+        const usedTypes = new Set();
+        members.forEach(m => {
+            if (!visibleNodeIndices.has(m.i) || !visibleNodeIndices.has(m.j)) return;
+            const p_i = transform(projectedNodes[m.i].x, projectedNodes[m.i].y);
+            const p_j = transform(projectedNodes[m.j].x, projectedNodes[m.j].y);
+            const length = Math.hypot(p_j.x - p_i.x, p_j.y - p_i.y);
+            if (length < 1e-6) return;
+            const dir = { x: (p_j.x - p_i.x) / length, y: (p_j.y - p_i.y) / length };
+            [['i', p_i, 1], ['j', p_j, -1]].forEach(([end, point, sign]) => {
+                const conn = m[`${end}_conn`];
+                const type = (conn === 'p') ? 'pinned' : conn;
+                if (!CONNECTION_LEGEND.some(entry => entry.type === type)) return;
+                const marker = { x: point.x + sign * offset * dir.x, y: point.y + sign * offset * dir.y };
+                drawConnectionMarker(ctx, marker, type);
+                usedTypes.add(type);
+                const releaseKeys = type === 'release' ? (m.releases?.[end] || []) : [];
+                if (releaseKeys.length > 0) {
+                    ctx.fillStyle = '#333';
+                    ctx.font = '10px Arial';
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'bottom';
+                    ctx.fillText(releaseKeys.join(','), marker.x + 5, marker.y - 3);
+                }
+            });
+        });
+        if (usedTypes.size === 0) return;
+
+        const legendEntries = CONNECTION_LEGEND.filter(entry => usedTypes.has(entry.type));
+        const lineHeight = 16;
+        const left = 10;
+        const top = ctx.canvas.clientHeight - lineHeight * legendEntries.length - 10;
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        const width = Math.max(...legendEntries.map(entry => ctx.measureText(entry.label).width)) + 30;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(left - 4, top - 4, width, lineHeight * legendEntries.length + 4);
+        legendEntries.forEach((entry, index) => {
+            const y = top + lineHeight * index + lineHeight / 2 - 2;
+            ctx.strokeStyle = '#333';
+            drawConnectionMarker(ctx, { x: left + 6, y }, entry.type);
+            ctx.fillStyle = '#333';
+            ctx.fillText(entry.label, left + 16, y);
+        });
+    };
 
+    // axis はグローバル軸名 'x'|'y'|'z' または3次元の方向ベクトル（支点座標系の軸など）
     const projectAxisToScreen = (node, axis, transform, projectionMode) => {
         const axisVectors = {
             x: { x: 1, y: 0, z: 0 },
             y: { x: 0, y: 1, z: 0 },
             z: { x: 0, y: 0, z: 1 }
         };
-        const basis = axisVectors[axis];
+        const basis = typeof axis === 'string' ? axisVectors[axis] : axis;
         if (!basis) {
             return null;
         }
@@ -7470,11 +9205,56 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.restore();
         }
     };
+    // ばね支点の記号: 節点から direction の向きにジグザグを描き、端部に地盤線を引く
+    const drawSpringSymbol = (ctx, start, direction, length) => {
+        const normal = { x: -direction.y, y: direction.x };
+        const pointAt = (along, across) => ({
+            x: start.x + direction.x * along + normal.x * across,
+            y: start.y + direction.y * along + normal.y * across
+        });
+        const lead = length / 6;
+        const amplitude = length / 6;
+        const zigzagCount = 6;
+        const zigzagPitch = (length - 2 * lead) / zigzagCount;
+
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        const points = [pointAt(lead, 0)];
+        for (let i = 0; i < zigzagCount; i++) {
+            points.push(pointAt(lead + zigzagPitch * (i + 0.5), i % 2 === 0 ? amplitude : -amplitude));
+        }
+        points.push(pointAt(length - lead, 0), pointAt(length, 0));
+        points.forEach(point => ctx.lineTo(point.x, point.y));
+        const groundStart = pointAt(length, -amplitude * 1.5);
+        const groundEnd = pointAt(length, amplitude * 1.5);
+        ctx.moveTo(groundStart.x, groundStart.y);
+        ctx.lineTo(groundEnd.x, groundEnd.y);
+        ctx.stroke();
+    };
+
+    // 回転ばねの記号: 節点を中心とする渦巻き
+    const drawRotationalSpringSymbol = (ctx, center, size) => {
+        const turns = 1.5;
+        const steps = 36;
+        ctx.beginPath();
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const angle = t * turns * 2 * Math.PI;
+            const radius = size * (0.3 + 0.7 * t);
+            const x = center.x + radius * Math.cos(angle);
+            const y = center.y + radius * Math.sin(angle);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    };
+
     const drawBoundaryConditions = (ctx, transform, nodes) => {
         const size = 10;
         const projectionMode = getCurrentProjectionMode();
         const projectedNodes = nodes.map(n => project3DTo2D(n, projectionMode));
         const visibleNodeIndices = getVisibleNodeIndices(nodes);
+        const is2DFrame = isPlanarFrame(nodes);
 
         projectedNodes.forEach((projNode, idx) => {
             if (!visibleNodeIndices.has(idx)) return;
@@ -7482,6 +9262,8 @@ document.addEventListener('DOMContentLoaded', () => {
             const node = nodes[idx];
             const supportType = normalizeSupportValue(node.support);
             if (supportType === 'free') return;
+            // 傾斜支点はローラーの拘束方向・ばねの向きを支点座標系の軸とする
+            const supportAxes = supportUsesLocalAxes(supportType) ? getSupportLocalAxes(node, is2DFrame) : null;
 
             const pos = transform(projNode.x, projNode.y);
 
@@ -7513,13 +9295,26 @@ document.addEventListener('DOMContentLoaded', () => {
                 ctx.stroke();
             } else if (isRollerSupport(supportType)) {
                 const axis = getRollerAxis(supportType);
-                const axisDirection = projectAxisToScreen(node, axis, transform, projectionMode);
+                const restraintAxis = supportAxes ? supportAxes[is2DFrame && axis === 'y' ? 'z' : axis] : axis;
+                const axisDirection = projectAxisToScreen(node, restraintAxis, transform, projectionMode);
                 const angle = axisDirection
                     ? Math.atan2(axisDirection.y, axisDirection.x) + Math.PI / 2
                     : 0;
 
                 const triangle = drawRollerTriangle(ctx, pos, size, angle);
                 drawRollerGroundLine(ctx, triangle.baseLeft, triangle.baseRight, axisDirection, 4);
+            } else if (supportType === 'spring') {
+                // 並進ばねは軸の負側に描く（画面に垂直な軸のばねは描かない）
+                const springs = normalizeSupportSprings(node.springs);
+                [['x', 'kx'], ['y', 'ky'], ['z', 'kz']].forEach(([axis, key]) => {
+                    if (!(springs[key] > 0)) return;
+                    const axisDirection = projectAxisToScreen(node, supportAxes ? supportAxes[axis] : axis, transform, projectionMode);
+                    if (!axisDirection) return;
+                    drawSpringSymbol(ctx, pos, { x: -axisDirection.x, y: -axisDirection.y }, size * 3);
+                });
+                if (springs.krx > 0 || springs.kry > 0 || springs.krz > 0) {
+                    drawRotationalSpringSymbol(ctx, pos, size);
+                }
             }
 
             ctx.restore();
@@ -7867,21 +9662,40 @@ document.addEventListener('DOMContentLoaded', () => {
             const components = [];
             // 自重の場合はZ軸を負方向（下向き）に設定
             const zVector = isSelfWeightLoad ? { x: 0, y: 0, z: -1 } : { x: 0, y: 0, z: 1 };
-            const axisDefinitions = [
-                { value: wxValue, label: 'Wx', vector: { x: 1, y: 0, z: 0 } },
-                { value: wyValue, label: 'Wy', vector: { x: 0, y: 1, z: 0 } },
-                { value: wzValue, label: 'Wz', vector: zVector }
-            ];
+            const isLocalLoad = load.coordinateSystem === 'local';
+            // 部材座標系の荷重は解析と同じ部材座標軸の向きに描く（2次元フレームでは面外の z 成分を描かない）
+            const loadAxes = isLocalLoad
+                ? getMemberLoadAxes(nodeI, nodeJ, getMemberAxisOptions(member, nodes, isPlanarFrame(nodes)), isPlanarFrame(nodes))
+                : null;
+            if (isLocalLoad && !loadAxes) return;
+            const axisDefinitions = isLocalLoad
+                ? [
+                    { value: wxValue, label: 'wx′', vector: loadAxes.localX },
+                    { value: wyValue, label: 'wy′', vector: loadAxes.localY },
+                    { value: wzValue, label: 'wz′', vector: loadAxes.localZ }
+                ]
+                : [
+                    { value: wxValue, label: 'Wx', vector: { x: 1, y: 0, z: 0 } },
+                    { value: wyValue, label: 'Wy', vector: { x: 0, y: 1, z: 0 } },
+                    { value: wzValue, label: 'Wz', vector: zVector }
+                ];
 
             axisDefinitions.forEach(axis => {
-                if (!Number.isFinite(axis.value) || Math.abs(axis.value) <= EPS) {
+                if (!axis.vector || !Number.isFinite(axis.value) || Math.abs(axis.value) <= EPS) {
                     return;
                 }
                 const projectedDir = projectGlobalDirection(midPoint, axis.vector);
                 if (!projectedDir) {
                     return;
                 }
-                components.push({ w: axis.value, direction: projectedDir, label: axis.label });
+                // projectGlobalDirection は純粋なZ方向だけ上下を反転するので、部材座標軸の向きもそれに合わせて補正する
+                const isPureZAxis = Math.abs(axis.vector.x) <= EPS && Math.abs(axis.vector.y) <= EPS;
+                components.push({
+                    w: axis.value,
+                    direction: projectedDir,
+                    label: axis.label,
+                    orientation: isLocalLoad ? (isPureZAxis ? 1 : -1) : undefined
+                });
             });
 
             if (components.length === 0 && hasLegacyW) {
@@ -7910,7 +9724,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 // 3Dモード: 符号をそのまま反映
                 // 2Dモード: orientationSignで反転（projectGlobalDirectionのy軸反転を補正）
                 const baseSign = Math.sign(component.w || 1);
-                const orientationSign = getDistributedLoadOrientationMultiplier(component.label, isSelfWeightLoad);
+                const orientationSign = component.orientation ?? getDistributedLoadOrientationMultiplier(component.label, isSelfWeightLoad);
                 const dir = baseSign * orientationSign;
                 const dirNorm = normalizeVec2(component.direction) || defaultDirectionNorm;
                 const firstArrowTipX = p1.x + dir * arrowLength * dirNorm.x;
@@ -7965,13 +9779,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 const labelPrefix = component.label ? `${component.label}=` : '';
                 const selfWeightPrefix = isSelfWeightLoad ? '自重 ' : '';
-                const loadText = `${selfWeightPrefix}${labelPrefix}${Math.abs(component.w).toFixed(2)}kN/m`;
-                labelManager.draw(ctx, loadText, textX, textY, [...obstacles, arrowObstacle], {
+                const lengthSuffix = load.projected ? '（投影長）' : '';
+                const loadText = `${selfWeightPrefix}${labelPrefix}${Math.abs(component.w).toFixed(2)}kN/m${lengthSuffix}`;
+                // ラベルからの値の編集はグローバル座標系・実長あたりの荷重だけ（ポップアップと同じ行を編集する）
+                const isEditableLoad = !isLocalLoad && !load.projected;
+                labelManager.draw(ctx, loadText, textX, textY, [...obstacles, arrowObstacle], isEditableLoad ? {
                     type: 'member-load-w',
                     index: load.memberIndex,
                     component: component.label || 'default',
                     value: component.w
-                });
+                } : undefined);
 
                 const metrics = ctx.measureText(loadText);
                 const textWidth = metrics.width;
@@ -8092,49 +9909,75 @@ document.addEventListener('DOMContentLoaded', () => {
                     });
                 });
 
-                if (load.mz !== 0) {
-                const dir = -Math.sign(load.mz); 
-                const r = arrowSize * 1.5; 
-                const arrowHeadSize = 5; 
-                const startAngle = Math.PI; 
-                const endAngle = Math.PI * 2.5; 
-                ctx.beginPath(); 
-                ctx.arc(pos.x, pos.y, r, startAngle, endAngle, dir < 0); 
-                ctx.stroke(); 
-                const endX = pos.x + r * Math.cos(endAngle); 
-                const endY = pos.y + r * Math.sin(endAngle); 
-                const smallAngleOffset = 0.05 * (dir > 0 ? -1 : 1); 
-                const beforeX = pos.x + r * Math.cos(endAngle + smallAngleOffset); 
-                const beforeY = pos.y + r * Math.sin(endAngle + smallAngleOffset); 
-                const tangentAngle = Math.atan2(endY - beforeY, endX - beforeX); 
-                ctx.beginPath(); 
-                ctx.moveTo(endX, endY); 
-                ctx.lineTo(endX - arrowHeadSize * Math.cos(tangentAngle - Math.PI / 6), endY - arrowHeadSize * Math.sin(tangentAngle - Math.PI / 6)); 
-                ctx.lineTo(endX - arrowHeadSize * Math.cos(tangentAngle + Math.PI / 6), endY - arrowHeadSize * Math.sin(tangentAngle + Math.PI / 6)); 
-                ctx.closePath(); 
-                ctx.fill(); 
-                
-                // モーメント荷重値のテキスト表示を矢印の近くに配置
-                const textX = pos.x;
-                const textY = pos.y - r * 0.7;
-                ctx.fillStyle = concentratedColor;
-                labelManager.draw(ctx, `${load.mz}kN·m`, textX, textY, loadObstacles, {
-                    type: 'node-load-mz',
-                    index: load.nodeIndex,
-                    value: load.mz
-                });
+                // 節点モーメントは回転軸に直交する2軸の投影から画面上の回転の向きを求めて円弧矢印で描く
+                // （回転軸が画面の面内にあり円弧として見えない成分は描画しない）
+                const NODE_MOMENT_AXES = [
+                    { key: 'mx', label: 'Mx', from: AXIS_VECTORS.y, to: AXIS_VECTORS.z },
+                    { key: 'my', label: 'My', from: AXIS_VECTORS.z, to: AXIS_VECTORS.x },
+                    { key: 'mz', label: 'Mz', from: AXIS_VECTORS.x, to: AXIS_VECTORS.y }
+                ];
+                const toScreenDirection = (vector) => {
+                    const offset = project3DTo2D({
+                        x: (node3D?.x ?? 0) + vector.x,
+                        y: (node3D?.y ?? 0) + vector.y,
+                        z: (node3D?.z ?? 0) + vector.z
+                    }, projectionMode);
+                    const offsetPos = transform(offset.x, offset.y);
+                    return normalizeVec2({ x: offsetPos.x - pos.x, y: offsetPos.y - pos.y });
+                };
 
-                concentratedArrowRecords.push({
-                    nodeIndex: load.nodeIndex,
-                    axis: 'mz',
-                    arc: {
-                        x: pos.x,
-                        y: pos.y,
-                        radius: r
-                    },
-                    value: load.mz
+                let momentRingIndex = 0;
+                NODE_MOMENT_AXES.forEach(({ key, label, from, to }) => {
+                    const value = Number(load[key]) || 0;
+                    if (value === 0) return;
+                    const fromDir = toScreenDirection(from);
+                    const toDir = toScreenDirection(to);
+                    if (!fromDir || !toDir) return;
+                    // 画面座標は下向きが正なので、外積が正なら from→to の回転は時計回りに見える
+                    const screenCross = fromDir.x * toDir.y - fromDir.y * toDir.x;
+                    if (Math.abs(screenCross) < 0.2) return;
+                    const anticlockwise = Math.sign(value) * Math.sign(screenCross) < 0;
+
+                    const r = arrowSize * (1.5 + 0.6 * momentRingIndex);
+                    momentRingIndex++;
+                    const arrowHeadSize = 5;
+                    const startAngle = Math.PI;
+                    const endAngle = startAngle + (anticlockwise ? -1.5 : 1.5) * Math.PI;
+                    ctx.beginPath();
+                    ctx.arc(pos.x, pos.y, r, startAngle, endAngle, anticlockwise);
+                    ctx.stroke();
+                    const endX = pos.x + r * Math.cos(endAngle);
+                    const endY = pos.y + r * Math.sin(endAngle);
+                    // 円弧の終点での接線方向（進行方向）に矢じりを付ける
+                    const tangentAngle = endAngle + (anticlockwise ? -Math.PI / 2 : Math.PI / 2);
+                    ctx.beginPath();
+                    ctx.moveTo(endX, endY);
+                    ctx.lineTo(endX - arrowHeadSize * Math.cos(tangentAngle - Math.PI / 6), endY - arrowHeadSize * Math.sin(tangentAngle - Math.PI / 6));
+                    ctx.lineTo(endX - arrowHeadSize * Math.cos(tangentAngle + Math.PI / 6), endY - arrowHeadSize * Math.sin(tangentAngle + Math.PI / 6));
+                    ctx.closePath();
+                    ctx.fill();
+
+                    // モーメント荷重値のテキスト表示を矢印の近くに配置
+                    const textX = pos.x;
+                    const textY = pos.y - r * 0.7;
+                    ctx.fillStyle = concentratedColor;
+                    labelManager.draw(ctx, `${label}=${value}kN·m`, textX, textY, loadObstacles, {
+                        type: `node-load-${key}`,
+                        index: load.nodeIndex,
+                        value
+                    });
+
+                    concentratedArrowRecords.push({
+                        nodeIndex: load.nodeIndex,
+                        axis: key,
+                        arc: {
+                            x: pos.x,
+                            y: pos.y,
+                            radius: r
+                        },
+                        value
+                    });
                 });
-            } 
             });
         }
 
@@ -8444,6 +10287,159 @@ document.addEventListener('DOMContentLoaded', () => {
         // ▲▲▲ 強制変位描画ここまで ▲▲▲
         // ==========================================================
     };
+
+    // 部材温度荷重を部材中央に「ΔT=30℃」のような文字で表示する（同じ部材の荷重は合計する）
+    const drawThermalLoads = (ctx, transform, nodes, members, thermalLoads, labelManager, obstacles) => {
+        const showExternalLoads = document.getElementById('show-external-loads')?.checked ?? true;
+        if (!showExternalLoads || thermalLoads.length === 0) return;
+
+        const projectionMode = getCurrentProjectionMode();
+        const visibleNodeIndices = getVisibleNodeIndices(nodes);
+        const totals = new Map();
+        thermalLoads.forEach(load => {
+            const total = totals.get(load.memberIndex) || { deltaT: 0, gradientY: 0, gradientZ: 0 };
+            total.deltaT += load.deltaT;
+            total.gradientY += load.gradientY;
+            total.gradientZ += load.gradientZ;
+            totals.set(load.memberIndex, total);
+        });
+
+        ctx.save();
+        ctx.fillStyle = '#d35400';
+        ctx.font = '12px Arial';
+        totals.forEach((total, memberIndex) => {
+            const member = members[memberIndex];
+            if (!member || !visibleNodeIndices.has(member.i) || !visibleNodeIndices.has(member.j)) return;
+            const parts = [];
+            if (total.deltaT !== 0) parts.push(`ΔT=${total.deltaT}℃`);
+            if (total.gradientY !== 0) parts.push(`ΔT/h(y)=${total.gradientY}℃/m`);
+            if (total.gradientZ !== 0) parts.push(`ΔT/h(z)=${total.gradientZ}℃/m`);
+            if (parts.length === 0) return;
+            const start = project3DTo2D(nodes[member.i], projectionMode);
+            const end = project3DTo2D(nodes[member.j], projectionMode);
+            const mid = transform((start.x + end.x) / 2, (start.y + end.y) / 2);
+            labelManager.draw(ctx, parts.join(' '), mid.x, mid.y, obstacles);
+        });
+        ctx.restore();
+    };
+    /**
+     * 部材途中の荷重（集中荷重・集中モーメント・部分分布荷重）を部材上に描画する
+     * 荷重は荷重位置に向かう矢印、モーメントは円弧で表し、値をラベルで示す。
+     */
+    const drawSpanLoads = (ctx, transform, nodes, members, spanLoads, labelManager, obstacles) => {
+        const showExternalLoads = document.getElementById('show-external-loads')?.checked ?? true;
+        if (!showExternalLoads || spanLoads.length === 0) return;
+
+        const projectionMode = getCurrentProjectionMode();
+        const visibleNodeIndices = getVisibleNodeIndices(nodes);
+        const arrowLength = 35;
+        const arrowHeadSize = 7;
+        const toScreen = (point) => {
+            const projected = project3DTo2D(point, projectionMode);
+            return transform(projected.x, projected.y);
+        };
+        const drawArrow = (from, to) => {
+            const angle = Math.atan2(to.y - from.y, to.x - from.x);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.lineTo(to.x - arrowHeadSize * Math.cos(angle - Math.PI / 6), to.y - arrowHeadSize * Math.sin(angle - Math.PI / 6));
+            ctx.moveTo(to.x, to.y);
+            ctx.lineTo(to.x - arrowHeadSize * Math.cos(angle + Math.PI / 6), to.y - arrowHeadSize * Math.sin(angle + Math.PI / 6));
+            ctx.stroke();
+        };
+
+        ctx.save();
+        ctx.strokeStyle = '#8e44ad';
+        ctx.fillStyle = '#8e44ad';
+        ctx.lineWidth = 1.5;
+        ctx.font = '12px Arial';
+        spanLoads.forEach(load => {
+            const member = members[load.memberIndex];
+            if (!member || !visibleNodeIndices.has(member.i) || !visibleNodeIndices.has(member.j)) return;
+            const nodeI = nodes[member.i];
+            const nodeJ = nodes[member.j];
+            const length = member.length || Math.hypot(nodeJ.x - nodeI.x, nodeJ.y - nodeI.y, (nodeJ.z ?? 0) - (nodeI.z ?? 0));
+            if (!(length > 0)) return;
+            const pointAt = (distance) => {
+                const ratio = Math.min(Math.max(distance / length, 0), 1);
+                return {
+                    x: nodeI.x + (nodeJ.x - nodeI.x) * ratio,
+                    y: nodeI.y + (nodeJ.y - nodeI.y) * ratio,
+                    z: (nodeI.z ?? 0) + ((nodeJ.z ?? 0) - (nodeI.z ?? 0)) * ratio
+                };
+            };
+            // グローバル荷重方向の画面上の向き（視線方向の荷重は長さ 0 になる）
+            const origin = pointAt(load.a);
+            const unitPoint = { ...origin };
+            unitPoint[load.direction] += 1;
+            const originScreen = toScreen(origin);
+            const unitScreen = toScreen(unitPoint);
+            const screenLength = Math.hypot(unitScreen.x - originScreen.x, unitScreen.y - originScreen.y);
+            const direction = screenLength > 1e-9
+                ? { x: (unitScreen.x - originScreen.x) / screenLength, y: (unitScreen.y - originScreen.y) / screenLength }
+                : null;
+            const axisLabel = `${load.direction}`.toUpperCase();
+
+            if (load.type === 'moment') {
+                if (load.value === 0) return;
+                const radius = 12;
+                const counterClockwise = load.value > 0;
+                ctx.beginPath();
+                ctx.arc(originScreen.x, originScreen.y, radius, Math.PI * 0.25, Math.PI * 1.75, counterClockwise);
+                ctx.stroke();
+                const endAngle = counterClockwise ? Math.PI * 1.75 : Math.PI * 0.25;
+                const tip = { x: originScreen.x + radius * Math.cos(endAngle), y: originScreen.y + radius * Math.sin(endAngle) };
+                const tangent = counterClockwise ? endAngle - Math.PI / 2 : endAngle + Math.PI / 2;
+                drawArrow({ x: tip.x - 4 * Math.cos(tangent), y: tip.y - 4 * Math.sin(tangent) }, tip);
+                labelManager.draw(ctx, `M${axisLabel}=${load.value}kN·m`, originScreen.x, originScreen.y - radius - 6, obstacles);
+                return;
+            }
+
+            if (load.type === 'distributed') {
+                const startValue = load.value;
+                const endValue = load.valueEnd;
+                const maxValue = Math.max(Math.abs(startValue), Math.abs(endValue));
+                if (maxValue === 0) return;
+                const divisions = 4;
+                const tails = [];
+                for (let k = 0; k <= divisions; k++) {
+                    const distance = load.a + (load.b - load.a) * k / divisions;
+                    const value = startValue + (endValue - startValue) * k / divisions;
+                    const head = toScreen(pointAt(distance));
+                    if (!direction) continue;
+                    const scaledLength = arrowLength * Math.abs(value) / maxValue;
+                    const sign = Math.sign(value) || 1;
+                    const tail = { x: head.x - direction.x * scaledLength * sign, y: head.y - direction.y * scaledLength * sign };
+                    tails.push(tail);
+                    if (scaledLength > arrowHeadSize) drawArrow(tail, head);
+                }
+                if (tails.length > 1) {
+                    ctx.beginPath();
+                    tails.forEach((tail, index) => (index === 0 ? ctx.moveTo(tail.x, tail.y) : ctx.lineTo(tail.x, tail.y)));
+                    ctx.stroke();
+                }
+                const labelAnchor = tails[Math.floor(tails.length / 2)] || toScreen(pointAt((load.a + load.b) / 2));
+                const valueText = startValue === endValue ? `${startValue}` : `${startValue}～${endValue}`;
+                labelManager.draw(ctx, `w${axisLabel}=${valueText}kN/m`, labelAnchor.x, labelAnchor.y, obstacles);
+                return;
+            }
+
+            if (load.value === 0) return;
+            if (direction) {
+                const sign = Math.sign(load.value);
+                const tail = { x: originScreen.x - direction.x * arrowLength * sign, y: originScreen.y - direction.y * arrowLength * sign };
+                drawArrow(tail, originScreen);
+                labelManager.draw(ctx, `P${axisLabel}=${load.value}kN`, tail.x, tail.y, obstacles);
+            } else {
+                ctx.beginPath();
+                ctx.arc(originScreen.x, originScreen.y, 4, 0, Math.PI * 2);
+                ctx.fill();
+                labelManager.draw(ctx, `P${axisLabel}=${load.value}kN`, originScreen.x, originScreen.y, obstacles);
+            }
+        });
+        ctx.restore();
+    };
     // 表示対象の節点インデックスを取得する関数
     function getVisibleNodeIndices(nodes) {
     const projectionMode = getCurrentProjectionMode();
@@ -8684,6 +10680,41 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         };
     };
+    /**
+     * プッシュオーバー解析で生じた塑性ヒンジを材端の近くに丸印と発生順の番号で描く
+     * @param {Array<{x: number, y: number}>} projectedNodes - 投影後の節点座標
+     */
+    const drawPlasticHinges = (ctx, transform, projectedNodes, members) => {
+        if (!lastPushoverResult || lastPushoverResult.hinges.length === 0) return;
+        const markerOffset = 16;
+        ctx.save();
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'left';
+        lastPushoverResult.hinges.forEach(hinge => {
+            const member = members[hinge.memberIndex];
+            const near = projectedNodes[hinge.end === 'i' ? member?.i : member?.j];
+            const far = projectedNodes[hinge.end === 'i' ? member?.j : member?.i];
+            if (!near || !far) return;
+            const start = transform(near.x, near.y);
+            const end = transform(far.x, far.y);
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+            // 材端から部材に沿って少し離した位置（部材が短く見える場合は中央寄りの1/3）
+            const ratio = length > 0 ? Math.min(markerOffset / length, 1 / 3) : 0;
+            const x = start.x + (end.x - start.x) * ratio;
+            const y = start.y + (end.y - start.y) * ratio;
+            ctx.fillStyle = '#d9534f';
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(x, y, 6, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#d9534f';
+            ctx.fillText(String(hinge.order), x + 8, y - 8);
+        });
+        ctx.restore();
+    };
+
     const drawOnCanvas = () => {
         const drawingCtx = getDrawingContext(elements.modelCanvas);
         if (!drawingCtx) return; // Should not happen with the modified getDrawingContext
@@ -8692,7 +10723,7 @@ document.addEventListener('DOMContentLoaded', () => {
         window.lastDrawingContext = drawingCtx;
         const { ctx, transform } = drawingCtx;
         let nodes = [], members = [];
-        let nodeLoads = [], memberLoads = [], memberSelfWeights = [], nodeSelfWeights = [];
+        let nodeLoads = [], memberLoads = [], spanLoads = [], thermalLoads = [], memberSelfWeights = [], nodeSelfWeights = [];
         try {
             if (elements.gridToggle.checked) {
                 drawGrid(ctx, transform, elements.modelCanvas.clientWidth, elements.modelCanvas.clientHeight);
@@ -8700,8 +10731,12 @@ document.addEventListener('DOMContentLoaded', () => {
             const parsed = parseInputs();
             nodes = parsed.nodes;
             members = parsed.members;
-            nodeLoads = parsed.nodeLoads || [];
-            memberLoads = parsed.memberLoads || [];
+            // 荷重は入力中の荷重ケースのものだけを表示する（ラベル編集も同じケースの行に反映される）
+            const activeLoadCaseId = getActiveLoadCaseId();
+            nodeLoads = (parsed.nodeLoads || []).filter(load => load.caseId === activeLoadCaseId);
+            memberLoads = (parsed.memberLoads || []).filter(load => load.caseId === activeLoadCaseId);
+            spanLoads = (parsed.spanLoads || []).filter(load => load.caseId === activeLoadCaseId);
+            thermalLoads = (parsed.thermalLoads || []).filter(load => load.caseId === activeLoadCaseId);
             memberSelfWeights = parsed.memberSelfWeights || [];
             nodeSelfWeights = parsed.nodeSelfWeights || [];
             if (nodes.length > 0) {
@@ -8722,6 +10757,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 drawBoundaryConditions(ctx, transform, nodes);
                 drawDimensions(ctx, transform, nodes, members, labelManager, nodeObstacles);
                 drawExternalLoads(ctx, transform, nodes, members, nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights, labelManager, nodeObstacles);
+                drawSpanLoads(ctx, transform, nodes, members, spanLoads, labelManager, nodeObstacles);
+                drawThermalLoads(ctx, transform, nodes, members, thermalLoads, labelManager, nodeObstacles);
+                drawPlasticHinges(ctx, transform, projectedNodes, members);
                 if (canvasMode === 'addMember' && firstMemberNode !== null) {
                     const node = projectedNodes[firstMemberNode];
                     const pos = transform(node.x, node.y);
@@ -8762,13 +10800,7 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
 // 変位図描画関数はnew_displacement_diagram.jsで定義されています
-
-const getMemberDistributedLoadY = (memberLoad) => {
-    if (!memberLoad) return 0;
-    const value = memberLoad.wy ?? memberLoad.w ?? 0;
-    const numeric = Number(value);
-    return Number.isFinite(numeric) ? numeric : 0;
-};
+// getMemberDistributedLoadY は member_force_distribution.js で定義されています
 
 const drawMomentDiagram = (nodes, members, forces, memberLoads) => { 
         const drawingCtx = getDrawingContext(elements.momentCanvas); 
@@ -8949,20 +10981,6 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         ((a?.y || 0) * (b?.y || 0)) +
         ((a?.z || 0) * (b?.z || 0));
 
-    const vecCross = (a, b) => ({
-        x: (a?.y || 0) * (b?.z || 0) - (a?.z || 0) * (b?.y || 0),
-        y: (a?.z || 0) * (b?.x || 0) - (a?.x || 0) * (b?.z || 0),
-        z: (a?.x || 0) * (b?.y || 0) - (a?.y || 0) * (b?.x || 0)
-    });
-
-    const vecMagnitude = (v) => Math.sqrt(vecDot(v, v));
-
-    const vecNormalize = (v) => {
-        const mag = vecMagnitude(v);
-        if (!(mag > 1e-9)) return null;
-        return { x: v.x / mag, y: v.y / mag, z: v.z / mag };
-    };
-
     const vecScale = (v, scalar) => ({
         x: (v?.x || 0) * scalar,
         y: (v?.y || 0) * scalar,
@@ -8975,38 +10993,12 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         z: (a?.z || 0) + (b?.z || 0)
     });
 
-    const computeMemberFrameForDiagram = (member, nodes) => {
+    // 解析と同じ局所座標軸（回転角 β・参照節点を含む）。isPlanar は描画ごとに一度だけ求めて渡す
+    const computeMemberFrameForDiagram = (member, nodes, isPlanar = isPlanarFrame(nodes)) => {
         const nodeI = nodes[member.i];
         const nodeJ = nodes[member.j];
         if (!nodeI || !nodeJ) return null;
-
-        const dx = (nodeJ.x ?? 0) - (nodeI.x ?? 0);
-        const dy = (nodeJ.y ?? 0) - (nodeI.y ?? 0);
-        const dz = (nodeJ.z ?? 0) - (nodeI.z ?? 0);
-
-        const localX = vecNormalize({ x: dx, y: dy, z: dz });
-        if (!localX) return null;
-
-        let reference = Math.abs(localX.z) < 0.9
-            ? { x: 0, y: 0, z: 1 }
-            : { x: 0, y: 1, z: 0 };
-
-        let localY = vecNormalize(vecCross(reference, localX));
-        if (!localY) {
-            reference = { x: 1, y: 0, z: 0 };
-            localY = vecNormalize(vecCross(reference, localX));
-        }
-        if (!localY) return null;
-
-        let localZ = vecNormalize(vecCross(localX, localY));
-        if (!localZ) {
-            localZ = { x: 0, y: 0, z: 1 };
-            localY = vecNormalize(vecCross(localZ, localX)) || { x: 0, y: 1, z: 0 };
-            localZ = vecNormalize(vecCross(localX, localY)) || localZ;
-        }
-
-        const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
-        return { localX, localY, localZ, length };
+        return computeMemberLocalAxes(nodeI, nodeJ, getMemberAxisOptions(member, nodes, isPlanar));
     };
 
     const computePlaneProjectionData = (frame, planeBasis) => {
@@ -9095,9 +11087,10 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
 
         const shearDataByIndex = new Array(members.length).fill(null);
         let maxShear = 0;
+        const isPlanar = isPlanarFrame(nodes);
 
         members.forEach((member, idx) => {
-            const frame = computeMemberFrameForDiagram(member, nodes);
+            const frame = computeMemberFrameForDiagram(member, nodes, isPlanar);
             if (!frame || !(frame.length > 1e-6)) {
                 return;
             }
@@ -9534,286 +11527,14 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
     };
 
 // --- Section Check Logic and Drawing ---
+    // 指定した期間の荷重組合せ（断面検定に必要な断面力・部材荷重だけを取り出す）
+    const getSectionCheckCombinations = (loadTerm) => (lastLoadCaseResults?.combinations || [])
+        .filter(combination => combination.term === loadTerm)
+        .map(({ id, name, forces, memberLoads }) => ({ id, name, forces, memberLoads }));
+
     const calculateSectionCheck = (loadTerm) => {
         if (!lastResults) return [];
-        const { members, forces, memberLoads } = lastResults;
-        const results = [];
-        members.forEach((member, idx) => {
-            const { strengthProps, A, Z, ix, iy, E, length, Iy, Iz } = member;
-            if(!strengthProps || !A || !Z || isNaN(A) || isNaN(Z)) {
-                results.push({ 
-                    maxRatio: 'N/A', 
-                    N: 0, 
-                    M: 0, 
-                    checkType: 'データ不足', 
-                    status: 'error', 
-                    ratios: Array(21).fill(0),
-                    ratiosY: Array(21).fill(0), // Y軸周りの検定比
-                    ratiosZ: Array(21).fill(0)  // Z軸周りの検定比
-                });
-                return;
-            }
-            let ft, fc, fb, fs;
-            const termIndex = (loadTerm === 'long') ? 0 : 1;
-            
-            switch(strengthProps.type) {
-                case 'F-value': case 'F-stainless': case 'F-aluminum':
-                    const F = strengthProps.value;
-                    if (!F || isNaN(F)) { results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: 'F値無効', status: 'error', ratios: Array(21).fill(0)}); return; }
-                    const factor = (loadTerm === 'long') ? 1.5 : 1.0;
-                    ft = F / factor; fb = F / factor; fs = F / (factor * Math.sqrt(3));
-                    const lk = length, i_min = Math.min(ix, iy);
-                    fc = ft;
-                    if (i_min > 1e-9) {
-                        const lambda = lk / i_min, E_n_mm2 = E * 1e-3;
-                        const lambda_p = Math.PI * Math.sqrt(E_n_mm2 / (0.6 * F));
-                        if (lambda <= lambda_p) { fc = (1 - 0.4 * (lambda / lambda_p)**2) * F / factor; } 
-                        else { fc = (0.277 * F) / ((lambda / lambda_p)**2); }
-                    }
-                    break;
-                case 'wood-type': {
-                    let baseStresses;
-                    if (strengthProps.preset === 'custom') {
-                        baseStresses = strengthProps.baseStrengths;
-                        if (!baseStresses || isNaN(baseStresses.ft) || isNaN(baseStresses.fc) || isNaN(baseStresses.fb) || isNaN(baseStresses.fs)) {
-                            results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '木材基準強度無効', status: 'error', ratios: Array(21).fill(0) });
-                            return; // continue forEach
-                        }
-                    } else {
-                        baseStresses = WOOD_BASE_STRENGTH_DATA[strengthProps.preset];
-                        if (!baseStresses) {
-                            results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '木材データ無', status: 'error', ratios: Array(21).fill(0) });
-                            return; // continue forEach
-                        }
-                    }
-                    // プリセット・任意入力共通の計算ロジック
-                    const factor = (loadTerm === 'long') ? (1.1 / 3) : (2 / 3);
-                    ft = baseStresses.ft * factor;
-                    fc = baseStresses.fc * factor;
-                    fb = baseStresses.fb * factor;
-                    fs = baseStresses.fs * factor;
-                    break;
-                }
-                case 'Fc':
-                default:
-                    results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '未対応材料', status: 'error', ratios: Array(21).fill(0)});
-                    return;
-            }
-
-            const force = forces[idx];
-            const load = memberLoads.find(l => l.memberIndex === idx);
-            const w = getMemberDistributedLoadY(load);
-            const L = length, N = -force.N_i, Z_mm3 = Z * 1e9, A_mm2 = A * 1e6;
-            
-            // 両軸対応の断面係数計算
-            // Y軸周りの断面係数（My用）
-            let Zy_mm3 = Z_mm3;
-            if (Iy && A) {
-                const ry = Math.sqrt(Iy / A); // Y軸周りの回転半径
-                const cy = ry * 2; // 断面の高さ（概算）
-                Zy_mm3 = (Iy / cy) * 1e9; // Y軸周りの断面係数
-            }
-            
-            // Z軸周りの断面係数（Mz用）
-            let Zz_mm3 = Z_mm3;
-            if (Iz && A) {
-                const rz = Math.sqrt(Iz / A); // Z軸周りの回転半径
-                const cz = rz * 2; // 断面の幅（概算）
-                Zz_mm3 = (Iz / cz) * 1e9; // Z軸周りの断面係数
-            }
-            
-            let maxRatio = 0, maxRatioY = 0, maxRatioZ = 0, M_at_max = 0;
-            let maxShearRatio = 0, maxShearRatioY = 0, maxShearRatioZ = 0; // せん断力検定比
-            const ratios = [];
-            const ratiosY = []; // Y軸周りの検定比
-            const ratiosZ = []; // Z軸周りの検定比
-            const shearRatios = []; // せん断力検定比
-            const shearRatiosY = []; // Y軸方向せん断力検定比
-            const shearRatiosZ = []; // Z軸方向せん断力検定比
-            
-            for (let k = 0; k <= 20; k++) {
-                const xi = k / 20; // 無次元座標
-                const x = xi * L; // 実際の距離
-                
-                // 曲げモーメント図と同じ計算方法を使用
-                // 第1軸（Y軸周り）の曲げモーメント
-                let M1_x = 0;
-                if (typeof calculateMemberMomentForAxis === 'function') {
-                    M1_x = calculateMemberMomentForAxis(force, L, xi, 'y', w);
-                } else {
-                    // フォールバック: 線形補間 + 等分布荷重
-                    const M_linear = -force.My_i * (1 - xi) + force.My_j * xi;
-                    const M_parabolic = w * L * x / 2 - w * x**2 / 2;
-                    M1_x = M_linear + M_parabolic;
-                }
-                
-                // 第2軸（Z軸周り）の曲げモーメント
-                let M2_x = 0;
-                if (typeof calculateMemberMomentForAxis === 'function') {
-                    M2_x = calculateMemberMomentForAxis(force, L, xi, 'z', w);
-                } else {
-                    // フォールバック: 線形補間 + 等分布荷重
-                    const M_linear = -force.Mz_i * (1 - xi) + force.Mz_j * xi;
-                    const M_parabolic = w * L * x / 2 - w * x**2 / 2;
-                    M2_x = M_linear + M_parabolic;
-                }
-                
-                // 従来の計算方法（後方互換性のため）
-                const M_linear = -force.M_i * (1 - xi) + force.M_j * xi;
-                const M_parabolic = w * L * x / 2 - w * x**2 / 2;
-                const M_x = M_linear + M_parabolic;
-                
-                const sigma_a = (N * 1000) / A_mm2;
-                const sigma_b = (Math.abs(M_x) * 1e6) / Z_mm3;
-                const sigma_by = (Math.abs(M1_x) * 1e6) / Zy_mm3; // 第1軸（Y軸周り）
-                const sigma_bz = (Math.abs(M2_x) * 1e6) / Zz_mm3; // 第2軸（Z軸周り）
-                
-                // せん断力計算（第2軸せん断力図と同じ軸選択方法を使用）
-                let Q1_x = 0, Q2_x = 0; // 第1軸、第2軸のせん断力
-                
-                // 投影モードに応じて軸を決定（第2軸せん断力図と同じロジック）
-                const getCurrentProjectionMode = () => {
-                    const projectionSelect = document.getElementById('projection-mode');
-                    return projectionSelect ? projectionSelect.value : 'iso';
-                };
-                
-                const projectionMode = getCurrentProjectionMode();
-                let currentAxis, secondaryAxis;
-                
-                if (projectionMode === 'xy') {
-                    currentAxis = 'z'; // 現在表示: Z軸周り
-                    secondaryAxis = 'y'; // 第2軸: Y軸周り
-                } else if (projectionMode === 'xz') {
-                    currentAxis = 'y'; // 現在表示: Y軸周り
-                    secondaryAxis = 'z'; // 第2軸: Z軸周り
-                } else if (projectionMode === 'yz') {
-                    currentAxis = 'x'; // 現在表示: X軸周り
-                    secondaryAxis = 'z'; // 第2軸: Z軸周り
-                } else {
-                    // 等角投影の場合は第2軸としてZ軸を表示
-                    currentAxis = 'y'; // 現在表示: Y軸周り
-                    secondaryAxis = 'z'; // 第2軸: Z軸周り
-                }
-                
-                if (typeof calculateMemberShearForAxis === 'function') {
-                    // 第2軸せん断力図と同じようにnullを渡す（等分布荷重は内部で計算される）
-                    Q1_x = calculateMemberShearForAxis(force, L, xi, currentAxis, null);
-                    Q2_x = calculateMemberShearForAxis(force, L, xi, secondaryAxis, null);
-                } else {
-                    // フォールバック: 線形補間（等分布荷重は考慮しない）
-                    const Q1_linear = force[`Q${currentAxis}_i`] * (1 - xi) + force[`Q${currentAxis}_j`] * xi;
-                    Q1_x = Q1_linear;
-                    
-                    const Q2_linear = force[`Q${secondaryAxis}_i`] * (1 - xi) + force[`Q${secondaryAxis}_j`] * xi;
-                    Q2_x = Q2_linear;
-                }
-                
-                // せん断応力度計算
-                const tau1 = (Math.abs(Q1_x) * 1000) / A_mm2; // 第1軸せん断応力度
-                const tau2 = (Math.abs(Q2_x) * 1000) / A_mm2; // 第2軸せん断応力度
-                
-                let ratio_x = 0, ratio_y = 0, ratio_z = 0;
-                let shear_ratio1 = 0, shear_ratio2 = 0;
-                
-                if(isNaN(sigma_a) || !ft || !fc || !fb) { 
-                    ratio_x = ratio_y = ratio_z = Infinity; 
-                } else {
-                    if (sigma_a >= 0) { // 引張
-                    ratio_x = (sigma_a / ft) + (sigma_b / fb);
-                        ratio_y = (sigma_a / ft) + (sigma_by / fb);
-                        ratio_z = (sigma_a / ft) + (sigma_bz / fb);
-                    } else { // 圧縮
-                    ratio_x = (Math.abs(sigma_a) / fc) + (sigma_b / fb);
-                        ratio_y = (Math.abs(sigma_a) / fc) + (sigma_by / fb);
-                        ratio_z = (Math.abs(sigma_a) / fc) + (sigma_bz / fb);
-                }
-                }
-                
-                // せん断力検定比の計算
-                if (fs && !isNaN(tau1) && !isNaN(tau2)) {
-                    shear_ratio1 = tau1 / fs; // 第1軸せん断力検定比
-                    shear_ratio2 = tau2 / fs; // 第2軸せん断力検定比
-                } else {
-                    shear_ratio1 = shear_ratio2 = Infinity;
-                }
-                
-                ratios.push(ratio_x);
-                ratiosY.push(ratio_y);
-                ratiosZ.push(ratio_z);
-                shearRatios.push(shear_ratio1);
-                shearRatiosY.push(shear_ratio1);
-                shearRatiosZ.push(shear_ratio2);
-                
-                if (ratio_x > maxRatio) { maxRatio = ratio_x; M_at_max = M_x; }
-                if (ratio_y > maxRatioY) maxRatioY = ratio_y;
-                if (ratio_z > maxRatioZ) maxRatioZ = ratio_z;
-                if (shear_ratio1 > maxShearRatio) maxShearRatio = shear_ratio1;
-                if (shear_ratio1 > maxShearRatioY) maxShearRatioY = shear_ratio1;
-                if (shear_ratio2 > maxShearRatioZ) maxShearRatioZ = shear_ratio2;
-            }
-            
-            // 曲げモーメント図と同じ方法で最大値を計算
-            let maxM1 = 0, maxM2 = 0, maxQ1 = 0, maxQ2 = 0;
-            for (let k = 0; k <= 20; k++) {
-                const xi = k / 20;
-                const x = xi * L;
-                
-                let M1_x = 0, M2_x = 0, Q1_x = 0, Q2_x = 0;
-                if (typeof calculateMemberMomentForAxis === 'function') {
-                    M1_x = calculateMemberMomentForAxis(force, L, xi, 'y', w);
-                    M2_x = calculateMemberMomentForAxis(force, L, xi, 'z', w);
-                } else {
-                    const M1_linear = -force.My_i * (1 - xi) + force.My_j * xi;
-                    const M1_parabolic = w * L * x / 2 - w * x**2 / 2;
-                    M1_x = M1_linear + M1_parabolic;
-                    
-                    const M2_linear = -force.Mz_i * (1 - xi) + force.Mz_j * xi;
-                    const M2_parabolic = w * L * x / 2 - w * x**2 / 2;
-                    M2_x = M2_linear + M2_parabolic;
-                }
-                
-                // せん断力の最大値も計算
-                if (typeof calculateMemberShearForAxis === 'function') {
-                    Q1_x = calculateMemberShearForAxis(force, L, xi, 'y', w);
-                    Q2_x = calculateMemberShearForAxis(force, L, xi, 'z', w);
-                } else {
-                    const Q1_linear = force.Qy_i * (1 - xi) + force.Qy_j * xi;
-                    Q1_x = Q1_linear - w * x;
-                    
-                    const Q2_linear = force.Qz_i * (1 - xi) + force.Qz_j * xi;
-                    Q2_x = Q2_linear - w * x;
-                }
-                
-                maxM1 = Math.max(maxM1, Math.abs(M1_x));
-                maxM2 = Math.max(maxM2, Math.abs(M2_x));
-                maxQ1 = Math.max(maxQ1, Math.abs(Q1_x));
-                maxQ2 = Math.max(maxQ2, Math.abs(Q2_x));
-            }
-            
-            results.push({ 
-                maxRatio: Math.max(maxRatio, maxRatioY, maxRatioZ), // 両軸の最大値
-                maxRatioY, 
-                maxRatioZ,
-                maxShearRatio, // せん断力検定比の最大値
-                maxShearRatioY, // 第1軸せん断力検定比の最大値
-                maxShearRatioZ, // 第2軸せん断力検定比の最大値
-                N, 
-                M: M_at_max, 
-                M1: maxM1, // 第1軸（Y軸周り）の最大曲げモーメント
-                M2: maxM2, // 第2軸（Z軸周り）の最大曲げモーメント
-                Q1: maxQ1, // 第1軸（Y方向）の最大せん断力
-                Q2: maxQ2, // 第2軸（Z方向）の最大せん断力
-                checkType: '両軸組合せ応力', 
-                status: Math.max(maxRatio, maxRatioY, maxRatioZ, maxShearRatio, maxShearRatioY, maxShearRatioZ) > 1.0 ? 'NG' : 'OK', 
-                ratios,
-                ratiosY,
-                ratiosZ,
-                shearRatios,
-                shearRatiosY,
-                shearRatiosZ
-            });
-        });
-        return results;
+        return calculateGoverningSectionChecks(loadTerm, lastResults, getSectionCheckCombinations(loadTerm), { projectionMode: getSectionCheckProjectionMode() });
     };
 
     const drawDualAxisCapacityRatioDiagram = (canvas, nodes, members, sectionCheckResults) => {
@@ -10477,10 +12198,19 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         const dofPerNode = lastResults?.D?.length / lastResults?.nodes?.length;
         const is3D = dofPerNode === 6;
         
+        // 荷重組合せで検定した場合は、部材ごとに支配的な荷重組合せを表示する
+        const hasGoverningCombination = lastSectionCheckResults.some(res => res.governingCombination);
+        const combinationHeader = hasGoverningCombination ? '<th>支配荷重組合せ</th>' : '';
+        const combinationCell = (res) => {
+            if (!hasGoverningCombination) return '';
+            const combination = res.governingCombination;
+            return `<td>${combination ? `${escapeLoadCaseText(combination.id)}: ${escapeLoadCaseText(combination.name)}` : '-'}</td>`;
+        };
+        
         let html;
         if (is3D) {
             // 3D構造の場合：両軸の結果を表示
-            html = `<thead><tr><th>部材 #</th><th>軸力 N (kN)</th><th>曲げ M1 (kN·m)</th><th>曲げ M2 (kN·m)</th><th>せん断 Q1 (kN)</th><th>せん断 Q2 (kN)</th><th>検定項目</th><th>曲げ検定比1 (${termLabel})</th><th>曲げ検定比2 (${termLabel})</th><th>せん断検定比1 (${termLabel})</th><th>せん断検定比2 (${termLabel})</th><th>最大検定比 (${termLabel})</th><th>判定</th><th>詳細</th></tr></thead><tbody>`;
+            html = `<thead><tr><th>部材 #</th><th>軸力 N (kN)</th><th>曲げ M1 (kN·m)</th><th>曲げ M2 (kN·m)</th><th>せん断 Q1 (kN)</th><th>せん断 Q2 (kN)</th><th>検定項目</th><th>曲げ検定比1 (${termLabel})</th><th>曲げ検定比2 (${termLabel})</th><th>せん断検定比1 (${termLabel})</th><th>せん断検定比2 (${termLabel})</th><th>最大検定比 (${termLabel})</th><th>判定</th>${combinationHeader}<th>詳細</th></tr></thead><tbody>`;
             lastSectionCheckResults.forEach((res, i) => {
                 const is_ng = res.status === 'NG';
                 const maxRatioText = (typeof res.maxRatio === 'number' && isFinite(res.maxRatio)) ? res.maxRatio.toFixed(2) : res.maxRatio;
@@ -10526,17 +12256,18 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
                     <td style="font-weight: bold; ${parseFloat(shearRatio2) > 1.0 ? 'color: red;' : ''}">${shearRatio2}</td>
                     <td style="font-weight: bold; ${is_ng ? 'color: red;' : ''}">${maxRatioText}</td>
                     <td>${statusText}</td>
+                    ${combinationCell(res)}
                     <td><button onclick="showSectionCheckDetail(${i})">詳細</button></td>
                 </tr>`;
             });
         } else {
             // 2D構造の場合：従来の表示
-            html = `<thead><tr><th>部材 #</th><th>軸力 N (kN)</th><th>曲げ M (kN·m)</th><th>検定項目</th><th>検定比 (D/C) (${termLabel})</th><th>判定</th><th>詳細</th></tr></thead><tbody>`;
+            html = `<thead><tr><th>部材 #</th><th>軸力 N (kN)</th><th>曲げ M (kN·m)</th><th>検定項目</th><th>検定比 (D/C) (${termLabel})</th><th>判定</th>${combinationHeader}<th>詳細</th></tr></thead><tbody>`;
             lastSectionCheckResults.forEach((res, i) => {
                 const is_ng = res.status === 'NG';
                 const maxRatioText = (typeof res.maxRatio === 'number' && isFinite(res.maxRatio)) ? res.maxRatio.toFixed(2) : res.maxRatio;
                 const statusText = is_ng ? '❌ NG' : '✅ OK';
-                html += `<tr ${is_ng ? 'style="background-color: #fdd;"' : ''}><td>${i + 1}</td><td>${res.N.toFixed(2)}</td><td>${res.M.toFixed(2)}</td><td>${res.checkType}</td><td style="font-weight: bold; ${is_ng ? 'color: red;' : ''}">${maxRatioText}</td><td>${statusText}</td><td><button onclick="showSectionCheckDetail(${i})">詳細</button></td></tr>`;
+                html += `<tr ${is_ng ? 'style="background-color: #fdd;"' : ''}><td>${i + 1}</td><td>${res.N.toFixed(2)}</td><td>${res.M.toFixed(2)}</td><td>${res.checkType}</td><td style="font-weight: bold; ${is_ng ? 'color: red;' : ''}">${maxRatioText}</td><td>${statusText}</td>${combinationCell(res)}<td><button onclick="showSectionCheckDetail(${i})">詳細</button></td></tr>`;
             });
         }
         
@@ -10550,8 +12281,9 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
 
         const { members, forces, memberLoads } = lastResults;
         const member = members[memberIndex];
-        const force = forces[memberIndex];
-        const load = memberLoads.find(l => l.memberIndex === memberIndex);
+        // 荷重組合せで検定した場合は支配組合せの断面力・部材荷重を使う
+        const force = res.force || forces[memberIndex];
+        const load = res.governingCombination ? res.memberLoad : memberLoads.find(l => l.memberIndex === memberIndex);
         const w = getMemberDistributedLoadY(load);
         const L = member.length;
         const numPoints = res.ratios.length;
@@ -11063,6 +12795,7 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
                     <p>断面係数 Zy: ${Zy.toFixed(4)} cm³</p>
                     <p>回転半径 ix: ${(ix * 1e2).toFixed(2)} cm, iy: ${(iy * 1e2).toFixed(2)} cm</p>
                     ${w !== 0 ? `<p>等分布荷重: ${w} kN/m</p>` : ''}
+                    ${res.governingCombination ? `<p>支配荷重組合せ: ${escapeLoadCaseText(res.governingCombination.id)}: ${escapeLoadCaseText(res.governingCombination.name)}</p>` : ''}
                 </div>
                 <div style="margin-bottom: 20px; padding: 10px; background-color: #e8f4fd; border-radius: 5px;">
                     <h4>許容応力度 (${selectedTerm === 'long' ? '長期' : '短期'})</h4>
@@ -11760,9 +13493,14 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         drawOnCanvas();
     };
 
-    const animateDisplacement = (nodes, members, D_global, memberLoads) => {
-        console.log('🎬 アニメーション開始:', { nodes: nodes.length, members: members.length, D_global: D_global?.length });
-        
+    /**
+     * 変位を変形前の形から徐々に大きくして構造図に描くアニメーション
+     * @param {object} [options]
+     * @param {number} [options.dispScale] - 変位倍率（省略時は入力欄の倍率または自動倍率）
+     * @param {number} [options.cycles] - 指定すると変位を正負に往復させる回数（振動モードの表示用）
+     * @param {Array<{time: number, D: number[][]}>} [options.frames] - 指定すると各時刻の変位を順に表示する（時刻歴応答の表示用、D_global は倍率の計算だけに使う）
+     */
+    const animateDisplacement = (nodes, members, D_global, memberLoads, options = {}) => {
         // アニメーション開始時に一度だけ描画コンテキストを取得
         const drawingCtx = getDrawingContext(elements.modelCanvas);
         if (!drawingCtx) {
@@ -11775,14 +13513,13 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         lastDrawingContext = drawingCtx;
         window.lastDrawingContext = drawingCtx;
 
-        let dispScale = parseFloat(elements.animScaleInput.value);
+        let dispScale = options.dispScale ?? parseFloat(elements.animScaleInput.value);
         const storedAutoScale = window.lastDisplacementScale;
 
         if (isNaN(dispScale)) {
             // 自動倍率計算: displacement図で求めた倍率があればそれを使用
             if (storedAutoScale && storedAutoScale > 0) {
                 dispScale = storedAutoScale;
-                console.log('アニメーション: 変位図のスケールを使用:', dispScale);
             } else {
                 // lastDisplacementScaleが無い場合は変位図と同じ計算方式を使用
                 // 2D/3D判定（自由度数から判定）
@@ -11830,14 +13567,10 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
                 } else {
                     dispScale = 100;
                 }
-                
-                console.log('アニメーション: 独自計算スケール:', { max_disp, structureSize, dispScale });
             }
             applyAnimationAutoScale(dispScale);
         }
 
-        console.log('アニメーション開始:', { dispScale, nodesCount: nodes.length, membersCount: members.length });
-
         // 投影モードを取得
         let projectionMode;
         try {
@@ -11895,11 +13628,6 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
             }
             return { x: v.x / len, y: v.y / len, z: v.z / len };
         };
-        const vecCross3 = (a, b) => ({
-            x: (a?.y ?? 0) * (b?.z ?? 0) - (a?.z ?? 0) * (b?.y ?? 0),
-            y: (a?.z ?? 0) * (b?.x ?? 0) - (a?.x ?? 0) * (b?.z ?? 0),
-            z: (a?.x ?? 0) * (b?.y ?? 0) - (a?.y ?? 0) * (b?.x ?? 0)
-        });
         const computeLocalBasis = (member) => {
             const ni = nodes[member.i];
             const nj = nodes[member.j];
@@ -11925,12 +13653,7 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
             }
 
             if (!localY || vecLength3(localY) <= EPS || !localZ || vecLength3(localZ) <= EPS) {
-                const reference = Math.abs(localX.z) < 0.9 ? { x: 0, y: 0, z: 1 } : { x: 0, y: 1, z: 0 };
-                localY = vecNormalize3(vecCross3(reference, localX));
-                if (vecLength3(localY) <= EPS) {
-                    localY = { x: 0, y: 1, z: 0 };
-                }
-                localZ = vecNormalize3(vecCross3(localX, localY));
+                ({ localY, localZ } = computeMemberLocalAxes(ni, nj, getMemberAxisOptions(member, nodes, !is3D)));
             }
 
             return { localX, localY, localZ, length, origin: { x: ni.x ?? 0, y: ni.y ?? 0, z: ni.z ?? 0 } };
@@ -11970,15 +13693,11 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
             visibleNodeIndices.has(m.i) && visibleNodeIndices.has(m.j)
         );
 
-        console.log('表示対象:', {
-            projectionMode,
-            hiddenAxisCoord,
-            visibleNodes: visibleNodeIndices.size,
-            visibleMembers: visibleMembers.length,
-            totalMembers: members.length
-        });
-
         const duration = 2000;
+        // 時刻歴の変位は1コマ 50ms で表示する
+        const frameDuration = 50;
+        let totalDuration = options.cycles ? duration * options.cycles : duration;
+        if (options.frames) totalDuration = options.frames.length * frameDuration;
         let startTime = null;
 
         const animationFrame = (timestamp) => {
@@ -11986,6 +13705,17 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
             const elapsedTime = timestamp - startTime;
             let progress = Math.min(elapsedTime / duration, 1);
             progress = progress < 0.5 ? 4 * progress * progress * progress : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+            if (options.cycles) {
+                progress = Math.sin(2 * Math.PI * Math.min(elapsedTime, totalDuration) / duration);
+            }
+            let displacement = D_global;
+            let frameTime = null;
+            if (options.frames) {
+                const frame = options.frames[Math.min(Math.floor(elapsedTime / frameDuration), options.frames.length - 1)];
+                displacement = frame.D;
+                frameTime = frame.time;
+                progress = 1;
+            }
 
             // キャンバスをクリア（getDrawingContextを呼ばずに手動でクリア）
             const canvas = elements.modelCanvas;
@@ -12003,7 +13733,6 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
             ctx.strokeStyle = 'red';
             ctx.lineWidth = 2;
 
-            let drawnMembers = 0;
             visibleMembers.forEach((m) => {
                 // 元の部材インデックスを取得
                 const originalIdx = members.indexOf(m);
@@ -12023,7 +13752,7 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
                         deformedPoint = window.calculateMemberDeformation(
                             m,
                             nodes,
-                            D_global,
+                            displacement,
                             memberForce,
                             xi,
                             dispScale * progress // アニメーション進行度を考慮
@@ -12036,22 +13765,22 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
                         if (!ni || !nj) continue;
                         
                         const d_i = is3D ? {
-                        dx: D_global[m.i * 6][0],
-                        dy: D_global[m.i * 6 + 1][0],
-                        dz: D_global[m.i * 6 + 2][0]
+                        dx: displacement[m.i * 6][0],
+                        dy: displacement[m.i * 6 + 1][0],
+                        dz: displacement[m.i * 6 + 2][0]
                         } : {
-                            dx: D_global[m.i * 3][0],
-                            dy: D_global[m.i * 3 + 1][0],
+                            dx: displacement[m.i * 3][0],
+                            dy: displacement[m.i * 3 + 1][0],
                             dz: 0
                     };
                         
                         const d_j = is3D ? {
-                        dx: D_global[m.j * 6][0],
-                        dy: D_global[m.j * 6 + 1][0],
-                        dz: D_global[m.j * 6 + 2][0]
+                        dx: displacement[m.j * 6][0],
+                        dy: displacement[m.j * 6 + 1][0],
+                        dz: displacement[m.j * 6 + 2][0]
                         } : {
-                            dx: D_global[m.j * 3][0],
-                            dy: D_global[m.j * 3 + 1][0],
+                            dx: displacement[m.j * 3][0],
+                            dy: displacement[m.j * 3 + 1][0],
                             dz: 0
                         };
 
@@ -12079,18 +13808,18 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
                     }
                     }
                     ctx.stroke();
-                    drawnMembers++;
             });
 
-            // 初回のみログ出力
-            if (progress < 0.01) {
-                console.log('アニメーションフレーム:', { progress, drawnMembers, totalMembers: members.length, is3D, dispScale });
+            if (frameTime !== null) {
+                ctx.fillStyle = '#333';
+                ctx.font = 'bold 16px Arial';
+                ctx.textAlign = 'left';
+                ctx.fillText(`t = ${frameTime.toFixed(2)} s`, 10, 24);
             }
 
-            if (progress < 1) {
+            if (elapsedTime < totalDuration) {
                 requestAnimationFrame(animationFrame);
             } else {
-                console.log('アニメーション完了 - drawOnCanvas()を呼び出します');
                 drawOnCanvas();
             }
         };
@@ -12302,6 +14031,13 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         }
     };
 
+    // 接合を半剛に切り替えたときは、接合selectのツールチップに回転ばねの設定を表示する
+    elements.membersTable.addEventListener('change', (e) => {
+        if (e.target?.classList?.contains('member-conn-select')) {
+            updateMemberRowConnectionInfo(e.target.closest('tr'));
+        }
+    });
+
     elements.membersTable.addEventListener('click', (e) => {
     if (e.target && (e.target.classList.contains('select-props-btn') || e.target.classList.contains('section-select-btn'))) {
         const row = e.target.closest('tr');
@@ -13080,7 +14816,7 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         if (loadedNodeIndex !== -1) {
             selectedNodeIndex = loadedNodeIndex;
             console.log('💡 荷重編集ポップアップ表示開始 - 節点:', selectedNodeIndex + 1);
-            const currentLoads = Array.from(elements.nodeLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value)-1 === selectedNodeIndex);
+            const currentLoads = Array.from(elements.nodeLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value)-1 === selectedNodeIndex && isLoadRowInActiveCase(row));
             document.getElementById('popup-px').value=currentLoads?currentLoads.cells[1].querySelector('input').value:'0';
             document.getElementById('popup-py').value=currentLoads?currentLoads.cells[2].querySelector('input').value:'0';
             document.getElementById('popup-mz').value=currentLoads?currentLoads.cells[3].querySelector('input').value:'0';
@@ -13440,6 +15176,14 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
                 popupJConn.value = 'rigid';
             }
         }
+        fillPopupSemiRigidFields(memberRow);
+        fillPopupReleaseFields(memberRow);
+        fillPopupAxisOrientationFields(memberRow);
+        fillPopupRigidZoneFields(memberRow);
+        fillPopupShearAreaFields(memberRow);
+        fillPopupPlasticModulusFields(memberRow);
+        fillPopupAxialBehaviorField(memberRow);
+        fillPopupCableFields(memberRow);
 
         const memberLoadRow = findMemberLoadRow(memberIndex);
         setPopupLoadInputs(memberLoadRow ? readMemberLoadComponents(memberLoadRow) : { wx: 0, wy: 0, wz: 0 });
@@ -13702,8 +15446,18 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
     }
 };
 
-    document.getElementById('popup-save').onclick = () => {
+    document.getElementById('popup-save').onclick = async () => {
         if (selectedMemberIndex === null) return;
+        const releaseProblems = findPopupReleaseProblems();
+        if (releaseProblems.length > 0) {
+            alert(`この端部解放では部材が不安定になります。\n${releaseProblems.join('\n')}`);
+            return;
+        }
+        const referenceNodeProblem = findPopupReferenceNodeProblem(elements.membersTable.rows[selectedMemberIndex], elements.nodesTable.rows.length);
+        if (referenceNodeProblem) {
+            alert(referenceNodeProblem);
+            return;
+        }
         pushState();
         const memberRow = elements.membersTable.rows[selectedMemberIndex];
 
@@ -13826,6 +15580,14 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         } else {
             console.warn('終端接合selectが見つかりません (popup apply)', { rowIndex: selectedMemberIndex, popupValue: popupJConnValue });
         }
+        writeMemberRowSemiRigid(memberRow, (popupIConnValue === 'semi' || popupJConnValue === 'semi') ? readPopupSemiRigidFields() : null);
+        writeMemberRowReleases(memberRow, (popupIConnValue === 'release' || popupJConnValue === 'release') ? readPopupReleaseFields() : null);
+        writeMemberRowAxisOrientation(memberRow, readPopupAxisOrientationFields());
+        writeMemberRowRigidZone(memberRow, readPopupRigidZoneFields());
+        writeMemberRowShearAreas(memberRow, readPopupShearAreaFields());
+        writeMemberRowPlasticModuli(memberRow, readPopupPlasticModulusFields());
+        writeMemberRowAxialBehavior(memberRow, readPopupAxialBehaviorField());
+        writeMemberRowCable(memberRow, readPopupCableFields());
         const sectionNameInputSave = document.getElementById('popup-section-name');
         if (sectionNameInputSave) {
             const nameValue = sectionNameInputSave.value.trim();
@@ -13874,7 +15636,7 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
             }
         }
         elements.memberPropsPopup.style.display = 'none';
-        runFullAnalysis();
+        await runFullAnalysis();
         drawOnCanvas();
     };
     document.getElementById('popup-cancel').onclick = () => { elements.memberPropsPopup.style.display = 'none'; };
@@ -13944,7 +15706,7 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
             }))
         });
 
-        const loadRow = Array.from(elements.nodeLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value) - 1 === nodeIndex);
+        const loadRow = findNodeLoadRow(nodeIndex);
 
         // 各入力フィールドの存在確認
         const popupElements = {
@@ -14001,15 +15763,25 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
         }
 
         // 荷重行から安全に値を取得
-        const getLoadValue = (cellIndex) => {
-            if (!loadRow || !loadRow.cells[cellIndex]) return '0';
-            const element = loadRow.cells[cellIndex].querySelector('input');
-            return element ? (element.value || '0') : '0';
-        };
+        const loadComponents = readNodeLoadComponents(loadRow);
+        NODE_LOAD_COMPONENT_KEYS.forEach(key => {
+            const input = getNodePopupField(`popup-${key}`, { required: false });
+            if (input) input.value = loadComponents[key];
+        });
 
-        popupElements.px.value = getLoadValue(1);
-        popupElements.py.value = getLoadValue(2);
-        popupElements.pz.value = getLoadValue(3);
+        const springs = readNodeRowSprings(nodeRow);
+        SUPPORT_SPRING_KEYS.forEach(key => {
+            const input = getNodePopupField(`popup-spring-${key}`, { required: false });
+            if (input) input.value = springs[key];
+        });
+        const supportAxes = readNodeRowSupportAxes(nodeRow);
+        const popupSupportAngle = getNodePopupField('popup-support-angle', { required: false });
+        if (popupSupportAngle) popupSupportAngle.value = supportAxes?.angle ?? 0;
+        ['x', 'y', 'z'].forEach(axis => {
+            const input = getNodePopupField(`popup-support-v${axis}`, { required: false });
+            if (input) input.value = supportAxes?.vector?.[axis] ?? 0;
+        });
+        updatePopupSpringFieldsVisibility();
         
         const popup = elements.nodePropsPopup;
         if (!popup) {
@@ -14040,7 +15812,7 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
     window.openNodeEditor = openNodeEditor;
 
     // 新しい節点プロパティポップアップの保存ボタンの処理
-    document.getElementById('popup-node-props-save').onclick = () => {
+    document.getElementById('popup-node-props-save').onclick = async () => {
         if (selectedNodeIndex === null) return;
         pushState();
 
@@ -14104,28 +15876,46 @@ const drawMomentDiagram = (nodes, members, forces, memberLoads) => {
             if (nodeInputs.dy) nodeInputs.dy.value = popupValues.dy.value;
         }
 
+        // ばね剛性はばね支点のときだけ保持する
+        const popupSprings = SUPPORT_SPRING_KEYS.reduce((springs, key) => {
+            springs[key] = getNodePopupField(`popup-spring-${key}`, { required: false })?.value;
+            return springs;
+        }, {});
+        writeNodeRowSprings(nodeRow, normalizeSupportValue(popupValues.support.value) === 'spring' ? popupSprings : null);
+        // 支点座標系はローラー・ばね支点のときだけ保持する
+        const popupSupportAxes = {
+            angle: getNodePopupField('popup-support-angle', { required: false })?.value,
+            vector: ['x', 'y', 'z'].reduce((vector, axis) => {
+                vector[axis] = getNodePopupField(`popup-support-v${axis}`, { required: false })?.value;
+                return vector;
+            }, {})
+        };
+        writeNodeRowSupportAxes(nodeRow, supportUsesLocalAxes(popupValues.support.value) ? popupSupportAxes : null);
+
         // 節点荷重テーブルの値を更新または作成/削除
-        const px = popupValues.px.value || 0;
-        const py = popupValues.py.value || 0;
-        const pz = (popupValues.pz && popupValues.pz.value) || 0;
+        const loadValues = NODE_LOAD_COMPONENT_KEYS.reduce((values, key) => {
+            const value = parseFloat(getNodePopupField(`popup-${key}`, { required: false })?.value);
+            values[key] = Number.isFinite(value) ? value : 0;
+            return values;
+        }, {});
 
-        let loadRow = Array.from(elements.nodeLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value) - 1 === selectedNodeIndex);
+        const loadRow = findNodeLoadRow(selectedNodeIndex);
 
-        if (parseFloat(px) === 0 && parseFloat(py) === 0 && parseFloat(pz) === 0) {
+        if (NODE_LOAD_COMPONENT_KEYS.every(key => loadValues[key] === 0)) {
             if (loadRow) loadRow.remove(); // 全ての荷重が0なら行を削除
         } else {
             if (loadRow) { // 既存の行があれば更新
-                loadRow.cells[1].querySelector('input').value = px;
-                loadRow.cells[2].querySelector('input').value = py;
-                loadRow.cells[3].querySelector('input').value = pz;
+                NODE_LOAD_COMPONENT_KEYS.forEach((key, index) => {
+                    loadRow.cells[index + 1].querySelector('input').value = loadValues[key];
+                });
             } else { // なければ新規作成
-                addRow(elements.nodeLoadsTable, [`<input type="number" value="${selectedNodeIndex + 1}">`, `<input type="number" value="${px}">`, `<input type="number" value="${py}">`, `<input type="number" value="${pz}">`]);
+                addRow(elements.nodeLoadsTable, buildNodeLoadRowCells(selectedNodeIndex + 1, loadValues));
             }
         }
         
         elements.nodePropsPopup.style.display = 'none';
         setNodePropsTitle();
-        runFullAnalysis();
+        await runFullAnalysis();
         drawOnCanvas();
     };
 
@@ -14557,8 +16347,8 @@ const createEInputHTML = (idPrefix, currentE = '205000') => {
         baseColumns.push(`<span class="section-axis-cell">${sectionAxis || '-'}</span>`);
 
         // 接続条件列を追加
-        baseColumns.push(`<select class="member-conn-select member-conn-select-i" data-conn="i"><option value="rigid" ${i_conn === 'rigid' ? 'selected' : ''}>剛</option><option value="pinned" ${i_conn === 'pinned' || i_conn === 'p' ? 'selected' : ''}>ピン</option></select>`);
-        baseColumns.push(`<select class="member-conn-select member-conn-select-j" data-conn="j"><option value="rigid" ${j_conn === 'rigid' ? 'selected' : ''}>剛</option><option value="pinned" ${j_conn === 'pinned' || j_conn === 'p' ? 'selected' : ''}>ピン</option></select>`);
+        baseColumns.push(`<select class="member-conn-select member-conn-select-i" data-conn="i"><option value="rigid" ${i_conn === 'rigid' ? 'selected' : ''}>剛</option><option value="pinned" ${i_conn === 'pinned' || i_conn === 'p' ? 'selected' : ''}>ピン</option><option value="semi" ${i_conn === 'semi' ? 'selected' : ''}>半剛</option><option value="release" ${i_conn === 'release' ? 'selected' : ''}>解放</option></select><span class="member-conn-summary"></span>`);
+        baseColumns.push(`<select class="member-conn-select member-conn-select-j" data-conn="j"><option value="rigid" ${j_conn === 'rigid' ? 'selected' : ''}>剛</option><option value="pinned" ${j_conn === 'pinned' || j_conn === 'p' ? 'selected' : ''}>ピン</option><option value="semi" ${j_conn === 'semi' ? 'selected' : ''}>半剛</option><option value="release" ${j_conn === 'release' ? 'selected' : ''}>解放</option></select><span class="member-conn-summary"></span>`);
 
         return baseColumns;
     };
@@ -14570,6 +16360,7 @@ const p_truss = {
     I: 1e-7, // 表示時に0にならないダミー値
     Z: 1e-6, // 表示時に0にならないダミー値
 };
+const p_cable = { ...p_truss, cable: { pretension: 20 } };
 
 const STRONG_AXIS_INFO = Object.freeze({ key: 'x', mode: 'strong', label: '強軸 (X軸)' });
 
@@ -16013,10 +17804,10 @@ const presets = [
             {i:9,j:10, E:UNIT_CONVERSION.E_STEEL, I:1.8e-4, A:9.0e-3, Z:1.1e-3},{i:10,j:11, E:UNIT_CONVERSION.E_STEEL, I:1.8e-4, A:9.0e-3, Z:1.1e-3},
             {i:11,j:12, E:UNIT_CONVERSION.E_STEEL, I:1.8e-4, A:9.0e-3, Z:1.1e-3},{i:12,j:13, E:UNIT_CONVERSION.E_STEEL, I:1.8e-4, A:9.0e-3, Z:1.1e-3},
             {i:13,j:14, E:UNIT_CONVERSION.E_STEEL, I:1.8e-4, A:9.0e-3, Z:1.1e-3},{i:14,j:15, E:UNIT_CONVERSION.E_STEEL, I:1.8e-4, A:9.0e-3, Z:1.1e-3},
-            // ケーブル
-            {i:16,j:9, ...p_truss, A:5.0e-3},{i:16,j:10, ...p_truss, A:5.0e-3},{i:16,j:11, ...p_truss, A:5.0e-3},
-            {i:16,j:12, ...p_truss, A:5.0e-3},{i:17,j:12, ...p_truss, A:5.0e-3},{i:17,j:13, ...p_truss, A:5.0e-3},
-            {i:17,j:14, ...p_truss, A:5.0e-3},{i:17,j:15, ...p_truss, A:5.0e-3},{i:16,j:17, ...p_truss, A:7.5e-3}
+            // ケーブル（初期張力を与えたケーブル部材）
+            {i:16,j:9, ...p_cable, A:5.0e-3},{i:16,j:10, ...p_cable, A:5.0e-3},{i:16,j:11, ...p_cable, A:5.0e-3},
+            {i:16,j:12, ...p_cable, A:5.0e-3},{i:17,j:12, ...p_cable, A:5.0e-3},{i:17,j:13, ...p_cable, A:5.0e-3},
+            {i:17,j:14, ...p_cable, A:5.0e-3},{i:17,j:15, ...p_cable, A:5.0e-3},{i:16,j:17, ...p_cable, A:7.5e-3}
         ],
         nl:[{n:10, pz:-8},{n:11, pz:-10},{n:12, pz:-10},{n:13, pz:-10},{n:14, pz:-8}], ml:[]
     } },
@@ -16359,10 +18150,17 @@ const loadPreset = (index) => {
         elements.membersTable.innerHTML = '';
         elements.nodeLoadsTable.innerHTML = '';
         elements.memberLoadsTable.innerHTML = '';
+        elements.memberSpanLoadsTable.innerHTML = '';
+        elements.memberThermalLoadsTable.innerHTML = '';
+        resetLoadCases(p.loadCases);
+        resetLoadCombinations(p.loadCombinations);
+        applyAnalysisOptions(p.analysisOptions);
+        resetNodalMasses(p.nodalMasses);
+        clearPinnedAnalysisResults();
         p.nodes.forEach(n => {
             const supportRaw = n.support ?? n.s ?? 'free';
             const normalizedSupport = normalizeSupportValue(supportRaw);
-            addRow(elements.nodesTable, [
+            const nodeRow = addRow(elements.nodesTable, [
                 `#`, 
                 `<input type="number" value="${n.x}">`, 
                 `<input type="number" value="${n.y}">`, 
@@ -16375,6 +18173,8 @@ const loadPreset = (index) => {
                 `<input type="number" value="0" step="0.001">`, 
                 `<input type="number" value="0" step="0.001">`
             ], false);
+            writeNodeRowSprings(nodeRow, normalizedSupport === 'spring' ? n.springs : null);
+            writeNodeRowSupportAxes(nodeRow, supportUsesLocalAxes(normalizedSupport) ? n.supportAxes : null);
         });
         p.members.forEach(m => {
             const E_N_mm2 = m.E || '205000';
@@ -16453,18 +18253,22 @@ const loadPreset = (index) => {
             if (zyToApply != null) newRow.dataset.zy = zyToApply;
             if (ixToApply != null) newRow.dataset.ix = ixToApply;
             if (iyToApply != null) newRow.dataset.iy = iyToApply;
+            writeMemberRowSemiRigid(newRow, getMemberSemiRigidSource(m));
+            writeMemberRowReleases(newRow, getMemberReleasesSource(m));
+            writeMemberRowAxisOrientation(newRow, m);
+            writeMemberRowRigidZone(newRow, getMemberRigidZoneSource(m));
+            writeMemberRowShearAreas(newRow, getMemberShearAreasSource(m));
+            writeMemberRowPlasticModuli(newRow, getMemberPlasticModuliSource(m));
+            writeMemberRowAxialBehavior(newRow, m.axialBehavior);
+            writeMemberRowCable(newRow, getMemberCableSource(m));
         });
-        p.nl.forEach(l => addRow(elements.nodeLoadsTable, [
-            `<input type="number" value="${l.n || l.node}">`, 
-            `<input type="number" value="${l.px||0}">`, 
-            `<input type="number" value="${l.py||0}">`, 
-            `<input type="number" value="${l.pz||0}">`
-        ], false));
+        p.nl.forEach(l => addRow(elements.nodeLoadsTable, buildNodeLoadRowCells(l.n || l.node, l), false));
         p.ml.forEach(l => addRow(elements.memberLoadsTable, [
             `<input type="number" value="${l.m || l.member}">`, 
             `<input type="number" value="${l.wx||0}">`, 
             `<input type="number" value="${l.wy||l.w||0}">`, 
-            `<input type="number" value="${l.wz||0}">`
+            `<input type="number" value="${l.wz||0}">`,
+            ...buildMemberLoadOptionCells(l)
         ], false));
         renumberTables();
         
@@ -16483,7 +18287,8 @@ const loadPreset = (index) => {
         panZoomState.isInitialized = false; 
         
         drawOnCanvas();
-        runFullAnalysis();
+        // 解析結果を表示してから描き直す
+        runFullAnalysis().then(() => drawOnCanvas());
         
         // プリセット読み込み後に自動スケーリングを実行
         setTimeout(() => {
@@ -16552,8 +18357,33 @@ const loadPreset = (index) => {
         }
         alert('接続可能なすべての節点ペアは既に接続されています。');
     };
-    elements.addNodeLoadBtn.onclick = () => { addRow(elements.nodeLoadsTable, ['<input type="number" value="1">', '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">']); };
-    elements.addMemberLoadBtn.onclick = () => { addRow(elements.memberLoadsTable, ['<input type="number" value="1">', '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">']); };
+    elements.addNodeLoadBtn.onclick = () => { addRow(elements.nodeLoadsTable, buildNodeLoadRowCells(1)); };
+    elements.addMemberLoadBtn.onclick = () => { addRow(elements.memberLoadsTable, ['<input type="number" value="1">', '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">', ...buildMemberLoadOptionCells()]); };
+    elements.addMemberSpanLoadBtn.onclick = () => { addRow(elements.memberSpanLoadsTable, buildSpanLoadRowCells()); };
+    elements.addMemberThermalLoadBtn.onclick = () => { addRow(elements.memberThermalLoadsTable, ['<input type="number" value="1">', '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">']); };
+    elements.addLoadCaseBtn.onclick = () => {
+        const existingIds = new Set(getLoadCaseDefinitions().map(loadCase => loadCase.id));
+        let number = elements.loadCasesTable.rows.length + 1;
+        while (existingIds.has(`C${number}`)) number++;
+        addLoadCaseRow(`C${number}`, `荷重ケース${number}`);
+        refreshLoadCaseSelectors();
+        elements.activeLoadCaseSelect.value = `C${number}`;
+        drawOnCanvas();
+    };
+    if (elements.addNodalMassBtn) {
+        elements.addNodalMassBtn.onclick = () => { addNodalMassRow(1, 1); };
+    }
+    elements.addLoadCombinationBtn.onclick = () => {
+        const existingIds = new Set(Array.from(elements.loadCombinationsTable.rows)
+            .map(row => row.cells[0]?.querySelector('input')?.value.trim()));
+        let number = elements.loadCombinationsTable.rows.length + 1;
+        while (existingIds.has(`LC${number}`)) number++;
+        // 既定の式は全荷重ケースを係数1.0で足し合わせた長期の組合せ
+        const expression = getLoadCaseDefinitions().map(loadCase => `1.0${loadCase.id}`).join('+');
+        addLoadCombinationRow(`LC${number}`, expression, 'long');
+    };
+    // 入力中の荷重ケースを切り替えると、モデル図にはそのケースの荷重だけを表示する
+    elements.activeLoadCaseSelect.addEventListener('change', () => drawOnCanvas());
     
     const saveInputData = () => {
         try {
@@ -16565,7 +18395,7 @@ const loadPreset = (index) => {
             };
             const csvSections = [];
             if (state.nodes.length > 0) {
-                const header = 'x,y,z,support,dx_forced,dy_forced,dz_forced';
+                const header = `x,y,z,support,dx_forced,dy_forced,dz_forced,${SUPPORT_SPRING_KEYS.join(',')},support_angle,support_vx,support_vy,support_vz`;
                 const rows = state.nodes.map(n => [
                     toCsvValue(n.x),
                     toCsvValue(n.y),
@@ -16573,12 +18403,17 @@ const loadPreset = (index) => {
                     toCsvValue(n.support),
                     toCsvValue(n.dx_forced),
                     toCsvValue(n.dy_forced),
-                    toCsvValue(n.dz_forced)
+                    toCsvValue(n.dz_forced),
+                    ...SUPPORT_SPRING_KEYS.map(key => toCsvValue(n.springs?.[key])),
+                    toCsvValue(n.supportAxes?.angle),
+                    toCsvValue(n.supportAxes?.vector?.x),
+                    toCsvValue(n.supportAxes?.vector?.y),
+                    toCsvValue(n.supportAxes?.vector?.z)
                 ].join(','));
                 csvSections.push('#NODES\n' + header + '\n' + rows.join('\n'));
             }
             if (state.members.length > 0) {
-                const header = 'i,j,E,strengthType,strengthValue,Iz,Iy,J,A,Zz,Zy,I,Z,i_conn,j_conn,Zx,ix,iy,sectionLabel,sectionSummary,sectionSource,sectionInfo,sectionAxisKey,sectionAxisMode,sectionAxisLabel';
+                const header = `i,j,E,strengthType,strengthValue,Iz,Iy,J,A,Zz,Zy,I,Z,i_conn,j_conn,Zx,ix,iy,sectionLabel,sectionSummary,sectionSource,sectionInfo,sectionAxisKey,sectionAxisMode,sectionAxisLabel,semiType,${SEMI_RIGID_KEYS.map(key => `semi_${key}`).join(',')},release_i,release_j,rollAngle,referenceNode,rigidZoneMode,rigidZone_i,rigidZone_j,shearArea_y,shearArea_z,plasticModulus_y,plasticModulus_z,axialBehavior,cable_pretension,cable_unstressedLength`;
                 const rows = state.members.map(m => {
                     const sectionLabel = encodeIfNeeded(m.sectionLabel || (m.sectionInfo && m.sectionInfo.label));
                     const sectionSummary = encodeIfNeeded(m.sectionSummary || (m.sectionInfo && m.sectionInfo.dimensionSummary));
@@ -16615,31 +18450,106 @@ const loadPreset = (index) => {
                         sectionInfoEncoded,
                         toCsvValue(sectionAxisKey),
                         toCsvValue(sectionAxisMode),
-                        sectionAxisLabel
+                        sectionAxisLabel,
+                        toCsvValue(m.semiRigid?.type),
+                        ...SEMI_RIGID_KEYS.map(key => toCsvValue(m.semiRigid?.[key])),
+                        toCsvValue(m.releases?.i?.join('/')),
+                        toCsvValue(m.releases?.j?.join('/')),
+                        toCsvValue(m.rollAngle),
+                        toCsvValue(m.referenceNode),
+                        toCsvValue(m.rigidZone?.mode),
+                        toCsvValue(m.rigidZone?.i),
+                        toCsvValue(m.rigidZone?.j),
+                        toCsvValue(m.shearAreas?.y),
+                        toCsvValue(m.shearAreas?.z),
+                        toCsvValue(m.plasticModuli?.y),
+                        toCsvValue(m.plasticModuli?.z),
+                        toCsvValue(m.axialBehavior),
+                        toCsvValue(m.cable?.pretension),
+                        toCsvValue(m.cable?.unstressedLength)
                     ].join(',');
                 });
                 csvSections.push('#MEMBERS\n' + header + '\n' + rows.join('\n'));
             }
+            if (state.loadCases.length > 0) {
+                const header = 'id,name';
+                const rows = state.loadCases.map(loadCase => [
+                    toCsvValue(loadCase.id),
+                    encodeIfNeeded(loadCase.name)
+                ].join(','));
+                csvSections.push('#LOADCASES\n' + header + '\n' + rows.join('\n'));
+            }
+            if (state.loadCombinations.length > 0) {
+                const header = 'id,expression,term';
+                const rows = state.loadCombinations.map(combination => [
+                    toCsvValue(combination.id),
+                    encodeIfNeeded(combination.expression),
+                    toCsvValue(combination.term)
+                ].join(','));
+                csvSections.push('#LOADCOMBINATIONS\n' + header + '\n' + rows.join('\n'));
+            }
             if (state.nodeLoads.length > 0) {
-                const header = 'node,px,py,pz';
+                const header = 'node,px,py,pz,mx,my,mz,case';
                 const rows = state.nodeLoads.map(l => [
                     toCsvValue(l.node),
                     toCsvValue(l.px),
                     toCsvValue(l.py),
-                    toCsvValue(l.pz)
+                    toCsvValue(l.pz),
+                    toCsvValue(l.mx),
+                    toCsvValue(l.my),
+                    toCsvValue(l.mz),
+                    toCsvValue(l.case)
                 ].join(','));
                 csvSections.push('#NODELOADS\n' + header + '\n' + rows.join('\n'));
             }
             if (state.memberLoads.length > 0) {
-                const header = 'member,wx,wy,wz';
+                const header = 'member,wx,wy,wz,coordinateSystem,projected,case';
                 const rows = state.memberLoads.map(l => [
                     toCsvValue(l.member),
                     toCsvValue(l.wx),
                     toCsvValue(l.wy ?? l.w),
-                    toCsvValue(l.wz)
+                    toCsvValue(l.wz),
+                    toCsvValue(l.coordinateSystem),
+                    toCsvValue(l.projected),
+                    toCsvValue(l.case)
                 ].join(','));
                 csvSections.push('#MEMBERLOADS\n' + header + '\n' + rows.join('\n'));
             }
+            if (state.spanLoads.length > 0) {
+                const header = 'member,type,direction,a,b,value,valueEnd,case';
+                const rows = state.spanLoads.map(l => [
+                    toCsvValue(l.member),
+                    toCsvValue(l.type),
+                    toCsvValue(l.direction),
+                    toCsvValue(l.a),
+                    toCsvValue(l.b),
+                    toCsvValue(l.value),
+                    toCsvValue(l.valueEnd),
+                    toCsvValue(l.case)
+                ].join(','));
+                csvSections.push('#SPANLOADS\n' + header + '\n' + rows.join('\n'));
+            }
+            if (state.thermalLoads.length > 0) {
+                const header = 'member,deltaT,gradientY,gradientZ,case';
+                const rows = state.thermalLoads.map(l => [
+                    toCsvValue(l.member),
+                    toCsvValue(l.deltaT),
+                    toCsvValue(l.gradientY),
+                    toCsvValue(l.gradientZ),
+                    toCsvValue(l.case)
+                ].join(','));
+                csvSections.push('#THERMALLOADS\n' + header + '\n' + rows.join('\n'));
+            }
+            if (state.nodalMasses.length > 0) {
+                const header = 'node,mass';
+                const rows = state.nodalMasses.map(nodalMass => [
+                    toCsvValue(nodalMass.node),
+                    toCsvValue(nodalMass.mass)
+                ].join(','));
+                csvSections.push('#NODALMASSES\n' + header + '\n' + rows.join('\n'));
+            }
+            // 解析条件は入れ子の設定（ユーザー定義スペクトルの複数行のテキストを含む）のため、JSON をエンコードした1行とする
+            csvSections.push('#ANALYSISOPTIONS\noptions\n' + encodeURIComponent(JSON.stringify(state.analysisOptions)));
             const csvString = csvSections.join('\n\n');
             const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
             const url = URL.createObjectURL(blob);
@@ -16662,10 +18572,10 @@ const loadPreset = (index) => {
             const file = e.target.files[0];
             if (!file) return;
             const reader = new FileReader();
-            reader.onload = (event) => {
+            reader.onload = async (event) => {
                 try {
                     const text = event.target.result;
-                    const state = { nodes: [], members: [], nodeLoads: [], memberLoads: [] };
+                    const state = { nodes: [], members: [], nodeLoads: [], memberLoads: [], spanLoads: [], thermalLoads: [], loadCases: [], loadCombinations: [], nodalMasses: [], analysisOptions: undefined };
                     const sections = text.split(/#\w+\s*/).filter(s => s.trim() !== '');
                     const headers = text.match(/#\w+/g) || [];
                     if (headers.length === 0 || sections.length === 0) throw new Error('有効なセクション（#NODESなど）が見つかりませんでした。');
@@ -16681,13 +18591,20 @@ const loadPreset = (index) => {
                             else if (header === '#MEMBERS') state.members.push(obj);
                             else if (header === '#NODELOADS') state.nodeLoads.push(obj);
                             else if (header === '#MEMBERLOADS') state.memberLoads.push(obj);
+                            else if (header === '#SPANLOADS') state.spanLoads.push(obj);
+                            else if (header === '#THERMALLOADS') state.thermalLoads.push(obj);
+                            else if (header === '#LOADCASES') state.loadCases.push({ id: obj.id, name: obj.name ? decodeURIComponent(obj.name) : obj.id });
+                            else if (header === '#LOADCOMBINATIONS') state.loadCombinations.push({ id: obj.id, expression: decodeURIComponent(obj.expression || ''), term: obj.term });
+                            else if (header === '#NODALMASSES') state.nodalMasses.push({ node: obj.node, mass: obj.mass });
+                            else if (header === '#ANALYSISOPTIONS' && obj.options) state.analysisOptions = JSON.parse(decodeURIComponent(obj.options));
                         });
                     });
                     if (state.nodes.length === 0 && state.members.length === 0) throw new Error('ファイルから有効なデータを読み込めませんでした。');
                     historyStack = [];
                     pushState();
                     restoreState(state);
-                    runFullAnalysis();
+                    await runFullAnalysis();
+                    drawOnCanvas();
                 } catch (error) {
                     alert('CSVファイルの読み込みに失敗しました: ' + error.message);
                 }
@@ -16808,8 +18725,11 @@ const loadPreset = (index) => {
             if (lastBucklingResults && lastBucklingResults.length > 0) {
                 bucklingReportHTML = `<div class="no-break"><h2>弾性座屈解析結果</h2>${generateReportTableHTML('buckling-analysis-results')}</div>`;
             }
+            if (lastGlobalBucklingResult && lastGlobalBucklingResult.modes.length > 0) {
+                bucklingReportHTML += `<div class="no-break"><h3>全体座屈解析（固有値解析）</h3><p>${elements.globalBucklingSummary.textContent}</p>${generateReportTableHTML('global-buckling-results')}</div>`;
+            }
 
-            reportWindow.document.write(`<html><head><title>構造解析レポート</title><style>body{font-family:sans-serif;margin:2em;}h1,h2,h3{color:#005A9C;border-bottom:2px solid #f0f8ff;padding-bottom:5px;}table{width:100%;border-collapse:collapse;margin-bottom:2em;}th,td{border:1px solid #ccc;padding:8px;text-align:center;}th{background-color:#f0f8ff;}img{max-width:100%;height:auto;border:1px solid #ccc;margin:1em 0;}.grid{display:grid;grid-template-columns:1fr;gap:20px;}.no-break{page-break-inside:avoid;}@media print{body{margin:1em;}button{display:none;}}</style></head><body><button onclick="window.print()">レポートを印刷</button><h1>構造解析レポート</h1><p>生成日時: ${new Date().toLocaleString()}</p><div class="no-break"><h2>モデル図</h2><img src="${modelCanvasImg}"></div><h2>入力データ</h2><div class="no-break"><h3>節点座標と境界条件</h3>${generateReportTableHTML('nodes-table')}</div><div class="no-break"><h3>部材 (物性値・接合条件)</h3>${generateReportTableHTML('members-table')}</div><div class="no-break"><h3>節点荷重</h3>${generateReportTableHTML('node-loads-table')}</div><div class="no-break"><h3>部材等分布荷重</h3>${generateReportTableHTML('member-loads-table')}</div><h2>計算結果</h2><div class="no-break grid"><div><h3>変位図</h3><img src="${displacementCanvasImg}"></div><div><h3>曲げモーメント図</h3><img src="${momentCanvasImg}"></div><div><h3>軸力図</h3><img src="${axialCanvasImg}"></div><div><h3>せん断力図</h3><img src="${shearCanvasImg}"></div></div><div class="no-break">${generateReportTableHTML('displacement-results')}</div><div class="no-break">${generateReportTableHTML('reaction-results')}</div><div class="no-break">${generateReportTableHTML('force-results')}</div><div class="no-break"><h2>断面算定結果</h2><h3>検定比図</h3><img src="${ratioCanvasImg}"><h3>検定比 詳細</h3>${generateReportTableHTML('section-check-results')}</div>${bucklingReportHTML}</body></html>`);
+            reportWindow.document.write(`<html><head><title>構造解析レポート</title><style>body{font-family:sans-serif;margin:2em;}h1,h2,h3{color:#005A9C;border-bottom:2px solid #f0f8ff;padding-bottom:5px;}table{width:100%;border-collapse:collapse;margin-bottom:2em;}th,td{border:1px solid #ccc;padding:8px;text-align:center;}th{background-color:#f0f8ff;}img{max-width:100%;height:auto;border:1px solid #ccc;margin:1em 0;}.grid{display:grid;grid-template-columns:1fr;gap:20px;}.no-break{page-break-inside:avoid;}@media print{body{margin:1em;}button{display:none;}}</style></head><body><button onclick="window.print()">レポートを印刷</button><h1>構造解析レポート</h1><p>生成日時: ${new Date().toLocaleString()}</p><div class="no-break"><h2>モデル図</h2><img src="${modelCanvasImg}"></div><h2>入力データ</h2><div class="no-break"><h3>節点座標と境界条件</h3>${generateReportTableHTML('nodes-table')}</div><div class="no-break"><h3>部材 (物性値・接合条件)</h3>${generateReportTableHTML('members-table')}</div><div class="no-break"><h3>節点荷重</h3>${generateReportTableHTML('node-loads-table')}</div><div class="no-break"><h3>部材等分布荷重</h3>${generateReportTableHTML('member-loads-table')}</div>${elements.memberSpanLoadsTable.rows.length > 0 ? `<div class="no-break"><h3>部材集中荷重・部分分布荷重</h3>${generateReportTableHTML('member-span-loads-table')}</div>` : ''}${elements.memberThermalLoadsTable.rows.length > 0 ? `<div class="no-break"><h3>部材温度荷重</h3>${generateReportTableHTML('member-thermal-loads-table')}</div>` : ''}<h2>計算結果</h2><div class="no-break grid"><div><h3>変位図</h3><img src="${displacementCanvasImg}"></div><div><h3>曲げモーメント図</h3><img src="${momentCanvasImg}"></div><div><h3>軸力図</h3><img src="${axialCanvasImg}"></div><div><h3>せん断力図</h3><img src="${shearCanvasImg}"></div></div><div class="no-break">${generateReportTableHTML('displacement-results')}</div><div class="no-break">${generateReportTableHTML('reaction-results')}</div><div class="no-break">${generateReportTableHTML('force-results')}</div><div class="no-break"><h2>断面算定結果</h2><h3>検定比図</h3><img src="${ratioCanvasImg}"><h3>検定比 詳細</h3>${generateReportTableHTML('section-check-results')}</div>${bucklingReportHTML}</body></html>`);
             reportWindow.document.close();
         } catch (e) {
             alert('レポートの生成に失敗しました: ' + e.message);
@@ -16817,18 +18737,50 @@ const loadPreset = (index) => {
         }
     };
     
-    const runFullAnalysis = () => {
+    const runFullAnalysis = async () => {
         // プリセット読み込み中は解析をスキップ
         if (window.isLoadingPreset) {
-            return;
+            return false;
+        }
+        const completed = await calculate();
+        if (!completed) {
+            if (!pendingAnalysis) hideAnalysisProgress();
+            return false;
+        }
+        try {
+            await runSectionCheck();
+        } catch (error) {
+            if (error?.message === ANALYSIS_CANCELLED) return false;
+            // 断面検定のエラーも計算のエラーと同じく画面に表示する（呼び出し側では待つだけでよいようにする）
+            elements.errorMessage.textContent = `エラー: ${error.message}`;
+            elements.errorMessage.style.display = 'block';
+            console.error(error);
+            return false;
+        } finally {
+            if (!pendingAnalysis) hideAnalysisProgress();
+        }
+        return true;
+    };
+    // 表示中の結果・検定条件が変わったときに断面検定をやり直す
+    const refreshSectionCheck = async () => {
+        // 解析中は、解析後の断面検定で選択中の条件が使われる
+        if (!lastResults || pendingAnalysis?.type === 'analysis') return;
+        try {
+            await runSectionCheck();
+        } catch (error) {
+            if (error?.message === ANALYSIS_CANCELLED) return;
+            elements.errorMessage.textContent = `エラー: ${error.message}`;
+            elements.errorMessage.style.display = 'block';
+            console.error(error);
+        } finally {
+            if (!pendingAnalysis) hideAnalysisProgress();
         }
-        calculate();
-        runSectionCheck();
     };
-    const runSectionCheck = () => {
+    const runSectionCheck = async () => {
         if (!lastResults) return;
         const selectedTerm = document.querySelector('input[name="load-term"]:checked').value;
-        lastSectionCheckResults = calculateSectionCheck(selectedTerm);
+        const sectionCheckResults = await runSectionCheckEngine(selectedTerm, lastResults, getSectionCheckCombinations(selectedTerm));
+        lastSectionCheckResults = sectionCheckResults;
         window.lastSectionCheckResults = lastSectionCheckResults; // グローバルに保存
 
         // エクセル出力用にも断面検定結果を保存
@@ -16842,9 +18794,9 @@ const loadPreset = (index) => {
     elements.calculateBtn.addEventListener('click', runFullAnalysis);
     
 
-    elements.calculateAndAnimateBtn.addEventListener('click', () => {
+    elements.calculateAndAnimateBtn.addEventListener('click', async () => {
         console.log('🎬 アニメーションボタンクリック');
-        runFullAnalysis();
+        await runFullAnalysis();
         // 描画コンテキストを更新してからアニメーション実行
         drawOnCanvas();
         // 少し遅延させてから描画コンテキストが確実に初期化されるようにする
@@ -16866,11 +18818,7 @@ const loadPreset = (index) => {
     });
     
     document.body.classList.remove('section-check-disabled');
-    elements.loadTermRadios.forEach(radio => radio.addEventListener('change', () => {
-        if (lastResults) {
-            runSectionCheck();
-        }
-    }));
+    elements.loadTermRadios.forEach(radio => radio.addEventListener('change', refreshSectionCheck));
     
     elements.gridToggle.addEventListener('change', drawOnCanvas);
     elements.gridSpacing.addEventListener('change', drawOnCanvas);
@@ -17094,7 +19042,7 @@ const loadPreset = (index) => {
     };
 
     // 共有リンクからモデルを読み込む関数
-    const loadFromShareLink = () => {
+    const loadFromShareLink = async () => {
         try {
             if (window.location.hash && window.location.hash.startsWith('#model=')) {
                 console.log("共有リンクからモデルを読み込みます...");
@@ -17116,10 +19064,13 @@ const loadPreset = (index) => {
                     elements.membersTable.innerHTML = '';
                     elements.nodeLoadsTable.innerHTML = '';
                     elements.memberLoadsTable.innerHTML = '';
+                    elements.memberSpanLoadsTable.innerHTML = '';
+                    elements.memberThermalLoadsTable.innerHTML = '';
                     clearResults();
 
                     restoreState(state);
-                    runFullAnalysis();
+                    await runFullAnalysis();
+                    drawOnCanvas();
                     console.log("モデルの読み込みが完了しました。");
                     if (elements.presetSelector) {
                         let shareOption = elements.presetSelector.querySelector('option[value="shared"]');
@@ -17310,6 +19261,11 @@ const loadPreset = (index) => {
                 });
                 
                 nodeLoadsToDelete.forEach(row => row.remove());
+
+                // この節点の節点質量を削除
+                Array.from(elements.nodalMassesTable?.rows || [])
+                    .filter(row => parseInt(row.cells[0].querySelector('input').value) === deletedNodeNumber)
+                    .forEach(row => row.remove());
                 
                 // 節点を削除
                 elements.nodesTable.rows[nodeIndex].remove();
@@ -17331,7 +19287,7 @@ const loadPreset = (index) => {
                 
                 // この部材に関連する荷重を削除
                 const memberLoadsToDelete = [];
-                Array.from(elements.memberLoadsTable.rows).forEach(row => {
+                [...elements.memberLoadsTable.rows, ...elements.memberSpanLoadsTable.rows, ...elements.memberThermalLoadsTable.rows].forEach(row => {
                     const memberInput = row.cells[0].querySelector('input');
                     const memberNumber = parseInt(memberInput.value);
                     if (memberNumber === deletedMemberNumber) {
@@ -17366,10 +19322,11 @@ const loadPreset = (index) => {
             if (endNode > deletedNodeNumber) {
                 endInput.value = endNode - 1;
             }
+            shiftMemberRowReferenceNode(row, deletedNodeNumber);
         });
         
-        // 節点荷重表の節点番号を更新
-        Array.from(elements.nodeLoadsTable.rows).forEach(row => {
+        // 節点荷重表・節点質量表の節点番号を更新
+        [...elements.nodeLoadsTable.rows, ...(elements.nodalMassesTable?.rows || [])].forEach(row => {
             const nodeInput = row.cells[0].querySelector('input');
             const nodeNumber = parseInt(nodeInput.value);
             
@@ -17381,8 +19338,8 @@ const loadPreset = (index) => {
 
     // 部材削除後の番号調整
     const updateMemberNumbersAfterDeletion = (deletedMemberNumber) => {
-        // 部材荷重表の部材番号を更新
-        Array.from(elements.memberLoadsTable.rows).forEach(row => {
+        // 部材荷重表・温度荷重表の部材番号を更新
+        [...elements.memberLoadsTable.rows, ...elements.memberSpanLoadsTable.rows, ...elements.memberThermalLoadsTable.rows].forEach(row => {
             const memberInput = row.cells[0].querySelector('input');
             const memberNumber = parseInt(memberInput.value);
             
@@ -17400,6 +19357,13 @@ const loadPreset = (index) => {
             elements.membersTable.innerHTML = '';
             elements.nodeLoadsTable.innerHTML = '';
             elements.memberLoadsTable.innerHTML = '';
+            elements.memberSpanLoadsTable.innerHTML = '';
+            elements.memberThermalLoadsTable.innerHTML = '';
+            resetLoadCases();
+            resetLoadCombinations();
+            applyAnalysisOptions();
+            resetNodalMasses();
+            clearPinnedAnalysisResults();
             clearResults();
             drawOnCanvas();
         }
@@ -17889,10 +19853,20 @@ const loadPreset = (index) => {
             // 1. 入力データシート
             await addInputDataSheet(workbook);
             
-            // 2. 解析結果シート
+            // 2. 解析結果シート（表示中の荷重ケース）
             if (lastAnalysisResult && lastAnalysisResult.displacements) {
                 await addAnalysisResultSheet(workbook);
             }
+
+            // 荷重ケース・荷重組合せごとの解析結果シート
+            const storedResults = lastLoadCaseResults ? [...lastLoadCaseResults.cases, ...lastLoadCaseResults.combinations, ...lastLoadCaseResults.spectrumResults] : [];
+            if (storedResults.length > 1) {
+                const { nodes, members } = lastLoadCaseResults;
+                for (const caseResult of storedResults) {
+                    const summary = buildAnalysisResultSummary(caseResult.D, caseResult.R, caseResult.forces, nodes, members);
+                    await addAnalysisResultSheet(workbook, summary, caseResult);
+                }
+            }
             
             // 3. 断面検定結果シート
             if ((lastAnalysisResult && lastAnalysisResult.sectionCheckResults && lastAnalysisResult.sectionCheckResults.length > 0) ||
@@ -17962,13 +19936,29 @@ const loadPreset = (index) => {
             });
             data.push([]);
             
+            // 荷重ケース
+            const loadCaseNames = new Map(getLoadCaseDefinitions().map(loadCase => [loadCase.id, loadCase.name]));
+            data.push(['■ 荷重ケース']);
+            data.push(['記号', '名称']);
+            loadCaseNames.forEach((name, id) => data.push([id, name]));
+            data.push([]);
+
+            // 荷重組合せ
+            const loadCombinations = getLoadCombinationDefinitions();
+            if (loadCombinations.length > 0) {
+                data.push(['■ 荷重組合せ']);
+                data.push(['記号', '組合せ式', '期間']);
+                loadCombinations.forEach(combination => data.push([combination.id, combination.expression, LOAD_COMBINATION_TERMS[combination.term]]));
+                data.push([]);
+            }
+
             // 節点荷重データ
             if (inputs.nodeLoads && inputs.nodeLoads.length > 0) {
                 data.push(['■ 節点荷重データ']);
-                data.push(['節点番号', 'Px(kN)', 'Py(kN)', 'Mz(kN·m)']);
+                data.push(['節点番号', 'Px(kN)', 'Py(kN)', 'Pz(kN)', 'Mx(kN·m)', 'My(kN·m)', 'Mz(kN·m)', '荷重ケース']);
                 inputs.nodeLoads.forEach(load => {
-                    if (load.px !== 0 || load.py !== 0 || load.mz !== 0) {
-                        data.push([load.nodeIndex + 1, load.px, load.py, load.mz]);
+                    if (NODE_LOAD_COMPONENT_KEYS.some(key => load[key] !== 0)) {
+                        data.push([load.nodeIndex + 1, ...NODE_LOAD_COMPONENT_KEYS.map(key => load[key]), load.caseId]);
                     }
                 });
                 data.push([]);
@@ -17977,10 +19967,10 @@ const loadPreset = (index) => {
             // 部材荷重データ
             if (inputs.memberLoads && inputs.memberLoads.length > 0) {
                 data.push(['■ 部材荷重データ']);
-                data.push(['部材番号', '分布荷重(kN/m)']);
+                data.push(['部材番号', '分布荷重(kN/m)', '荷重ケース']);
                 inputs.memberLoads.forEach(load => {
                     if (load.w !== 0) {
-                        data.push([load.memberIndex + 1, load.w]);
+                        data.push([load.memberIndex + 1, load.w, load.caseId]);
                     }
                 });
             }
@@ -17994,22 +19984,25 @@ const loadPreset = (index) => {
         XLSX.utils.book_append_sheet(workbook, worksheet, '入力データ');
     }
 
-    // 解析結果シート作成
-    async function addAnalysisResultSheet(workbook) {
+    // 解析結果シート作成（loadCase を指定した場合はその荷重ケースのシートを作る）
+    async function addAnalysisResultSheet(workbook, result = lastAnalysisResult, loadCase = null) {
         console.log('解析結果シートを作成中...');
         
         const data = [];
         data.push(['■ 解析結果']);
+        if (loadCase) {
+            data.push([loadCase.term ? `荷重組合せ（${LOAD_COMBINATION_TERMS[loadCase.term]}）` : '荷重ケース', `${loadCase.id}: ${loadCase.name}`]);
+        }
         data.push([]);
         
-        if (lastAnalysisResult && lastAnalysisResult.displacements && lastAnalysisResult.displacements.length > 0) {
-            const dispSample = lastAnalysisResult.displacements[0];
+        if (result && result.displacements && result.displacements.length > 0) {
+            const dispSample = result.displacements[0];
             const is3DDisp = dispSample && typeof dispSample.z === 'number';
 
             data.push(['■ 節点変位結果']);
             if (is3DDisp) {
                 data.push(['節点番号', 'X変位(mm)', 'Y変位(mm)', 'Z変位(mm)', 'θx(rad)', 'θy(rad)', 'θz(rad)']);
-                lastAnalysisResult.displacements.forEach((disp, i) => {
+                result.displacements.forEach((disp, i) => {
                     data.push([
                         i + 1,
                         (disp.x * 1000).toFixed(3),
@@ -18022,7 +20015,7 @@ const loadPreset = (index) => {
                 });
             } else {
                 data.push(['節点番号', 'X変位(mm)', 'Y変位(mm)', '回転(rad)']);
-                lastAnalysisResult.displacements.forEach((disp, i) => {
+                result.displacements.forEach((disp, i) => {
                     data.push([i + 1, (disp.x * 1000).toFixed(3), (disp.y * 1000).toFixed(3), disp.rotation.toFixed(6)]);
                 });
             }
@@ -18032,8 +20025,8 @@ const loadPreset = (index) => {
             data.push([]);
         }
         
-        if (lastAnalysisResult && lastAnalysisResult.forces && lastAnalysisResult.forces.length > 0) {
-            const forceSample = lastAnalysisResult.forces[0];
+        if (result && result.forces && result.forces.length > 0) {
+            const forceSample = result.forces[0];
             const is3DForce = forceSample && forceSample.i && Object.prototype.hasOwnProperty.call(forceSample.i, 'Vy');
 
             data.push(['■ 部材力結果']);
@@ -18043,7 +20036,7 @@ const loadPreset = (index) => {
                     'i端軸力(kN)', 'i端せん断力Vy(kN)', 'i端せん断力Vz(kN)', 'i端ねじりTx(kN·m)', 'i端曲げMy(kN·m)', 'i端曲げMz(kN·m)',
                     'j端軸力(kN)', 'j端せん断力Vy(kN)', 'j端せん断力Vz(kN)', 'j端ねじりTx(kN·m)', 'j端曲げMy(kN·m)', 'j端曲げMz(kN·m)'
                 ]);
-                lastAnalysisResult.forces.forEach((force, i) => {
+                result.forces.forEach((force, i) => {
                     data.push([
                         i + 1,
                         force.i.N.toFixed(2),
@@ -18062,7 +20055,7 @@ const loadPreset = (index) => {
                 });
             } else {
                 data.push(['部材番号', 'i端軸力(kN)', 'i端せん断力(kN)', 'i端曲げモーメント(kN·m)', 'j端軸力(kN)', 'j端せん断力(kN)', 'j端曲げモーメント(kN·m)']);
-                lastAnalysisResult.forces.forEach((force, i) => {
+                result.forces.forEach((force, i) => {
                     data.push([
                         i + 1,
                         force.i.N.toFixed(2),
@@ -18079,7 +20072,9 @@ const loadPreset = (index) => {
         }
         
         const worksheet = XLSX.utils.aoa_to_sheet(data);
-        XLSX.utils.book_append_sheet(workbook, worksheet, '解析結果');
+        // シート名は31文字まで
+        const sheetName = loadCase ? `解析結果_${loadCase.id}`.slice(0, 31) : '解析結果';
+        XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
     }
 
     // 断面検定結果シート作成
@@ -18615,21 +20610,24 @@ const loadPreset = (index) => {
         switch (type) {
             case 'node-load-px':
             case 'node-load-py':
+            case 'node-load-pz':
+            case 'node-load-mx':
+            case 'node-load-my':
             case 'node-load-mz': {
-                let loadRow = Array.from(elements.nodeLoadsTable.rows).find(r => parseInt(r.cells[0].querySelector('input').value) - 1 === index);
+                let loadRow = findNodeLoadRow(index);
                 if (!loadRow) {
                     // 荷重行が存在しない場合は新規作成
-                    addRow(elements.nodeLoadsTable, [`<input type="number" value="${index + 1}">`, '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">']);
+                    addRow(elements.nodeLoadsTable, buildNodeLoadRowCells(index + 1));
                     loadRow = elements.nodeLoadsTable.rows[elements.nodeLoadsTable.rows.length - 1];
                 }
-                const cellIndex = { 'node-load-px': 1, 'node-load-py': 2, 'node-load-mz': 3 }[type];
+                const cellIndex = NODE_LOAD_COMPONENT_KEYS.indexOf(type.replace('node-load-', '')) + 1;
                 loadRow.cells[cellIndex].querySelector('input').value = newValue;
                 break;
             }
             case 'member-load-w': {
-                let loadRow = Array.from(elements.memberLoadsTable.rows).find(r => parseInt(r.cells[0].querySelector('input').value) - 1 === index);
+                let loadRow = findMemberLoadRow(index);
                 if (!loadRow) {
-                    addRow(elements.memberLoadsTable, [`<input type="number" value="${index + 1}">`, '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">']);
+                    addRow(elements.memberLoadsTable, [`<input type="number" value="${index + 1}">`, '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">', ...buildMemberLoadOptionCells()]);
                     loadRow = elements.memberLoadsTable.rows[elements.memberLoadsTable.rows.length - 1];
                 }
                 const targetCellIndex = labelInfo.component === 'wx' ? 1 : labelInfo.component === 'wz' ? 3 : 2;
@@ -18641,8 +20639,8 @@ const loadPreset = (index) => {
         // データを更新後に即座に再描画
         drawOnCanvas();
 
-        // 解析結果がある場合は再計算も実行
-        runFullAnalysis();
+        // 解析結果がある場合は再計算も実行し、結果を表示してから描き直す
+        runFullAnalysis().then(() => drawOnCanvas());
     };
 
     elements.modelCanvas.addEventListener('dblclick', (e) => {
@@ -18825,8 +20823,11 @@ const initializeFrameGenerator = () => {
         const membersTable = document.getElementById('members-table')?.getElementsByTagName('tbody')[0];
         const nodeLoadsTable = document.getElementById('node-loads-table')?.getElementsByTagName('tbody')[0];
         const memberLoadsTable = document.getElementById('member-loads-table')?.getElementsByTagName('tbody')[0];
+        const memberSpanLoadsTable = document.getElementById('member-span-loads-table')?.getElementsByTagName('tbody')[0];
+        const memberThermalLoadsTable = document.getElementById('member-thermal-loads-table')?.getElementsByTagName('tbody')[0];
+        const nodalMassesTable = document.getElementById('nodal-masses-table')?.getElementsByTagName('tbody')[0];
         
-        const tables = [nodesTable, membersTable, nodeLoadsTable, memberLoadsTable];
+        const tables = [nodesTable, membersTable, nodeLoadsTable, memberLoadsTable, memberSpanLoadsTable, memberThermalLoadsTable, nodalMassesTable];
         
         tables.forEach(table => {
             if (table && table.rows) {
@@ -18910,7 +20911,7 @@ const initializeFrameGenerator = () => {
         }
     };
 
-    const generateFrame = () => {
+    const generateFrame = async () => {
         try {
             const floors = parseInt(floorsInput.value) || 1;
             const spans = parseInt(spansInput.value) || 1;
@@ -19087,7 +21088,7 @@ const initializeFrameGenerator = () => {
             hideModal();
 
             if (typeof runFullAnalysis === 'function') {
-                runFullAnalysis();
+                await runFullAnalysis();
             }
 
             if (typeof drawOnCanvas === 'function') {
@@ -19224,6 +21225,11 @@ function sendModelToViewer() {
     if (viewerWindow && !viewerWindow.closed) {
         try {
             const modelData = parseInputs();
+            // 独立ウィンドウは解析エンジンを読み込まないので、部材荷重は実長あたりのグローバル成分にして送る
+            modelData.memberLoads = modelData.memberLoads.map(load => ({
+                ...load,
+                ...resolveMemberLoadGlobalComponents(load, modelData.nodes, modelData.members)
+            }));
             viewerWindow.postMessage({ type: 'updateModel', data: modelData }, '*');
         } catch (error) {
             console.error("3Dビューアへのモデル更新送信に失敗しました:", error);
@@ -19637,9 +21643,17 @@ window.showMemberProperties = function(memberIndex) {
     if (popupJConn) {
         popupJConn.value = connectionTargets.j.select?.value || 'rigid';
     }
+    fillPopupSemiRigidFields(memberRow);
+    fillPopupReleaseFields(memberRow);
+    fillPopupAxisOrientationFields(memberRow);
+    fillPopupRigidZoneFields(memberRow);
+    fillPopupShearAreaFields(memberRow);
+    fillPopupPlasticModulusFields(memberRow);
+    fillPopupAxialBehaviorField(memberRow);
+    fillPopupCableFields(memberRow);
 
     // 部材荷重の設定
-    const memberLoadRow = Array.from(elements.memberLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value) - 1 === memberIndex);
+    const memberLoadRow = Array.from(elements.memberLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value) - 1 === memberIndex && isLoadRowInActiveCase(row));
     document.getElementById('popup-w').value = memberLoadRow ? memberLoadRow.cells[1].querySelector('input').value : '0';
 
     // ポップアップを画面中央に表示
@@ -0,0 +1,420 @@
+/**
+ * 部材途中の断面力の計算
+ * 部材端の断面力から部材途中の曲げモーメント・せん断力・軸力を求める。
+ * DOMに依存しないため、応力図の描画（new_displacement_diagram.js）と解析ワーカーの断面検定の双方から利用できる。
+ */
+
+// 部材荷重の局所y方向の等分布荷重 (kN/m)
+const getMemberDistributedLoadY = (memberLoad) => {
+    if (!memberLoad) return 0;
+    const value = memberLoad.wy ?? memberLoad.w ?? 0;
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : 0;
+};
+
+/**
+ * 部材途中の曲げモーメントを計算する関数（3Dフレーム対応）
+ * せん断力が一定の場合は線形、等分布荷重がある場合は二次曲線を考慮
+ * 
+ * @param {object} memberForce - 部材力オブジェクト
+ * @param {number} L - 部材長さ (m)
+ * @param {number} xi - 部材長さ方向の無次元座標 (0.0 ~ 1.0)
+ * @param {string} axis - モーメント軸 ('y' or 'z')
+ * @param {number} w - 等分布荷重 (kN/m) - オプション
+ * @returns {number} 位置xiでの曲げモーメント値 (kN・m)
+ */
+const calculateMemberAxial = (memberForce, xi) => {
+    if (!memberForce) return 0;
+    const { Ni, Nj } = getAxialComponents(memberForce);
+    const start = toNumber(Ni, 0);
+    const end = toNumber(Nj, start);
+    const rawValue = start + (end - start) * xi;
+    const targetStart = convertAxialForDiagram(start, 'i');
+    const targetEnd = convertAxialForDiagram(end, 'j');
+    return adjustValueForEndpoints(rawValue, start, end, targetStart, targetEnd, xi);
+};
+
+// --- 釣合いによる部材途中の断面力 ---
+// 解析結果の断面力に付く局所座標系の荷重（等分布荷重 w・wz、部材途中の荷重 spanLoads）と i端の部材端力から、
+// i端側の釣合いで位置 x の断面力を求める（集中荷重・集中モーメント・部分分布荷重も厳密に扱える）
+const hasSpanLoads = (memberForce) => Array.isArray(memberForce?.spanLoads) && memberForce.spanLoads.length > 0;
+
+// 部材に作用する荷重が断面力に付いている（解析エンジンの断面力）か
+const hasMemberLoadData = (memberForce) => hasSpanLoads(memberForce)
+    || Number.isFinite(memberForce?.w) || Number.isFinite(memberForce?.wz);
+
+// 曲げモーメント図の軸に対応する曲げの面（2Dの断面力は面内の値だけを持つ、3Dのねじりは対象外）
+// 局所z方向の荷重によるy軸まわりの曲げは θy = −dw/dx なので、釣合いのモーメントの向きが逆になる
+const getBendingPlaneForAxis = (memberForce, axis) => {
+    const is3D = Number.isFinite(memberForce.My_i);
+    if (!is3D) {
+        return { Mi: toNumber(memberForce.M_i), Qi: toNumber(memberForce.Q_i), direction: 'y', momentAxis: 'z', sign: 1 };
+    }
+    if (axis === 'z') {
+        return { Mi: toNumber(memberForce.Mz_i), Qi: toNumber(memberForce.Qy_i), direction: 'y', momentAxis: 'z', sign: 1 };
+    }
+    if (axis === 'y') {
+        return { Mi: toNumber(memberForce.My_i), Qi: toNumber(memberForce.Qz_i), direction: 'z', momentAxis: 'y', sign: -1 };
+    }
+    return null;
+};
+
+// せん断力図の方向のi端のせん断力と荷重の方向（2Dの断面力は面内の値だけを持つ）
+const getShearDirectionForAxis = (memberForce, axis) => {
+    if (!Number.isFinite(memberForce.Qy_i)) return { Qi: toNumber(memberForce.Q_i), direction: 'y' };
+    if (axis === 'y') return { Qi: toNumber(memberForce.Qy_i), direction: 'y' };
+    if (axis === 'z') return { Qi: toNumber(memberForce.Qz_i), direction: 'z' };
+    return null;
+};
+
+/**
+ * i端から位置 x までに作用する荷重の合力、その位置 x まわりのモーメント、集中モーメントの合計
+ * 部材全長の等分布荷重（断面力の w・wz）も含める。集中荷重は位置 x の直後の値とし、材端 x = L では全ての荷重を含める。
+ * @param {object} memberForce - spanLoads を持つ部材力
+ * @param {number} x - i端からの距離 (m)
+ * @param {number} L - 部材長さ (m)
+ * @param {'y'|'z'} direction - 荷重の局所座標系の方向
+ * @param {'x'|'y'|'z'} [momentAxis] - 集中モーメントの局所座標系の軸
+ * @returns {{force: number, moment: number, appliedMoment: number}}
+ */
+const sumSpanLoadsUpTo = (memberForce, x, L, direction, momentAxis) => {
+    const uniformLoad = toNumber(direction === 'y' ? memberForce.w : memberForce.wz, 0);
+    const result = { force: uniformLoad * x, moment: uniformLoad * x * x / 2, appliedMoment: 0 };
+    (memberForce.spanLoads || []).forEach(load => {
+        const a = toNumber(load.a, 0);
+        if (load.type === 'distributed') {
+            const b = toNumber(load.b, a);
+            const end = Math.min(b, x);
+            if (!(end > a) || !(b > a)) return;
+            const q1 = toNumber(load.value?.[direction], 0);
+            const q2 = toNumber(load.valueEnd?.[direction], q1);
+            const intensityAt = (s) => q1 + (q2 - q1) * (s - a) / (b - a);
+            // 直線分布なのでシンプソン則で厳密に積分できる
+            const mid = (a + end) / 2;
+            const h = (end - a) / 6;
+            result.force += h * (intensityAt(a) + 4 * intensityAt(mid) + intensityAt(end));
+            result.moment += h * ((x - a) * intensityAt(a) + 4 * (x - mid) * intensityAt(mid) + (x - end) * intensityAt(end));
+            return;
+        }
+        if (!(a < x || x >= L)) return;
+        if (load.type === 'moment') {
+            if (momentAxis) result.appliedMoment += toNumber(load.value?.[momentAxis], 0);
+            return;
+        }
+        const P = toNumber(load.value?.[direction], 0);
+        result.force += P;
+        result.moment += P * (x - a);
+    });
+    return result;
+};
+
+// 釣合いによる曲げモーメント（材端の値は convertMomentForDiagram と同じ向き）
+// 荷重組合せの包絡値のように釣合わない断面力は、j端の値との差を直線的に補正する
+const calculateMomentByEquilibrium = (memberForce, L, xi, axis) => {
+    const plane = getBendingPlaneForAxis(memberForce, axis);
+    if (!plane) return null;
+    const momentAt = (x) => {
+        const { moment, appliedMoment } = sumSpanLoadsUpTo(memberForce, x, L, plane.direction, plane.momentAxis);
+        return -plane.Mi + plane.sign * (x * plane.Qi + moment) - appliedMoment;
+    };
+    const { Mj } = getMomentComponentsForAxis(memberForce, plane.momentAxis === 'y' ? 'y' : 'z');
+    return momentAt(xi * L) + (convertMomentForDiagram(Mj, 'j') - momentAt(L)) * xi;
+};
+
+// 釣合いによるせん断力（材端の値は convertShearForDiagram と同じ向き）
+const calculateShearByEquilibrium = (memberForce, L, xi, axis) => {
+    const shear = getShearDirectionForAxis(memberForce, axis);
+    if (!shear) return null;
+    const shearAt = (x) => shear.Qi + sumSpanLoadsUpTo(memberForce, x, L, shear.direction).force;
+    const { Qj } = getShearComponentsForAxis(memberForce, shear.direction);
+    return shearAt(xi * L) + (convertShearForDiagram(Qj, 'j') - shearAt(L)) * xi;
+};
+
+// 断面力図の分割点（部材途中の荷重の位置では、その直後の点も加えて集中荷重による変化を描く）
+const getMemberDiagramStations = (memberForce, L, numDivisions) => {
+    const stations = Array.from({ length: numDivisions + 1 }, (_, k) => k / numDivisions);
+    if (!hasSpanLoads(memberForce) || !(L > 0)) return stations;
+    memberForce.spanLoads.forEach(load => {
+        [load.a, load.type === 'distributed' ? load.b : null].forEach(position => {
+            const xi = toNumber(position, NaN) / L;
+            if (xi > 0 && xi < 1) stations.push(xi, Math.min(xi + 1e-6, 1));
+        });
+    });
+    return Array.from(new Set(stations)).sort((p, q) => p - q);
+};
+
+// 3D構造用の軸別応力計算関数
+const calculateMemberMomentForAxis = (memberForce, L, xi, axis, w = null) => {
+    if (!memberForce) return 0;
+    if (!Number.isFinite(L) || Math.abs(L) <= 1e-9) return 0;
+    if (hasMemberLoadData(memberForce)) {
+        const moment = calculateMomentByEquilibrium(memberForce, L, xi, axis);
+        if (moment !== null) return moment;
+    }
+
+    const { Mi, Mj } = getMomentComponentsForAxis(memberForce, axis);
+    const { Qi, Qj } = getShearComponentsForAxis(memberForce, axis);
+
+    const M_i = Mi;
+    const M_j = Mj;
+    const Q_i = Number.isFinite(Qi) ? Qi : 0;
+    const Q_j = Number.isFinite(Qj) ? Qj : Q_i;
+
+    const x_m = xi * L; // 実際の距離（m）
+
+    let equivalentW;
+    if (Number.isFinite(w) && w !== null) {
+        equivalentW = w;
+    } else if (Number.isFinite(Q_i) && Number.isFinite(Q_j)) {
+        equivalentW = (Q_i - Q_j) / L;
+    } else {
+        equivalentW = 0;
+    }
+
+    let moment = M_i + Q_i * x_m - 0.5 * equivalentW * x_m * x_m;
+
+    if (Number.isFinite(M_j)) {
+        const predictedEndMoment = M_i + Q_i * L - 0.5 * equivalentW * L * L;
+        const delta = predictedEndMoment - M_j;
+        if (Number.isFinite(delta) && Math.abs(L) > 1e-9) {
+            moment -= delta * (x_m / L);
+        }
+    }
+
+    const rawStart = M_i;
+    const rawEnd = M_j;
+    const targetStart = convertMomentForDiagram(rawStart, 'i');
+    const targetEnd = convertMomentForDiagram(rawEnd, 'j');
+    return adjustValueForEndpoints(moment, rawStart, rawEnd, targetStart, targetEnd, xi);
+};
+
+const calculateMemberShearForAxis = (memberForce, L, xi, axis, w = null) => {
+    if (!memberForce) return 0;
+    if (hasMemberLoadData(memberForce) && Number.isFinite(L) && Math.abs(L) > 1e-9) {
+        const shear = calculateShearByEquilibrium(memberForce, L, xi, axis);
+        if (shear !== null) return shear;
+    }
+    const x_m = xi * L; // 実際の距離（m）
+
+    const { Qi, Qj } = getShearComponentsForAxis(memberForce, axis);
+    const Q_i = Number.isFinite(Qi) ? Qi : 0;
+    const Q_j = Number.isFinite(Qj) ? Qj : Q_i;
+
+    let equivalentW;
+    if (Number.isFinite(w) && w !== null) {
+        equivalentW = w;
+    } else if (Number.isFinite(Q_i) && Number.isFinite(Q_j) && Math.abs(L) > 1e-9) {
+        equivalentW = (Q_i - Q_j) / L;
+    } else {
+        equivalentW = 0;
+    }
+
+    const shear = Q_i - equivalentW * x_m;
+
+    const rawStart = Q_i;
+    const rawEnd = Q_j;
+    const targetStart = convertShearForDiagram(rawStart, 'i');
+    const targetEnd = convertShearForDiagram(rawEnd, 'j');
+    return adjustValueForEndpoints(shear, rawStart, rawEnd, targetStart, targetEnd, xi);
+};
+
+const calculateMemberMoment = (memberForce, L, xi, axis = 'y', w = null) => {
+    if (!memberForce) return 0;
+    if (!Number.isFinite(L) || Math.abs(L) <= 1e-9) return 0;
+    if (hasMemberLoadData(memberForce)) {
+        const moment = calculateMomentByEquilibrium(memberForce, L, xi, axis);
+        if (moment !== null) return moment;
+    }
+
+    const { Mi, Mj } = getMomentComponentsForAxis(memberForce, axis);
+    const { Qi, Qj } = getShearComponentsForAxis(memberForce, axis);
+
+    const M_i = Mi;
+    const M_j = Mj;
+    const Q_i = Number.isFinite(Qi) ? Qi : 0;
+    const Q_j = Number.isFinite(Qj) ? Qj : Q_i;
+
+    const x_m = xi * L; // 実際の距離（m）
+
+    let equivalentW;
+    if (Number.isFinite(w) && w !== null) {
+        equivalentW = w;
+    } else if (Number.isFinite(Q_i) && Number.isFinite(Q_j)) {
+        equivalentW = (Q_i - Q_j) / L;
+    } else {
+        equivalentW = 0;
+    }
+
+    let moment = M_i + Q_i * x_m - 0.5 * equivalentW * x_m * x_m;
+
+    if (Number.isFinite(M_j)) {
+        const predictedEndMoment = M_i + Q_i * L - 0.5 * equivalentW * L * L;
+        const delta = predictedEndMoment - M_j;
+        if (Number.isFinite(delta) && Math.abs(L) > 1e-9) {
+            moment -= delta * (x_m / L);
+        }
+    }
+
+    const rawStart = M_i;
+    const rawEnd = M_j;
+    const targetStart = convertMomentForDiagram(rawStart, 'i');
+    const targetEnd = convertMomentForDiagram(rawEnd, 'j');
+
+    return adjustValueForEndpoints(moment, rawStart, rawEnd, targetStart, targetEnd, xi);
+};
+
+/**
+ * 部材途中のせん断力を計算する関数（3Dフレーム対応）
+ * 
+ * @param {object} memberForce - 部材力オブジェクト
+ * @param {number} L - 部材長さ (m)
+ * @param {number} xi - 部材長さ方向の無次元座標 (0.0 ~ 1.0)
+ * @param {string} axis - せん断力方向 ('y' or 'z')
+ * @param {number} w - 等分布荷重 (kN/m) - オプション
+ * @returns {number} 位置xiでのせん断力値 (kN)
+ */
+const calculateMemberShear = (memberForce, L, xi, axis = 'y', w = null) => {
+    if (!memberForce) return 0;
+    if (hasMemberLoadData(memberForce) && Number.isFinite(L) && Math.abs(L) > 1e-9) {
+        const shear = calculateShearByEquilibrium(memberForce, L, xi, axis);
+        if (shear !== null) return shear;
+    }
+    const x_m = xi * L; // 実際の距離（m）
+
+    const { Qi, Qj } = getShearComponentsForAxis(memberForce, axis);
+    const Q_i = Number.isFinite(Qi) ? Qi : 0;
+    const Q_j = Number.isFinite(Qj) ? Qj : Q_i;
+
+    let equivalentW;
+    if (Number.isFinite(w) && w !== null) {
+        equivalentW = w;
+    } else if (Number.isFinite(Q_i) && Number.isFinite(Q_j) && Math.abs(L) > 1e-9) {
+        equivalentW = (Q_i - Q_j) / L;
+    } else {
+        equivalentW = 0;
+    }
+
+    const shear = Q_i - equivalentW * x_m;
+
+    const rawStart = Q_i;
+    const rawEnd = Q_j;
+    const targetStart = convertShearForDiagram(rawStart, 'i');
+    const targetEnd = convertShearForDiagram(rawEnd, 'j');
+
+    return adjustValueForEndpoints(shear, rawStart, rawEnd, targetStart, targetEnd, xi);
+};
+
+const toNumber = (value, fallback = 0) => (Number.isFinite(value) ? value : fallback);
+
+const pickDominantComponent = (primary, secondary) => {
+    const p = toNumber(primary);
+    const s = toNumber(secondary);
+    if (Math.abs(p) >= Math.abs(s)) return p;
+    return s;
+};
+
+const getMomentComponentsForAxis = (memberForce, axis) => {
+    if (!memberForce) return { Mi: 0, Mj: 0 };
+
+    const fallbackMi = toNumber(memberForce.M_i);
+    const fallbackMj = toNumber(memberForce.M_j);
+
+    switch (axis) {
+        case 'z':
+            return {
+                Mi: toNumber(memberForce.Mz_i, fallbackMi),
+                Mj: toNumber(memberForce.Mz_j, fallbackMj)
+            };
+        case 'y':
+            return {
+                Mi: toNumber(memberForce.My_i, fallbackMi),
+                Mj: toNumber(memberForce.My_j, fallbackMj)
+            };
+        case 'x':
+        default:
+            return {
+                Mi: toNumber(memberForce.Mx_i, fallbackMi),
+                Mj: toNumber(memberForce.Mx_j, fallbackMj)
+            };
+    }
+};
+
+const getShearComponentsForAxis = (memberForce, axis) => {
+    if (!memberForce) return { Qi: 0, Qj: 0 };
+
+    const fallbackQi = toNumber(memberForce.Q_i);
+    const fallbackQj = toNumber(memberForce.Q_j);
+
+    switch (axis) {
+        case 'z':
+            return {
+                Qi: toNumber(memberForce.Qz_i, fallbackQi),
+                Qj: toNumber(memberForce.Qz_j, fallbackQj)
+            };
+        case 'y':
+            return {
+                Qi: toNumber(memberForce.Qy_i, fallbackQi),
+                Qj: toNumber(memberForce.Qy_j, fallbackQj)
+            };
+        case 'x':
+        default:
+            return {
+                Qi: pickDominantComponent(memberForce.Qy_i, memberForce.Qz_i ?? fallbackQi),
+                Qj: pickDominantComponent(memberForce.Qy_j, memberForce.Qz_j ?? fallbackQj)
+            };
+    }
+};
+
+const getAxialComponents = (memberForce) => ({
+    Ni: toNumber(memberForce?.N_i),
+    Nj: toNumber(memberForce?.N_j)
+});
+
+const getAxisForProjection = (projectionMode) => {
+    switch (projectionMode) {
+        case 'xy':
+            return 'z';
+        case 'xz':
+            return 'y';
+        case 'yz':
+            return 'x';
+        default:
+            return 'y';
+    }
+};
+
+const getDistributedLoadForAxis = (memberForce, axis) => {
+    if (!memberForce) return null;
+    if (axis === 'z') return toNumber(memberForce.w, null);
+    if (axis === 'y') return toNumber(memberForce.wz, null);
+    if (axis === 'x') return toNumber(memberForce.wx, null);
+    return null;
+};
+
+const convertMomentForDiagram = (value, position) => {
+    const v = toNumber(value, 0);
+    return position === 'i' ? -v : v;
+};
+
+const convertShearForDiagram = (value, position) => {
+    const v = toNumber(value, 0);
+    return position === 'i' ? v : -v;
+};
+
+const convertAxialForDiagram = (value, position) => {
+    const v = toNumber(value, 0);
+    return position === 'i' ? -v : v;
+};
+
+const adjustValueForEndpoints = (rawValue, rawStart, rawEnd, targetStart, targetEnd, xi) => {
+    const rs = toNumber(rawStart, 0);
+    const re = toNumber(rawEnd, rs);
+    const ts = toNumber(targetStart, rs);
+    const te = toNumber(targetEnd, re);
+
+    const startDiff = ts - rs;
+    const endDiff = te - re;
+    const correction = startDiff * (1 - xi) + endDiff * xi;
+    const adjusted = toNumber(rawValue, 0) + correction;
+    return Number.isFinite(adjusted) ? adjusted : 0;
+};
@@ -38,7 +38,8 @@ const MODEL_SUPPORT_ALIAS_ENTRIES = [
     { target: 'fixed', aliases: ['x', 'fix', 'fixed', '固定'] },
     { target: 'roller-x', aliases: ['roller-x', 'roller_x', 'rollerx', 'r-x', 'rx', 'ローラーx', 'ローラー(x)', 'ローラー(X軸固定)'] },
     { target: 'roller-y', aliases: ['roller-y', 'roller_y', 'rollery', 'r-y', 'ry', 'ローラー', 'ローラーy', 'ローラー(y)', 'ローラー(Y軸固定)', 'r', 'roller'] },
-    { target: 'roller-z', aliases: ['roller-z', 'roller_z', 'rollerz', 'r-z', 'rz', 'ローラーz', 'ローラー(z)', 'ローラー(Z軸固定)'] }
+    { target: 'roller-z', aliases: ['roller-z', 'roller_z', 'rollerz', 'r-z', 'rz', 'ローラーz', 'ローラー(z)', 'ローラー(Z軸固定)'] },
+    { target: 'spring', aliases: ['s', 'spring', 'springs', 'ばね', 'バネ'] }
 ];
 
 const MODEL_SUPPORT_ALIAS_MAP = (() => {
@@ -479,8 +480,11 @@ function updateModel3DView(nodes, members, loadData = {}) {
         ? { memberLoads: loadData }
         : (loadData || {});
 
-    const memberLoads = Array.isArray(loadBundle.memberLoads) ? loadBundle.memberLoads : [];
-    const nodeLoads = Array.isArray(loadBundle.nodeLoads) ? loadBundle.nodeLoads : [];
+    // 荷重は2D表示と同じく入力中の荷重ケースのものだけを表示する
+    const activeLoadCaseId = typeof getActiveLoadCaseId === 'function' ? getActiveLoadCaseId() : null;
+    const isInActiveCase = (load) => !activeLoadCaseId || !load.caseId || load.caseId === activeLoadCaseId;
+    const memberLoads = Array.isArray(loadBundle.memberLoads) ? loadBundle.memberLoads.filter(isInActiveCase) : [];
+    const nodeLoads = Array.isArray(loadBundle.nodeLoads) ? loadBundle.nodeLoads.filter(isInActiveCase) : [];
     const memberSelfWeights = Array.isArray(loadBundle.memberSelfWeights) ? loadBundle.memberSelfWeights : [];
     const nodeSelfWeights = Array.isArray(loadBundle.nodeSelfWeights) ? loadBundle.nodeSelfWeights : [];
 
@@ -575,13 +579,22 @@ function updateModel3DView(nodes, members, loadData = {}) {
         const radius = clamp(0.45 + Math.abs(magnitude) * 0.05, 0.45, 1.6);
         const tubeRadius = radius * 0.08;
 
-        const geometry = new THREE.TorusGeometry(radius, tubeRadius, 16, 48);
+        // 3/4周の円弧と矢じりで回転の向きを示す（円弧は局所z軸まわりに右ねじの向きに描き、回転軸へ向ける）
+        // 入力座標 (X, Y, Z) → Three.js (X, Z, Y) は鏡映なので、右ねじの向きは軸を反転して表す
         const material = new THREE.MeshBasicMaterial({ color: color.int, transparent: true, opacity: 0.85 });
-        const torus = new THREE.Mesh(geometry, material);
-        const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), normalizedAxis);
-        torus.quaternion.copy(quaternion);
-        torus.position.copy(origin);
-        group.add(torus);
+        const arcAngle = Math.PI * 1.5;
+        const torus = new THREE.Mesh(new THREE.TorusGeometry(radius, tubeRadius, 16, 48, arcAngle), material);
+        const headLength = radius * 0.35;
+        const head = new THREE.Mesh(new THREE.ConeGeometry(tubeRadius * 2.5, headLength, 12), material);
+        head.position.set(radius * Math.cos(arcAngle), radius * Math.sin(arcAngle), 0);
+        head.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), new THREE.Vector3(-Math.sin(arcAngle), Math.cos(arcAngle), 0));
+        const indicator = new THREE.Group();
+        indicator.add(torus);
+        indicator.add(head);
+        const rotationAxis = normalizedAxis.clone().multiplyScalar(magnitude > 0 ? -1 : 1);
+        indicator.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), rotationAxis);
+        indicator.position.copy(origin);
+        group.add(indicator);
 
         const labelPosition = origin.clone()
             .add(normalizedAxis.clone().multiplyScalar(radius + 0.25))
@@ -803,6 +816,11 @@ function updateModel3DView(nodes, members, loadData = {}) {
                 } else if (axisKey === 'y') {
                     memberMesh.rotateZ(Math.PI / 2);
                 }
+                // 回転角 β・参照節点による断面の回転（既定の局所座標軸からの角度 [rad]、parseInputs で計算済み）
+                // Three.js 座標 (X, Z, Y) は入力座標を鏡映したものなので、回転の向きが逆になる
+                if (member.localAxisRoll) {
+                    memberMesh.rotateZ(-member.localAxisRoll);
+                }
             } catch (error) {
                 console.warn('Extrude failed for member; falling back to cylinder geometry.', error, member.sectionInfo);
                 memberMesh = null;
@@ -870,11 +888,15 @@ function updateModel3DView(nodes, members, loadData = {}) {
     const distributedLoads = [];
 
     memberLoads.forEach(load => {
+        // 部材座標系・投影長の荷重は実長あたりのグローバル成分で描く
+        const { wx, wy, wz } = typeof resolveMemberLoadGlobalComponents === 'function'
+            ? resolveMemberLoadGlobalComponents(load, nodes, members)
+            : load;
         distributedLoads.push({
             memberIndex: load.memberIndex,
-            wx: load.wx || 0,
-            wy: load.wy || 0,
-            wz: load.wz || 0,
+            wx: wx || 0,
+            wy: wy || 0,
+            wz: wz || 0,
             w: load.w || 0,  // 従来のw（後方互換）
             isFromSelfWeight: !!load.isFromSelfWeight
         });
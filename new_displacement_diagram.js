@@ -61,6 +61,20 @@ console.log('🎯 Diagram Elements found:', {
     dispScaleInput: !!diagramElements.dispScaleInput
 });
 
+/**
+ * 梁のたわみの形状関数（x: 無次元座標、回転角の項 H2, H4 は部材長を掛けて使う）
+ * せん断変形の係数 Φ を与えると Timoshenko梁の形状関数になり、Φ = 0 ではエルミート基底関数と一致する。
+ */
+const getBeamShapeFunctions = (x, phi = 0) => {
+    const c = 1 / (1 + phi);
+    return {
+        H1: c * (1 + phi - phi*x - 3*x*x + 2*x*x*x),
+        H2: c * ((1 + phi/2)*x - (2 + phi/2)*x*x + x*x*x),
+        H3: c * (phi*x + 3*x*x - 2*x*x*x),
+        H4: c * (-(phi/2)*x - (1 - phi/2)*x*x + x*x*x)
+    };
+};
+
 /**
  * 部材途中の変形を計算する関数（3Dフレーム対応）
  * 曲げモーメントによるたわみを考慮した詳細な変形計算
@@ -135,14 +149,11 @@ const calculateMemberDeformation = (member, nodes, D_global, memberForce, xi, di
     if (L < 1e-10) return null;
     
     // 部材の局所座標系における変位を計算
-    // エルミート補間を使用して曲げ変形を表現
+    // エルミート補間を使用して曲げ変形を表現（せん断変形を考慮する部材は Timoshenko梁の形状関数）
     const x = xi; // 無次元座標（0~1）
-    
-    // エルミート基底関数（変位用）
-    const H1 = 1 - 3*x*x + 2*x*x*x;
-    const H2 = x - 2*x*x + x*x*x;
-    const H3 = 3*x*x - 2*x*x*x;
-    const H4 = -x*x + x*x*x;
+    const shearFactors = FrameAnalysisEngine.getShearDeformationFactors(member);
+    const shapeY = getBeamShapeFunctions(x, shearFactors.y);
+    const shapeZ = getBeamShapeFunctions(x, shearFactors.z);
     
     // 曲げ変形の計算
     // エルミート補間により、節点の変位と回転角から部材途中の変形を計算
@@ -151,19 +162,23 @@ const calculateMemberDeformation = (member, nodes, D_global, memberForce, xi, di
     // Y方向（全体座標系のY方向の変位）
     const v_i = d_i.dy;
     const v_j = d_j.dy;
-    const theta_z_i = d_i.rz;
-    const theta_z_j = d_j.rz;
+    // 半剛接合の端部では、回転ばねの回転角を差し引いた部材端の回転角を使う
+    const semiRigid = memberForce?.semiRigidRotations;
+    const spring_i = semiRigid?.i || { ry: 0, rz: 0 };
+    const spring_j = semiRigid?.j || { ry: 0, rz: 0 };
+    const theta_z_i = d_i.rz - spring_i.rz;
+    const theta_z_j = d_j.rz - spring_j.rz;
     
     // Z方向（全体座標系のZ方向の変位）
     const w_i = d_i.dz;
     const w_j = d_j.dz;
-    const theta_y_i = -d_i.ry; // 符号注意：右手系座標
-    const theta_y_j = -d_j.ry;
+    const theta_y_i = -(d_i.ry - spring_i.ry); // 符号注意：右手系座標
+    const theta_y_j = -(d_j.ry - spring_j.ry);
     
     // エルミート補間による変形曲線
     // v(x) = H1 * v_i + H2 * L * θz_i + H3 * v_j + H4 * L * θz_j
-    const dy = H1 * v_i + H2 * L * theta_z_i + H3 * v_j + H4 * L * theta_z_j;
-    const dz = H1 * w_i + H2 * L * theta_y_i + H3 * w_j + H4 * L * theta_y_j;
+    const dy = shapeY.H1 * v_i + shapeY.H2 * L * theta_z_i + shapeY.H3 * v_j + shapeY.H4 * L * theta_z_j;
+    const dz = shapeZ.H1 * w_i + shapeZ.H2 * L * theta_y_i + shapeZ.H3 * w_j + shapeZ.H4 * L * theta_y_j;
     
     // 軸方向変位の線形補間
     const dx = d_i.dx + (d_j.dx - d_i.dx) * xi;
@@ -176,287 +191,7 @@ const calculateMemberDeformation = (member, nodes, D_global, memberForce, xi, di
     };
 };
 
-/**
- * 部材途中の曲げモーメントを計算する関数（3Dフレーム対応）
- * せん断力が一定の場合は線形、等分布荷重がある場合は二次曲線を考慮
- * 
- * @param {object} memberForce - 部材力オブジェクト
- * @param {number} L - 部材長さ (m)
- * @param {number} xi - 部材長さ方向の無次元座標 (0.0 ~ 1.0)
- * @param {string} axis - モーメント軸 ('y' or 'z')
- * @param {number} w - 等分布荷重 (kN/m) - オプション
- * @returns {number} 位置xiでの曲げモーメント値 (kN・m)
- */
-const calculateMemberAxial = (memberForce, xi) => {
-    if (!memberForce) return 0;
-    const { Ni, Nj } = getAxialComponents(memberForce);
-    const start = toNumber(Ni, 0);
-    const end = toNumber(Nj, start);
-    const rawValue = start + (end - start) * xi;
-    const targetStart = convertAxialForDiagram(start, 'i');
-    const targetEnd = convertAxialForDiagram(end, 'j');
-    return adjustValueForEndpoints(rawValue, start, end, targetStart, targetEnd, xi);
-};
-
-// 3D構造用の軸別応力計算関数
-const calculateMemberMomentForAxis = (memberForce, L, xi, axis, w = null) => {
-    if (!memberForce) return 0;
-    if (!Number.isFinite(L) || Math.abs(L) <= 1e-9) return 0;
-
-    const { Mi, Mj } = getMomentComponentsForAxis(memberForce, axis);
-    const { Qi, Qj } = getShearComponentsForAxis(memberForce, axis);
-
-    const M_i = Mi;
-    const M_j = Mj;
-    const Q_i = Number.isFinite(Qi) ? Qi : 0;
-    const Q_j = Number.isFinite(Qj) ? Qj : Q_i;
-
-    const x_m = xi * L; // 実際の距離（m）
-
-    let equivalentW;
-    if (Number.isFinite(w) && w !== null) {
-        equivalentW = w;
-    } else if (Number.isFinite(Q_i) && Number.isFinite(Q_j)) {
-        equivalentW = (Q_i - Q_j) / L;
-    } else {
-        equivalentW = 0;
-    }
-
-    let moment = M_i + Q_i * x_m - 0.5 * equivalentW * x_m * x_m;
-
-    if (Number.isFinite(M_j)) {
-        const predictedEndMoment = M_i + Q_i * L - 0.5 * equivalentW * L * L;
-        const delta = predictedEndMoment - M_j;
-        if (Number.isFinite(delta) && Math.abs(L) > 1e-9) {
-            moment -= delta * (x_m / L);
-        }
-    }
-
-    const rawStart = M_i;
-    const rawEnd = M_j;
-    const targetStart = convertMomentForDiagram(rawStart, 'i');
-    const targetEnd = convertMomentForDiagram(rawEnd, 'j');
-    return adjustValueForEndpoints(moment, rawStart, rawEnd, targetStart, targetEnd, xi);
-};
-
-const calculateMemberShearForAxis = (memberForce, L, xi, axis, w = null) => {
-    if (!memberForce) return 0;
-    const x_m = xi * L; // 実際の距離（m）
-
-    const { Qi, Qj } = getShearComponentsForAxis(memberForce, axis);
-    const Q_i = Number.isFinite(Qi) ? Qi : 0;
-    const Q_j = Number.isFinite(Qj) ? Qj : Q_i;
-
-    let equivalentW;
-    if (Number.isFinite(w) && w !== null) {
-        equivalentW = w;
-    } else if (Number.isFinite(Q_i) && Number.isFinite(Q_j) && Math.abs(L) > 1e-9) {
-        equivalentW = (Q_i - Q_j) / L;
-    } else {
-        equivalentW = 0;
-    }
-
-    const shear = Q_i - equivalentW * x_m;
-
-    const rawStart = Q_i;
-    const rawEnd = Q_j;
-    const targetStart = convertShearForDiagram(rawStart, 'i');
-    const targetEnd = convertShearForDiagram(rawEnd, 'j');
-    return adjustValueForEndpoints(shear, rawStart, rawEnd, targetStart, targetEnd, xi);
-};
-
-const calculateMemberMoment = (memberForce, L, xi, axis = 'y', w = null) => {
-    if (!memberForce) return 0;
-    if (!Number.isFinite(L) || Math.abs(L) <= 1e-9) return 0;
-
-    const { Mi, Mj } = getMomentComponentsForAxis(memberForce, axis);
-    const { Qi, Qj } = getShearComponentsForAxis(memberForce, axis);
-
-    const M_i = Mi;
-    const M_j = Mj;
-    const Q_i = Number.isFinite(Qi) ? Qi : 0;
-    const Q_j = Number.isFinite(Qj) ? Qj : Q_i;
-
-    const x_m = xi * L; // 実際の距離（m）
-
-    let equivalentW;
-    if (Number.isFinite(w) && w !== null) {
-        equivalentW = w;
-    } else if (Number.isFinite(Q_i) && Number.isFinite(Q_j)) {
-        equivalentW = (Q_i - Q_j) / L;
-    } else {
-        equivalentW = 0;
-    }
-
-    let moment = M_i + Q_i * x_m - 0.5 * equivalentW * x_m * x_m;
-
-    if (Number.isFinite(M_j)) {
-        const predictedEndMoment = M_i + Q_i * L - 0.5 * equivalentW * L * L;
-        const delta = predictedEndMoment - M_j;
-        if (Number.isFinite(delta) && Math.abs(L) > 1e-9) {
-            moment -= delta * (x_m / L);
-        }
-    }
-
-    const rawStart = M_i;
-    const rawEnd = M_j;
-    const targetStart = convertMomentForDiagram(rawStart, 'i');
-    const targetEnd = convertMomentForDiagram(rawEnd, 'j');
-
-    return adjustValueForEndpoints(moment, rawStart, rawEnd, targetStart, targetEnd, xi);
-};
-
-/**
- * 部材途中のせん断力を計算する関数（3Dフレーム対応）
- * 
- * @param {object} memberForce - 部材力オブジェクト
- * @param {number} L - 部材長さ (m)
- * @param {number} xi - 部材長さ方向の無次元座標 (0.0 ~ 1.0)
- * @param {string} axis - せん断力方向 ('y' or 'z')
- * @param {number} w - 等分布荷重 (kN/m) - オプション
- * @returns {number} 位置xiでのせん断力値 (kN)
- */
-const calculateMemberShear = (memberForce, L, xi, axis = 'y', w = null) => {
-    if (!memberForce) return 0;
-    const x_m = xi * L; // 実際の距離（m）
-
-    const { Qi, Qj } = getShearComponentsForAxis(memberForce, axis);
-    const Q_i = Number.isFinite(Qi) ? Qi : 0;
-    const Q_j = Number.isFinite(Qj) ? Qj : Q_i;
-
-    let equivalentW;
-    if (Number.isFinite(w) && w !== null) {
-        equivalentW = w;
-    } else if (Number.isFinite(Q_i) && Number.isFinite(Q_j) && Math.abs(L) > 1e-9) {
-        equivalentW = (Q_i - Q_j) / L;
-    } else {
-        equivalentW = 0;
-    }
-
-    const shear = Q_i - equivalentW * x_m;
-
-    const rawStart = Q_i;
-    const rawEnd = Q_j;
-    const targetStart = convertShearForDiagram(rawStart, 'i');
-    const targetEnd = convertShearForDiagram(rawEnd, 'j');
-
-    return adjustValueForEndpoints(shear, rawStart, rawEnd, targetStart, targetEnd, xi);
-};
-
-const toNumber = (value, fallback = 0) => (Number.isFinite(value) ? value : fallback);
-
-const pickDominantComponent = (primary, secondary) => {
-    const p = toNumber(primary);
-    const s = toNumber(secondary);
-    if (Math.abs(p) >= Math.abs(s)) return p;
-    return s;
-};
-
-const getMomentComponentsForAxis = (memberForce, axis) => {
-    if (!memberForce) return { Mi: 0, Mj: 0 };
-
-    const fallbackMi = toNumber(memberForce.M_i);
-    const fallbackMj = toNumber(memberForce.M_j);
-
-    switch (axis) {
-        case 'z':
-            return {
-                Mi: toNumber(memberForce.Mz_i, fallbackMi),
-                Mj: toNumber(memberForce.Mz_j, fallbackMj)
-            };
-        case 'y':
-            return {
-                Mi: toNumber(memberForce.My_i, fallbackMi),
-                Mj: toNumber(memberForce.My_j, fallbackMj)
-            };
-        case 'x':
-        default:
-            return {
-                Mi: toNumber(memberForce.Mx_i, fallbackMi),
-                Mj: toNumber(memberForce.Mx_j, fallbackMj)
-            };
-    }
-};
-
-const getShearComponentsForAxis = (memberForce, axis) => {
-    if (!memberForce) return { Qi: 0, Qj: 0 };
-
-    const fallbackQi = toNumber(memberForce.Q_i);
-    const fallbackQj = toNumber(memberForce.Q_j);
-
-    switch (axis) {
-        case 'z':
-            return {
-                Qi: toNumber(memberForce.Qz_i, fallbackQi),
-                Qj: toNumber(memberForce.Qz_j, fallbackQj)
-            };
-        case 'y':
-            return {
-                Qi: toNumber(memberForce.Qy_i, fallbackQi),
-                Qj: toNumber(memberForce.Qy_j, fallbackQj)
-            };
-        case 'x':
-        default:
-            return {
-                Qi: pickDominantComponent(memberForce.Qy_i, memberForce.Qz_i ?? fallbackQi),
-                Qj: pickDominantComponent(memberForce.Qy_j, memberForce.Qz_j ?? fallbackQj)
-            };
-    }
-};
-
-const getAxialComponents = (memberForce) => ({
-    Ni: toNumber(memberForce?.N_i),
-    Nj: toNumber(memberForce?.N_j)
-});
-
-const getAxisForProjection = (projectionMode) => {
-    switch (projectionMode) {
-        case 'xy':
-            return 'z';
-        case 'xz':
-            return 'y';
-        case 'yz':
-            return 'x';
-        default:
-            return 'y';
-    }
-};
-
-const getDistributedLoadForAxis = (memberForce, axis) => {
-    if (!memberForce) return null;
-    if (axis === 'z') return toNumber(memberForce.w, null);
-    if (axis === 'y') return toNumber(memberForce.wz, null);
-    if (axis === 'x') return toNumber(memberForce.wx, null);
-    return null;
-};
-
-const convertMomentForDiagram = (value, position) => {
-    const v = toNumber(value, 0);
-    return position === 'i' ? -v : v;
-};
-
-const convertShearForDiagram = (value, position) => {
-    const v = toNumber(value, 0);
-    return position === 'i' ? v : -v;
-};
-
-const convertAxialForDiagram = (value, position) => {
-    const v = toNumber(value, 0);
-    return position === 'i' ? -v : v;
-};
-
-const adjustValueForEndpoints = (rawValue, rawStart, rawEnd, targetStart, targetEnd, xi) => {
-    const rs = toNumber(rawStart, 0);
-    const re = toNumber(rawEnd, rs);
-    const ts = toNumber(targetStart, rs);
-    const te = toNumber(targetEnd, re);
-
-    const startDiff = ts - rs;
-    const endDiff = te - re;
-    const correction = startDiff * (1 - xi) + endDiff * xi;
-    const adjusted = toNumber(rawValue, 0) + correction;
-    return Number.isFinite(adjusted) ? adjusted : 0;
-};
+// 部材途中の断面力の計算関数（calculateMemberMomentForAxis など）は member_force_distribution.js で定義されています
 
 // project3DTo2D関数はframe_analyzer.jsのグローバルスコープで定義済み
 
@@ -584,6 +319,64 @@ const drawCircleNumberLabel = (ctx, text, baseX, baseY, obstacles, options = {})
     ctx.restore();
 };
 
+// 剛域端（柱・梁の面）の位置（i端からの距離の比）。剛域のない端部は含めない
+const getRigidZoneFaceRatios = (member, length) => {
+    const zones = member?.rigidZones;
+    if (!zones || !(length > 0)) return [];
+    return [
+        { end: 'i', ratio: zones.i / length },
+        { end: 'j', ratio: 1 - zones.j / length }
+    ].filter(face => zones[face.end] > 0);
+};
+
+/**
+ * 応力図に剛域の区間（部材軸上の太線）と剛域端の値を描く
+ * @param {Array<{end: 'i'|'j', x: number, y: number, value: number, offset: number}>} faces - 剛域端の画面座標と応力値
+ * @param {{x: number, y: number}} start - i端の画面座標
+ * @param {{x: number, y: number}} end - j端の画面座標
+ */
+const drawRigidZoneFaces = (ctx, faces, start, end, perpX, perpY, obstacles) => {
+    if (!faces.length) return;
+    ctx.save();
+    faces.forEach(face => {
+        const node = face.end === 'i' ? start : end;
+        ctx.strokeStyle = 'rgba(80, 80, 80, 0.8)';
+        ctx.lineWidth = 5;
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(node.x, node.y);
+        ctx.lineTo(face.x, face.y);
+        ctx.stroke();
+
+        const outlineX = face.x + perpX * face.offset;
+        const outlineY = face.y - perpY * face.offset;
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(face.x, face.y);
+        ctx.lineTo(outlineX, outlineY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#444';
+        ctx.beginPath();
+        ctx.arc(outlineX, outlineY, 3.5, 0, 2 * Math.PI);
+        ctx.fill();
+
+        if (Math.abs(face.value) > 0.01) {
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.lineWidth = 4;
+            drawTextWithPlacement(ctx, `面 ${face.value.toFixed(2)}`, outlineX, outlineY - 10, obstacles, {
+                strokeStyle: 'white',
+                fillStyle: '#444',
+                padding: 12
+            });
+        }
+    });
+    ctx.restore();
+};
+
 const drawTextWithPlacement = (ctx, text, baseX, baseY, obstacles, options = {}) => {
     const offsets = options.offsets || LABEL_CANDIDATE_OFFSETS;
     const metrics = measureTextDimensions(ctx, text);
@@ -1922,8 +1715,7 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
             const distributedLoad = getDistributedLoadForAxis(forces, frameAxis);
             const numDivisions = 20;
 
-            for (let k = 0; k <= numDivisions; k++) {
-                const xi = k / numDivisions;
+            for (const xi of getMemberDiagramStations(forces, L, numDivisions)) {
                 let stressValue = 0;
 
                 if (stressType === 'moment') {
@@ -2033,8 +1825,8 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
             const numDivisions = 20; // 部材を20分割
             const stressPoints = [];
             
-            for (let k = 0; k <= numDivisions; k++) {
-                const xi = k / numDivisions;
+            // 部材上の位置 xi（i端からの距離の比）の応力値
+            const getStressValueAt = (xi) => {
                 let stressValue = 0;
 
                 if (stressType === 'moment') {
@@ -2053,9 +1845,9 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
                             momentAxis = 'x'; // YZ平面ではX軸周りのモーメント
                         }
                         stressValue = calculateMemberMomentForAxis(forces, L, xi, momentAxis, distributedLoad);
-                        
+                    
                         // デバッグ情報を追加
-                        if (memberIndex === 0 && k === 0) {
+                        if (memberIndex === 0 && xi === 0) {
                             console.log(`🔍 曲げモーメント計算: 投影面=${frame.mode}, 軸=${momentAxis}, 値=${stressValue.toFixed(3)}`);
                             console.log(`   部材力: M${momentAxis}_i=${forces[`M${momentAxis}_i`]}, M${momentAxis}_j=${forces[`M${momentAxis}_j`]}`);
                         }
@@ -2079,16 +1871,20 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
                             shearAxis = 'x'; // YZ平面ではX方向のせん断力
                         }
                         stressValue = calculateMemberShearForAxis(forces, L, xi, shearAxis, distributedLoad);
-                        
+                    
                         // デバッグ情報を追加
-                        if (memberIndex === 0 && k === 0) {
+                        if (memberIndex === 0 && xi === 0) {
                             console.log(`🔍 せん断力計算: 投影面=${frame.mode}, 軸=${shearAxis}, 値=${stressValue.toFixed(3)}`);
                             console.log(`   部材力: Q${shearAxis}_i=${forces[`Q${shearAxis}_i`]}, Q${shearAxis}_j=${forces[`Q${shearAxis}_j`]}`);
                         }
                     }
                 }
 
-                const finiteStressValue = Number.isFinite(stressValue) ? stressValue : 0;
+                return Number.isFinite(stressValue) ? stressValue : 0;
+            };
+
+            for (const xi of getMemberDiagramStations(forces, L, numDivisions)) {
+                const finiteStressValue = getStressValueAt(xi);
                 
                 // 部材上の位置（2D投影）
                 const pos_x = pi.x + (pj.x - pi.x) * xi;
@@ -2176,7 +1972,7 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
             ctx.strokeStyle = 'red';
             ctx.lineWidth = 1.5;
             ctx.beginPath();
-            for (let k = 0; k <= numDivisions; k++) {
+            for (let k = 0; k < stressPoints.length; k++) {
                 const p = stressPoints[k];
                 const px = Math.max(x, Math.min(x + drawWidth, p.x + perpX * p.offset));
                 const py = Math.max(y, Math.min(y + drawHeight, p.y - perpY * p.offset));
@@ -2198,7 +1994,7 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
             
             // 部材端の応力値を表示
             const p1 = stressPoints[0];
-            const pN = stressPoints[numDivisions];
+            const pN = stressPoints[stressPoints.length - 1];
             
             ctx.font = 'bold 18px Arial';
             ctx.textAlign = 'center';
@@ -2227,7 +2023,7 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
             }
             
             // 最大応力値の位置にマーカーと値を表示（端点以外の場合のみ）
-            if (maxAbsIndex > 0 && maxAbsIndex < numDivisions && maxAbsValue > 0.01) {
+            if (maxAbsIndex > 0 && maxAbsIndex < stressPoints.length - 1 && maxAbsValue > 0.01) {
                 const pMax = stressPoints[maxAbsIndex];
                 const maxX = pMax.x + perpX * pMax.offset;
                 const maxY = pMax.y - perpY * pMax.offset;
@@ -2253,6 +2049,14 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
                     padding: 16
                 });
             }
+
+            // 剛域のある部材は剛域の区間と剛域端（柱・梁の面）の値を表示する
+            const faces = getRigidZoneFaceRatios(m, L).map(face => {
+                const value = getStressValueAt(face.ratio);
+                const base = transform(pi.x + (pj.x - pi.x) * face.ratio, pi.y + (pj.y - pi.y) * face.ratio);
+                return { ...face, x: base.x, y: base.y, value, offset: value * stressScale };
+            });
+            drawRigidZoneFaces(ctx, faces, stressPoints[0], stressPoints[stressPoints.length - 1], perpX, perpY, labelObstacles);
         });
 
         const nodeLabelOffsets = [
@@ -2289,6 +2093,425 @@ const drawStressDiagram = (canvas, nodes, members, memberForces, stressType, tit
     });
 };
 
+/**
+ * 複数の解析結果の応力図を重ね、部材に沿った最大値・最小値の包絡線を描画する
+ * 等角投影で描画し、部材ごとの最大値・最小値にその値を与えた結果のラベルを付ける。
+ *
+ * @param {HTMLCanvasElement} canvas - 描画先
+ * @param {Array<object>} nodes - 節点
+ * @param {Array<object>} members - 部材
+ * @param {Array<{label: string, forces: Array<object>}>} forceSets - 包絡する解析結果（部材力）
+ * @param {string} stressType - 'moment' | 'axial' | 'shear'
+ * @param {string} title - 図のタイトル
+ * @param {string} [axis='y'] - 曲げモーメント・せん断力の軸（第2軸の図は 'z'）
+ */
+const drawEnvelopeStressDiagram = (canvas, nodes, members, forceSets, stressType, title, axis = 'y') => {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!Array.isArray(forceSets) || forceSets.length === 0) return;
+
+    const numDivisions = 20;
+    const EPS = 1e-9;
+
+    // 部材ごと・分割点ごとに全結果の最大値・最小値を求める
+    const memberEnvelopes = members.map((m, memberIndex) => {
+        const ni = nodes[m.i];
+        const nj = nodes[m.j];
+        if (!ni || !nj) return null;
+        const L = Math.sqrt(
+            Math.pow(nj.x - ni.x, 2) +
+            Math.pow((nj.y || 0) - (ni.y || 0), 2) +
+            Math.pow((nj.z || 0) - (ni.z || 0), 2)
+        );
+        const points = [];
+        for (let k = 0; k <= numDivisions; k++) {
+            const xi = k / numDivisions;
+            const point = { xi, max: -Infinity, min: Infinity, maxLabel: '', minLabel: '' };
+            forceSets.forEach(({ label, forces }) => {
+                const memberForce = forces?.[memberIndex];
+                if (!memberForce) return;
+                let value = 0;
+                if (stressType === 'moment') {
+                    value = calculateMemberMomentForAxis(memberForce, L, xi, axis, getDistributedLoadForAxis(memberForce, axis));
+                } else if (stressType === 'axial') {
+                    value = calculateMemberAxial(memberForce, xi);
+                } else if (stressType === 'shear') {
+                    value = calculateMemberShearForAxis(memberForce, L, xi, axis, getDistributedLoadForAxis(memberForce, axis));
+                }
+                if (!Number.isFinite(value)) return;
+                if (value > point.max) { point.max = value; point.maxLabel = label; }
+                if (value < point.min) { point.min = value; point.minLabel = label; }
+            });
+            if (!Number.isFinite(point.max)) return null;
+            points.push(point);
+        }
+        return points;
+    });
+
+    let maxStress = 0;
+    memberEnvelopes.forEach(points => (points || []).forEach(point => {
+        maxStress = Math.max(maxStress, Math.abs(point.max), Math.abs(point.min));
+    }));
+
+    // レイアウトは drawStressDiagram の等角投影と揃える
+    const frameWidth = 1200;
+    const frameHeight = 900;
+    const framePadding = 40;
+    const headerHeight = 80;
+    const totalWidth = frameWidth + framePadding * 2;
+    const totalHeight = frameHeight + headerHeight + framePadding * 2;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = totalWidth * dpr;
+    canvas.height = totalHeight * dpr;
+    canvas.style.width = totalWidth + 'px';
+    canvas.style.height = totalHeight + 'px';
+    ctx.scale(dpr, dpr);
+
+    const x = framePadding;
+    const y = headerHeight + framePadding;
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 20px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(`包絡図（${forceSets.length}件の結果の最大・最小）`, x + frameWidth / 2, framePadding + 25);
+    ctx.font = '16px Arial';
+    ctx.fillText(title, x + frameWidth / 2, framePadding + 50);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x, y, frameWidth, frameHeight);
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, frameWidth, frameHeight);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, frameWidth, frameHeight);
+    ctx.clip();
+
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    members.forEach(m => {
+        if (!nodes[m.i] || !nodes[m.j]) return;
+        const pi = project3DTo2D(nodes[m.i], 'iso');
+        const pj = project3DTo2D(nodes[m.j], 'iso');
+        minX = Math.min(minX, pi.x, pj.x);
+        maxX = Math.max(maxX, pi.x, pj.x);
+        minY = Math.min(minY, pi.y, pj.y);
+        maxY = Math.max(maxY, pi.y, pj.y);
+    });
+    if (!Number.isFinite(minX)) {
+        ctx.restore();
+        return;
+    }
+
+    const margin = 40;
+    const drawWidth = frameWidth - 2 * margin;
+    const drawHeight = frameHeight - 2 * margin;
+    const modelWidth = maxX - minX;
+    const modelHeight = maxY - minY;
+    let modelScale = 1;
+    if (modelWidth > 0 && modelHeight > 0) {
+        modelScale = Math.min(drawWidth / modelWidth, drawHeight / modelHeight) * 0.9;
+    } else if (modelWidth > 0 || modelHeight > 0) {
+        modelScale = Math.min(drawWidth, drawHeight) / Math.max(modelWidth, modelHeight) * 0.9;
+    }
+    const stressScale = maxStress > EPS ? Math.min(drawWidth, drawHeight) * 0.06 / maxStress : 1;
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const transform = (px, py) => ({
+        x: x + frameWidth / 2 + (px - centerX) * modelScale,
+        y: y + frameHeight / 2 - (py - centerY) * modelScale
+    });
+
+    const labelObstacles = [];
+    const memberScreenData = [];
+    const nodeScreenData = nodes.map((node, nodeIndex) => {
+        const projected = project3DTo2D(node, 'iso');
+        const pos = transform(projected.x, projected.y);
+        registerCircleObstacle(labelObstacles, pos.x, pos.y, 4);
+        return { nodeIndex, x: pos.x, y: pos.y };
+    });
+
+    members.forEach((m, memberIndex) => {
+        const points = memberEnvelopes[memberIndex];
+        if (!nodes[m.i] || !nodes[m.j]) return;
+        const pi = project3DTo2D(nodes[m.i], 'iso');
+        const pj = project3DTo2D(nodes[m.j], 'iso');
+        const p1 = transform(pi.x, pi.y);
+        const p2 = transform(pj.x, pj.y);
+        const dx = p2.x - p1.x;
+        const dy = p2.y - p1.y;
+        const length = Math.hypot(dx, dy);
+
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(p1.x, p1.y);
+        ctx.lineTo(p2.x, p2.y);
+        ctx.stroke();
+        if (length === 0) return;
+        memberScreenData.push({
+            memberIndex,
+            midX: (p1.x + p2.x) / 2,
+            midY: (p1.y + p2.y) / 2,
+            tangent: { x: dx / length, y: dy / length },
+            normal: { x: -dy / length, y: dx / length }
+        });
+        if (!points) return;
+
+        // drawStressDiagram と同じ向きに値をずらす
+        const projectedLength = Math.hypot(pj.x - pi.x, pj.y - pi.y);
+        const perpX = -(pj.y - pi.y) / projectedLength;
+        const perpY = (pj.x - pi.x) / projectedLength;
+        const toScreen = (point, value) => {
+            const base = transform(pi.x + (pj.x - pi.x) * point.xi, pi.y + (pj.y - pi.y) * point.xi);
+            const offset = value * stressScale;
+            return { baseX: base.x, baseY: base.y, x: base.x + perpX * offset, y: base.y - perpY * offset };
+        };
+
+        [
+            { key: 'max', fill: 'rgba(255, 100, 100, 0.35)', stroke: 'red' },
+            { key: 'min', fill: 'rgba(100, 100, 255, 0.35)', stroke: 'blue' }
+        ].forEach(({ key, fill, stroke }) => {
+            const screenPoints = points.map(point => toScreen(point, point[key]));
+            ctx.fillStyle = fill;
+            ctx.beginPath();
+            ctx.moveTo(screenPoints[0].baseX, screenPoints[0].baseY);
+            screenPoints.forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.lineTo(screenPoints[screenPoints.length - 1].baseX, screenPoints[screenPoints.length - 1].baseY);
+            ctx.closePath();
+            ctx.fill();
+
+            ctx.strokeStyle = stroke;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            screenPoints.forEach((p, k) => (k === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+        });
+
+        // 部材内の最大値・最小値とその結果を表示
+        const governingMax = points.reduce((best, point) => (point.max > best.max ? point : best), points[0]);
+        const governingMin = points.reduce((best, point) => (point.min < best.min ? point : best), points[0]);
+        ctx.font = 'bold 15px Arial';
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 4;
+        [
+            { point: governingMax, value: governingMax.max, label: governingMax.maxLabel, color: '#cc0000' },
+            { point: governingMin, value: governingMin.min, label: governingMin.minLabel, color: '#0000cc' }
+        ].forEach(({ point, value, label, color }) => {
+            if (Math.abs(value) <= 0.01) return;
+            const p = toScreen(point, value);
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            drawTextWithPlacement(ctx, `${value.toFixed(2)} (${label})`, p.x, p.y - 10, labelObstacles, {
+                strokeStyle: 'white',
+                fillStyle: color,
+                padding: 14
+            });
+        });
+    });
+
+    nodeScreenData.forEach(({ nodeIndex, x: nodeX, y: nodeY }) => {
+        drawCircleNumberLabel(ctx, String(nodeIndex + 1), nodeX, nodeY, labelObstacles, {
+            font: 'bold 13px Arial'
+        });
+    });
+    memberScreenData.forEach(({ memberIndex, midX, midY, tangent, normal }) => {
+        drawSquareNumberLabel(ctx, String(memberIndex + 1), midX, midY, labelObstacles, {
+            offsets: [
+                { x: normal.x * 28, y: normal.y * 28 },
+                { x: -normal.x * 28, y: -normal.y * 28 },
+                { x: tangent.x * 30, y: tangent.y * 30 },
+                { x: -tangent.x * 30, y: -tangent.y * 30 }
+            ],
+            font: 'bold 13px Arial'
+        });
+    });
+
+    ctx.restore();
+};
+
+/**
+ * 固有モード（座屈モードなど）の形状を描画する
+ * 2次元フレームは解析面（X-Y）、3次元フレームは等角投影で描画し、剛接合の部材は節点回転を使ったエルミート補間で曲げる。
+ * 繰り返し呼び出して振幅を変えるとアニメーションになる。
+ *
+ * @param {HTMLCanvasElement} canvas - 描画先
+ * @param {Array<object>} nodes - 節点（解析エンジンが返した座標系のもの）
+ * @param {Array<object>} members - 部材
+ * @param {Array<Array<number>>} modeVector - モードベクトル（dof×1、最大並進成分が 1 に正規化されたもの）
+ * @param {number} amplitude - 振幅係数（-1～1、構造寸法の 10% を 1 とする）
+ * @param {string} title - 図のタイトル
+ */
+const drawModeShapeDiagram = (canvas, nodes, members, modeVector, amplitude, title) => {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx || !Array.isArray(modeVector) || nodes.length === 0) return;
+
+    const numDivisions = 20;
+    const EPS = 1e-9;
+    const is3D = modeVector.length / nodes.length === 6;
+    const toPosition = (node) => [node.x, node.y || 0, is3D ? (node.z || 0) : 0];
+    const project = ([px, py, pz]) => (is3D ? project3DTo2D({ x: px, y: py, z: pz }, 'iso') : { x: px, y: py });
+    const getNodeMode = (nodeIndex) => {
+        const base = nodeIndex * (is3D ? 6 : 3);
+        const value = (offset) => toNumber(modeVector[base + offset]?.[0]);
+        return is3D
+            ? { u: [value(0), value(1), value(2)], r: [value(3), value(4), value(5)] }
+            : { u: [value(0), value(1), 0], r: [0, 0, value(2)] };
+    };
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    const bounds = [[Infinity, -Infinity], [Infinity, -Infinity], [Infinity, -Infinity]];
+    nodes.forEach(node => {
+        const position = toPosition(node);
+        position.forEach((value, axis) => {
+            bounds[axis][0] = Math.min(bounds[axis][0], value);
+            bounds[axis][1] = Math.max(bounds[axis][1], value);
+        });
+        const projected = project(position);
+        minX = Math.min(minX, projected.x);
+        maxX = Math.max(maxX, projected.x);
+        minY = Math.min(minY, projected.y);
+        maxY = Math.max(maxY, projected.y);
+    });
+    const structureSize = Math.max(...bounds.map(([min, max]) => max - min));
+    const modeScale = (structureSize > EPS ? structureSize : 1) * 0.1 * amplitude;
+
+    // 部材に沿った変形後の位置（軸方向は線形、直交方向は両端剛接合ならエルミート補間）
+    const getMemberCurve = (member) => {
+        const pi = toPosition(nodes[member.i]);
+        const pj = toPosition(nodes[member.j]);
+        const axis = [pj[0] - pi[0], pj[1] - pi[1], pj[2] - pi[2]];
+        const L = Math.sqrt(dot(axis, axis));
+        if (L < EPS) return null;
+        const e = axis.map(value => value / L);
+        const modeI = getNodeMode(member.i);
+        const modeJ = getNodeMode(member.j);
+        const useRotation = member.i_conn !== 'pinned' && member.j_conn !== 'pinned';
+        const slopeI = cross(modeI.r, e);
+        const slopeJ = cross(modeJ.r, e);
+        const axialI = dot(modeI.u, e);
+        const axialJ = dot(modeJ.u, e);
+        const transverseI = modeI.u.map((value, k) => value - axialI * e[k]);
+        const transverseJ = modeJ.u.map((value, k) => value - axialJ * e[k]);
+
+        const original = [];
+        const deformed = [];
+        for (let step = 0; step <= numDivisions; step++) {
+            const x = step / numDivisions;
+            const H1 = useRotation ? 1 - 3 * x * x + 2 * x * x * x : 1 - x;
+            const H2 = useRotation ? x - 2 * x * x + x * x * x : 0;
+            const H3 = useRotation ? 3 * x * x - 2 * x * x * x : x;
+            const H4 = useRotation ? -x * x + x * x * x : 0;
+            const axial = axialI + (axialJ - axialI) * x;
+            const base = pi.map((value, k) => value + axis[k] * x);
+            const displacement = base.map((_, k) => axial * e[k] +
+                H1 * transverseI[k] + H3 * transverseJ[k] + L * (H2 * slopeI[k] + H4 * slopeJ[k]));
+            original.push(project(base));
+            deformed.push(project(base.map((value, k) => value + displacement[k] * modeScale)));
+        }
+        return { original, deformed };
+    };
+    const curves = members.map(member => (nodes[member.i] && nodes[member.j] ? getMemberCurve(member) : null));
+    // 振幅によって表示範囲が動かないよう、最大振幅ぶんの余白をとる
+    const viewPadding = (structureSize > EPS ? structureSize : 1) * 0.15;
+    minX -= viewPadding;
+    maxX += viewPadding;
+    minY -= viewPadding;
+    maxY += viewPadding;
+
+    // レイアウトは drawEnvelopeStressDiagram と揃える
+    const frameWidth = 1200;
+    const frameHeight = 900;
+    const framePadding = 40;
+    const headerHeight = 80;
+    const totalWidth = frameWidth + framePadding * 2;
+    const totalHeight = frameHeight + headerHeight + framePadding * 2;
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== totalWidth * dpr || canvas.height !== totalHeight * dpr) {
+        canvas.width = totalWidth * dpr;
+        canvas.height = totalHeight * dpr;
+        canvas.style.width = totalWidth + 'px';
+        canvas.style.height = totalHeight + 'px';
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, totalWidth, totalHeight);
+
+    const x = framePadding;
+    const y = headerHeight + framePadding;
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 20px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(title, x + frameWidth / 2, framePadding + 25);
+    ctx.font = '16px Arial';
+    ctx.fillText(is3D ? '等角投影（灰色: 変形前、赤: モード形状）' : 'X-Y面（灰色: 変形前、赤: モード形状）', x + frameWidth / 2, framePadding + 50);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x, y, frameWidth, frameHeight);
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, frameWidth, frameHeight);
+    if (!Number.isFinite(minX)) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, frameWidth, frameHeight);
+    ctx.clip();
+
+    const margin = 40;
+    const drawWidth = frameWidth - 2 * margin;
+    const drawHeight = frameHeight - 2 * margin;
+    const modelWidth = maxX - minX;
+    const modelHeight = maxY - minY;
+    let modelScale = 1;
+    if (modelWidth > 0 && modelHeight > 0) {
+        modelScale = Math.min(drawWidth / modelWidth, drawHeight / modelHeight) * 0.9;
+    } else if (modelWidth > 0 || modelHeight > 0) {
+        modelScale = Math.min(drawWidth, drawHeight) / Math.max(modelWidth, modelHeight) * 0.9;
+    }
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const transform = (point) => ({
+        x: x + frameWidth / 2 + (point.x - centerX) * modelScale,
+        y: y + frameHeight / 2 - (point.y - centerY) * modelScale
+    });
+    const strokePolyline = (points) => {
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const screen = transform(point);
+            if (index === 0) ctx.moveTo(screen.x, screen.y);
+            else ctx.lineTo(screen.x, screen.y);
+        });
+        ctx.stroke();
+    };
+
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = '#aaa';
+    ctx.lineWidth = 1.5;
+    curves.forEach(curve => curve && strokePolyline(curve.original));
+    ctx.setLineDash([]);
+    ctx.strokeStyle = 'red';
+    ctx.lineWidth = 2.5;
+    curves.forEach(curve => curve && strokePolyline(curve.deformed));
+
+    ctx.fillStyle = 'red';
+    nodes.forEach((node, nodeIndex) => {
+        const { u } = getNodeMode(nodeIndex);
+        const position = toPosition(node).map((value, k) => value + u[k] * modeScale);
+        const screen = transform(project(position));
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, 3, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+
+    ctx.restore();
+};
+
 // 3D応力図描画関数
 const draw3DStressDiagram = (canvas, nodes, members, memberForces, stressType, title) => {
     if (!canvas) return;
@@ -3942,51 +4165,13 @@ const drawMemberOrthogonalStressDiagram = (canvas, nodes, members, memberForces,
     });
 };
 
-// 部材の局所座標系を計算する関数
-const calculateMemberLocalAxes = (nodeI, nodeJ) => {
-    const dx = nodeJ.x - nodeI.x;
-    const dy = (nodeJ.y || 0) - (nodeI.y || 0);
-    const dz = (nodeJ.z || 0) - (nodeI.z || 0);
-    const L = Math.sqrt(dx*dx + dy*dy + dz*dz);
-    
-    if (L < 1e-9) {
+// 部材の局所座標系を計算する関数（axisOptions: 回転角 β・参照節点の指定、getMemberAxisOptions の戻り値）
+const calculateMemberLocalAxes = (nodeI, nodeJ, axisOptions = {}) => {
+    const axes = FrameAnalysisEngine.computeMemberLocalAxes(nodeI, nodeJ, axisOptions);
+    if (!axes) {
         return { localX: { x: 1, y: 0, z: 0 }, localY: { x: 0, y: 1, z: 0 }, localZ: { x: 0, y: 0, z: 1 } };
     }
-    
-    // X'軸（部材軸方向）
-    const localX = { x: dx / L, y: dy / L, z: dz / L };
-    
-    // Y'軸とZ'軸の決定
-    let localY, localZ;
-    const cz = localX.z;
-    
-    if (Math.abs(cz) < 0.9) {
-        // 部材が垂直でない場合、Z'軸を水平面に投影した方向を基準
-        const temp = Math.sqrt(localX.x*localX.x + localX.y*localX.y);
-        localZ = { x: -cz*localX.x/temp, y: -cz*localX.y/temp, z: temp };
-        const len_localZ = Math.sqrt(localZ.x*localZ.x + localZ.y*localZ.y + localZ.z*localZ.z);
-        localZ = { x: localZ.x/len_localZ, y: localZ.y/len_localZ, z: localZ.z/len_localZ };
-        
-        // Y'軸 = Z'軸 × X'軸
-        localY = {
-            x: localZ.y*localX.z - localZ.z*localX.y,
-            y: localZ.z*localX.x - localZ.x*localX.z,
-            z: localZ.x*localX.y - localZ.y*localX.x
-        };
-    } else {
-        // 部材がほぼ垂直の場合、Y軸を基準
-        localY = { x: 0, y: 1, z: 0 };
-        localZ = {
-            x: localX.y*0 - localX.z*1,
-            y: localX.z*0 - localX.x*0,
-            z: localX.x*1 - localX.y*0
-        };
-        const len_localZ = Math.sqrt(localZ.x*localZ.x + localZ.y*localZ.y + localZ.z*localZ.z);
-        if (len_localZ > 1e-6) {
-            localZ = { x: localZ.x/len_localZ, y: localZ.y/len_localZ, z: localZ.z/len_localZ };
-        }
-    }
-    
+    const { localX, localY, localZ } = axes;
     return { localX, localY, localZ };
 };
 
@@ -4080,7 +4265,9 @@ const drawImprovedMemberOrthogonalStressDiagram = (canvas, nodes, members, membe
     const stressScale = maxOffsetModelUnits / maxStress;
     
     console.log('🔍 応力スケール:', { maxStress, stressScale });
-    
+
+    const isPlanar = FrameAnalysisEngine.isPlanarFrame(nodes);
+
     // 各直交軸の応力図を描画
     orthogonalAxes.forEach((direction, index) => {
         const x = diagramPadding + index * (diagramWidth + diagramPadding);
@@ -4110,7 +4297,7 @@ const drawImprovedMemberOrthogonalStressDiagram = (canvas, nodes, members, membe
             const forces = memberForces[memberIndex];
             
             // 部材の局所座標系を計算
-            const { localX, localY, localZ } = calculateMemberLocalAxes(nodeI, nodeJ);
+            const { localX, localY, localZ } = calculateMemberLocalAxes(nodeI, nodeJ, FrameAnalysisEngine.getMemberAxisOptions(m, nodes, isPlanar));
             
             // 部材の長さ
             const L = Math.sqrt(
@@ -4861,6 +5048,232 @@ const drawSecondaryAxisStressDiagram = (canvas, nodes, members, memberForces, st
     });
 };
 
+/**
+ * 時刻歴応答解析の時刻歴を縦に並べたグラフで描画する
+ * 点数が描画幅より多い場合は、横1ピクセルごとの最小値・最大値を結んで描く。
+ * @param {HTMLCanvasElement} canvas - 描画先
+ * @param {ArrayLike<number>} time - 時刻 (s)
+ * @param {Array<{label: string, unit: string, values: ArrayLike<number>, color?: string}>} series - グラフごとの系列
+ * @param {string} title - 図のタイトル
+ */
+const drawTimeHistoryChart = (canvas, time, series, title) => {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx || !time || time.length < 2 || series.length === 0) return;
+
+    const frameWidth = 1200;
+    const panelHeight = 220;
+    const panelGap = 30;
+    const framePadding = 40;
+    const headerHeight = 50;
+    const axisWidth = 80;
+    const totalWidth = frameWidth + framePadding * 2;
+    const totalHeight = headerHeight + framePadding * 2 + series.length * panelHeight + (series.length - 1) * panelGap;
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== totalWidth * dpr || canvas.height !== totalHeight * dpr) {
+        canvas.width = totalWidth * dpr;
+        canvas.height = totalHeight * dpr;
+        canvas.style.width = totalWidth + 'px';
+        canvas.style.height = totalHeight + 'px';
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, totalWidth, totalHeight);
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 20px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(title, framePadding + frameWidth / 2, framePadding + 20);
+
+    const startTime = time[0];
+    const endTime = time[time.length - 1];
+    const plotLeft = framePadding + axisWidth;
+    const plotWidth = frameWidth - axisWidth;
+    const toScreenX = (t) => plotLeft + (t - startTime) / (endTime - startTime) * plotWidth;
+
+    series.forEach(({ label, unit, values, color = '#007bff' }, seriesIndex) => {
+        const top = headerHeight + framePadding + seriesIndex * (panelHeight + panelGap);
+        let peak = 0;
+        let peakIndex = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (Math.abs(values[i]) > Math.abs(peak)) {
+                peak = values[i];
+                peakIndex = i;
+            }
+        }
+        const range = Math.abs(peak) > 0 ? Math.abs(peak) * 1.1 : 1;
+        const toScreenY = (value) => top + panelHeight / 2 - value / range * (panelHeight / 2);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(plotLeft, top, plotWidth, panelHeight);
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(plotLeft, top, plotWidth, panelHeight);
+        ctx.beginPath();
+        ctx.moveTo(plotLeft, toScreenY(0));
+        ctx.lineTo(plotLeft + plotWidth, toScreenY(0));
+        ctx.stroke();
+
+        ctx.fillStyle = '#333';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'right';
+        [range, 0, -range].forEach(value => {
+            ctx.fillText(value.toPrecision(3), plotLeft - 8, toScreenY(value) + 5);
+        });
+        ctx.textAlign = 'left';
+        ctx.font = 'bold 15px Arial';
+        ctx.fillText(`${label} (${unit})  最大 ${peak.toPrecision(4)}（${time[peakIndex].toFixed(2)} 秒）`, plotLeft + 8, top + 18);
+
+        // 横1ピクセルごとに最小値・最大値をまとめて描く
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.2;
+        ctx.beginPath();
+        let column = null;
+        let columnMin = 0;
+        let columnMax = 0;
+        const flushColumn = () => {
+            if (column === null) return;
+            ctx.lineTo(column, toScreenY(columnMin));
+            ctx.lineTo(column, toScreenY(columnMax));
+        };
+        for (let i = 0; i < values.length; i++) {
+            const screenX = Math.round(toScreenX(time[i]));
+            if (screenX !== column) {
+                flushColumn();
+                if (column === null) ctx.moveTo(screenX, toScreenY(values[i]));
+                column = screenX;
+                columnMin = values[i];
+                columnMax = values[i];
+            } else {
+                columnMin = Math.min(columnMin, values[i]);
+                columnMax = Math.max(columnMax, values[i]);
+            }
+        }
+        flushColumn();
+        ctx.stroke();
+
+        ctx.fillStyle = 'red';
+        ctx.beginPath();
+        ctx.arc(toScreenX(time[peakIndex]), toScreenY(peak), 4, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+
+    const axisY = headerHeight + framePadding + series.length * panelHeight + (series.length - 1) * panelGap;
+    ctx.fillStyle = '#333';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    const tickCount = 10;
+    for (let k = 0; k <= tickCount; k++) {
+        const t = startTime + (endTime - startTime) * k / tickCount;
+        ctx.fillText(t.toFixed(2), toScreenX(t), axisY + 18);
+    }
+    ctx.fillText('時刻 (s)', plotLeft + plotWidth / 2, axisY + 36);
+};
+
+/**
+ * プッシュオーバー解析の荷重変形曲線（横軸: 制御節点の変位、縦軸: ベースシア）を描画する
+ * 点ごとの label（その段階で生じた塑性ヒンジの番号）を点の横に書く。
+ * @param {HTMLCanvasElement} canvas - 描画先
+ * @param {Array<{x: number, y: number, label?: string}>} points - 曲線の点（荷重段階の順）
+ * @param {{title: string, xLabel: string, yLabel: string}} labels - 図のタイトルと軸の名前
+ */
+const drawCapacityCurveChart = (canvas, points, { title, xLabel, yLabel }) => {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx || points.length < 2) return;
+
+    const frameWidth = 1200;
+    const plotHeight = 520;
+    const framePadding = 40;
+    const headerHeight = 50;
+    const axisWidth = 80;
+    const axisHeight = 50;
+    const totalWidth = frameWidth + framePadding * 2;
+    const totalHeight = headerHeight + framePadding * 2 + plotHeight + axisHeight;
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== totalWidth * dpr || canvas.height !== totalHeight * dpr) {
+        canvas.width = totalWidth * dpr;
+        canvas.height = totalHeight * dpr;
+        canvas.style.width = totalWidth + 'px';
+        canvas.style.height = totalHeight + 'px';
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, totalWidth, totalHeight);
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 20px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(title, framePadding + frameWidth / 2, framePadding + 20);
+
+    // 原点を含む範囲（押し切る向きが負の場合も原点から描く）
+    const xMin = Math.min(0, ...points.map(point => point.x));
+    const xMax = Math.max(0, ...points.map(point => point.x));
+    const yMin = Math.min(0, ...points.map(point => point.y));
+    const yMax = Math.max(0, ...points.map(point => point.y));
+    const xRange = (xMax - xMin) * 1.1 || 1;
+    const yRange = (yMax - yMin) * 1.1 || 1;
+    const xStart = xMin < 0 ? xMin * 1.1 : 0;
+    const yStart = yMin < 0 ? yMin * 1.1 : 0;
+    const plotLeft = framePadding + axisWidth;
+    const plotTop = headerHeight + framePadding;
+    const plotWidth = frameWidth - axisWidth;
+    const toScreenX = (x) => plotLeft + (x - xStart) / xRange * plotWidth;
+    const toScreenY = (y) => plotTop + plotHeight - (y - yStart) / yRange * plotHeight;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(plotLeft, plotTop, plotWidth, plotHeight);
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(plotLeft, plotTop, plotWidth, plotHeight);
+
+    // 目盛り
+    const tickCount = 10;
+    ctx.fillStyle = '#333';
+    ctx.font = '14px Arial';
+    for (let k = 0; k <= tickCount; k++) {
+        const x = xStart + xRange * k / tickCount;
+        const y = yStart + yRange * k / tickCount;
+        ctx.strokeStyle = '#eee';
+        ctx.beginPath();
+        ctx.moveTo(toScreenX(x), plotTop);
+        ctx.lineTo(toScreenX(x), plotTop + plotHeight);
+        ctx.moveTo(plotLeft, toScreenY(y));
+        ctx.lineTo(plotLeft + plotWidth, toScreenY(y));
+        ctx.stroke();
+        ctx.textAlign = 'center';
+        ctx.fillText(x.toPrecision(3), toScreenX(x), plotTop + plotHeight + 18);
+        ctx.textAlign = 'right';
+        ctx.fillText(y.toPrecision(3), plotLeft - 8, toScreenY(y) + 5);
+    }
+    ctx.textAlign = 'center';
+    ctx.fillText(xLabel, plotLeft + plotWidth / 2, plotTop + plotHeight + 40);
+    ctx.save();
+    ctx.translate(framePadding + 12, plotTop + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+
+    ctx.strokeStyle = '#007bff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(toScreenX(point.x), toScreenY(point.y));
+        else ctx.lineTo(toScreenX(point.x), toScreenY(point.y));
+    });
+    ctx.stroke();
+
+    ctx.font = 'bold 13px Arial';
+    ctx.textAlign = 'left';
+    points.forEach(point => {
+        if (!point.label) return;
+        const x = toScreenX(point.x);
+        const y = toScreenY(point.y);
+        ctx.fillStyle = 'red';
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.fillStyle = '#333';
+        ctx.fillText(point.label, x + 6, y + 16);
+    });
+};
+
 // 検定比に応じた色を返す関数
 const getRatioColor = (ratio) => {
     if (ratio < 0.5) return '#00ff00';      // 緑
@@ -4876,5 +5289,9 @@ window.drawDirectionalStressDiagram = drawDirectionalStressDiagram;
 window.drawMemberOrthogonalStressDiagram = drawMemberOrthogonalStressDiagram;
 window.drawImprovedMemberOrthogonalStressDiagram = drawImprovedMemberOrthogonalStressDiagram;
 window.drawSecondaryAxisStressDiagram = drawSecondaryAxisStressDiagram;
+window.drawEnvelopeStressDiagram = drawEnvelopeStressDiagram;
+window.drawModeShapeDiagram = drawModeShapeDiagram;
+window.drawTimeHistoryChart = drawTimeHistoryChart;
+window.drawCapacityCurveChart = drawCapacityCurveChart;
 window.calculateMemberDeformation = calculateMemberDeformation;
 window.getRatioColor = getRatioColor;
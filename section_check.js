@@ -0,0 +1,338 @@
+/**
+ * 断面検定
+ * 解析結果の部材断面力と材料の許容応力度から、部材ごとの検定比を求める。
+ * DOMに依存しないため、画面と解析ワーカーの双方から利用できる（member_force_distribution.js を先に読み込む）。
+ */
+
+// 木材基準強度データ (N/mm²)
+const WOOD_BASE_STRENGTH_DATA = {
+    "Matsu_Group": { name: "あかまつ、くろまつ、べいまつ", fc: 22.2, ft: 17.7, fb: 28.2, fs: 2.4 },
+    "Hinoki_Group": { name: "からまつ、ひば、ひのき、べいひ", fc: 20.7, ft: 16.2, fb: 26.7, fs: 2.1 },
+    "Tsuga_Group": { name: "つが、べいつが", fc: 19.2, ft: 14.7, fb: 25.2, fs: 2.1 },
+    "Sugi_Group": { name: "もみ、えぞまつ、すぎ、べいすぎ等", fc: 17.7, ft: 13.5, fb: 22.2, fs: 1.8 },
+    "Kashi": { name: "かし", fc: 20.7, ft: 16.2, fb: 26.7, fs: 4.2 },
+    "Keyaki_Group": { name: "くり、なら、ぶな、けやき", fc: 19.2, ft: 14.7, fb: 25.2, fs: 3.0 }
+};
+
+/**
+ * 部材ごとの断面検定を行う
+ * @param {'long'|'short'} loadTerm - 長期・短期の区分
+ * @param {{members: Array<object>, forces: Array<object>, memberLoads: Array<object>}} result - 解析結果
+ * @param {object} [options]
+ * @param {string} [options.projectionMode='iso'] - せん断力の軸を決める投影モード（第2軸せん断力図と同じ）
+ * @param {Function} [options.onProgress] - 進捗の通知 (stage, fraction) => void
+ * @returns {Array<object>} 部材ごとの検定結果
+ */
+const calculateMemberSectionChecks = (loadTerm, { members, forces, memberLoads }, { projectionMode = 'iso', onProgress } = {}) => {
+    const results = [];
+    members.forEach((member, idx) => {
+        onProgress?.('section-check', idx / members.length);
+        const { strengthProps, A, Z, ix, iy, E, length, Iy, Iz } = member;
+        if(!strengthProps || !A || !Z || isNaN(A) || isNaN(Z)) {
+            results.push({ 
+                maxRatio: 'N/A', 
+                N: 0, 
+                M: 0, 
+                checkType: 'データ不足', 
+                status: 'error', 
+                ratios: Array(21).fill(0),
+                ratiosY: Array(21).fill(0), // Y軸周りの検定比
+                ratiosZ: Array(21).fill(0)  // Z軸周りの検定比
+            });
+            return;
+        }
+        let ft, fc, fb, fs;
+        const termIndex = (loadTerm === 'long') ? 0 : 1;
+        
+        switch(strengthProps.type) {
+            case 'F-value': case 'F-stainless': case 'F-aluminum':
+                const F = strengthProps.value;
+                if (!F || isNaN(F)) { results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: 'F値無効', status: 'error', ratios: Array(21).fill(0)}); return; }
+                const factor = (loadTerm === 'long') ? 1.5 : 1.0;
+                ft = F / factor; fb = F / factor; fs = F / (factor * Math.sqrt(3));
+                const lk = length, i_min = Math.min(ix, iy);
+                fc = ft;
+                if (i_min > 1e-9) {
+                    const lambda = lk / i_min, E_n_mm2 = E * 1e-3;
+                    const lambda_p = Math.PI * Math.sqrt(E_n_mm2 / (0.6 * F));
+                    if (lambda <= lambda_p) { fc = (1 - 0.4 * (lambda / lambda_p)**2) * F / factor; } 
+                    else { fc = (0.277 * F) / ((lambda / lambda_p)**2); }
+                }
+                break;
+            case 'wood-type': {
+                let baseStresses;
+                if (strengthProps.preset === 'custom') {
+                    baseStresses = strengthProps.baseStrengths;
+                    if (!baseStresses || isNaN(baseStresses.ft) || isNaN(baseStresses.fc) || isNaN(baseStresses.fb) || isNaN(baseStresses.fs)) {
+                        results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '木材基準強度無効', status: 'error', ratios: Array(21).fill(0) });
+                        return; // continue forEach
+                    }
+                } else {
+                    baseStresses = WOOD_BASE_STRENGTH_DATA[strengthProps.preset];
+                    if (!baseStresses) {
+                        results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '木材データ無', status: 'error', ratios: Array(21).fill(0) });
+                        return; // continue forEach
+                    }
+                }
+                // プリセット・任意入力共通の計算ロジック
+                const factor = (loadTerm === 'long') ? (1.1 / 3) : (2 / 3);
+                ft = baseStresses.ft * factor;
+                fc = baseStresses.fc * factor;
+                fb = baseStresses.fb * factor;
+                fs = baseStresses.fs * factor;
+                break;
+            }
+            case 'Fc':
+            default:
+                results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '未対応材料', status: 'error', ratios: Array(21).fill(0)});
+                return;
+        }
+
+        const force = forces[idx];
+        const load = memberLoads.find(l => l.memberIndex === idx);
+        const w = getMemberDistributedLoadY(load);
+        const L = length, N = -force.N_i, Z_mm3 = Z * 1e9, A_mm2 = A * 1e6;
+        
+        // 両軸対応の断面係数計算
+        // Y軸周りの断面係数（My用）
+        let Zy_mm3 = Z_mm3;
+        if (Iy && A) {
+            const ry = Math.sqrt(Iy / A); // Y軸周りの回転半径
+            const cy = ry * 2; // 断面の高さ（概算）
+            Zy_mm3 = (Iy / cy) * 1e9; // Y軸周りの断面係数
+        }
+        
+        // Z軸周りの断面係数（Mz用）
+        let Zz_mm3 = Z_mm3;
+        if (Iz && A) {
+            const rz = Math.sqrt(Iz / A); // Z軸周りの回転半径
+            const cz = rz * 2; // 断面の幅（概算）
+            Zz_mm3 = (Iz / cz) * 1e9; // Z軸周りの断面係数
+        }
+        
+        let maxRatio = 0, maxRatioY = 0, maxRatioZ = 0, M_at_max = 0;
+        let maxShearRatio = 0, maxShearRatioY = 0, maxShearRatioZ = 0; // せん断力検定比
+        const ratios = [];
+        const ratiosY = []; // Y軸周りの検定比
+        const ratiosZ = []; // Z軸周りの検定比
+        const shearRatios = []; // せん断力検定比
+        const shearRatiosY = []; // Y軸方向せん断力検定比
+        const shearRatiosZ = []; // Z軸方向せん断力検定比
+        
+        for (let k = 0; k <= 20; k++) {
+            const xi = k / 20; // 無次元座標
+            const x = xi * L; // 実際の距離
+            
+            // 曲げモーメント図と同じ計算方法を使用
+            // 第1軸（Y軸周り）の曲げモーメント
+            let M1_x = 0;
+            if (typeof calculateMemberMomentForAxis === 'function') {
+                M1_x = calculateMemberMomentForAxis(force, L, xi, 'y', w);
+            } else {
+                // フォールバック: 線形補間 + 等分布荷重
+                const M_linear = -force.My_i * (1 - xi) + force.My_j * xi;
+                const M_parabolic = w * L * x / 2 - w * x**2 / 2;
+                M1_x = M_linear + M_parabolic;
+            }
+            
+            // 第2軸（Z軸周り）の曲げモーメント
+            let M2_x = 0;
+            if (typeof calculateMemberMomentForAxis === 'function') {
+                M2_x = calculateMemberMomentForAxis(force, L, xi, 'z', w);
+            } else {
+                // フォールバック: 線形補間 + 等分布荷重
+                const M_linear = -force.Mz_i * (1 - xi) + force.Mz_j * xi;
+                const M_parabolic = w * L * x / 2 - w * x**2 / 2;
+                M2_x = M_linear + M_parabolic;
+            }
+            
+            // 従来の計算方法（後方互換性のため）
+            const M_linear = -force.M_i * (1 - xi) + force.M_j * xi;
+            const M_parabolic = w * L * x / 2 - w * x**2 / 2;
+            const M_x = M_linear + M_parabolic;
+            
+            const sigma_a = (N * 1000) / A_mm2;
+            const sigma_b = (Math.abs(M_x) * 1e6) / Z_mm3;
+            const sigma_by = (Math.abs(M1_x) * 1e6) / Zy_mm3; // 第1軸（Y軸周り）
+            const sigma_bz = (Math.abs(M2_x) * 1e6) / Zz_mm3; // 第2軸（Z軸周り）
+            
+            // せん断力計算（第2軸せん断力図と同じ軸選択方法を使用）
+            let Q1_x = 0, Q2_x = 0; // 第1軸、第2軸のせん断力
+            
+            // 投影モードに応じて軸を決定（第2軸せん断力図と同じロジック）
+            let currentAxis, secondaryAxis;
+            
+            if (projectionMode === 'xy') {
+                currentAxis = 'z'; // 現在表示: Z軸周り
+                secondaryAxis = 'y'; // 第2軸: Y軸周り
+            } else if (projectionMode === 'xz') {
+                currentAxis = 'y'; // 現在表示: Y軸周り
+                secondaryAxis = 'z'; // 第2軸: Z軸周り
+            } else if (projectionMode === 'yz') {
+                currentAxis = 'x'; // 現在表示: X軸周り
+                secondaryAxis = 'z'; // 第2軸: Z軸周り
+            } else {
+                // 等角投影の場合は第2軸としてZ軸を表示
+                currentAxis = 'y'; // 現在表示: Y軸周り
+                secondaryAxis = 'z'; // 第2軸: Z軸周り
+            }
+            
+            if (typeof calculateMemberShearForAxis === 'function') {
+                // 第2軸せん断力図と同じようにnullを渡す（等分布荷重は内部で計算される）
+                Q1_x = calculateMemberShearForAxis(force, L, xi, currentAxis, null);
+                Q2_x = calculateMemberShearForAxis(force, L, xi, secondaryAxis, null);
+            } else {
+                // フォールバック: 線形補間（等分布荷重は考慮しない）
+                const Q1_linear = force[`Q${currentAxis}_i`] * (1 - xi) + force[`Q${currentAxis}_j`] * xi;
+                Q1_x = Q1_linear;
+                
+                const Q2_linear = force[`Q${secondaryAxis}_i`] * (1 - xi) + force[`Q${secondaryAxis}_j`] * xi;
+                Q2_x = Q2_linear;
+            }
+            
+            // せん断応力度計算
+            const tau1 = (Math.abs(Q1_x) * 1000) / A_mm2; // 第1軸せん断応力度
+            const tau2 = (Math.abs(Q2_x) * 1000) / A_mm2; // 第2軸せん断応力度
+            
+            let ratio_x = 0, ratio_y = 0, ratio_z = 0;
+            let shear_ratio1 = 0, shear_ratio2 = 0;
+            
+            if(isNaN(sigma_a) || !ft || !fc || !fb) { 
+                ratio_x = ratio_y = ratio_z = Infinity; 
+            } else {
+                if (sigma_a >= 0) { // 引張
+                ratio_x = (sigma_a / ft) + (sigma_b / fb);
+                    ratio_y = (sigma_a / ft) + (sigma_by / fb);
+                    ratio_z = (sigma_a / ft) + (sigma_bz / fb);
+                } else { // 圧縮
+                ratio_x = (Math.abs(sigma_a) / fc) + (sigma_b / fb);
+                    ratio_y = (Math.abs(sigma_a) / fc) + (sigma_by / fb);
+                    ratio_z = (Math.abs(sigma_a) / fc) + (sigma_bz / fb);
+            }
+            }
+            
+            // せん断力検定比の計算
+            if (fs && !isNaN(tau1) && !isNaN(tau2)) {
+                shear_ratio1 = tau1 / fs; // 第1軸せん断力検定比
+                shear_ratio2 = tau2 / fs; // 第2軸せん断力検定比
+            } else {
+                shear_ratio1 = shear_ratio2 = Infinity;
+            }
+            
+            ratios.push(ratio_x);
+            ratiosY.push(ratio_y);
+            ratiosZ.push(ratio_z);
+            shearRatios.push(shear_ratio1);
+            shearRatiosY.push(shear_ratio1);
+            shearRatiosZ.push(shear_ratio2);
+            
+            if (ratio_x > maxRatio) { maxRatio = ratio_x; M_at_max = M_x; }
+            if (ratio_y > maxRatioY) maxRatioY = ratio_y;
+            if (ratio_z > maxRatioZ) maxRatioZ = ratio_z;
+            if (shear_ratio1 > maxShearRatio) maxShearRatio = shear_ratio1;
+            if (shear_ratio1 > maxShearRatioY) maxShearRatioY = shear_ratio1;
+            if (shear_ratio2 > maxShearRatioZ) maxShearRatioZ = shear_ratio2;
+        }
+        
+        // 曲げモーメント図と同じ方法で最大値を計算
+        let maxM1 = 0, maxM2 = 0, maxQ1 = 0, maxQ2 = 0;
+        for (let k = 0; k <= 20; k++) {
+            const xi = k / 20;
+            const x = xi * L;
+            
+            let M1_x = 0, M2_x = 0, Q1_x = 0, Q2_x = 0;
+            if (typeof calculateMemberMomentForAxis === 'function') {
+                M1_x = calculateMemberMomentForAxis(force, L, xi, 'y', w);
+                M2_x = calculateMemberMomentForAxis(force, L, xi, 'z', w);
+            } else {
+                const M1_linear = -force.My_i * (1 - xi) + force.My_j * xi;
+                const M1_parabolic = w * L * x / 2 - w * x**2 / 2;
+                M1_x = M1_linear + M1_parabolic;
+                
+                const M2_linear = -force.Mz_i * (1 - xi) + force.Mz_j * xi;
+                const M2_parabolic = w * L * x / 2 - w * x**2 / 2;
+                M2_x = M2_linear + M2_parabolic;
+            }
+            
+            // せん断力の最大値も計算
+            if (typeof calculateMemberShearForAxis === 'function') {
+                Q1_x = calculateMemberShearForAxis(force, L, xi, 'y', w);
+                Q2_x = calculateMemberShearForAxis(force, L, xi, 'z', w);
+            } else {
+                const Q1_linear = force.Qy_i * (1 - xi) + force.Qy_j * xi;
+                Q1_x = Q1_linear - w * x;
+                
+                const Q2_linear = force.Qz_i * (1 - xi) + force.Qz_j * xi;
+                Q2_x = Q2_linear - w * x;
+            }
+            
+            maxM1 = Math.max(maxM1, Math.abs(M1_x));
+            maxM2 = Math.max(maxM2, Math.abs(M2_x));
+            maxQ1 = Math.max(maxQ1, Math.abs(Q1_x));
+            maxQ2 = Math.max(maxQ2, Math.abs(Q2_x));
+        }
+        
+        results.push({ 
+            maxRatio: Math.max(maxRatio, maxRatioY, maxRatioZ), // 両軸の最大値
+            maxRatioY, 
+            maxRatioZ,
+            maxShearRatio, // せん断力検定比の最大値
+            maxShearRatioY, // 第1軸せん断力検定比の最大値
+            maxShearRatioZ, // 第2軸せん断力検定比の最大値
+            N, 
+            M: M_at_max, 
+            M1: maxM1, // 第1軸（Y軸周り）の最大曲げモーメント
+            M2: maxM2, // 第2軸（Z軸周り）の最大曲げモーメント
+            Q1: maxQ1, // 第1軸（Y方向）の最大せん断力
+            Q2: maxQ2, // 第2軸（Z方向）の最大せん断力
+            checkType: '両軸組合せ応力', 
+            status: Math.max(maxRatio, maxRatioY, maxRatioZ, maxShearRatio, maxShearRatioY, maxShearRatioZ) > 1.0 ? 'NG' : 'OK', 
+            ratios,
+            ratiosY,
+            ratiosZ,
+            shearRatios,
+            shearRatiosY,
+            shearRatiosZ
+        });
+    });
+    return results;
+};
+
+const getSectionCheckGoverningRatio = (result) => {
+    const ratios = [result.maxRatio, result.maxShearRatio].filter(Number.isFinite);
+    return ratios.length > 0 ? Math.max(...ratios) : -Infinity;
+};
+
+/**
+ * 断面検定を行う
+ * 荷重組合せを指定した場合は、組合せごとに検定して部材ごとに検定比が最大となる組合せを採用する。
+ * 荷重組合せがない場合は解析結果で検定する。
+ * @param {'long'|'short'} loadTerm - 長期・短期の区分
+ * @param {{members: Array<object>, forces: Array<object>, memberLoads: Array<object>}} result - 表示中の解析結果
+ * @param {Array<{id: string, name: string, forces: Array<object>, memberLoads: Array<object>}>} combinations - 指定した期間の荷重組合せ
+ * @param {object} [options] - calculateMemberSectionChecks と同じ
+ * @returns {Array<object>} 部材ごとの検定結果（荷重組合せで検定した場合は governingCombination・force・memberLoad を加える）
+ */
+const calculateGoverningSectionChecks = (loadTerm, result, combinations, { projectionMode, onProgress } = {}) => {
+    if (combinations.length === 0) return calculateMemberSectionChecks(loadTerm, result, { projectionMode, onProgress });
+
+    const governingResults = [];
+    combinations.forEach((combination, combinationIndex) => {
+        const results = calculateMemberSectionChecks(loadTerm, { members: result.members, forces: combination.forces, memberLoads: combination.memberLoads }, {
+            projectionMode,
+            onProgress: onProgress && ((stage, fraction) => onProgress(stage, (combinationIndex + fraction) / combinations.length))
+        });
+        results.forEach((memberResult, idx) => {
+            const current = governingResults[idx];
+            if (current && getSectionCheckGoverningRatio(memberResult) <= getSectionCheckGoverningRatio(current)) return;
+            governingResults[idx] = {
+                ...memberResult,
+                governingCombination: { id: combination.id, name: combination.name },
+                // 詳細表示で支配組合せの断面力を使う
+                force: combination.forces[idx],
+                memberLoad: combination.memberLoads.find(load => load.memberIndex === idx) || null
+            };
+        });
+    });
+    return governingResults;
+};
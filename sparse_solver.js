@@ -0,0 +1,510 @@
+/**
+ * 疎行列ソルバー
+ * 対称な全体剛性マトリックスを行ごとの疎形式で組み立て、
+ * 逆Cuthill-McKee法で番号を付け替えたスカイライン形式に変換してLDLᵀ分解で解く。
+ * ブラウザでは globalThis.SparseSolver、Node.js では module.exports から利用する。
+ */
+const SparseSolver = (() => {
+    /**
+     * 行ごとに Map を持つ疎行列を作成する
+     * @param {number} size - 行列の次数
+     * @returns {object} add/get/multiplyVector を持つ疎行列
+     */
+    const createSparseMatrix = (size) => {
+        const rows = Array.from({ length: size }, () => new Map());
+
+        const add = (row, col, value) => {
+            if (!Number.isFinite(value) || value === 0) return;
+            const target = rows[row];
+            target.set(col, (target.get(col) || 0) + value);
+        };
+
+        const get = (row, col) => rows[row]?.get(col) || 0;
+
+        const multiplyVector = (vector) => {
+            const result = new Float64Array(size);
+            for (let r = 0; r < size; r++) {
+                let sum = 0;
+                rows[r].forEach((value, c) => { sum += value * (vector[c] || 0); });
+                result[r] = sum;
+            }
+            return result;
+        };
+
+        return { size, rows, add, get, multiplyVector };
+    };
+
+    /**
+     * 指定した行・列インデックスで部分行列を取り出す
+     * @param {object} matrix - createSparseMatrix で作成した行列
+     * @param {number[]} indices - 取り出す自由度（元行列の番号）
+     * @returns {object} 次数 indices.length の疎行列
+     */
+    const extractSubmatrix = (matrix, indices) => {
+        const localIndex = new Map();
+        indices.forEach((globalIdx, localIdx) => localIndex.set(globalIdx, localIdx));
+        const sub = createSparseMatrix(indices.length);
+        indices.forEach((globalRow, localRow) => {
+            matrix.rows[globalRow].forEach((value, globalCol) => {
+                const localCol = localIndex.get(globalCol);
+                if (localCol !== undefined) {
+                    sub.rows[localRow].set(localCol, value);
+                }
+            });
+        });
+        return sub;
+    };
+
+    /**
+     * 行集合 rowIndices と列集合 colIndices の部分行列とベクトルの積
+     * @param {object} matrix - 疎行列
+     * @param {number[]} rowIndices - 行番号
+     * @param {number[]} colIndices - 列番号（vector の並びと対応）
+     * @param {ArrayLike<number>} vector - 列集合に対応するベクトル
+     * @returns {Float64Array}
+     */
+    const multiplyPartition = (matrix, rowIndices, colIndices, vector) => {
+        const colPosition = new Map();
+        colIndices.forEach((globalCol, pos) => colPosition.set(globalCol, pos));
+        const result = new Float64Array(rowIndices.length);
+        rowIndices.forEach((globalRow, pos) => {
+            let sum = 0;
+            matrix.rows[globalRow].forEach((value, globalCol) => {
+                const colPos = colPosition.get(globalCol);
+                if (colPos !== undefined) sum += value * (vector[colPos] || 0);
+            });
+            result[pos] = sum;
+        });
+        return result;
+    };
+
+    /**
+     * 逆Cuthill-McKee法による番号付け替え
+     * 連結成分ごとに次数最小の頂点から幅優先探索し、最後に順序を反転する。
+     * @param {Array<Iterable<number>>} adjacency - 各頂点の隣接頂点リスト
+     * @returns {number[]} 新しい順序（order[新番号] = 旧番号）
+     */
+    const reverseCuthillMcKee = (adjacency) => {
+        const count = adjacency.length;
+        const neighbors = adjacency.map((list, idx) => Array.from(list || []).filter(n => n !== idx && n >= 0 && n < count));
+        const degree = neighbors.map(list => list.length);
+        const visited = new Uint8Array(count);
+        const order = [];
+
+        const candidates = Array.from({ length: count }, (_, idx) => idx).sort((a, b) => degree[a] - degree[b]);
+        candidates.forEach(start => {
+            if (visited[start]) return;
+            visited[start] = 1;
+            const queue = [start];
+            let head = 0;
+            while (head < queue.length) {
+                const current = queue[head++];
+                order.push(current);
+                neighbors[current]
+                    .filter(n => !visited[n])
+                    .sort((a, b) => degree[a] - degree[b])
+                    .forEach(n => {
+                        visited[n] = 1;
+                        queue.push(n);
+                    });
+            }
+        });
+
+        return order.reverse();
+    };
+
+    /**
+     * 疎行列の非零パターンから隣接リストを作成する
+     * @param {object} matrix - 疎行列
+     * @returns {number[][]}
+     */
+    const buildAdjacency = (matrix) => matrix.rows.map((row, r) => Array.from(row.keys()).filter(c => c !== r));
+
+    /**
+     * スカイライン（列プロファイル）形式へ変換する
+     * columns[j] には行 first[j]..j の上三角成分を格納する。
+     * @param {object} matrix - 対称な疎行列
+     * @param {number[]} order - order[新番号] = 旧番号
+     * @returns {{ size: number, first: Int32Array, columns: Float64Array[], order: number[], profile: number }}
+     */
+    const buildSkyline = (matrix, order) => {
+        const size = matrix.size;
+        const position = new Int32Array(size);
+        order.forEach((oldIdx, newIdx) => { position[oldIdx] = newIdx; });
+
+        const first = new Int32Array(size);
+        for (let newCol = 0; newCol < size; newCol++) {
+            let minRow = newCol;
+            matrix.rows[order[newCol]].forEach((value, oldCol) => {
+                const newRow = position[oldCol];
+                if (newRow < minRow) minRow = newRow;
+            });
+            first[newCol] = minRow;
+        }
+
+        let profile = 0;
+        const columns = Array.from({ length: size }, (_, j) => {
+            const column = new Float64Array(j - first[j] + 1);
+            profile += column.length;
+            return column;
+        });
+
+        for (let newCol = 0; newCol < size; newCol++) {
+            const column = columns[newCol];
+            const start = first[newCol];
+            matrix.rows[order[newCol]].forEach((value, oldCol) => {
+                const newRow = position[oldCol];
+                if (newRow <= newCol) {
+                    column[newRow - start] += value;
+                }
+            });
+        }
+
+        return { size, first, columns, order, position, profile };
+    };
+
+    /**
+     * スカイライン行列のLDLᵀ分解（その場で上書き）
+     * 各列の上三角部には L の成分、対角には D を格納する。
+     * allowZeroPivots が true の場合、零ピボットの自由度は変位0に固定したものとして分解を続ける
+     * （零エネルギーモードを持つトラス節点の回転など）。
+     * @param {object} skyline - buildSkyline の戻り値
+     * @param {{ pivotTolerance?: number, allowZeroPivots?: boolean, onProgress?: Function }} [options]
+     * @returns {{ success: boolean, singularIndex: number|null, negativePivots: number, zeroPivots: number[] }}
+     */
+    const factorLDLT = (skyline, { pivotTolerance = 1e-11, allowZeroPivots = false, onProgress = null } = {}) => {
+        const { size, first, columns } = skyline;
+        const zeroPivotFlags = new Uint8Array(size);
+        skyline.zeroPivotFlags = zeroPivotFlags;
+        let negativePivots = 0;
+        const progressInterval = Math.max(1, Math.floor(size / 100));
+
+        for (let j = 0; j < size; j++) {
+            if (onProgress && j % progressInterval === 0) {
+                onProgress(j / size);
+            }
+            const colJ = columns[j];
+            const fj = first[j];
+            const originalDiagonal = Math.abs(colJ[j - fj]);
+
+            // g_ij = a_ij - Σ l_ki g_kj
+            for (let i = fj + 1; i < j; i++) {
+                const colI = columns[i];
+                const fi = first[i];
+                const kStart = Math.max(fi, fj);
+                let sum = 0;
+                for (let k = kStart; k < i; k++) {
+                    sum += colI[k - fi] * colJ[k - fj];
+                }
+                colJ[i - fj] -= sum;
+            }
+
+            // l_ij = g_ij / d_i, d_j = a_jj - Σ l_ij g_ij
+            let diagonal = colJ[j - fj];
+            for (let i = fj; i < j; i++) {
+                const g = colJ[i - fj];
+                if (g === 0 || zeroPivotFlags[i]) {
+                    colJ[i - fj] = 0;
+                    continue;
+                }
+                const l = g / columns[i][i - first[i]];
+                diagonal -= l * g;
+                colJ[i - fj] = l;
+            }
+            colJ[j - fj] = diagonal;
+
+            const reference = Math.max(originalDiagonal, Number.MIN_VALUE);
+            if (!Number.isFinite(diagonal) || Math.abs(diagonal) <= pivotTolerance * reference) {
+                if (!allowZeroPivots) {
+                    return { success: false, singularIndex: skyline.order[j], negativePivots, zeroPivots: [] };
+                }
+                // 変位0に固定: 以降の列ではこの行の成分を0として扱う
+                zeroPivotFlags[j] = 1;
+                colJ.fill(0);
+                colJ[j - fj] = 1;
+                continue;
+            }
+            if (diagonal < 0) negativePivots++;
+        }
+
+        const zeroPivots = [];
+        zeroPivotFlags.forEach((flag, j) => { if (flag) zeroPivots.push(skyline.order[j]); });
+        return { success: true, singularIndex: null, negativePivots, zeroPivots };
+    };
+
+    /**
+     * 分解済みスカイライン行列で前進・後退代入を行う
+     * @param {object} skyline - factorLDLT 済みのスカイライン行列
+     * @param {ArrayLike<number>} rhs - 元の番号順の右辺ベクトル
+     * @returns {Float64Array} 元の番号順の解ベクトル
+     */
+    const substitute = (skyline, rhs) => {
+        const { size, first, columns, order } = skyline;
+        const y = new Float64Array(size);
+        for (let j = 0; j < size; j++) {
+            y[j] = rhs[order[j]] || 0;
+        }
+
+        // L y = b
+        for (let j = 0; j < size; j++) {
+            const colJ = columns[j];
+            const fj = first[j];
+            let sum = 0;
+            for (let i = fj; i < j; i++) {
+                sum += colJ[i - fj] * y[i];
+            }
+            y[j] -= sum;
+        }
+
+        // D z = y
+        const zeroPivotFlags = skyline.zeroPivotFlags;
+        for (let j = 0; j < size; j++) {
+            y[j] = zeroPivotFlags?.[j] ? 0 : y[j] / columns[j][j - first[j]];
+        }
+
+        // Lᵀ x = z
+        for (let j = size - 1; j >= 0; j--) {
+            const colJ = columns[j];
+            const fj = first[j];
+            const xj = y[j];
+            if (xj === 0) continue;
+            for (let i = fj; i < j; i++) {
+                y[i] -= colJ[i - fj] * xj;
+            }
+        }
+
+        const solution = new Float64Array(size);
+        for (let j = 0; j < size; j++) {
+            solution[order[j]] = y[j];
+        }
+        return solution;
+    };
+
+    /**
+     * 対称疎行列を分解する（番号付け替え＋スカイライン＋LDLᵀ）
+     * @param {object} matrix - 対称な疎行列
+     * @param {{ order?: number[], pivotTolerance?: number, allowZeroPivots?: boolean, onProgress?: Function }} [options]
+     * @returns {{ success: boolean, skyline: object, singularIndex: number|null, negativePivots: number, zeroPivots: number[] }}
+     */
+    const factorize = (matrix, { order = null, pivotTolerance, allowZeroPivots = false, onProgress = null } = {}) => {
+        const ordering = Array.isArray(order) && order.length === matrix.size
+            ? order
+            : reverseCuthillMcKee(buildAdjacency(matrix));
+        const skyline = buildSkyline(matrix, ordering);
+        const result = factorLDLT(skyline, { pivotTolerance, allowZeroPivots, onProgress });
+        return { ...result, skyline };
+    };
+
+    /**
+     * 同じ係数行列で複数の右辺を解く（分解は一度だけ）
+     * 零ピボットの自由度は変位0として解き、その自由度の荷重が釣り合わない（機構に荷重が作用する）右辺の解は null とする。
+     * @param {object} matrix - 対称な疎行列
+     * @param {Array<ArrayLike<number>>} rhsList - 右辺ベクトルの配列
+     * @param {{ order?: number[], pivotTolerance?: number, residualTolerance?: number, onProgress?: Function }} [options]
+     * @returns {Array<Float64Array|null>|null} 右辺ごとの解（分解自体に失敗した場合は null）
+     */
+    const solveMultiple = (matrix, rhsList, { residualTolerance = 1e-6, ...options } = {}) => {
+        if (matrix.size === 0) return rhsList.map(() => new Float64Array(0));
+        const factor = factorize(matrix, { ...options, allowZeroPivots: true });
+        if (!factor.success) return null;
+
+        return rhsList.map(rhs => {
+            const solution = substitute(factor.skyline, rhs);
+
+            if (factor.zeroPivots.length > 0) {
+                let loadScale = 1;
+                for (let i = 0; i < matrix.size; i++) {
+                    loadScale = Math.max(loadScale, Math.abs(rhs[i] || 0));
+                }
+                const inconsistent = factor.zeroPivots.some(idx => {
+                    let sum = 0;
+                    matrix.rows[idx].forEach((value, col) => { sum += value * solution[col]; });
+                    return Math.abs(sum - (rhs[idx] || 0)) > residualTolerance * loadScale;
+                });
+                if (inconsistent) return null;
+            }
+
+            for (let i = 0; i < solution.length; i++) {
+                if (!Number.isFinite(solution[i])) return null;
+            }
+            return solution;
+        });
+    };
+
+    /**
+     * 対称疎行列の連立方程式 K x = b を解く
+     * 零ピボットの自由度は変位0として解き、その自由度の荷重が釣り合わない（機構に荷重が作用する）場合は null を返す。
+     * @param {object} matrix - 対称な疎行列
+     * @param {ArrayLike<number>} rhs - 右辺ベクトル
+     * @param {{ order?: number[], pivotTolerance?: number, residualTolerance?: number, onProgress?: Function }} [options]
+     * @returns {Float64Array|null} 解が得られない場合は null
+     */
+    const solve = (matrix, rhs, options = {}) => {
+        const solutions = solveMultiple(matrix, [rhs], options);
+        return solutions ? solutions[0] : null;
+    };
+
+    /**
+     * 一般化固有値問題 K φ = λ B φ の正の固有値を小さい順に求める（K は正定値、B は対称）
+     * K − σB の LDLᵀ 分解の負のピボット数が σ 未満の固有値の数になること（スツルム列の性質）を使って
+     * 二分法で固有値を1つずつ分離し、シフト付き逆反復で固有値と固有ベクトルを求める。
+     * 固有ベクトルは K に関して正規化し（φᵀKφ = 1）、重根の場合も互いに K 直交にする。
+     * @param {object} K - 正定値の対称疎行列
+     * @param {object} B - 対称疎行列（K と同じ次数）
+     * @param {{ count?: number, order?: number[], maxEigenvalue?: number, tolerance?: number, maxIterations?: number, onProgress?: Function }} [options]
+     *   count: 求める固有値の数、maxEigenvalue: 探索する固有値の上限
+     * @returns {{ values: number[], vectors: Float64Array[] }} 上限以下の固有値が count 個に満たない場合は見つかった分だけ返す
+     */
+    const solveGeneralizedEigen = (K, B, {
+        count = 1,
+        order = null,
+        maxEigenvalue = 1e8,
+        tolerance = 1e-10,
+        maxIterations = 100,
+        onProgress = null
+    } = {}) => {
+        const size = K.size;
+        if (size === 0 || count < 1) return { values: [], vectors: [] };
+        const ordering = Array.isArray(order) && order.length === size ? order : reverseCuthillMcKee(buildAdjacency(K));
+
+        const factorShifted = (sigma) => {
+            const shifted = createSparseMatrix(size);
+            K.rows.forEach((row, r) => row.forEach((value, c) => shifted.add(r, c, value)));
+            if (sigma !== 0) B.rows.forEach((row, r) => row.forEach((value, c) => shifted.add(r, c, -sigma * value)));
+            return factorize(shifted, { order: ordering, allowZeroPivots: true });
+        };
+
+        // σ 未満の固有値の数（評価済みの σ は再利用する）
+        const counts = new Map();
+        const countBelow = (sigma) => {
+            if (!counts.has(sigma)) {
+                const factor = factorShifted(sigma);
+                counts.set(sigma, factor.success ? factor.negativePivots : Infinity);
+            }
+            return counts.get(sigma);
+        };
+        if (countBelow(0) !== 0) {
+            throw new Error('剛性マトリックスが正定値でないため、固有値解析を行えません。');
+        }
+
+        // 求める個数の固有値を含む上限を10倍ずつ探す
+        let upper = 1e-4;
+        while (countBelow(upper) < count && upper < maxEigenvalue) {
+            upper = Math.min(upper * 10, maxEigenvalue);
+        }
+        const found = Math.min(count, countBelow(upper));
+
+        const multiplyK = (x) => K.multiplyVector(x);
+        const dot = (a, b) => {
+            let sum = 0;
+            for (let i = 0; i < size; i++) sum += a[i] * b[i];
+            return sum;
+        };
+        // 初期ベクトルは再現性のため固定の擬似乱数で作る
+        let seed = 12345;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648 - 0.5;
+        };
+
+        const values = [];
+        const vectors = [];
+        const KVectors = [];
+        for (let k = 1; k <= found; k++) {
+            // k 番目の固有値を含む区間 [lower, upper) を評価済みの σ から選び、二分法で狭める
+            let lower = 0;
+            let high = upper;
+            counts.forEach((n, sigma) => {
+                if (n < k && sigma > lower) lower = sigma;
+                if (n >= k && sigma < high) high = sigma;
+            });
+            while (high - lower > 1e-3 * high) {
+                const middle = lower > 0 ? Math.sqrt(lower * high) : high / 10;
+                if (countBelow(middle) < k) lower = middle; else high = middle;
+            }
+
+            const shift = (lower + high) / 2;
+            const factor = factorShifted(shift);
+            if (!factor.success) break;
+            let x = Float64Array.from({ length: size }, random);
+            let lambda = shift;
+            for (let iteration = 0; iteration < maxIterations; iteration++) {
+                x = substitute(factor.skyline, B.multiplyVector(x));
+                // 既に求めた固有ベクトルと K 直交にする
+                vectors.forEach((phi, idx) => {
+                    const projection = dot(KVectors[idx], x);
+                    for (let i = 0; i < size; i++) x[i] -= projection * phi[i];
+                });
+                const Kx = multiplyK(x);
+                const norm = Math.sqrt(dot(x, Kx));
+                if (!(norm > 0)) break;
+                for (let i = 0; i < size; i++) x[i] /= norm;
+                const Bx = B.multiplyVector(x);
+                const next = 1 / dot(x, Bx);
+                const converged = Math.abs(next - lambda) <= tolerance * Math.abs(next);
+                lambda = next;
+                if (converged) break;
+            }
+            if (!Number.isFinite(lambda) || lambda <= 0) break;
+            values.push(lambda);
+            vectors.push(x);
+            KVectors.push(multiplyK(x));
+            if (onProgress) onProgress(k / found);
+        }
+        return { values, vectors };
+    };
+
+    /**
+     * 節点の接続関係から自由度の並び順を作る
+     * 節点単位でRCMを行い、各節点の自由度を連続して並べる。
+     * @param {number} nodeCount - 節点数
+     * @param {Array<{i: number, j: number}>} members - 部材（i, j は節点番号）
+     * @param {number} dofPerNode - 節点あたりの自由度
+     * @param {number[]} indices - 並べ替える自由度（全体番号）
+     * @returns {number[]} indices 内の位置による並び順
+     */
+    const orderDofsByNodes = (nodeCount, members, dofPerNode, indices) => {
+        const adjacency = Array.from({ length: nodeCount }, () => new Set());
+        members.forEach(({ i, j }) => {
+            if (i >= 0 && j >= 0 && i < nodeCount && j < nodeCount && i !== j) {
+                adjacency[i].add(j);
+                adjacency[j].add(i);
+            }
+        });
+        const nodeOrder = reverseCuthillMcKee(adjacency);
+        const nodeRank = new Int32Array(nodeCount);
+        nodeOrder.forEach((node, rank) => { nodeRank[node] = rank; });
+
+        return indices
+            .map((globalIdx, pos) => pos)
+            .sort((a, b) => {
+                const ga = indices[a];
+                const gb = indices[b];
+                const rankDiff = nodeRank[Math.floor(ga / dofPerNode)] - nodeRank[Math.floor(gb / dofPerNode)];
+                return rankDiff !== 0 ? rankDiff : ga - gb;
+            });
+    };
+
+    return {
+        createSparseMatrix,
+        extractSubmatrix,
+        multiplyPartition,
+        reverseCuthillMcKee,
+        buildAdjacency,
+        buildSkyline,
+        factorLDLT,
+        substitute,
+        factorize,
+        solveMultiple,
+        solve,
+        solveGeneralizedEigen,
+        orderDofsByNodes
+    };
+})();
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.SparseSolver = SparseSolver;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SparseSolver;
+}
@@ -0,0 +1,175 @@
+/**
+ * 解析エンジンの回帰チェック（Node.js で実行: npm test）
+ * analysis_engine.js と sparse_solver.js を読み込み、片持ち梁の理論解とプリセットのモデルの解析結果を確かめる。
+ * プリセットの期待値は、画面の計算（calculate()）から解析エンジンへ処理を移した時点の解析結果を記録したもの。
+ * 解析の変更で結果が変わった場合は、理由を確かめてから期待値を更新する。
+ */
+const assert = require('assert');
+const FrameAnalysisEngine = require('../analysis_engine.js');
+
+// 鋼材のヤング係数 (kN/m²)
+const E_STEEL = 2.05e8;
+const RELATIVE_TOLERANCE = 1e-6;
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+const assertClose = (actual, expected, label) => {
+    const tolerance = Math.max(Math.abs(expected) * RELATIVE_TOLERANCE, 1e-9);
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} （期待値 ${expected}）`);
+};
+
+// 節点ごとの反力の合計（並進成分）
+const sumReactions = (R, nodeCount, dofPerNode) => {
+    const sum = { x: 0, y: 0, z: 0 };
+    for (let idx = 0; idx < nodeCount; idx++) {
+        sum.x += R[idx * dofPerNode][0];
+        sum.y += R[idx * dofPerNode + 1][0];
+        if (dofPerNode === 6) sum.z += R[idx * dofPerNode + 2][0];
+    }
+    return sum;
+};
+
+// プリセットの節点 { x, y, z, s: 'x'（固定）| 'f'（自由） }、部材（節点番号は1始まり）、荷重を解析エンジンの形にする
+const fromPreset = ({ nodes, members, nl = [], ml = [] }) => ({
+    nodes: nodes.map(({ x, y, z, s }) => ({ x, y, z, support: s === 'x' ? 'fixed' : 'free' })),
+    members: members.map(({ i, j, Iz, Iy, J, A }) => ({
+        i: i - 1,
+        j: j - 1,
+        E: E_STEEL,
+        A,
+        I: Iz,
+        Iz,
+        Iy,
+        J,
+        i_conn: 'rigid',
+        j_conn: 'rigid'
+    })),
+    nodeLoads: nl.map(({ n, px = 0, py = 0, pz = 0 }) => ({ nodeIndex: n - 1, px, py, pz })),
+    memberLoads: ml.map(({ m, wy = 0, wz = 0 }) => ({ memberIndex: m - 1, wy, wz }))
+});
+
+const H200 = { Iz: 2.5e-4, Iy: 8.3e-5, J: 3.2e-5, A: 1.2e-2 };
+const H250 = { Iz: 3.0e-4, Iy: 1.0e-4, J: 3.8e-5, A: 1.5e-2 };
+const H175 = { Iz: 2.0e-4, Iy: 6.7e-5, J: 2.6e-5, A: 1.0e-2 };
+const H150 = { Iz: 1.5e-4, Iy: 5.0e-5, J: 1.9e-5, A: 8.0e-3 };
+
+// プリセット 5A-1: 3D門形ラーメン
+const PRESET_3D_PORTAL = {
+    nodes: [
+        { x: 0, y: 0, z: 0, s: 'x' }, { x: 0, y: 6, z: 0, s: 'x' }, { x: 8, y: 0, z: 0, s: 'x' }, { x: 8, y: 6, z: 0, s: 'x' },
+        { x: 0, y: 0, z: 4, s: 'f' }, { x: 0, y: 6, z: 4, s: 'f' }, { x: 8, y: 0, z: 4, s: 'f' }, { x: 8, y: 6, z: 4, s: 'f' }
+    ],
+    members: [
+        { i: 1, j: 5, ...H200 }, { i: 2, j: 6, ...H200 }, { i: 3, j: 7, ...H200 }, { i: 4, j: 8, ...H200 },
+        { i: 5, j: 7, ...H250 }, { i: 6, j: 8, ...H250 },
+        { i: 5, j: 6, ...H150 }, { i: 7, j: 8, ...H150 }, { i: 1, j: 2, ...H150 }, { i: 3, j: 4, ...H150 }
+    ],
+    nl: [{ n: 5, px: 10, py: 8 }, { n: 6, px: 10, py: -8 }],
+    ml: [{ m: 5, wy: -3 }, { m: 6, wy: -3 }]
+};
+
+// プリセット 5A-2: 3Dタワー構造
+const PRESET_3D_TOWER = {
+    nodes: [
+        { x: 0, y: 0, z: 0, s: 'x' }, { x: 4, y: 0, z: 0, s: 'x' }, { x: 4, y: 4, z: 0, s: 'x' }, { x: 0, y: 4, z: 0, s: 'x' },
+        { x: 0, y: 0, z: 6, s: 'f' }, { x: 4, y: 0, z: 6, s: 'f' }, { x: 4, y: 4, z: 6, s: 'f' }, { x: 0, y: 4, z: 6, s: 'f' },
+        { x: 0, y: 0, z: 12, s: 'f' }, { x: 4, y: 0, z: 12, s: 'f' }, { x: 4, y: 4, z: 12, s: 'f' }, { x: 0, y: 4, z: 12, s: 'f' }
+    ],
+    members: [
+        { i: 1, j: 5, ...H250 }, { i: 2, j: 6, ...H250 }, { i: 3, j: 7, ...H250 }, { i: 4, j: 8, ...H250 },
+        { i: 5, j: 9, ...H175 }, { i: 6, j: 10, ...H175 }, { i: 7, j: 11, ...H175 }, { i: 8, j: 12, ...H175 },
+        { i: 5, j: 6, ...H150 }, { i: 6, j: 7, ...H150 }, { i: 7, j: 8, ...H150 }, { i: 8, j: 5, ...H150 },
+        { i: 9, j: 10, ...H150 }, { i: 10, j: 11, ...H150 }, { i: 11, j: 12, ...H150 }, { i: 12, j: 9, ...H150 }
+    ],
+    nl: [{ n: 9, px: 15 }, { n: 10, px: 15 }, { n: 11, px: 15 }, { n: 12, px: 15 }]
+};
+
+// 記録値（calculate() から解析エンジンへ処理を移した時点の解析結果）
+const EXPECTED_3D_PORTAL = {
+    dx5: 0.0025893498755303313,
+    dy6: -0.003346342230933257,
+    Mz_i1: 37.19485893190863,
+    My_j5: 7.827225735595555
+};
+const EXPECTED_3D_TOWER = {
+    dx9: 0.07050415114961495,
+    N_i1: -59.534513852713616
+};
+
+check('片持ち梁（2次元）の先端変位と固定端の反力が理論解と一致する', () => {
+    const L = 4;
+    const P = 10;
+    const I = 1e-4;
+    const result = FrameAnalysisEngine.analyzeModel({
+        nodes: [{ x: 0, y: 0, z: 0, support: 'fixed' }, { x: L, y: 0, z: 0, support: 'free' }],
+        members: [{ i: 0, j: 1, E: E_STEEL, A: 1e-2, I, Iz: I, Iy: 5e-5, J: 2e-4, i_conn: 'rigid', j_conn: 'rigid' }],
+        nodeLoads: [{ nodeIndex: 1, px: 0, py: -P, pz: 0 }]
+    });
+    assert.strictEqual(result.is2DFrame, true);
+    // δ = PL³/3EI、θ = PL²/2EI
+    assertClose(result.D[4][0], -P * L ** 3 / (3 * E_STEEL * I), '先端のたわみ');
+    assertClose(result.D[5][0], -P * L ** 2 / (2 * E_STEEL * I), '先端の回転角');
+    assertClose(result.R[1][0], P, '固定端の鉛直反力');
+    assertClose(result.R[2][0], P * L, '固定端の反力モーメント');
+});
+
+check('片持ち梁（3次元）の先端変位が理論解と一致する', () => {
+    const L = 4;
+    const P = 10;
+    const Iy = 5e-5;
+    // 部材につながらない固定節点を Y 方向にずらして置き、3次元フレームとして解く
+    const result = FrameAnalysisEngine.analyzeModel({
+        nodes: [{ x: 0, y: 0, z: 0, support: 'fixed' }, { x: L, y: 0, z: 0, support: 'free' }, { x: 0, y: 3, z: 0, support: 'fixed' }],
+        members: [{ i: 0, j: 1, E: E_STEEL, A: 1e-2, I: 1e-4, Iz: 1e-4, Iy, J: 2e-4, i_conn: 'rigid', j_conn: 'rigid' }],
+        nodeLoads: [{ nodeIndex: 1, px: 0, py: 0, pz: -P }]
+    });
+    assert.strictEqual(result.is2DFrame, false);
+    assertClose(result.D[8][0], -P * L ** 3 / (3 * E_STEEL * Iy), '先端のたわみ');
+    assertClose(Math.abs(result.forces[0].My_i), P * L, '固定端の曲げモーメント');
+});
+
+check('プリセット 5A-1（3D門形ラーメン）の変位と断面力が記録値と一致し、反力が荷重と釣り合う', () => {
+    const model = fromPreset(PRESET_3D_PORTAL);
+    const result = FrameAnalysisEngine.analyzeModel(model);
+    const reactions = sumReactions(result.R, model.nodes.length, 6);
+    // 節点荷重 ΣPx = 20 kN、ΣPy = 0、梁の等分布荷重（局所y方向）は水平面内に作用する
+    assertClose(reactions.x, -20, '反力の合計 X');
+    assertClose(reactions.y, 3 * 8 * 2, '反力の合計 Y');
+    assertClose(reactions.z, 0, '反力の合計 Z');
+    assertClose(result.D[4 * 6][0], EXPECTED_3D_PORTAL.dx5, '節点5のX方向変位');
+    assertClose(result.D[5 * 6 + 1][0], EXPECTED_3D_PORTAL.dy6, '節点6のY方向変位');
+    assertClose(result.forces[0].Mz_i, EXPECTED_3D_PORTAL.Mz_i1, '部材1の i 端の曲げモーメント Mz');
+    assertClose(result.forces[4].My_j, EXPECTED_3D_PORTAL.My_j5, '部材5の j 端の曲げモーメント My');
+});
+
+check('プリセット 5A-2（3Dタワー構造）の頂部変位が記録値と一致し、反力が荷重と釣り合う', () => {
+    const model = fromPreset(PRESET_3D_TOWER);
+    const result = FrameAnalysisEngine.analyzeModel(model);
+    const reactions = sumReactions(result.R, model.nodes.length, 6);
+    assertClose(reactions.x, -60, '反力の合計 X');
+    assertClose(reactions.y, 0, '反力の合計 Y');
+    assertClose(reactions.z, 0, '反力の合計 Z');
+    assertClose(result.D[8 * 6][0], EXPECTED_3D_TOWER.dx9, '節点9のX方向変位');
+    assertClose(result.forces[0].N_i, EXPECTED_3D_TOWER.N_i1, '部材1の軸力');
+});
+
+check('解析しても引数のモデルを変更しない', () => {
+    const model = fromPreset(PRESET_3D_PORTAL);
+    const before = JSON.stringify(model);
+    FrameAnalysisEngine.analyzeModel(model);
+    assert.strictEqual(JSON.stringify(model), before);
+});
+
+let failures = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok - ${name}\n  ${error.message}`);
+    }
+});
+console.log(`${checks.length - failures}/${checks.length} 件の確認に成功しました。`);
+if (failures > 0) process.exitCode = 1;
@@ -18,7 +18,8 @@ const VIEWER_SUPPORT_ALIAS_ENTRIES = [
     { target: 'fixed', aliases: ['x', 'fix', 'fixed', '固定'] },
     { target: 'roller-x', aliases: ['roller-x', 'roller_x', 'rollerx', 'r-x', 'rx', 'ローラーx', 'ローラー(x)', 'ローラー(X軸固定)'] },
     { target: 'roller-y', aliases: ['roller-y', 'roller_y', 'rollery', 'r-y', 'ry', 'ローラー', 'ローラーy', 'ローラー(y)', 'ローラー(Y軸固定)', 'r', 'roller'] },
-    { target: 'roller-z', aliases: ['roller-z', 'roller_z', 'rollerz', 'r-z', 'rz', 'ローラーz', 'ローラー(z)', 'ローラー(Z軸固定)'] }
+    { target: 'roller-z', aliases: ['roller-z', 'roller_z', 'rollerz', 'r-z', 'rz', 'ローラーz', 'ローラー(z)', 'ローラー(Z軸固定)'] },
+    { target: 'spring', aliases: ['s', 'spring', 'springs', 'ばね', 'バネ'] }
 ];
 
 const VIEWER_SUPPORT_ALIAS_MAP = (() => {
@@ -578,13 +579,22 @@ function build3DModel(scene, nodes, members, loadData = {}) {
         const radius = clamp(0.45 + Math.abs(magnitude) * 0.05, 0.45, 1.6);
         const tubeRadius = radius * 0.08;
 
-        const geometry = new THREE.TorusGeometry(radius, tubeRadius, 16, 48);
+        // 3/4周の円弧と矢じりで回転の向きを示す（円弧は局所z軸まわりに右ねじの向きに描き、回転軸へ向ける）
+        // 入力座標 (X, Y, Z) → Three.js (X, Z, Y) は鏡映なので、右ねじの向きは軸を反転して表す
         const material = new THREE.MeshBasicMaterial({ color: color.int, transparent: true, opacity: 0.85 });
-        const torus = new THREE.Mesh(geometry, material);
-        const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), normalized);
-        torus.quaternion.copy(quaternion);
-        torus.position.copy(origin);
-        group.add(torus);
+        const arcAngle = Math.PI * 1.5;
+        const torus = new THREE.Mesh(new THREE.TorusGeometry(radius, tubeRadius, 16, 48, arcAngle), material);
+        const headLength = radius * 0.35;
+        const head = new THREE.Mesh(new THREE.ConeGeometry(tubeRadius * 2.5, headLength, 12), material);
+        head.position.set(radius * Math.cos(arcAngle), radius * Math.sin(arcAngle), 0);
+        head.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), new THREE.Vector3(-Math.sin(arcAngle), Math.cos(arcAngle), 0));
+        const indicator = new THREE.Group();
+        indicator.add(torus);
+        indicator.add(head);
+        const rotationAxis = normalized.clone().multiplyScalar(magnitude > 0 ? -1 : 1);
+        indicator.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), rotationAxis);
+        indicator.position.copy(origin);
+        group.add(indicator);
 
         const labelPosition = origin.clone()
             .add(normalized.clone().multiplyScalar(radius + 0.25))
@@ -941,6 +951,11 @@ function createMemberMesh(member, nodes) {
     } else if (axisKey === 'y') {
         mesh.rotateZ(Math.PI / 2);
     }
+    // 回転角 β・参照節点による断面の回転（既定の局所座標軸からの角度 [rad]、parseInputs で計算済み）
+    // Three.js 座標 (X, Z, Y) は入力座標を鏡映したものなので、回転の向きが逆になる
+    if (member.localAxisRoll) {
+        mesh.rotateZ(-member.localAxisRoll);
+    }
 
     const hingeGroup = new THREE.Group();
     const redMaterial = new THREE.MeshLambertMaterial({ color: 0xFF0000 });